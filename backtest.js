@@ -0,0 +1,121 @@
+/**
+ * Backtest Runner
+ * 저장된 봉 데이터로 EnhancedTrader 전략을 재현
+ *
+ * 사용법:
+ *   node backtest.js download SOFI,PLTR,MARA 2025-10-01 2025-12-01
+ *   node backtest.js run SOFI,PLTR,MARA 2025-11-01 2025-12-01 [초기자본=10000]
+ *   node backtest.js optimize SOFI,PLTR,MARA 2025-10-06 2025-12-01 [초기자본=10000] [학습주수=4]
+ *
+ * download는 5분봉/일봉과 레짐 판단용 SPY, ^VIX 데이터를 data/bars 에 저장
+ * (워밍업을 위해 시작일 60일 전부터의 일봉을 받음. Yahoo 5분봉은 최근 60일까지만 제공)
+ * optimize는 스크리너 weights/thresholds를 워크포워드(학습 N주 → 검증 1주)로 탐색
+ */
+
+const fs = require('fs');
+const path = require('path');
+const backtester = require('./src/backtester');
+const walkForwardOptimizer = require('./src/walk-forward-optimizer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function download(symbols, from, to) {
+    const all = [...new Set([...symbols, 'SPY', '^VIX'])];
+    const start = new Date(from).getTime();
+
+    await backtester.downloadBars(all, '1d', new Date(start - 60 * DAY_MS), to);
+    await backtester.downloadBars(all, '5m', new Date(start - 7 * DAY_MS), to);
+}
+
+async function run(symbols, from, to, initialCapital) {
+    console.log(`Backtesting ${symbols.join(', ')} from ${from} to ${to} with $${initialCapital}...`);
+
+    const result = await backtester.run({ symbols, from, to, initialCapital });
+    const stats = result.stats;
+
+    console.log('=== Backtest Summary ===');
+    console.log(`Final Equity: $${stats.finalEquity.toFixed(2)} (${stats.totalReturn.toFixed(2)}%)`);
+    console.log(`CAGR: ${stats.cagr.toFixed(2)}%`);
+    console.log(`Max Drawdown: ${stats.maxDrawdown.toFixed(2)}%`);
+    console.log(`Trades: ${stats.totalTrades} (Win Rate: ${stats.winRate.toFixed(2)}%)`);
+    console.log(`Profit Factor: ${Number.isFinite(stats.profitFactor) ? stats.profitFactor.toFixed(2) : 'N/A'}`);
+
+    console.log('=== Trades ===');
+    for (const trade of result.trades) {
+        console.log(`${new Date(trade.exitTime).toISOString()} ${trade.symbol} x${trade.quantity} ` +
+            `$${trade.entryPrice.toFixed(2)} → $${trade.exitPrice.toFixed(2)} ` +
+            `P&L: $${trade.pnl.toFixed(2)} (${trade.returnPercent.toFixed(2)}%) [${trade.reason}]`);
+    }
+
+    saveResult('backtest', result);
+}
+
+async function optimize(symbols, from, to, initialCapital, trainWeeks) {
+    console.log(`Walk-forward optimizing ${symbols.join(', ')} from ${from} to ${to} (train ${trainWeeks}w / validate 1w)...`);
+
+    const result = await walkForwardOptimizer.run({
+        symbols,
+        from,
+        to,
+        initialCapital,
+        trainWeeks,
+        onProgress: (window, index, total) => {
+            const day = time => new Date(time).toISOString().slice(0, 10);
+            console.log(`[${index + 1}/${total}] train ${day(window.trainFrom)}~${day(window.trainTo)} ` +
+                `→ validate ${day(window.validateFrom)}~${day(window.validateTo)}: ` +
+                `optimized ${window.validationStats.totalReturn.toFixed(2)}% vs current ${window.baselineStats.totalReturn.toFixed(2)}%`);
+        }
+    });
+    const summary = result.summary;
+
+    console.log('=== Walk-Forward Summary (out-of-sample) ===');
+    console.log(`Windows: ${summary.windows} | Candidates: ${result.candidates}`);
+    console.log(`Optimized: ${summary.outOfSampleReturn.toFixed(2)}% (MDD ${summary.outOfSampleMaxDrawdown.toFixed(2)}%)`);
+    console.log(`Current:   ${summary.baselineReturn.toFixed(2)}% (MDD ${summary.baselineMaxDrawdown.toFixed(2)}%)`);
+    console.log(`Windows beaten: ${summary.windowsBeaten}/${summary.windows}`);
+    console.log(summary.adopt
+        ? `ADOPT: ${JSON.stringify(summary.recommendedParams)}`
+        : 'KEEP current weights (optimized params did not generalize)');
+
+    saveResult('optimize', result);
+}
+
+function saveResult(prefix, result) {
+    const outDir = path.join(__dirname, 'data/backtests');
+    if (!fs.existsSync(outDir)) {
+        fs.mkdirSync(outDir, { recursive: true });
+    }
+    const outFile = path.join(outDir, `${prefix}-${Date.now()}.json`);
+    fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+    console.log(`Result saved to ${outFile}`);
+}
+
+async function main() {
+    const [command, symbolArg, from, to, capital, trainWeeks] = process.argv.slice(2);
+
+    if (!command || !symbolArg || !from) {
+        console.log('Usage: node backtest.js <download|run|optimize> SYMBOL1,SYMBOL2 FROM [TO] [CAPITAL] [TRAIN_WEEKS]');
+        process.exit(1);
+    }
+
+    const symbols = symbolArg.split(',').map(s => s.trim().toUpperCase());
+    const end = to || new Date().toISOString().slice(0, 10);
+
+    try {
+        if (command === 'download') {
+            await download(symbols, from, end);
+        } else if (command === 'run') {
+            await run(symbols, from, end, Number(capital) || 10000);
+        } else if (command === 'optimize') {
+            await optimize(symbols, from, end, Number(capital) || 10000, Number(trainWeeks) || 4);
+        } else {
+            console.log(`Unknown command: ${command}`);
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Backtest Failed:', error);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,57 @@
+/**
+ * Cooldowns
+ * 재진입 대기 / 격리 종목 확인과 수동 블랙리스트·화이트리스트 관리 (data/cooldowns.json)
+ *
+ * 사용법:
+ *   node cooldowns.js                                   # 매수가 막힌 종목과 수동 목록
+ *   node cooldowns.js blacklist MARA [시간] [사유...]    # 매수 금지 (시간 생략 또는 0이면 만료 없음)
+ *   node cooldowns.js whitelist MARA [시간] [사유...]    # 손절 대기/격리 예외
+ *   node cooldowns.js clear MARA                        # 수동 목록과 대기/격리 해제
+ */
+
+const cooldownRegistry = require('./src/cooldown-registry');
+
+const formatUntil = time => (time ? new Date(time).toISOString() : 'no expiry');
+
+function main() {
+    const [command, rawSymbol, hours, ...reason] = process.argv.slice(2);
+    const symbol = rawSymbol ? rawSymbol.toUpperCase() : null;
+
+    if (command === 'blacklist' || command === 'whitelist') {
+        if (!symbol) {
+            console.error(`Usage: node cooldowns.js ${command} SYMBOL [hours] [reason...]`);
+            process.exit(1);
+        }
+        const item = cooldownRegistry[command](symbol, { hours: Number(hours) || 0, reason: reason.join(' ') || undefined });
+        console.log(`${command === 'blacklist' ? 'Blacklisted' : 'Whitelisted'} ${symbol} until ${formatUntil(item.expiresAt)} (${item.reason})`);
+        return;
+    }
+
+    if (command === 'clear') {
+        if (!symbol) {
+            console.error('Usage: node cooldowns.js clear SYMBOL');
+            process.exit(1);
+        }
+        console.log(cooldownRegistry.clear(symbol) ? `Cleared ${symbol}` : `${symbol} has no entries.`);
+        return;
+    }
+
+    const { blocked, blacklist, whitelist } = cooldownRegistry.getEntries();
+    console.log('=== Cooldown / Quarantine ===');
+    if (blocked.length === 0) console.log('  (none)');
+    for (const item of blocked) {
+        console.log(`  ${item.symbol}: ${item.type} until ${formatUntil(item.until)}`);
+    }
+    console.log('=== Blacklist ===');
+    if (blacklist.length === 0) console.log('  (none)');
+    for (const item of blacklist) {
+        console.log(`  ${item.symbol}: until ${formatUntil(item.expiresAt)} (${item.reason})`);
+    }
+    console.log('=== Whitelist ===');
+    if (whitelist.length === 0) console.log('  (none)');
+    for (const item of whitelist) {
+        console.log(`  ${item.symbol}: until ${formatUntil(item.expiresAt)} (${item.reason})`);
+    }
+}
+
+main();
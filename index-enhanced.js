@@ -66,7 +66,11 @@ cron.schedule('* * * * *', () => {
         logger.info('=== Final Trading Statistics ===');
         logger.info(`Total Trades: ${stats.totalTrades}`);
         logger.info(`Win Rate: ${stats.winRate}`);
-        logger.info(`Total Profit: $${stats.totalProfit.toFixed(2)}`);
+        logger.info(`Wins / Losses: ${stats.winningTrades} / ${stats.losingTrades}`);
+        logger.info(`Total Profit: $${stats.totalProfit.toFixed(2)} (Fees: $${stats.totalFees.toFixed(2)})`);
+        logger.info(`Largest Win / Loss: $${stats.largestWin.toFixed(2)} / $${stats.largestLoss.toFixed(2)}`);
+        logger.info(`Avg Holding: ${stats.avgHoldingMinutes.toFixed(0)} min`);
+        logger.info(`Portfolio Heat: ${stats.portfolioHeat}`);
 
         process.exit(0);
     }
@@ -79,7 +83,7 @@ cron.schedule('* * * * *', () => {
 process.on('SIGINT', () => {
     logger.info('Received SIGINT. Graceful shutdown...');
     const stats = enhancedTrader.getStats();
-    logger.info(`Final Stats - Trades: ${stats.totalTrades}, Win Rate: ${stats.winRate}`);
+    logger.info(`Final Stats - Trades: ${stats.totalTrades}, Win Rate: ${stats.winRate}, Profit: $${stats.totalProfit.toFixed(2)}`);
     process.exit(0);
 });
 
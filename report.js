@@ -0,0 +1,48 @@
+/**
+ * Performance Report
+ * 거래 원장(data/trade-ledger.json)과 사이클별 자산 스냅샷(data/equity-snapshots.jsonl)으로 성과 리포트 생성
+ *
+ * 사용법:
+ *   node report.js                       # 전체 기간
+ *   node report.js 2025-11-01 2025-12-01 # 기간 지정 (끝 날짜 미포함)
+ *
+ * 터미널에 표를 출력하고 data/reports/performance-<시각>.html 에 차트 포함 리포트 저장
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tradeLedger = require('./src/trade-ledger');
+const equityHistory = require('./src/equity-history');
+const performanceAnalyzer = require('./src/performance-analyzer');
+
+function main() {
+    const [fromArg, toArg] = process.argv.slice(2);
+    const from = fromArg ? new Date(fromArg).getTime() : null;
+    const to = toArg ? new Date(toArg).getTime() : null;
+
+    const snapshots = equityHistory.getSnapshots({ from, to });
+    if (snapshots.length === 0) {
+        console.log('No equity snapshots found. Run the enhanced agent to record them (data/equity-snapshots.jsonl).');
+        process.exit(1);
+    }
+
+    const report = performanceAnalyzer.analyze({
+        snapshots,
+        trades: tradeLedger.getTrades({ from, to }),
+        openLots: tradeLedger.getOpenLots(),
+        from,
+        to
+    });
+
+    console.log(performanceAnalyzer.formatText(report));
+
+    const outDir = path.join(__dirname, 'data/reports');
+    if (!fs.existsSync(outDir)) {
+        fs.mkdirSync(outDir, { recursive: true });
+    }
+    const outFile = path.join(outDir, `performance-${Date.now()}.html`);
+    fs.writeFileSync(outFile, performanceAnalyzer.renderHtml(report));
+    console.log(`\nHTML report saved to ${outFile}`);
+}
+
+main();
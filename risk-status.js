@@ -0,0 +1,44 @@
+/**
+ * Risk Status
+ * 계좌 손실 한도(data/risk-state.json) 상태 확인 및 수동 해제
+ *
+ * 사용법:
+ *   node risk-status.js         # 당일 손익 / 낙폭 / 포트폴리오 히트 / 중단 사유
+ *   node risk-status.js reset   # 중단 해제 (낙폭 중단은 이 명령으로만 해제, 최고 평가액은 현재 값으로 재설정)
+ */
+
+const riskGovernor = require('./src/risk-governor');
+const positionManager = require('./src/position-manager');
+
+function main() {
+    const [command] = process.argv.slice(2);
+
+    if (command === 'reset') {
+        const previous = riskGovernor.reset();
+        console.log(previous
+            ? `Cleared ${previous.level} halt (${previous.reason})`
+            : 'No active halt.');
+        return;
+    }
+
+    const status = riskGovernor.getStatus();
+    const state = riskGovernor.state;
+    console.log(`=== Risk Governor (${state.day || 'no data'}) ===`);
+    console.log(`Equity: $${(state.lastEquity || 0).toFixed(2)} | Day start: $${(state.dayStartEquity || 0).toFixed(2)} | Peak: $${(state.peakEquity || 0).toFixed(2)}`);
+    console.log(`Daily P&L: $${status.dailyPnl.toFixed(2)} (${status.dailyPnlPercent.toFixed(2)}%) | Drawdown: ${status.drawdownPercent.toFixed(2)}%`);
+
+    // 마지막 사이클 가격 기준 (data/positions.json)
+    const heat = positionManager.calculatePortfolioHeat(state.lastEquity || 0);
+    console.log(`Portfolio Heat: $${heat.heat.toFixed(2)} (${heat.heatPercent.toFixed(2)}%, cap ${positionManager.config.positionSizing.maxPortfolioHeatPercent}%)`);
+    for (const position of heat.positions) {
+        console.log(`  ${position.symbol}: $${position.price.toFixed(2)} -> stop $${position.stopPrice.toFixed(2)} = $${position.risk.toFixed(2)} at risk`);
+    }
+    if (status.halt) {
+        console.log(`HALTED [${status.halt.level}] since ${new Date(status.halt.since).toISOString()}: ${status.halt.reason}`);
+        if (status.flatten) console.log('Flattening all positions today.');
+    } else {
+        console.log('New entries allowed.');
+    }
+}
+
+main();
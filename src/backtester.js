@@ -0,0 +1,645 @@
+/**
+ * Backtester
+ * 저장된 OHLCV 봉 데이터로 EnhancedTrader의 의사결정을 재현
+ *
+ * - 시뮬레이션 시계: 5분봉 마감 시각마다 EnhancedTrader.start() 한 사이클 실행
+ * - 시뮬레이션 계좌: kisApi 대신 지정가 즉시 체결 계좌 사용
+ * - 실거래와 동일한 파이프라인: 시장 레짐 → 변동성 필터 → 상세 분석 → 트레일링 스탑/익절
+ * - 결과: 거래 내역, 자산 곡선, 성과 요약 (CAGR, MDD, 승률, Profit Factor)
+ *
+ * 봉 데이터는 data/bars/{SYMBOL}_{interval}.json 에 저장 (5m, 1d 필요, 1h는 5m에서 합성)
+ * 레짐 판단을 위해 SPY, ^VIX 데이터도 함께 저장해야 함
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yahooFinance = require('yahoo-finance2').default;
+const requestScheduler = require('./request-scheduler');
+const winston = require('winston');
+const { EnhancedTrader } = require('./enhanced-trader');
+const { PositionManager } = require('./position-manager');
+const { OrderManager } = require('./order-manager');
+const { RiskGovernor } = require('./risk-governor');
+const { CooldownRegistry } = require('./cooldown-registry');
+const { ExposureAnalyzer } = require('./exposure-analyzer');
+const costModel = require('./cost-model');
+const { CostModel } = costModel;
+const marketRegimeFilter = require('./market-regime-filter');
+const volatilityAnalyzer = require('./volatility-analyzer');
+const multiTimeframeAnalyzer = require('./multi-timeframe-analyzer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_MS = {
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': DAY_MS
+};
+
+const etDayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+// 미국 동부시간 기준 거래일 키 (YYYY-MM-DD)
+function dayKey(time) {
+    return etDayFormatter.format(new Date(time));
+}
+
+/**
+ * 시뮬레이션 계좌 (kisApi 인터페이스 중 트레이더가 쓰는 부분만 구현)
+ * 지정가 주문은 주문 가격에 즉시 체결 (슬리피지 옵션)
+ */
+class SimulatedAccount {
+    /**
+     * @param {number} initialCash
+     * @param {Object} options
+     * @param {number} options.slippagePercent - 체결 슬리피지 (%)
+     * @param {CostModel|null} options.costModel - 수수료/환전 비용 (없으면 비용 없음)
+     * @param {Function} options.now
+     * @param {Function} options.priceOf - 현재가 조회
+     */
+    constructor(initialCash, options = {}) {
+        this.cash = initialCash;
+        this.slippagePercent = options.slippagePercent || 0;
+        this.costModel = options.costModel || null;
+        this.now = options.now || Date.now;
+        this.priceOf = options.priceOf || (() => null);
+        this.holdings = {};
+        this.trades = [];
+        this.fills = [];
+        this.orders = [];
+        this.orderSeq = 0;
+        this.exitReason = null;
+    }
+
+    async getBalance() {
+        const holdings = Object.values(this.holdings).map(h => {
+            const currentPrice = this.priceOf(h.symbol) || h.avgPrice;
+            return {
+                symbol: h.symbol,
+                qty: h.qty,
+                avgPrice: h.avgPrice,
+                currentPrice,
+                profitRate: ((currentPrice - h.avgPrice) / h.avgPrice) * 100
+            };
+        });
+
+        return {
+            buyingPower: this.cash,
+            totalAsset: this.getEquity(),
+            holdings
+        };
+    }
+
+    async placeOrder(symbol, side, qty, price, exchange = 'NASD', orderType = '00') {
+        const quantity = Number(qty);
+        const limitPrice = Number(price) || this.priceOf(symbol);
+        if (!quantity || !limitPrice) return null;
+
+        const slip = this.slippagePercent / 100;
+        const fillPrice = side === 'BUY' ? limitPrice * (1 + slip) : limitPrice * (1 - slip);
+        const time = this.now();
+        let filledQty = quantity;
+
+        if (side === 'BUY') {
+            const cost = fillPrice * quantity;
+            const fee = this.costModel ? this.costModel.buyCost(quantity, fillPrice).total : 0;
+            if (cost + fee > this.cash) return null;
+
+            this.cash -= cost + fee;
+            const holding = this.holdings[symbol];
+            if (holding) {
+                holding.avgPrice = (holding.avgPrice * holding.qty + cost) / (holding.qty + quantity);
+                holding.qty += quantity;
+                holding.fees += fee;
+            } else {
+                this.holdings[symbol] = { symbol, qty: quantity, avgPrice: fillPrice, entryTime: time, fees: fee };
+            }
+        } else {
+            const holding = this.holdings[symbol];
+            if (!holding) return null;
+
+            const sellQty = Math.min(quantity, holding.qty);
+            filledQty = sellQty;
+            // 매수 수수료는 매도 수량 비례로 배분해 순손익에 반영
+            const buyFee = holding.fees * sellQty / holding.qty;
+            const fees = buyFee + (this.costModel ? this.costModel.sellCost(sellQty, fillPrice).total : 0);
+            const pnl = (fillPrice - holding.avgPrice) * sellQty - fees;
+            this.cash += fillPrice * sellQty - (fees - buyFee);
+            holding.fees -= buyFee;
+            holding.qty -= sellQty;
+
+            this.trades.push({
+                symbol,
+                entryTime: holding.entryTime,
+                exitTime: time,
+                quantity: sellQty,
+                entryPrice: holding.avgPrice,
+                exitPrice: fillPrice,
+                fees,
+                pnl,
+                returnPercent: (pnl / (holding.avgPrice * sellQty)) * 100,
+                reason: this.exitReason || 'UNKNOWN'
+            });
+
+            if (holding.qty <= 0) {
+                delete this.holdings[symbol];
+            }
+        }
+
+        this.orderSeq++;
+        const orderNo = String(this.orderSeq).padStart(10, '0');
+        this.fills.push({ time, symbol, side, quantity, price: fillPrice, exchange, orderType });
+        this.orders.push({
+            orderNo,
+            originalOrderNo: '',
+            symbol,
+            side,
+            modifyCancelType: '00',
+            orderQty: quantity,
+            filledQty,
+            avgFillPrice: fillPrice,
+            unfilledQty: 0,
+            status: '완료',
+            rejectReason: ''
+        });
+        this.exitReason = null;
+
+        return {
+            rt_cd: '0',
+            msg1: 'SIMULATED FILL',
+            output: { ODNO: orderNo }
+        };
+    }
+
+    async getUnfilledOrders() {
+        return [];
+    }
+
+    async getOrderExecutions() {
+        return this.orders;
+    }
+
+    async cancelOrder() {
+        return null;
+    }
+
+    async modifyOrder() {
+        return null;
+    }
+
+    getEquity() {
+        return this.cash + Object.values(this.holdings).reduce((sum, h) => {
+            return sum + (this.priceOf(h.symbol) || h.avgPrice) * h.qty;
+        }, 0);
+    }
+}
+
+/**
+ * 백테스트 전용 트레이더
+ * 매도 사유를 시뮬레이션 계좌에 전달하기 위해 executeSell만 확장
+ */
+class BacktestTrader extends EnhancedTrader {
+    async executeSell(symbol, quantity, price, quote, reason) {
+        this.broker.exitReason = reason;
+        return super.executeSell(symbol, quantity, price, quote, reason);
+    }
+}
+
+class Backtester {
+    constructor() {
+        this.barsDir = path.join(__dirname, '../data/bars');
+    }
+
+    _barsFile(symbol, interval) {
+        return path.join(this.barsDir, `${symbol.replace(/[^A-Za-z0-9.-]/g, '_')}_${interval}.json`);
+    }
+
+    /**
+     * 저장된 봉 데이터 로드
+     * @returns {Object|null} { symbol, interval, exchange, bars: [{ time, open, high, low, close, volume }] }
+     */
+    loadBars(symbol, interval) {
+        const file = this._barsFile(symbol, interval);
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            data.bars = data.bars
+                .filter(b => b.close != null)
+                .sort((a, b) => a.time - b.time);
+            return data;
+        } catch (error) {
+            console.error(`Failed to load bars for ${symbol} (${interval}):`, error.message);
+            return null;
+        }
+    }
+
+    saveBars(symbol, interval, exchange, bars) {
+        if (!fs.existsSync(this.barsDir)) {
+            fs.mkdirSync(this.barsDir, { recursive: true });
+        }
+        fs.writeFileSync(this._barsFile(symbol, interval), JSON.stringify({ symbol, interval, exchange, bars }));
+    }
+
+    /**
+     * Yahoo에서 봉 데이터를 받아 저장
+     * 참고: Yahoo 5분봉은 최근 60일까지만 제공
+     */
+    async downloadBars(symbols, interval, from, to = new Date()) {
+        for (const symbol of symbols) {
+            try {
+                const result = await requestScheduler.schedule('yahoo', () => yahooFinance.chart(symbol, {
+                    period1: new Date(from),
+                    period2: new Date(to),
+                    interval
+                }), { label: `chart ${symbol} ${interval}` });
+
+                const bars = (result.quotes || [])
+                    .filter(q => q.close != null)
+                    .map(q => ({
+                        time: new Date(q.date).getTime(),
+                        open: q.open,
+                        high: q.high,
+                        low: q.low,
+                        close: q.close,
+                        volume: q.volume || 0
+                    }));
+
+                this.saveBars(symbol, interval, result.meta ? result.meta.exchangeName : null, bars);
+                console.log(`Saved ${bars.length} ${interval} bars for ${symbol}`);
+            } catch (error) {
+                console.error(`Failed to download ${symbol} (${interval}): ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 백테스트 실행
+     * @param {Object} options
+     * @param {Array<string>} options.symbols - 매매 대상 종목
+     * @param {Date|string|number} options.from - 시작 시각
+     * @param {Date|string|number} options.to - 종료 시각
+     * @param {number} options.initialCapital - 초기 자본 (USD)
+     * @param {number} options.slippagePercent - 체결 슬리피지 (%)
+     * @param {CostModel|null} options.costModel - 거래 비용 모델 (기본: config.costs, null이면 비용 없음)
+     * @param {number} options.stepMinutes - 사이클 간격 (분, 5의 배수)
+     * @param {Object} options.positionConfig - PositionManager 설정 덮어쓰기
+     * @param {Object} options.riskConfig - RiskGovernor 한도 덮어쓰기 (기본: config.risk)
+     * @param {Object} options.cooldownConfig - CooldownRegistry 설정 덮어쓰기 (기본: config.cooldown)
+     * @param {Object} options.profiles - 종목별 섹터/산업 ({ [symbol]: { sector, industry } }, 없으면 섹터 한도 미적용)
+     * @param {Object} options.screener - 스코어러 교체 (가중치 실험용)
+     * @param {boolean} options.closeAtEnd - 종료 시 잔여 포지션 청산 여부
+     * @param {boolean} options.verbose - 트레이더 로그 출력 여부
+     * @param {Object} options.data - 미리 로드된 봉 데이터 ({ [symbol]: { '5m': {...}, '1d': {...} } })
+     */
+    async run(options) {
+        const symbols = options.symbols;
+        const from = new Date(options.from).getTime();
+        const to = new Date(options.to).getTime();
+        const initialCapital = options.initialCapital || 10000;
+        const stepMs = (options.stepMinutes || 5) * 60 * 1000;
+        const closeAtEnd = options.closeAtEnd !== false;
+
+        const feed = this._createFeed([...new Set([...symbols, 'SPY', '^VIX'])], options.data);
+        let clock = from;
+        const now = () => clock;
+
+        const costs = options.costModel !== undefined ? options.costModel : costModel;
+        const account = new SimulatedAccount(initialCapital, {
+            slippagePercent: options.slippagePercent,
+            costModel: costs,
+            now,
+            priceOf: symbol => feed.lastPrice(symbol, clock)
+        });
+
+        const logger = winston.createLogger({
+            level: 'info',
+            silent: !options.verbose,
+            format: winston.format.printf(({ level, message }) => {
+                return `[${new Date(clock).toISOString()}] ${level.toUpperCase()}: ${message}`;
+            }),
+            transports: [new winston.transports.Console()]
+        });
+
+        const noCosts = new CostModel({ commissionPercent: 0, fxSpreadPercent: 0, secFeePerMillion: 0, finraTafPerShare: 0 });
+        const positionManager = new PositionManager({
+            positionsFile: null,
+            now,
+            costModel: costs || noCosts,
+            fetchBars: async (symbol, interval, since) => feed.bars(symbol, interval, since, clock),
+            logger
+        });
+        if (options.positionConfig) {
+            for (const [section, values] of Object.entries(options.positionConfig)) {
+                positionManager.config[section] = { ...positionManager.config[section], ...values };
+            }
+        }
+
+        const orderManager = new OrderManager({
+            broker: account,
+            positionManager,
+            ordersFile: null,
+            now,
+            costModel: costs || noCosts,
+            cooldownRegistry: new CooldownRegistry({ registryFile: null, now, config: options.cooldownConfig }),
+            logger
+        });
+
+        const trader = new BacktestTrader({
+            broker: account,
+            positionManager,
+            orderManager,
+            riskGovernor: new RiskGovernor({ stateFile: null, now, config: options.riskConfig }),
+            exposureAnalyzer: new ExposureAnalyzer({
+                profilesFile: null,
+                now,
+                fetchProfile: async symbol => (options.profiles || {})[symbol] || null,
+                fetchBars: async (symbol, periodDays) => feed.bars(symbol, '1d', clock - periodDays * DAY_MS, clock)
+            }),
+            logger,
+            tickers: symbols,
+            screener: options.screener,
+            dataCollector: {
+                fetchQuote: async symbol => feed.quote(symbol, clock),
+                fetchQuotes: async list => list.map(symbol => feed.quote(symbol, clock)).filter(q => q),
+                fetchMarketData: async (symbol, interval, periodDays) => {
+                    return feed.bars(symbol, interval, clock - periodDays * DAY_MS, clock);
+                }
+            },
+            volatilityAnalyzer: {
+                analyze: async symbol => volatilityAnalyzer.analyzeQuotes(
+                    symbol, feed.bars(symbol, '1d', clock - 30 * DAY_MS, clock))
+            },
+            multiTimeframeAnalyzer: {
+                analyze: async symbol => multiTimeframeAnalyzer.analyzeQuotes(
+                    symbol,
+                    feed.bars(symbol, '1h', clock - 7 * DAY_MS, clock),
+                    feed.bars(symbol, '1d', clock - 60 * DAY_MS, clock))
+            },
+            marketRegimeFilter: {
+                getMarketRegime: async () => marketRegimeFilter.analyzeFromData(
+                    feed.vix(clock),
+                    feed.bars('SPY', '1d', clock - 30 * DAY_MS, clock).map(b => b.close),
+                    new Date(clock))
+            },
+            // 과거 뉴스는 재현할 수 없으므로 중립 처리
+            newsAnalyzer: {
+                analyzeNews: async () => ({ sentiment: 'NEUTRAL', score: 0, headlineCount: 0 })
+            }
+        });
+
+        const steps = feed.stepTimes(symbols, from, to, stepMs);
+        const equityCurve = [];
+
+        for (const time of steps) {
+            clock = time;
+            await trader.start();
+            // 시뮬레이션 계좌는 즉시 체결되므로 같은 시각에 체결 반영
+            await orderManager.sync();
+            equityCurve.push({
+                time,
+                equity: account.getEquity(),
+                cash: account.cash,
+                positions: Object.keys(account.holdings).length
+            });
+        }
+
+        if (closeAtEnd) {
+            // 트레이더 매도 경로로 청산해 포지션과 거래 원장에도 반영
+            for (const holding of Object.values(account.holdings)) {
+                await trader.executeSell(holding.symbol, holding.qty, feed.lastPrice(holding.symbol, clock), null, 'END_OF_TEST');
+            }
+            await orderManager.sync();
+            if (equityCurve.length > 0) {
+                equityCurve[equityCurve.length - 1].equity = account.getEquity();
+                equityCurve[equityCurve.length - 1].cash = account.cash;
+                equityCurve[equityCurve.length - 1].positions = 0;
+            }
+        }
+
+        return {
+            trades: account.trades,
+            fills: account.fills,
+            equityCurve,
+            openPositions: positionManager.getAllPositions(),
+            stats: this.calculateStats(account.trades, equityCurve, initialCapital)
+        };
+    }
+
+    /**
+     * 성과 요약 계산
+     */
+    calculateStats(trades, equityCurve, initialCapital) {
+        const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : initialCapital;
+        const totalReturn = (finalEquity / initialCapital - 1) * 100;
+
+        // CAGR (달력 기준 연환산)
+        let cagr = 0;
+        if (equityCurve.length > 1) {
+            const years = (equityCurve[equityCurve.length - 1].time - equityCurve[0].time) / (365.25 * DAY_MS);
+            if (years > 0 && finalEquity > 0) {
+                cagr = (Math.pow(finalEquity / initialCapital, 1 / years) - 1) * 100;
+            }
+        }
+
+        // 최대 낙폭 (Peak-to-Trough)
+        let peak = initialCapital;
+        let maxDrawdown = 0;
+        for (const point of equityCurve) {
+            if (point.equity > peak) peak = point.equity;
+            const drawdown = (point.equity - peak) / peak * 100;
+            if (drawdown < maxDrawdown) maxDrawdown = drawdown;
+        }
+
+        const wins = trades.filter(t => t.pnl > 0);
+        const losses = trades.filter(t => t.pnl <= 0);
+        const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+
+        return {
+            initialCapital,
+            finalEquity,
+            totalReturn,
+            cagr,
+            maxDrawdown,
+            totalTrades: trades.length,
+            winningTrades: wins.length,
+            losingTrades: losses.length,
+            winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+            grossProfit,
+            grossLoss,
+            averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+            averageLoss: losses.length > 0 ? -grossLoss / losses.length : 0
+        };
+    }
+
+    /**
+     * 시뮬레이션 시계 기준으로 "그 시점까지 보이는" 데이터만 제공하는 피드
+     */
+    _createFeed(symbols, preloaded = null) {
+        const store = {};
+        for (const symbol of symbols) {
+            const source = preloaded && preloaded[symbol];
+            const intraday = source ? source['5m'] : this.loadBars(symbol, '5m');
+            const daily = source ? source['1d'] : this.loadBars(symbol, '1d');
+            if (!intraday && !daily) continue;
+
+            store[symbol] = {
+                exchange: (intraday && intraday.exchange) || (daily && daily.exchange) || null,
+                intraday: intraday ? intraday.bars : [],
+                intradayTimes: intraday ? intraday.bars.map(b => b.time) : [],
+                daily: daily ? daily.bars.map(b => ({ ...b, day: dayKey(b.time) })) : []
+            };
+        }
+
+        // time 이하에서 마감된 마지막 5분봉 인덱스 (이진 탐색)
+        const lastClosedIndex = (entry, time) => {
+            const times = entry.intradayTimes;
+            let lo = 0;
+            let hi = times.length - 1;
+            let found = -1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (times[mid] + INTERVAL_MS['5m'] <= time) {
+                    found = mid;
+                    lo = mid + 1;
+                } else {
+                    hi = mid - 1;
+                }
+            }
+            return found;
+        };
+
+        const intradayBars = (entry, since, time) => {
+            const end = lastClosedIndex(entry, time);
+            if (end < 0) return [];
+            const result = [];
+            for (let i = end; i >= 0 && entry.intraday[i].time >= since; i--) {
+                result.push(entry.intraday[i]);
+            }
+            return result.reverse();
+        };
+
+        // 같은 구간의 봉을 하나로 합침
+        const aggregate = (bars, keyOf) => {
+            const groups = [];
+            for (const bar of bars) {
+                const key = keyOf(bar.time);
+                const last = groups[groups.length - 1];
+                if (last && last.key === key) {
+                    last.high = Math.max(last.high, bar.high);
+                    last.low = Math.min(last.low, bar.low);
+                    last.close = bar.close;
+                    last.volume += bar.volume;
+                } else {
+                    groups.push({ key, time: bar.time, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume });
+                }
+            }
+            return groups.map(({ key, ...bar }) => bar);
+        };
+
+        const toQuote = bar => ({
+            date: new Date(bar.time),
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume
+        });
+
+        const feed = {
+            bars(symbol, interval, since, time) {
+                const entry = store[symbol];
+                if (!entry) return [];
+
+                if (interval === '1d') {
+                    // 전일까지의 일봉 + 오늘 장중 5분봉으로 만든 미완성 일봉
+                    const today = dayKey(time);
+                    const history = entry.daily.filter(b => b.day < today && b.time >= since - DAY_MS);
+                    const todayBars = intradayBars(entry, since, time).filter(b => dayKey(b.time) === today);
+                    const partial = aggregate(todayBars, dayKey);
+                    return [...history, ...partial].map(toQuote);
+                }
+
+                const bars = intradayBars(entry, since, time);
+                if (interval === '1h') {
+                    // 09:30 기준 1시간 단위로 합성 (Yahoo 1h 봉과 동일한 경계)
+                    const offset = 30 * 60 * 1000;
+                    return aggregate(bars, t => Math.floor((t - offset) / INTERVAL_MS['1h'])).map(toQuote);
+                }
+                return bars.map(toQuote);
+            },
+
+            lastPrice(symbol, time) {
+                const entry = store[symbol];
+                if (!entry) return null;
+                const index = lastClosedIndex(entry, time);
+                if (index >= 0) return entry.intraday[index].close;
+
+                const today = dayKey(time);
+                const previous = entry.daily.filter(b => b.day < today);
+                return previous.length > 0 ? previous[previous.length - 1].close : null;
+            },
+
+            quote(symbol, time) {
+                const price = feed.lastPrice(symbol, time);
+                if (price == null) return null;
+                return {
+                    symbol,
+                    regularMarketPrice: price,
+                    exchange: store[symbol].exchange,
+                    trailingPE: null,
+                    pegRatio: null,
+                    marketCap: null
+                };
+            },
+
+            vix(time) {
+                const current = feed.lastPrice('^VIX', time);
+                if (current == null) {
+                    return { current: 20, change: 0, previousClose: 20 }; // 기본값 (실거래 필터와 동일)
+                }
+                const today = dayKey(time);
+                const previous = store['^VIX'].daily.filter(b => b.day < today);
+                const previousClose = previous.length > 0 ? previous[previous.length - 1].close : current;
+                return {
+                    current,
+                    change: ((current - previousClose) / previousClose) * 100,
+                    previousClose
+                };
+            },
+
+            // 시뮬레이션 시계: 대상 종목 5분봉 마감 시각들
+            stepTimes(list, from, to, step) {
+                const times = new Set();
+                for (const symbol of list) {
+                    const entry = store[symbol];
+                    if (!entry) continue;
+                    for (const t of entry.intradayTimes) {
+                        const closeTime = t + INTERVAL_MS['5m'];
+                        if (closeTime >= from && closeTime <= to) {
+                            times.add(closeTime);
+                        }
+                    }
+                }
+                const sorted = [...times].sort((a, b) => a - b);
+                const result = [];
+                for (const t of sorted) {
+                    if (result.length === 0 || t - result[result.length - 1] >= step) {
+                        result.push(t);
+                    }
+                }
+                return result;
+            }
+        };
+
+        return feed;
+    }
+}
+
+module.exports = new Backtester();
+module.exports.Backtester = Backtester;
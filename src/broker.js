@@ -0,0 +1,12 @@
+/**
+ * Broker Selector
+ * TRADING_MODE=SIM 이면 로컬 페이퍼 브로커, 그 외(REAL/PAPER)에는 KIS API 사용
+ * 두 모듈은 동일한 인터페이스를 제공:
+ * getBalance, getPresentBalance, placeOrder, getUnfilledOrders, cancelOrder
+ */
+
+const config = require('./config');
+
+module.exports = config.trading.mode === 'SIM'
+    ? require('./paper-broker')
+    : require('./kis-api');
@@ -7,9 +7,67 @@ module.exports = {
         accountNo: process.env.KIS_ACCOUNT_NO,
         accountCode: process.env.KIS_ACCOUNT_CODE || '01',
         baseUrl: process.env.KIS_BASE_URL || 'https://openapivts.koreainvestment.com:29443',
+        tokenKey: process.env.KIS_TOKEN_KEY || null, // 토큰 파일 암호화 키 (없으면 앱 시크릿 사용 + 경고)
     },
     trading: {
-        mode: process.env.TRADING_MODE || 'PAPER', // REAL or PAPER
+        mode: process.env.TRADING_MODE || 'PAPER', // REAL, PAPER or SIM (로컬 페이퍼 브로커)
+        simInitialCash: Number(process.env.SIM_INITIAL_CASH || 10000), // SIM 모드 초기 현금 (USD)
+        stopModel: process.env.STOP_MODEL || 'FIXED', // FIXED, ATR, CHANDELIER or SAR (신규 포지션 손절 모델)
+        maxPortfolioHeatPercent: Number(process.env.MAX_PORTFOLIO_HEAT_PERCENT || 6), // 전 포지션 손절 시 총 손실 한도 (자본 대비 %, 0 = 사용 안 함)
+    },
+    timeExits: {
+        maxHoldingHours: Number(process.env.MAX_HOLDING_HOURS || 0), // 최대 보유 시간 (0 = 사용 안 함)
+        noProgressHours: Number(process.env.NO_PROGRESS_HOURS || 0), // N시간 후에도 순수익이 기준 미만이면 청산 (0 = 사용 안 함)
+        noProgressMinProfit: Number(process.env.NO_PROGRESS_MIN_PROFIT || 0.5), // 진전 기준 순수익률 (%)
+        flattenBeforeClose: process.env.FLATTEN_BEFORE_CLOSE === 'true', // 데이트레이딩: 장 마감 전 전량 청산
+        flattenMinutesBeforeClose: Number(process.env.FLATTEN_MINUTES_BEFORE_CLOSE || 15),
+    },
+    pyramiding: {
+        enabled: process.env.PYRAMIDING === 'true', // 수익 포지션 추가 매수 (기본 사용 안 함)
+        triggerAtr: Number(process.env.PYRAMID_TRIGGER_ATR || 1.0), // 마지막 매수가 + k×ATR 이상일 때 추가
+        addFraction: Number(process.env.PYRAMID_ADD_FRACTION || 0.5), // 추가 수량 = 최초 진입 수량 × 비율
+        maxAdds: Number(process.env.PYRAMID_MAX_ADDS || 2), // 종목별 최대 추가 매수 횟수
+        maxPositionPercent: Number(process.env.PYRAMID_MAX_POSITION_PERCENT || 10), // 추가 후 종목별 포지션 상한 (자본 대비 %)
+    },
+    sizing: {
+        mode: process.env.SIZING_MODE || 'SCORE', // SCORE, RISK_PER_TRADE, VOL_TARGET or KELLY (포지션 사이징 모드)
+        riskPerTradePercent: Number(process.env.RISK_PER_TRADE_PERCENT || 0.5), // RISK_PER_TRADE: 손절 시 손실 = 자본의 %
+        targetDailyVolPercent: Number(process.env.TARGET_DAILY_VOL_PERCENT || 0.2), // VOL_TARGET: 포지션당 일간 변동성(ATR) = 자본의 %
+        kellyFraction: Number(process.env.KELLY_FRACTION || 0.25), // KELLY: Kelly 비율 중 사용할 비율
+        kellyMinTrades: Number(process.env.KELLY_MIN_TRADES || 20), // KELLY: 점수 구간별 최소 거래 수 (미만이면 SCORE)
+        maxPositionPercent: Number(process.env.SIZING_MAX_POSITION_PERCENT || 10), // SCORE 외 모드의 포지션 상한 (자본 대비 %)
+    },
+    exposure: {
+        maxSectorPercent: Number(process.env.MAX_SECTOR_EXPOSURE_PERCENT || 25), // 섹터별 최대 노출 (총 자본 대비 %, 0 = 사용 안 함)
+        maxIndustryPercent: Number(process.env.MAX_INDUSTRY_EXPOSURE_PERCENT || 15), // 산업별 최대 노출 (%, 0 = 사용 안 함)
+        maxAverageCorrelation: Number(process.env.MAX_AVG_CORRELATION || 0.6), // 보유 종목 평균 쌍별 상관계수 상한 (0 = 사용 안 함)
+        correlationLookbackDays: Number(process.env.CORRELATION_LOOKBACK_DAYS || 60), // 상관관계 계산 기간 (거래일)
+    },
+    risk: {
+        dailyLossPercent: Number(process.env.RISK_DAILY_LOSS_PERCENT || 3), // 당일 손실 % 초과 시 신규 진입 중단 (0 = 사용 안 함)
+        dailyLossUsd: Number(process.env.RISK_DAILY_LOSS_USD || 0), // 당일 손실 $ 초과 시 신규 진입 중단 (0 = 사용 안 함)
+        flattenLossPercent: Number(process.env.RISK_FLATTEN_LOSS_PERCENT || 0), // 당일 손실 % 초과 시 전량 청산 (0 = 사용 안 함)
+        flattenLossUsd: Number(process.env.RISK_FLATTEN_LOSS_USD || 0), // 당일 손실 $ 초과 시 전량 청산 (0 = 사용 안 함)
+        maxDrawdownPercent: Number(process.env.RISK_MAX_DRAWDOWN_PERCENT || 0), // 최고점 대비 낙폭 % 초과 시 수동 해제 전까지 중단 (0 = 사용 안 함)
+    },
+    cooldown: {
+        cooldownMinutes: Number(process.env.COOLDOWN_MINUTES_AFTER_STOP || 60), // 손절 후 같은 종목 재매수 금지 시간 (분, 0 = 사용 안 함)
+        quarantineAfterLosses: Number(process.env.QUARANTINE_AFTER_LOSSES || 3), // 기간 내 손실 청산 N회 시 격리 (0 = 사용 안 함)
+        quarantineLookbackDays: Number(process.env.QUARANTINE_LOOKBACK_DAYS || 5), // 손실 청산을 세는 기간 (일)
+        quarantineHours: Number(process.env.QUARANTINE_HOURS || 24), // 첫 격리 기간 (이후 격리될 때마다 2배)
+        maxQuarantineDays: Number(process.env.QUARANTINE_MAX_DAYS || 14), // 격리 기간 상한 (일)
+    },
+    costs: {
+        commissionPercent: Number(process.env.KIS_COMMISSION_PERCENT || 0.25), // 해외주식 수수료 (매수/매도 각각, %)
+        fxSpreadPercent: Number(process.env.FX_SPREAD_PERCENT || 0.1), // 환전 스프레드 (1회, %). 달러 보유 시 0
+    },
+    tax: {
+        lossHarvesting: process.env.TAX_LOSS_HARVESTING === 'true', // 연말 손실 실현 매도 (양도차익이 기본공제 초과 시)
+        harvestFromMonth: Number(process.env.TAX_HARVEST_FROM_MONTH || 12), // 손실 실현 검토 시작 월
+    },
+    marketData: {
+        mode: process.env.MARKET_DATA_MODE || 'LIVE', // LIVE, RECORD or REPLAY (Yahoo 응답 기록/재생)
+        cassette: process.env.MARKET_DATA_CASSETTE || null, // 카세트 파일 경로 또는 세션 날짜 (기본: 오늘)
     },
     tickers: {
         // Load S&P 500 tickers
@@ -0,0 +1,237 @@
+/**
+ * Cooldown Registry
+ * 손절 후 재진입 대기 / 반복 손실 종목 격리 / 수동 블랙리스트·화이트리스트
+ *
+ * - COOLDOWN: 손절(STOP_LOSS, TRAILING_STOP) 체결 후 일정 시간 같은 종목 재매수 금지 (휩쏘 반복 방지)
+ * - QUARANTINE: 최근 N일 내 같은 종목에서 손실 청산이 반복되면 격리, 격리될 때마다 기간 2배 (수익 청산 시 초기화)
+ * - BLACKLIST: 수동 매수 금지 (만료 시각/사유), WHITELIST: 수동 예외 (손절 대기/격리 무시, 블랙리스트는 우선)
+ * - 상태는 data/cooldowns.json 에 저장 (재시작해도 유지)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 재진입 대기를 시작하는 청산 사유
+const COOLDOWN_REASONS = ['STOP_LOSS', 'TRAILING_STOP'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class CooldownRegistry {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.registryFile - 저장 파일 경로 (null이면 메모리 전용, 백테스트용)
+     * @param {Function} options.now - 현재 시각 함수
+     * @param {Object} options.config - 대기/격리 설정 (기본: config.cooldown)
+     */
+    constructor(options = {}) {
+        this.registryFile = options.registryFile !== undefined
+            ? options.registryFile
+            : path.join(__dirname, '../data/cooldowns.json');
+        this.now = options.now || Date.now;
+
+        // 0 = 사용 안 함
+        this.config = {
+            cooldownMinutes: config.cooldown.cooldownMinutes,               // 손절 후 재진입 대기 (분)
+            quarantineAfterLosses: config.cooldown.quarantineAfterLosses,   // 격리까지의 손실 청산 횟수
+            quarantineLookbackDays: config.cooldown.quarantineLookbackDays, // 손실 청산을 세는 기간 (일)
+            quarantineHours: config.cooldown.quarantineHours,               // 첫 격리 기간 (이후 2배씩)
+            maxQuarantineDays: config.cooldown.maxQuarantineDays,           // 격리 기간 상한 (일)
+            ...options.config
+        };
+
+        this.state = this._loadState();
+    }
+
+    _loadState() {
+        const empty = { symbols: {}, blacklist: {}, whitelist: {} };
+        if (!this.registryFile) return empty;
+
+        try {
+            if (fs.existsSync(this.registryFile)) {
+                return { ...empty, ...JSON.parse(fs.readFileSync(this.registryFile, 'utf8')) };
+            }
+        } catch (error) {
+            console.error('Failed to load cooldowns:', error.message);
+        }
+        return empty;
+    }
+
+    _saveState() {
+        if (!this.registryFile) return;
+
+        try {
+            const dir = path.dirname(this.registryFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.registryFile, JSON.stringify(this.state, null, 2));
+        } catch (error) {
+            console.error('Failed to save cooldowns:', error.message);
+        }
+    }
+
+    _entry(symbol) {
+        if (!this.state.symbols[symbol]) {
+            this.state.symbols[symbol] = { cooldownUntil: null, cooldownReason: null, losses: [], level: 0, quarantineUntil: null };
+        }
+        return this.state.symbols[symbol];
+    }
+
+    // ============================================
+    // 청산 기록
+    // ============================================
+
+    /**
+     * 매도 체결(실현 거래) 반영. 한 주문의 부분 체결은 한 번의 청산으로 셈
+     * @param {Object} trade - TradeLedger 실현 거래 { symbol, pnl, reason, exitTime, orderNo }
+     * @returns {Object|null} 새로 걸린 제한 { type, until, reason }
+     */
+    recordExit(trade) {
+        const settings = this.config;
+        const time = trade.exitTime || this.now();
+        const entry = this._entry(trade.symbol);
+        let blocked = null;
+
+        if (COOLDOWN_REASONS.includes(trade.reason) && settings.cooldownMinutes > 0) {
+            entry.cooldownUntil = Math.max(entry.cooldownUntil || 0, time + settings.cooldownMinutes * 60 * 1000);
+            entry.cooldownReason = trade.reason;
+            blocked = { type: 'COOLDOWN', until: entry.cooldownUntil, reason: `${trade.reason} exit` };
+        }
+
+        const same = trade.orderNo ? entry.losses.find(l => l.orderNo === trade.orderNo) : null;
+        if (same) {
+            same.pnl += trade.pnl; // 같은 주문의 추가 체결
+        } else if (trade.pnl < 0) {
+            entry.losses.push({ time, orderNo: trade.orderNo || null, pnl: trade.pnl });
+        } else if (trade.pnl > 0) {
+            // 수익 청산: 연속 손실/격리 단계 초기화
+            entry.losses = [];
+            entry.level = 0;
+        }
+
+        if (!same && trade.pnl < 0 && settings.quarantineAfterLosses > 0) {
+            const since = time - settings.quarantineLookbackDays * DAY_MS;
+            entry.losses = entry.losses.filter(l => l.time >= since);
+            if (entry.losses.length >= settings.quarantineAfterLosses) {
+                entry.level++;
+                const hours = Math.min(
+                    settings.quarantineHours * 2 ** (entry.level - 1),
+                    settings.maxQuarantineDays * 24 || Infinity);
+                entry.quarantineUntil = time + hours * HOUR_MS;
+                blocked = {
+                    type: 'QUARANTINE',
+                    until: entry.quarantineUntil,
+                    reason: `${entry.losses.length} losing exits in ${settings.quarantineLookbackDays}d (level ${entry.level}, ${hours}h)`
+                };
+            }
+        }
+
+        this._saveState();
+        return blocked;
+    }
+
+    // ============================================
+    // 조회
+    // ============================================
+
+    /**
+     * 신규 매수 가능 여부 (블랙리스트 > 화이트리스트 > 격리 > 손절 대기)
+     * @returns {Object} { allowed, type, until, reason }
+     */
+    check(symbol) {
+        const now = this.now();
+        const active = item => item && (!item.expiresAt || item.expiresAt > now);
+
+        const black = this.state.blacklist[symbol];
+        if (active(black)) {
+            return { allowed: false, type: 'BLACKLIST', until: black.expiresAt, reason: `Blacklisted: ${black.reason}` };
+        }
+        if (active(this.state.whitelist[symbol])) {
+            return { allowed: true, type: 'WHITELIST', until: this.state.whitelist[symbol].expiresAt, reason: '' };
+        }
+
+        const entry = this.state.symbols[symbol];
+        if (entry && entry.quarantineUntil > now) {
+            return {
+                allowed: false,
+                type: 'QUARANTINE',
+                until: entry.quarantineUntil,
+                reason: `Quarantined (level ${entry.level}) until ${new Date(entry.quarantineUntil).toISOString()}`
+            };
+        }
+        if (entry && entry.cooldownUntil > now) {
+            return {
+                allowed: false,
+                type: 'COOLDOWN',
+                until: entry.cooldownUntil,
+                reason: `Cooldown after ${entry.cooldownReason} until ${new Date(entry.cooldownUntil).toISOString()}`
+            };
+        }
+        return { allowed: true, type: null, until: null, reason: '' };
+    }
+
+    isBlocked(symbol) {
+        return !this.check(symbol).allowed;
+    }
+
+    /**
+     * 현재 매수가 막힌 종목과 수동 목록 (만료된 항목 제외)
+     */
+    getEntries() {
+        const now = this.now();
+        const active = list => Object.entries(list)
+            .filter(([, item]) => !item.expiresAt || item.expiresAt > now)
+            .map(([symbol, item]) => ({ symbol, ...item }));
+
+        const blocked = Object.keys(this.state.symbols)
+            .map(symbol => ({ symbol, ...this.check(symbol) }))
+            .filter(item => ['QUARANTINE', 'COOLDOWN'].includes(item.type));
+
+        return { blocked, blacklist: active(this.state.blacklist), whitelist: active(this.state.whitelist) };
+    }
+
+    // ============================================
+    // 수동 목록
+    // ============================================
+
+    /**
+     * @param {string} symbol
+     * @param {Object} options - { reason, hours } (hours 없으면 만료 없음)
+     */
+    blacklist(symbol, options = {}) {
+        return this._setManual('blacklist', symbol, options);
+    }
+
+    whitelist(symbol, options = {}) {
+        return this._setManual('whitelist', symbol, options);
+    }
+
+    /**
+     * 수동 목록과 자동 대기/격리 모두 해제
+     */
+    clear(symbol) {
+        const existed = !!(this.state.blacklist[symbol] || this.state.whitelist[symbol] || this.state.symbols[symbol]);
+        delete this.state.blacklist[symbol];
+        delete this.state.whitelist[symbol];
+        delete this.state.symbols[symbol];
+        this._saveState();
+        return existed;
+    }
+
+    _setManual(list, symbol, options) {
+        const item = {
+            reason: options.reason || 'manual',
+            since: this.now(),
+            expiresAt: options.hours > 0 ? this.now() + options.hours * HOUR_MS : null
+        };
+        this.state[list][symbol] = item;
+        this._saveState();
+        return item;
+    }
+}
+
+module.exports = new CooldownRegistry();
+module.exports.CooldownRegistry = CooldownRegistry;
+module.exports.COOLDOWN_REASONS = COOLDOWN_REASONS;
@@ -0,0 +1,76 @@
+/**
+ * Cost Model
+ * 미국 주식 거래 비용: KIS 해외주식 수수료, SEC fee / FINRA TAF (매도), 원/달러 환전 스프레드
+ *
+ * - 매수/매도 1건의 비용(USD)과 왕복 비용(%)을 계산
+ * - 익절 레벨/본전 손절은 왕복 비용을 넘어서야 실제 수익이 되고,
+ *   저가 종목의 작은 변동폭은 비용에 잠식되므로 매수 판단에도 사용
+ */
+
+const config = require('./config');
+
+class CostModel {
+    /**
+     * @param {Object} options - config 덮어쓰기 (commissionPercent, fxSpreadPercent ...)
+     */
+    constructor(options = {}) {
+        this.config = {
+            commissionPercent: config.costs.commissionPercent, // KIS 해외주식 온라인 수수료 (매수/매도 각각)
+            secFeePerMillion: 27.80,      // SEC fee: 매도 금액 $1M 당 (2024-05 기준)
+            finraTafPerShare: 0.000166,   // FINRA TAF: 매도 주당
+            finraTafMax: 8.30,            // FINRA TAF 건당 상한
+            fxSpreadPercent: config.costs.fxSpreadPercent, // 환전 스프레드 (원화 주문/자동환전, 매수·매도 각각)
+            ...options
+        };
+    }
+
+    // 규제 수수료는 센트 단위 올림
+    _ceilCents(amount) {
+        return Math.ceil(amount * 100 - 1e-9) / 100;
+    }
+
+    /**
+     * 매수 비용
+     * @returns {Object} { commission, fx, total } (USD)
+     */
+    buyCost(quantity, price) {
+        const notional = quantity * price;
+        const commission = notional * this.config.commissionPercent / 100;
+        const fx = notional * this.config.fxSpreadPercent / 100;
+        return { commission, fx, total: commission + fx };
+    }
+
+    /**
+     * 매도 비용
+     * @returns {Object} { commission, secFee, taf, fx, total } (USD)
+     */
+    sellCost(quantity, price) {
+        const notional = quantity * price;
+        const commission = notional * this.config.commissionPercent / 100;
+        const secFee = this._ceilCents(notional * this.config.secFeePerMillion / 1000000);
+        const taf = this._ceilCents(Math.min(quantity * this.config.finraTafPerShare, this.config.finraTafMax));
+        const fx = notional * this.config.fxSpreadPercent / 100;
+        return { commission, secFee, taf, fx, total: commission + secFee + taf + fx };
+    }
+
+    /**
+     * 같은 가격에 사고 팔 때의 왕복 비용 (매수 금액 대비 %)
+     * @param {number} price
+     * @param {number|null} quantity - 없으면 비율만으로 계산 (센트 올림 제외)
+     */
+    roundTripPercent(price, quantity = null) {
+        if (!price) return 0;
+
+        if (!quantity) {
+            const { commissionPercent, secFeePerMillion, fxSpreadPercent } = this.config;
+            return 2 * commissionPercent + 2 * fxSpreadPercent + secFeePerMillion / 10000 +
+                (this.config.finraTafPerShare / price) * 100;
+        }
+
+        const total = this.buyCost(quantity, price).total + this.sellCost(quantity, price).total;
+        return (total / (quantity * price)) * 100;
+    }
+}
+
+module.exports = new CostModel();
+module.exports.CostModel = CostModel;
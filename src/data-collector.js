@@ -1,4 +1,4 @@
-const yahooFinance = require('yahoo-finance2').default;
+const marketData = require('./market-data');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -13,7 +13,7 @@ const logger = winston.createLogger({
 class DataCollector {
     constructor() {
         // Suppress yahoo-finance2 notice
-        yahooFinance.suppressNotices(['yahooSurvey']);
+        marketData.suppressNotices(['yahooSurvey']);
     }
 
     /**
@@ -30,7 +30,7 @@ class DataCollector {
             };
 
             // Use chart() for better intraday support (1m, 5m, etc.)
-            const result = await yahooFinance.chart(symbol, queryOptions);
+            const result = await marketData.chart(symbol, queryOptions);
 
             // chart() returns { meta, quotes, ... } or sometimes just array depending on version/options.
             // yahoo-finance2 chart usually returns { meta, quotes }
@@ -57,7 +57,7 @@ class DataCollector {
      */
     async fetchQuote(symbol) {
         try {
-            const quote = await yahooFinance.quote(symbol, {}, { validateResult: false });
+            const quote = await marketData.quote(symbol, {}, { validateResult: false });
             return quote;
         } catch (error) {
             logger.error(`Error fetching quote for ${symbol}: ${error.message}`);
@@ -73,7 +73,7 @@ class DataCollector {
         try {
             // yahoo-finance2 quote accepts array
             // Disable validation to prevent one bad symbol (e.g. BRK.B) from failing the whole batch
-            const quotes = await yahooFinance.quote(symbols, {}, { validateResult: false });
+            const quotes = await marketData.quote(symbols, {}, { validateResult: false });
             return quotes;
         } catch (error) {
             logger.error(`Error fetching bulk quotes: ${error.message}`);
@@ -3,8 +3,27 @@
  * 최적화된 가중치 및 변동성 기반 점수 계산
  */
 
+const costModel = require('./cost-model');
+
+// 각 항목의 원점수 상한 (weights가 이 값과 같으면 원점수를 그대로 사용)
+const COMPONENT_MAX = {
+    technical: 25,
+    momentum: 40,
+    fundamental: 10,
+    sentiment: 15,
+    volatility: 10
+};
+
 class EnhancedMultiFactorScreener {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.weights - 가중치 덮어쓰기 (항목별 최대 점수)
+     * @param {Object} options.thresholds - 임계값 덮어쓰기
+     * @param {CostModel} options.costModel - 거래 비용 모델
+     */
+    constructor(options = {}) {
+        this.costModel = options.costModel || costModel;
+
         // 최적화된 가중치 설정
         this.weights = {
             technical: 25,      // 기술적 분석 (기존 40 → 25로 감소)
@@ -19,8 +38,12 @@ class EnhancedMultiFactorScreener {
             strongBuy: 75,      // 기존 80 → 75 (더 많은 기회 포착)
             buy: 60,            // 유지
             sell: 25,           // 기존 30 → 25 (조기 손절)
-            strongSell: 10      // 신규 - 강한 매도 신호
+            strongSell: 10,     // 신규 - 강한 매도 신호
+            maxCostToAtr: 0.4   // 왕복 비용이 일간 ATR의 40%를 넘으면 매수 보류
         };
+
+        Object.assign(this.weights, options.weights);
+        Object.assign(this.thresholds, options.thresholds);
     }
 
     /**
@@ -28,7 +51,7 @@ class EnhancedMultiFactorScreener {
      * @param {Object} technicalData - DayTradingMonitor 결과
      * @param {Object} fundamentalData - 펀더멘털 데이터
      * @param {Object} newsData - NewsAnalyzer 결과
-     * @param {Object} volatilityData - 변동성 데이터 (선택)
+     * @param {Object} volatilityData - 변동성 데이터 (선택, price가 있으면 비용 대비 변동폭 확인)
      * @param {Object} multiTimeframeData - 멀티 타임프레임 데이터 (선택)
      */
     calculateScore(technicalData, fundamentalData, newsData, volatilityData = null, multiTimeframeData = null) {
@@ -183,6 +206,15 @@ class EnhancedMultiFactorScreener {
         }
         volatilityScore = Math.max(0, Math.min(10, volatilityScore));
 
+        // ============================================
+        // 가중치 적용 (원점수를 weights 비율로 스케일)
+        // ============================================
+        technicalScore = this._applyWeight('technical', technicalScore);
+        momentumScore = this._applyWeight('momentum', momentumScore);
+        fundamentalScore = this._applyWeight('fundamental', fundamentalScore);
+        sentimentScore = this._applyWeight('sentiment', sentimentScore);
+        volatilityScore = this._applyWeight('volatility', volatilityScore);
+
         // ============================================
         // 종합 점수 계산
         // ============================================
@@ -192,6 +224,19 @@ class EnhancedMultiFactorScreener {
         // 점수 정규화 (0-100 범위로)
         const normalizedScore = Math.max(0, Math.min(100, totalScore + 50));
 
+        // ============================================
+        // 비용 대비 변동폭: 기대 움직임이 왕복 비용에 잠식되면 매수하지 않음
+        // ============================================
+        let recommendation = this.getRecommendation(normalizedScore);
+        let costPercent = null;
+        if (volatilityData && volatilityData.price && volatilityData.atrPercent) {
+            costPercent = this.costModel.roundTripPercent(volatilityData.price);
+            if (costPercent > volatilityData.atrPercent * this.thresholds.maxCostToAtr &&
+                (recommendation === 'BUY' || recommendation === 'STRONG_BUY')) {
+                recommendation = 'HOLD';
+            }
+        }
+
         return {
             totalScore: normalizedScore,
             rawScore: totalScore,
@@ -202,11 +247,18 @@ class EnhancedMultiFactorScreener {
                 sentiment: sentimentScore,
                 volatility: volatilityScore
             },
-            recommendation: this.getRecommendation(normalizedScore),
+            recommendation,
+            costPercent,
             confidence: this.getConfidence(normalizedScore, technicalData, newsData)
         };
     }
 
+    _applyWeight(component, score) {
+        const weight = this.weights[component];
+        if (weight === COMPONENT_MAX[component]) return score;
+        return Math.round(score * weight / COMPONENT_MAX[component] * 100) / 100;
+    }
+
     getRecommendation(score) {
         if (score >= this.thresholds.strongBuy) return 'STRONG_BUY';
         if (score >= this.thresholds.buy) return 'BUY';
@@ -274,4 +326,5 @@ class EnhancedMultiFactorScreener {
     }
 }
 
-module.exports = new EnhancedMultiFactorScreener();
\ No newline at end of file
+module.exports = new EnhancedMultiFactorScreener();
+module.exports.EnhancedMultiFactorScreener = EnhancedMultiFactorScreener;
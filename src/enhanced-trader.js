@@ -18,13 +18,26 @@ const stockTools = require('./stock-tools');
 const dayTradingMonitor = require('./daytrading-signal-monitor');
 const enhancedScreener = require('./enhanced-multi-factor-screener');
 const newsAnalyzer = require('./news-analyzer');
-const kisApi = require('./kis-api');
+const broker = require('./broker');
 const marketRegimeFilter = require('./market-regime-filter');
 const positionManager = require('./position-manager');
+const { SCORE_BUCKETS } = positionManager;
+const orderManager = require('./order-manager');
+const { OrderManager, ORDER_STATUS } = orderManager;
 const volatilityAnalyzer = require('./volatility-analyzer');
 const multiTimeframeAnalyzer = require('./multi-timeframe-analyzer');
+const taxEstimator = require('./tax-estimator');
+const equityHistory = require('./equity-history');
+const { EquityHistory } = equityHistory;
+const riskGovernor = require('./risk-governor');
+const { RiskGovernor } = riskGovernor;
+const exposureAnalyzer = require('./exposure-analyzer');
+const { ExposureAnalyzer } = exposureAnalyzer;
 const winston = require('winston');
 
+// 전량 매도하는 청산 (손절/트레일링 스탑/시간 청산)
+const FULL_EXIT_ACTIONS = ['STOP_LOSS', 'TRAILING_STOP', 'END_OF_DAY', 'MAX_HOLDING_TIME', 'NO_PROGRESS'];
+
 const logger = winston.createLogger({
     level: 'info',
     format: winston.format.combine(
@@ -41,49 +54,80 @@ const logger = winston.createLogger({
 });
 
 class EnhancedTrader {
-    constructor() {
+    /**
+     * @param {Object} deps - 의존성 주입 (백테스트/시뮬레이션용, 생략 시 실거래 모듈 사용)
+     */
+    constructor(deps = {}) {
+        this.broker = deps.broker || broker;
+        this.dataCollector = deps.dataCollector || dataCollector;
+        this.marketRegimeFilter = deps.marketRegimeFilter || marketRegimeFilter;
+        this.positionManager = deps.positionManager || positionManager;
+        // 브로커/포지션 매니저를 주입하면 그에 연결된 메모리 전용 주문 관리자 사용
+        this.orderManager = deps.orderManager || (deps.broker || deps.positionManager
+            ? new OrderManager({ broker: this.broker, positionManager: this.positionManager, ordersFile: null, logger: deps.logger })
+            : orderManager);
+        this.volatilityAnalyzer = deps.volatilityAnalyzer || volatilityAnalyzer;
+        this.multiTimeframeAnalyzer = deps.multiTimeframeAnalyzer || multiTimeframeAnalyzer;
+        this.newsAnalyzer = deps.newsAnalyzer || newsAnalyzer;
+        this.screener = deps.screener || enhancedScreener;
+        this.logger = deps.logger || logger;
+        this.tickers = deps.tickers || null;
+
+        this.tradeLedger = deps.tradeLedger || this.orderManager.tradeLedger;
+        // 손절 후 재진입 대기 / 격리 / 수동 블랙리스트 (주문 관리자가 매도 체결 시 기록)
+        this.cooldownRegistry = deps.cooldownRegistry || this.orderManager.cooldownRegistry;
+        this.equityHistory = deps.equityHistory || (deps.broker || deps.positionManager
+            ? new EquityHistory({ snapshotsFile: null })
+            : equityHistory);
+        // 섹터/상관관계 노출 분석 (주입된 브로커/포지션 매니저에는 주입된 데이터 수집기의 일봉 사용)
+        this.exposureAnalyzer = deps.exposureAnalyzer || (deps.broker || deps.positionManager
+            ? new ExposureAnalyzer({
+                profilesFile: null,
+                fetchBars: (symbol, periodDays) => this.dataCollector.fetchMarketData(symbol, '1d', periodDays)
+            })
+            : exposureAnalyzer);
+        // 계좌 손실 한도 (주입된 브로커/포지션 매니저에는 메모리 전용)
+        this.riskGovernor = deps.riskGovernor || (deps.broker || deps.positionManager
+            ? new RiskGovernor({ stateFile: null })
+            : riskGovernor);
+        // 연말 손실 실현 매도 (TAX_LOSS_HARVESTING=true, 실계좌 원장 기준이므로 주입된 브로커에는 적용 안 함)
+        this.taxEstimator = deps.taxEstimator || (config.tax.lossHarvesting && !deps.broker ? taxEstimator : null);
+
         this.isTrading = false;
-        this.tradingStats = {
-            totalTrades: 0,
-            winningTrades: 0,
-            losingTrades: 0,
-            totalProfit: 0,
-            largestWin: 0,
-            largestLoss: 0
-        };
+        this.lastHeat = null; // 마지막 사이클의 포트폴리오 히트
     }
 
     async start() {
         if (this.isTrading) {
-            logger.warn('Trading cycle already in progress. Skipping...');
+            this.logger.warn('Trading cycle already in progress. Skipping...');
             return;
         }
         this.isTrading = true;
 
         try {
-            logger.info('========================================');
-            logger.info('Starting Enhanced Trading Cycle...');
-            logger.info('========================================');
+            this.logger.info('========================================');
+            this.logger.info('Starting Enhanced Trading Cycle...');
+            this.logger.info('========================================');
 
             // ============================================
             // 1. 시장 레짐 확인 (Market Regime Filter)
             // ============================================
-            const marketRegime = await marketRegimeFilter.getMarketRegime();
-            logger.info(`Market Regime: ${marketRegime.regime} | VIX: ${marketRegime.vix} | SPY: ${marketRegime.spyTrend}`);
-            logger.info(`Session: ${marketRegime.tradingSession} | Allow Buy: ${marketRegime.allowBuy} | Position Multiplier: ${marketRegime.positionSizeMultiplier}`);
+            const marketRegime = await this.marketRegimeFilter.getMarketRegime();
+            this.logger.info(`Market Regime: ${marketRegime.regime} | VIX: ${marketRegime.vix} | SPY: ${marketRegime.spyTrend}`);
+            this.logger.info(`Session: ${marketRegime.tradingSession} | Allow Buy: ${marketRegime.allowBuy} | Position Multiplier: ${marketRegime.positionSizeMultiplier}`);
 
             if (!marketRegime.allowBuy && !marketRegime.allowSell) {
-                logger.info('Market closed or conditions not favorable. Skipping cycle.');
+                this.logger.info('Market closed or conditions not favorable. Skipping cycle.');
                 return;
             }
 
             // ============================================
             // 2. 계좌 정보 조회
             // ============================================
-            const accountData = await kisApi.getBalance();
+            const accountData = await this.broker.getBalance();
 
             if (!accountData) {
-                logger.error('Failed to fetch account balance. Skipping trading cycle to prevent data loss.');
+                this.logger.error('Failed to fetch account balance. Skipping trading cycle to prevent data loss.');
                 return;
             }
 
@@ -91,28 +135,76 @@ class EnhancedTrader {
             const holdings = accountData.holdings;
             const totalCapital = buyingPower + holdings.reduce((sum, h) => sum + (h.currentPrice * h.qty), 0);
 
-            logger.info(`Balance: $${buyingPower.toFixed(2)} | Holdings: ${holdings.length} | Total Capital: $${totalCapital.toFixed(2)}`);
+            this.logger.info(`Balance: $${buyingPower.toFixed(2)} | Holdings: ${holdings.length} | Total Capital: $${totalCapital.toFixed(2)}`);
+
+            // 성과 리포트용 자산 스냅샷 (SPY는 벤치마크)
+            this.equityHistory.record({
+                equity: totalCapital,
+                cash: buyingPower,
+                positionsValue: totalCapital - buyingPower,
+                positions: holdings.length,
+                spyPrice: marketRegime.spyPrice
+            });
+
+            // 계좌 손실 한도 (KIS 평가액은 매도 대기 수량 포함, 없으면 위 합계)
+            const risk = this.riskGovernor.update(accountData.totalAsset || totalCapital);
+            this.logger.info(`Daily P&L: $${risk.dailyPnl.toFixed(2)} (${risk.dailyPnlPercent.toFixed(2)}%) | Drawdown: ${risk.drawdownPercent.toFixed(2)}%`);
+            if (risk.halt) {
+                this.logger.warn(`[RISK] ${risk.halt.level}: ${risk.halt.reason}`);
+            }
+
+            // ============================================
+            // 2.1. 주문 체결 동기화 (체결분만 포지션에 반영)
+            // ============================================
+            // 잔고는 체결 반영 전에 조회했으므로 이번에 체결된 종목은 포지션 동기화에서 제외
+            const filledSymbols = await this.orderManager.sync();
+
+            // 오래된 미체결 주문: 매수는 취소, 손절/익절 매도는 호가 쪽으로 정정
+            await this.orderManager.manageStaleOrders(symbol => this.dataCollector.fetchQuote(symbol));
+
+            // 손실 한도 중단/청산 중에는 대기 중인 매수가 나중에 체결되지 않도록 모두 취소
+            if (!risk.allowEntries) {
+                await this.cancelPendingBuys(`Risk halt: ${risk.halt ? risk.halt.level : 'entries blocked'}`);
+            }
 
             // ============================================
-            // 2.1. 포지션 동기화 (외부 매도 대응)
+            // 2.2. 포지션 동기화 (외부 매도 대응, 보유 수량 보정)
+            // 매도 대기 수량은 주문가능수량에서 빠져 있으므로 함께 전달
+            // 늘어난 보유 수량은 최근 매수 체결가로 진입가에 반영
             // ============================================
-            positionManager.syncPositions(holdings);
+            const buyFills = await this.orderManager.getRecentBuyFills();
+            this.positionManager.syncPositions(holdings, this.orderManager.getPendingQuantities('SELL'), filledSymbols, buyFills || {});
 
             // ============================================
             // 3. 기존 포지션 관리 (트레일링 스탑 체크)
+            // 손실 한도 청산 단계면 전량 매도
             // ============================================
+            if (risk.flatten) {
+                await this.flattenAll(holdings);
+                return;
+            }
+
             await this.manageExistingPositions(holdings, marketRegime);
 
+            // 포트폴리오 히트: 전 포지션이 손절선에 닿으면 잃는 금액 (대기 중인 매수 포함)
+            const heat = this.getPortfolioHeat(totalCapital);
+            this.logger.info(`Portfolio Heat: $${heat.heat.toFixed(2)} (${heat.heatPercent.toFixed(2)}% of capital, cap ${this.positionManager.config.positionSizing.maxPortfolioHeatPercent}%)`);
+
             // ============================================
             // 4. 신규 매수 가능 여부 확인
             // ============================================
+            if (!risk.allowEntries) {
+                this.logger.warn('Risk limit reached. Skipping new positions.');
+                return;
+            }
+
             if (!marketRegime.allowBuy) {
-                logger.info('Buy not allowed in current market regime. Skipping new positions.');
+                this.logger.info('Buy not allowed in current market regime. Skipping new positions.');
                 return;
             }
 
             if (buyingPower < 10) {
-                logger.info('Insufficient buying power for new positions.');
+                this.logger.info('Insufficient buying power for new positions.');
                 return;
             }
 
@@ -120,29 +212,29 @@ class EnhancedTrader {
             // 5. 종목 선별 (변동성 기반 필터링)
             // ============================================
             const allTickers = this._getAllTickers();
-            logger.info(`Screening ${allTickers.length} tickers...`);
+            this.logger.info(`Screening ${allTickers.length} tickers...`);
 
             // 5-1. 변동성 기반 사전 필터링 (상위 50개)
             const volatileStocks = await this.filterByVolatility(allTickers, buyingPower);
-            logger.info(`Found ${volatileStocks.length} high-volatility affordable stocks`);
+            this.logger.info(`Found ${volatileStocks.length} high-volatility affordable stocks`);
 
             if (volatileStocks.length === 0) {
-                logger.info('No suitable stocks found after volatility filtering.');
+                this.logger.info('No suitable stocks found after volatility filtering.');
                 return;
             }
 
             // ============================================
             // 6. 상세 분석 및 매수 실행
             // ============================================
-            await this.analyzeAndTrade(volatileStocks, buyingPower, holdings, totalCapital, marketRegime);
+            await this.analyzeAndTrade(volatileStocks, buyingPower, holdings, totalCapital, marketRegime, heat);
 
-            logger.info('========================================');
-            logger.info('Enhanced Trading Cycle Completed');
-            logger.info('========================================');
+            this.logger.info('========================================');
+            this.logger.info('Enhanced Trading Cycle Completed');
+            this.logger.info('========================================');
 
         } catch (error) {
-            logger.error(`Trading Cycle Error: ${error.message}`);
-            logger.error(error.stack);
+            this.logger.error(`Trading Cycle Error: ${error.message}`);
+            this.logger.error(error.stack);
         } finally {
             this.isTrading = false;
         }
@@ -154,53 +246,127 @@ class EnhancedTrader {
     async manageExistingPositions(holdings, marketRegime) {
         if (holdings.length === 0) return;
 
-        logger.info(`Managing ${holdings.length} existing positions...`);
+        this.logger.info(`Managing ${holdings.length} existing positions...`);
+
+        const harvestSymbols = await this._getHarvestSymbols(holdings);
 
         for (const holding of holdings) {
+            // 이전 사이클의 매도 주문이 아직 대기 중이면 반복 매도 방지
+            if (this.orderManager.hasPendingOrder(holding.symbol, 'SELL')) {
+                this.logger.info(`[PENDING] ${holding.symbol}: Sell order still pending. Skipping.`);
+                continue;
+            }
+
             try {
-                const quote = await dataCollector.fetchQuote(holding.symbol);
+                const quote = await this.dataCollector.fetchQuote(holding.symbol);
                 if (!quote) continue;
 
                 const currentPrice = quote.regularMarketPrice;
 
-                // 포지션 매니저에 등록 (없으면)
-                if (!positionManager.hasPosition(holding.symbol)) {
-                    positionManager.addPosition(
+                // 포지션 매니저에 등록 (없으면, ATR 손절 모델용 변동성 포함)
+                if (!this.positionManager.hasPosition(holding.symbol)) {
+                    const volatility = await this.volatilityAnalyzer.analyze(holding.symbol);
+                    this.positionManager.addPosition(
                         holding.symbol,
                         holding.avgPrice || holding.buyPrice,
                         holding.qty,
-                        50 // 기본 점수
+                        50, // 기본 점수
+                        { atr: volatility && volatility.atr }
                     );
                 }
 
-                // 트레일링 스탑 체크
-                const positionStatus = positionManager.updatePrice(holding.symbol, currentPrice);
+                // 재시작/사이클 공백 동안의 고가/저가 경로로 트레일링 상태 재구성
+                if (this.positionManager.needsHistoryRebuild(holding.symbol)) {
+                    const rebuilt = await this.positionManager.rebuildFromHistory(holding.symbol);
+                    // 조회 실패는 포지션 관리자가 경고로 기록
+                    if (rebuilt && rebuilt.changes.length > 0) {
+                        this.logger.info(`[HISTORY] ${holding.symbol}: ${rebuilt.changes.join(', ')} (${rebuilt.bars} bars since ${new Date(rebuilt.since).toISOString()})`);
+                    }
+                }
 
-                if (positionStatus.action === 'STOP_LOSS' ||
-                    positionStatus.action === 'TRAILING_STOP') {
-                    logger.warn(`[${positionStatus.action}] ${holding.symbol}: ${positionStatus.reason}`);
+                // 트레일링 스탑 / 시간 청산 체크
+                const positionStatus = this.positionManager.updatePrice(holding.symbol, currentPrice, {
+                    marketCloseAt: marketRegime.marketCloseAt
+                });
+
+                if (FULL_EXIT_ACTIONS.includes(positionStatus.action)) {
+                    this.logger.warn(`[${positionStatus.action}] ${holding.symbol}: ${positionStatus.reason}`);
                     await this.executeSell(holding.symbol, holding.qty, currentPrice, quote, positionStatus.action);
                 }
                 else if (positionStatus.action.startsWith('TAKE_PROFIT')) {
-                    const sellQty = Math.ceil(holding.qty * (positionStatus.sellPercent / 100));
+                    // 익절 수량은 최초 수량 기준 (주문가능수량 초과 불가)
+                    const sellQty = Math.min(holding.qty, positionStatus.sellQuantity);
                     if (sellQty > 0) {
-                        logger.info(`[${positionStatus.action}] ${holding.symbol}: Selling ${sellQty} shares (${positionStatus.sellPercent}%)`);
+                        this.logger.info(`[${positionStatus.action}] ${holding.symbol}: Selling ${sellQty} shares (${positionStatus.sellPercent}%)`);
                         await this.executeSell(holding.symbol, sellQty, currentPrice, quote, positionStatus.action);
                     }
                 }
+                else if (harvestSymbols.has(holding.symbol)) {
+                    this.logger.info(`[TAX_LOSS_HARVEST] ${holding.symbol}: Realizing loss to offset YTD gains above the deduction`);
+                    await this.executeSell(holding.symbol, holding.qty, currentPrice, quote, 'TAX_LOSS_HARVEST');
+                }
                 else {
                     // 스코어 기반 매도 체크
                     const sellCheck = await this.checkSellSignal(holding, currentPrice);
                     if (sellCheck.shouldSell) {
-                        logger.info(`[SIGNAL_SELL] ${holding.symbol}: ${sellCheck.reason}`);
+                        this.logger.info(`[SIGNAL_SELL] ${holding.symbol}: ${sellCheck.reason}`);
                         await this.executeSell(holding.symbol, holding.qty, currentPrice, quote, 'SIGNAL_SELL');
                     }
                 }
+            } catch (error) {
+                this.logger.error(`Error managing ${holding.symbol}: ${error.message}`);
+            }
+        }
+    }
 
-                await new Promise(resolve => setTimeout(resolve, 200));
+    /**
+     * 대기 중인 매수 주문 전부 취소 요청 (최종 상태는 다음 동기화에서 반영)
+     */
+    async cancelPendingBuys(message) {
+        for (const order of this.orderManager.getActiveOrders(null, 'BUY')) {
+            if (!order.orderNo || order.cancelRequestedAt) continue;
+
+            try {
+                await this.orderManager.cancel(order, message);
             } catch (error) {
-                logger.error(`Error managing ${holding.symbol}: ${error.message}`);
+                this.logger.error(`Error cancelling buy for ${order.symbol}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 손실 한도 초과 시 전량 청산 (대기 중인 매도 주문은 주문 관리자가 추격 정정)
+     */
+    async flattenAll(holdings) {
+        for (const holding of holdings) {
+            if (this.orderManager.hasPendingOrder(holding.symbol, 'SELL')) continue;
+
+            try {
+                const quote = await this.dataCollector.fetchQuote(holding.symbol);
+                const price = quote ? quote.regularMarketPrice : holding.currentPrice;
+                this.logger.warn(`[RISK_FLATTEN] ${holding.symbol}: Selling ${holding.qty} shares`);
+                await this.executeSell(holding.symbol, holding.qty, price, quote, 'RISK_FLATTEN');
+            } catch (error) {
+                this.logger.error(`Error flattening ${holding.symbol}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 올해 양도차익이 기본공제를 넘었을 때 손실 실현 매도할 종목
+     */
+    async _getHarvestSymbols(holdings) {
+        if (!this.taxEstimator) return new Set();
+
+        try {
+            const plan = await this.taxEstimator.getHarvestPlan(holdings);
+            for (const item of plan) {
+                this.logger.info(`[TAX] Harvest candidate ${item.symbol}: ${item.lossKrw.toLocaleString()} KRW`);
             }
+            return new Set(plan.map(item => item.symbol));
+        } catch (error) {
+            this.logger.error(`Tax-loss harvest check failed: ${error.message}`);
+            return new Set();
         }
     }
 
@@ -211,13 +377,19 @@ class EnhancedTrader {
         const results = [];
         const batchSize = 20;
 
-        for (let i = 0; i < tickers.length; i += batchSize) {
-            const batch = tickers.slice(i, i + batchSize);
+        // 재진입 대기/격리/블랙리스트 종목은 시세 조회 전에 제외
+        const eligible = tickers.filter(symbol => !this.cooldownRegistry.isBlocked(symbol));
+        if (eligible.length < tickers.length) {
+            this.logger.info(`Skipped ${tickers.length - eligible.length} symbols in cooldown/quarantine/blacklist.`);
+        }
+
+        for (let i = 0; i < eligible.length; i += batchSize) {
+            const batch = eligible.slice(i, i + batchSize);
 
             const batchResults = await Promise.all(
                 batch.map(async (symbol) => {
                     try {
-                        const quote = await dataCollector.fetchQuote(symbol);
+                        const quote = await this.dataCollector.fetchQuote(symbol);
                         if (!quote || !quote.regularMarketPrice) return null;
 
                         const price = quote.regularMarketPrice;
@@ -227,7 +399,7 @@ class EnhancedTrader {
                         if (price < 5) return null; // 페니 스탁 제외
 
                         // 변동성 분석
-                        const volatility = await volatilityAnalyzer.analyze(symbol);
+                        const volatility = await this.volatilityAnalyzer.analyze(symbol);
 
                         // 최소 변동성 요구 (ATR 1.5% 이상)
                         if (volatility.atrPercent < 1.5) return null;
@@ -248,8 +420,6 @@ class EnhancedTrader {
 
             // 상위 50개만 유지
             if (results.length >= 50) break;
-
-            await new Promise(resolve => setTimeout(resolve, 200)); // Reduced delay from 500ms to 200ms
         }
 
         // 변동성 점수로 정렬
@@ -260,91 +430,159 @@ class EnhancedTrader {
 
     /**
      * 종목 분석 및 매수 실행
+     * @param {Object} heat - 현재 포트폴리오 히트 (없으면 계산)
      */
-    async analyzeAndTrade(candidates, buyingPower, holdings, totalCapital, marketRegime) {
+    async analyzeAndTrade(candidates, buyingPower, holdings, totalCapital, marketRegime, heat = null) {
         let remainingBuyingPower = buyingPower;
+        let currentHeat = (heat || this.getPortfolioHeat(totalCapital)).heat;
         let tradesExecuted = 0;
         const maxTradesPerCycle = 3; // 사이클당 최대 3개 매수
 
         for (const candidate of candidates) {
             if (tradesExecuted >= maxTradesPerCycle) {
-                logger.info(`Max trades per cycle (${maxTradesPerCycle}) reached.`);
+                this.logger.info(`Max trades per cycle (${maxTradesPerCycle}) reached.`);
                 break;
             }
 
             if (remainingBuyingPower < candidate.price) continue;
 
-            // 이미 보유 중인지 확인
-            const alreadyHeld = holdings.some(h => h.symbol === candidate.symbol);
-            if (alreadyHeld) continue;
+            // 이미 보유 중이면 피라미딩 조건(추가 매수 기준가, 횟수/비율 상한)을 만족할 때만 추가 매수
+            let pyramid = null;
+            if (holdings.some(h => h.symbol === candidate.symbol)) {
+                pyramid = this.positionManager.checkPyramid(
+                    candidate.symbol, candidate.price, candidate.volatility.atr, totalCapital);
+                if (!pyramid.allowed) continue;
+            }
+
+            // 대기 중인 주문이 있으면 중복 매수 방지
+            if (this.orderManager.hasPendingOrder(candidate.symbol)) continue;
+
+            // 이번 사이클 중 손절 체결로 대기에 들어갔을 수 있으므로 다시 확인
+            const cooldown = this.cooldownRegistry.check(candidate.symbol);
+            if (!cooldown.allowed) {
+                this.logger.info(`[SKIP] ${candidate.symbol}: ${cooldown.reason}`);
+                continue;
+            }
 
             try {
                 const analysis = await this.analyzeStock(candidate);
 
                 if (!analysis) continue;
 
-                logger.info(`${candidate.symbol}: Score ${analysis.score} (${analysis.recommendation}) | Confidence: ${analysis.confidence}% | Volatility: ${candidate.volatility.atrPercent.toFixed(2)}%`);
+                this.logger.info(`${candidate.symbol}: Score ${analysis.score} (${analysis.recommendation}) | Confidence: ${analysis.confidence}% | Volatility: ${candidate.volatility.atrPercent.toFixed(2)}%`);
 
                 // 매수 조건 확인
                 if (analysis.recommendation === 'STRONG_BUY' || analysis.recommendation === 'BUY') {
-                    // 포지션 사이징
-                    const positionSize = positionManager.calculatePositionSize(
-                        totalCapital,
-                        candidate.price,
-                        analysis.score,
-                        marketRegime.positionSizeMultiplier,
-                        candidate.volatility.atr
-                    );
+                    let targetQty;
+                    if (pyramid) {
+                        targetQty = pyramid.quantity;
+                        this.logger.info(`[PYRAMID] ${candidate.symbol}: add ${pyramid.quantity} shares (${pyramid.reason})`);
+                    } else {
+                        // 포지션 사이징
+                        const positionSize = this.positionManager.calculatePositionSize(
+                            totalCapital,
+                            candidate.price,
+                            analysis.score,
+                            marketRegime.positionSizeMultiplier,
+                            candidate.volatility.atr,
+                            { scoreStats: this.tradeLedger.getStatsByScore(SCORE_BUCKETS) }
+                        );
+                        this.logger.info(`[SIZING] ${candidate.symbol}: ${positionSize.mode} -> ${positionSize.quantity} shares (${positionSize.percent.toFixed(2)}%) | ${JSON.stringify(positionSize.inputs, (key, value) => typeof value === 'number' ? Number(value.toFixed(4)) : value)}`);
+                        targetQty = positionSize.quantity;
+                    }
 
                     // 구매 가능 수량 조정
                     const affordableQty = Math.floor(remainingBuyingPower / candidate.price);
-                    const finalQty = Math.min(positionSize.quantity, affordableQty);
+                    let finalQty = Math.min(targetQty, affordableQty);
 
                     if (finalQty <= 0) continue;
 
-                    // 포지션 추가 가능 여부 확인
-                    const canAdd = positionManager.canAddPosition(
-                        holdings,
+                    // 포지션 추가 가능 여부 확인 (대기 중인 매수 주문 포함, 섹터/상관관계 한도)
+                    const exposureHoldings = [...holdings, ...this._pendingBuyHoldings()];
+                    const exposure = await this.exposureAnalyzer.analyze(
+                        [...exposureHoldings.map(h => h.symbol), candidate.symbol]);
+                    const canAdd = this.positionManager.canAddPosition(
+                        exposureHoldings,
                         totalCapital,
-                        finalQty * candidate.price
+                        finalQty * candidate.price,
+                        { symbol: candidate.symbol, price: candidate.price, exposure }
                     );
 
                     if (!canAdd.allowed) {
-                        logger.warn(`[SKIP] ${candidate.symbol}: ${canAdd.reason}`);
+                        this.logger.warn(`[SKIP] ${candidate.symbol}: ${canAdd.reason}`);
                         continue;
                     }
 
+                    if (canAdd.maxValue < finalQty * candidate.price) {
+                        const cappedQty = Math.floor(canAdd.maxValue / candidate.price);
+                        this.logger.info(`[DOWNSIZE] ${candidate.symbol}: ${finalQty} -> ${cappedQty} shares (${canAdd.reason})`);
+                        finalQty = cappedQty;
+                    }
+
+                    // 포트폴리오 히트 한도
+                    const heatCheck = this.positionManager.checkHeat(
+                        currentHeat, totalCapital, candidate.price, finalQty, candidate.volatility.atr);
+                    if (!heatCheck.allowed) {
+                        this.logger.warn(`[SKIP] ${candidate.symbol}: ${heatCheck.reason}`);
+                        continue;
+                    }
+                    if (heatCheck.quantity < finalQty) {
+                        this.logger.info(`[DOWNSIZE] ${candidate.symbol}: ${finalQty} -> ${heatCheck.quantity} shares (${heatCheck.reason})`);
+                        finalQty = heatCheck.quantity;
+                    }
+
                     // 매수 실행
                     const orderResult = await this.executeBuy(
                         candidate.symbol,
                         finalQty,
                         candidate.price,
                         candidate.quote,
-                        analysis
+                        analysis,
+                        { pyramid: !!pyramid }
                     );
 
+                    // 포지션은 체결 확인 후 주문 관리자가 등록
                     if (orderResult) {
                         remainingBuyingPower -= finalQty * candidate.price;
+                        currentHeat += this.positionManager.entryRisk(candidate.price, finalQty, candidate.volatility.atr);
                         tradesExecuted++;
-
-                        // 포지션 매니저에 등록
-                        positionManager.addPosition(
-                            candidate.symbol,
-                            candidate.price,
-                            finalQty,
-                            analysis.score
-                        );
                     }
                 }
-
-                await new Promise(resolve => setTimeout(resolve, 300));
-
             } catch (error) {
-                logger.error(`Error analyzing ${candidate.symbol}: ${error.message}`);
+                this.logger.error(`Error analyzing ${candidate.symbol}: ${error.message}`);
             }
         }
 
-        logger.info(`Executed ${tradesExecuted} trades in this cycle.`);
+        this.logger.info(`Executed ${tradesExecuted} trades in this cycle.`);
+    }
+
+    /**
+     * 포트폴리오 히트 (포지션별 현재가 - 손절선, 미체결 매수는 진입 시 손절선 기준)
+     */
+    getPortfolioHeat(totalCapital) {
+        const heat = this.positionManager.calculatePortfolioHeat(totalCapital);
+        const pendingRisk = this.orderManager.getActiveOrders(null, 'BUY').reduce((sum, order) =>
+            sum + this.positionManager.entryRisk(order.price, order.quantity - order.filledQty, order.atr), 0);
+        const total = heat.heat + pendingRisk;
+
+        this.lastHeat = {
+            heat: total,
+            heatPercent: totalCapital > 0 ? (total / totalCapital) * 100 : 0,
+            pendingRisk,
+            positions: heat.positions
+        };
+        return this.lastHeat;
+    }
+
+    /**
+     * 미체결 매수 주문을 보유 종목 형태로 (노출 한도 계산용)
+     */
+    _pendingBuyHoldings() {
+        return this.orderManager.getActiveOrders(null, 'BUY').map(order => ({
+            symbol: order.symbol,
+            qty: order.quantity - order.filledQty,
+            currentPrice: order.price
+        }));
     }
 
     /**
@@ -353,7 +591,7 @@ class EnhancedTrader {
     async analyzeStock(candidate) {
         try {
             // 과거 데이터 조회
-            const historicalData = await dataCollector.fetchMarketData(candidate.symbol, '5m', 5);
+            const historicalData = await this.dataCollector.fetchMarketData(candidate.symbol, '5m', 5);
             if (historicalData.length < 50) return null;
 
             // 기술적 분석
@@ -362,11 +600,11 @@ class EnhancedTrader {
             // 뉴스 분석 (점수가 양수일 때만)
             let newsAnalysis = null;
             if (dayTradingAnalysis.score > 0) {
-                newsAnalysis = await newsAnalyzer.analyzeNews(candidate.symbol);
+                newsAnalysis = await this.newsAnalyzer.analyzeNews(candidate.symbol);
             }
 
             // 멀티 타임프레임 분석
-            const mtfAnalysis = await multiTimeframeAnalyzer.analyze(candidate.symbol);
+            const mtfAnalysis = await this.multiTimeframeAnalyzer.analyze(candidate.symbol);
 
             // 펀더멘털 데이터
             const fundamentalData = {
@@ -377,6 +615,7 @@ class EnhancedTrader {
 
             // 변동성 데이터
             const volatilityData = {
+                price: candidate.price,
                 atr: candidate.volatility.atr,
                 atrPercent: candidate.volatility.atrPercent,
                 volumeSpike: candidate.volatility.volumeSpike
@@ -389,7 +628,7 @@ class EnhancedTrader {
             };
 
             // 향상된 스코어링
-            const result = enhancedScreener.calculateScore(
+            const result = this.screener.calculateScore(
                 dayTradingAnalysis,
                 fundamentalData,
                 newsAnalysis,
@@ -399,6 +638,7 @@ class EnhancedTrader {
 
             return {
                 score: result.totalScore,
+                atr: candidate.volatility.atr,
                 recommendation: result.recommendation,
                 confidence: result.confidence,
                 breakdown: result.breakdown,
@@ -407,7 +647,7 @@ class EnhancedTrader {
             };
 
         } catch (error) {
-            logger.error(`Analysis error for ${candidate.symbol}: ${error.message}`);
+            this.logger.error(`Analysis error for ${candidate.symbol}: ${error.message}`);
             return null;
         }
     }
@@ -417,20 +657,20 @@ class EnhancedTrader {
      */
     async checkSellSignal(holding, currentPrice) {
         try {
-            const historicalData = await dataCollector.fetchMarketData(holding.symbol, '5m', 5);
+            const historicalData = await this.dataCollector.fetchMarketData(holding.symbol, '5m', 5);
             if (historicalData.length < 50) {
                 return { shouldSell: false };
             }
 
             const analysis = dayTradingMonitor.analyze(historicalData);
-            const quote = await dataCollector.fetchQuote(holding.symbol);
+            const quote = await this.dataCollector.fetchQuote(holding.symbol);
 
             const fundamentalData = {
                 peRatio: quote?.trailingPE,
                 pegRatio: quote?.pegRatio
             };
 
-            const result = enhancedScreener.calculateScore(analysis, fundamentalData, null);
+            const result = this.screener.calculateScore(analysis, fundamentalData, null);
 
             // SELL 또는 STRONG_SELL 신호
             if (result.recommendation === 'STRONG_SELL') {
@@ -456,8 +696,9 @@ class EnhancedTrader {
 
     /**
      * 매수 실행
+     * @param {Object} options - { pyramid } 보유 포지션 추가 매수 여부
      */
-    async executeBuy(symbol, quantity, price, quote, analysis) {
+    async executeBuy(symbol, quantity, price, quote, analysis, options = {}) {
         try {
             let exchange = 'NASD';
             if (quote && quote.exchange) {
@@ -468,19 +709,23 @@ class EnhancedTrader {
                 }
             }
 
-            logger.info(`[BUY] ${symbol} x${quantity} @ $${price.toFixed(2)} (Score: ${analysis.score}, Confidence: ${analysis.confidence}%)`);
+            this.logger.info(`[BUY] ${symbol} x${quantity} @ $${price.toFixed(2)} (Score: ${analysis.score}, Confidence: ${analysis.confidence}%${options.pyramid ? ', pyramid add' : ''})`);
 
-            const orderResult = await kisApi.placeOrder(symbol, 'BUY', quantity, price, exchange);
+            const order = await this.orderManager.submit({
+                symbol,
+                side: 'BUY',
+                quantity,
+                price,
+                exchange,
+                score: analysis.score,
+                atr: analysis.atr,
+                pyramid: options.pyramid
+            });
 
-            if (orderResult) {
-                this.tradingStats.totalTrades++;
-                return true;
-            }
-
-            return false;
+            return order.status !== ORDER_STATUS.REJECTED;
 
         } catch (error) {
-            logger.error(`Buy order failed for ${symbol}: ${error.message}`);
+            this.logger.error(`Buy order failed for ${symbol}: ${error.message}`);
             return false;
         }
     }
@@ -499,20 +744,22 @@ class EnhancedTrader {
                 }
             }
 
-            logger.info(`[SELL] ${symbol} x${quantity} @ $${price.toFixed(2)} (Reason: ${reason})`);
+            this.logger.info(`[SELL] ${symbol} x${quantity} @ $${price.toFixed(2)} (Reason: ${reason})`);
 
-            const orderResult = await kisApi.placeOrder(symbol, 'SELL', quantity, price, exchange);
+            // 포지션은 체결 확인 후 주문 관리자가 차감/삭제
+            const order = await this.orderManager.submit({
+                symbol,
+                side: 'SELL',
+                quantity,
+                price,
+                exchange,
+                reason
+            });
 
-            if (orderResult) {
-                this.tradingStats.totalTrades++;
-                positionManager.removePosition(symbol);
-                return true;
-            }
-
-            return false;
+            return order.status !== ORDER_STATUS.REJECTED;
 
         } catch (error) {
-            logger.error(`Sell order failed for ${symbol}: ${error.message}`);
+            this.logger.error(`Sell order failed for ${symbol}: ${error.message}`);
             return false;
         }
     }
@@ -521,6 +768,8 @@ class EnhancedTrader {
      * 모든 티커 가져오기
      */
     _getAllTickers() {
+        if (this.tickers) return this.tickers;
+
         const sp500 = config.tickers.sp500 || [];
         const nasdaq100 = config.tickers.nasdaq100 || [];
         const budgetGrowth = config.tickers.budgetGrowth || [];
@@ -531,18 +780,18 @@ class EnhancedTrader {
     }
 
     /**
-     * 트레이딩 통계 조회
+     * 트레이딩 통계 조회 (거래 원장의 실현 손익 기준)
      */
     getStats() {
-        const winRate = this.tradingStats.totalTrades > 0
-            ? (this.tradingStats.winningTrades / this.tradingStats.totalTrades * 100).toFixed(2)
-            : 0;
+        const stats = this.tradeLedger.getStats();
 
         return {
-            ...this.tradingStats,
-            winRate: `${winRate}%`
+            ...stats,
+            winRate: `${stats.winRate.toFixed(2)}%`,
+            portfolioHeat: this.lastHeat ? `${this.lastHeat.heatPercent.toFixed(2)}%` : 'N/A'
         };
     }
 }
 
-module.exports = new EnhancedTrader();
\ No newline at end of file
+module.exports = new EnhancedTrader();
+module.exports.EnhancedTrader = EnhancedTrader;
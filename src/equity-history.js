@@ -0,0 +1,92 @@
+/**
+ * Equity History
+ * 매매 사이클마다 계좌 평가액 스냅샷 기록 (성과 리포트의 자산 곡선 / 노출 / 벤치마크 기준)
+ *
+ * - data/equity-snapshots.jsonl 에 한 줄씩 추가 (1분 주기라 JSON Lines로 누적)
+ * - 스냅샷: { time, equity, cash, positionsValue, positions, spyPrice }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class EquityHistory {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.snapshotsFile - 저장 파일 경로 (null이면 메모리 전용, 백테스트용)
+     * @param {Function} options.now - 현재 시각 함수
+     */
+    constructor(options = {}) {
+        this.snapshotsFile = options.snapshotsFile !== undefined
+            ? options.snapshotsFile
+            : path.join(__dirname, '../data/equity-snapshots.jsonl');
+        this.now = options.now || Date.now;
+        this.memory = [];
+    }
+
+    /**
+     * 스냅샷 기록
+     * @param {Object} snapshot - { equity, cash, positionsValue, positions, spyPrice }
+     */
+    record(snapshot) {
+        const entry = {
+            time: this.now(),
+            equity: snapshot.equity,
+            cash: snapshot.cash,
+            positionsValue: snapshot.positionsValue,
+            positions: snapshot.positions,
+            spyPrice: snapshot.spyPrice || null
+        };
+
+        if (!this.snapshotsFile) {
+            this.memory.push(entry);
+            return entry;
+        }
+
+        try {
+            const dir = path.dirname(this.snapshotsFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.appendFileSync(this.snapshotsFile, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error('Failed to save equity snapshot:', error.message);
+        }
+        return entry;
+    }
+
+    /**
+     * 기간 내 스냅샷 (시간 순)
+     * @param {Object} filter - { from, to } (ms)
+     */
+    getSnapshots(filter = {}) {
+        return this._readAll().filter(s =>
+            (!filter.from || s.time >= filter.from) &&
+            (!filter.to || s.time < filter.to));
+    }
+
+    _readAll() {
+        if (!this.snapshotsFile) return this.memory;
+
+        try {
+            if (!fs.existsSync(this.snapshotsFile)) return [];
+            return fs.readFileSync(this.snapshotsFile, 'utf8')
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        return null; // 기록 중 종료된 마지막 줄 등
+                    }
+                })
+                .filter(s => s)
+                .sort((a, b) => a.time - b.time);
+        } catch (error) {
+            console.error('Failed to load equity snapshots:', error.message);
+            return [];
+        }
+    }
+}
+
+module.exports = new EquityHistory();
+module.exports.EquityHistory = EquityHistory;
@@ -0,0 +1,205 @@
+/**
+ * Exposure Analyzer
+ * 섹터/산업 메타데이터와 일간 수익률 상관관계로 보유 종목 간 실질적인 중복 노출 측정
+ *
+ * - 섹터/산업: Yahoo quoteSummary assetProfile, data/sector-profiles.json 에 캐시 (30일마다 갱신)
+ * - 상관관계: 최근 N일 일간 수익률의 피어슨 상관계수 (ET 날짜 기준으로 맞춰서 계산)
+ * - 한도 적용은 PositionManager.canAddPosition 에서 이 결과로 판단
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const marketData = require('./market-data');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const etDayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+class ExposureAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.profilesFile - 섹터 캐시 파일 경로 (null이면 메모리 전용, 백테스트용)
+     * @param {Function} options.fetchProfile - async symbol => { sector, industry } (기본: Yahoo assetProfile)
+     * @param {Function} options.fetchBars - async (symbol, periodDays) => 일봉 배열 (기본: Yahoo chart)
+     * @param {Function} options.now - 현재 시각 함수
+     */
+    constructor(options = {}) {
+        this.profilesFile = options.profilesFile !== undefined
+            ? options.profilesFile
+            : path.join(__dirname, '../data/sector-profiles.json');
+        this.fetchProfile = options.fetchProfile || (symbol => this._fetchYahooProfile(symbol));
+        this.fetchBars = options.fetchBars || ((symbol, periodDays) => this._fetchYahooBars(symbol, periodDays));
+        this.now = options.now || (() => marketData.now());
+
+        this.config = {
+            correlationLookbackDays: config.exposure.correlationLookbackDays, // 상관관계 계산 기간 (거래일)
+            minOverlapDays: 20,                     // 공통 거래일이 이보다 적으면 상관관계 미사용
+            profileTtlMs: 30 * DAY_MS,              // 섹터 정보 갱신 주기
+            returnsTtlMs: 60 * 60 * 1000            // 수익률 캐시 (1시간)
+        };
+
+        this.profiles = this._loadProfiles();
+        this.returnsCache = {};
+    }
+
+    _loadProfiles() {
+        if (!this.profilesFile) return {};
+
+        try {
+            if (fs.existsSync(this.profilesFile)) {
+                return JSON.parse(fs.readFileSync(this.profilesFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Failed to load sector profiles:', error.message);
+        }
+        return {};
+    }
+
+    _saveProfiles() {
+        if (!this.profilesFile) return;
+
+        try {
+            const dir = path.dirname(this.profilesFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.profilesFile, JSON.stringify(this.profiles, null, 2));
+        } catch (error) {
+            console.error('Failed to save sector profiles:', error.message);
+        }
+    }
+
+    /**
+     * 종목들의 섹터 정보와 상관계수 행렬
+     * @param {Array<string>} symbols - 보유 종목 + 신규 후보
+     * @returns {Object} { profiles: { [symbol]: { sector, industry } | null }, correlations: { [a]: { [b]: number } } }
+     */
+    async analyze(symbols) {
+        const unique = [...new Set(symbols)];
+        const profiles = {};
+        const returns = {};
+
+        for (const symbol of unique) {
+            profiles[symbol] = await this.getProfile(symbol);
+            returns[symbol] = await this.getReturns(symbol);
+        }
+
+        return { profiles, correlations: this.correlationMatrix(returns) };
+    }
+
+    /**
+     * 섹터/산업 (조회 실패 시 null, 캐시하지 않음)
+     */
+    async getProfile(symbol) {
+        const cached = this.profiles[symbol];
+        if (cached && this.now() - cached.fetchedAt < this.config.profileTtlMs) {
+            return { sector: cached.sector, industry: cached.industry };
+        }
+
+        try {
+            const profile = await this.fetchProfile(symbol);
+            if (!profile || !profile.sector) return cached ? { sector: cached.sector, industry: cached.industry } : null;
+
+            this.profiles[symbol] = { sector: profile.sector, industry: profile.industry || null, fetchedAt: this.now() };
+            this._saveProfiles();
+            return { sector: profile.sector, industry: profile.industry || null };
+        } catch (error) {
+            return cached ? { sector: cached.sector, industry: cached.industry } : null;
+        }
+    }
+
+    /**
+     * ET 날짜별 일간 수익률 { 'YYYY-MM-DD': return }
+     */
+    async getReturns(symbol) {
+        const cached = this.returnsCache[symbol];
+        if (cached && this.now() - cached.timestamp < this.config.returnsTtlMs) {
+            return cached.data;
+        }
+
+        let data = {};
+        try {
+            // 주말/휴일 포함 달력일로 조회
+            const periodDays = Math.ceil(this.config.correlationLookbackDays * 1.5) + 5;
+            const bars = (await this.fetchBars(symbol, periodDays) || []).filter(b => b && b.close);
+            const recent = bars.slice(-(this.config.correlationLookbackDays + 1));
+            for (let i = 1; i < recent.length; i++) {
+                data[etDayFormatter.format(new Date(recent[i].date))] = recent[i].close / recent[i - 1].close - 1;
+            }
+        } catch (error) {
+            data = {};
+        }
+
+        this.returnsCache[symbol] = { data, timestamp: this.now() };
+        return data;
+    }
+
+    /**
+     * 상관계수 행렬 (공통 거래일이 부족한 쌍은 제외)
+     * @param {Object} returns - { [symbol]: { [day]: return } }
+     */
+    correlationMatrix(returns) {
+        const symbols = Object.keys(returns);
+        const matrix = {};
+        symbols.forEach(symbol => { matrix[symbol] = {}; });
+
+        for (let i = 0; i < symbols.length; i++) {
+            for (let j = i + 1; j < symbols.length; j++) {
+                const a = symbols[i];
+                const b = symbols[j];
+                const days = Object.keys(returns[a]).filter(day => day in returns[b]);
+                if (days.length < this.config.minOverlapDays) continue;
+
+                const r = this.correlation(days.map(day => returns[a][day]), days.map(day => returns[b][day]));
+                if (r === null) continue;
+                matrix[a][b] = r;
+                matrix[b][a] = r;
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * 피어슨 상관계수 (분산이 0이면 null)
+     */
+    correlation(xs, ys) {
+        const n = xs.length;
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+        let cov = 0;
+        let varX = 0;
+        let varY = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (xs[i] - meanX) * (ys[i] - meanY);
+            varX += (xs[i] - meanX) ** 2;
+            varY += (ys[i] - meanY) ** 2;
+        }
+
+        if (varX === 0 || varY === 0) return null;
+        return cov / Math.sqrt(varX * varY);
+    }
+
+    async _fetchYahooProfile(symbol) {
+        const summary = await marketData.quoteSummary(symbol, { modules: ['assetProfile'] });
+        const profile = summary && summary.assetProfile;
+        return profile ? { sector: profile.sector, industry: profile.industry } : null;
+    }
+
+    async _fetchYahooBars(symbol, periodDays) {
+        const result = await marketData.chart(symbol, {
+            period1: new Date(Date.now() - periodDays * DAY_MS),
+            interval: '1d'
+        });
+        return result && result.quotes ? result.quotes : [];
+    }
+}
+
+module.exports = new ExposureAnalyzer();
+module.exports.ExposureAnalyzer = ExposureAnalyzer;
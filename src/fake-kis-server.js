@@ -0,0 +1,528 @@
+/**
+ * Fake KIS Open API Server
+ * KisApi가 호출하는 KIS 엔드포인트를 흉내내는 로컬 HTTP 서버 (오프라인 통합 테스트용)
+ *
+ * - 지원: /oauth2/tokenP, /uapi/hashkey, inquire-balance, inquire-psamount,
+ *         trading/order, inquire-nccs, inquire-ccnl, order-rvsecncl
+ * - 응답 형식은 실제 KIS 로그(kis-api.log)에서 확인한 필드 그대로 사용
+ * - 계좌 상태는 PaperBroker(메모리)로 관리, setPrice()로 시세를 넣으면 체결
+ * - failNext()로 토큰 만료, 초당 거래건수 초과 등 오류 시나리오 재현
+ *
+ * 실행: node src/fake-kis-server.js [port] 후 KIS_BASE_URL=http://localhost:[port]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { PaperBroker } = require('./paper-broker');
+
+// 실제 KIS 오류 응답 (kis-api.log 기준)
+const ERRORS = {
+    EXPIRED_TOKEN: { status: 500, body: { rt_cd: '1', msg1: '기간이 만료된 token 입니다.', msg_cd: 'EGW00123' } },
+    TOKEN_RATE_LIMIT: { status: 403, body: { error_description: '접근토큰 발급 잠시 후 다시 시도하세요(1분당 1회)', error_code: 'EGW00133' } },
+    RATE_LIMIT: { status: 500, body: { rt_cd: '1', msg_cd: 'EGW00201', msg1: '초당 거래건수를 초과하였습니다.' } },
+    RESPONSE_BUILD_ERROR: { status: 500, body: { rt_cd: '1', msg_cd: 'IGW00009', msg1: '응답전문 구성 중 오류가 발생하였습니다.' } },
+    INVALID_RVSE_CNCL: { status: 500, body: { rt_cd: '1', msg_cd: 'IGW00024', msg1: '정정취소구분코드를 확인해주세요.' } },
+    NOT_REAL_TR: { status: 500, body: { rt_cd: '1', msg_cd: 'EGW02004', msg1: '실전투자 TR 이 아닙니다.' } },
+    NOT_PAPER_TR: { status: 500, body: { rt_cd: '1', msg_cd: 'EGW02006', msg1: '모의투자 TR 이 아닙니다.' } },
+    NO_SERVICE: { status: 200, body: { rt_cd: '1', msg_cd: 'OPSQ0002', msg1: '없는 서비스 코드 입니다.' } },
+    NO_SYMBOL: { status: 200, body: { rt_cd: '1', msg_cd: 'APBK1664', msg1: '해당종목정보가 없습니다.' } }
+};
+
+const EXCHANGE_NAMES = { NASD: '나스닥', NYSE: '뉴욕거래소', AMEX: '아멕스' };
+
+class FakeKisServer {
+    /**
+     * @param {Object} options
+     * @param {string} options.mode - 'REAL' (실전 서버) or 'PAPER' (모의투자 서버, V로 시작하는 TR만 허용)
+     * @param {number} options.initialCash - 초기 예수금 (USD)
+     * @param {boolean} options.includeDeposit - inquire-balance output2에 frcr_dncl_amt_2 포함 여부 (실제 응답에는 없음)
+     * @param {number} options.tokenTtlSeconds - 토큰 유효 시간
+     * @param {number} options.tokenIssueIntervalMs - 토큰 재발급 최소 간격 (실제 KIS: 1분)
+     * @param {number} options.exchangeRate - 원/달러 환율 (psamount exrt)
+     * @param {number} options.latencyMs - 응답 지연
+     * @param {number} options.pageSize - 조회 응답 한 페이지당 건수 (초과 시 tr_cont: M + 연속조회키)
+     * @param {Object} options.logger - 내부 페이퍼 브로커 로거
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'REAL';
+        this.includeDeposit = options.includeDeposit || false;
+        this.tokenTtlSeconds = options.tokenTtlSeconds || 86400;
+        this.tokenIssueIntervalMs = options.tokenIssueIntervalMs || 0;
+        this.exchangeRate = options.exchangeRate || 1465.9;
+        this.latencyMs = options.latencyMs || 0;
+        this.accountNo = options.accountNo || '43545611';
+        this.pageSize = options.pageSize || 100;
+
+        this.broker = new PaperBroker({ stateFile: null, initialCash: options.initialCash || 10000, logger: options.logger });
+        this.listings = {};
+        this.tokens = {};
+        this.lastTokenIssuedAt = 0;
+        this.failures = {};
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    static get ERRORS() {
+        return ERRORS;
+    }
+
+    // ============================================
+    // 시나리오 제어
+    // ============================================
+
+    /**
+     * 다음 요청(들)을 오류로 응답
+     * @param {string} endpoint - 경로 마지막 부분 (예: 'inquire-balance', 'order', 'tokenP')
+     * @param {string|Object} error - ERRORS 키 또는 { status, body, headers } (headers로 tr_cont 연속조회 재현)
+     * @param {number} times - 반복 횟수
+     */
+    failNext(endpoint, error, times = 1) {
+        const response = typeof error === 'string' ? ERRORS[error] : error;
+        if (!this.failures[endpoint]) this.failures[endpoint] = [];
+        for (let i = 0; i < times; i++) {
+            this.failures[endpoint].push(response);
+        }
+    }
+
+    /**
+     * 종목 상장 거래소 지정 (다른 거래소 코드로 주문 시 '해당종목정보가 없습니다.')
+     */
+    setListing(symbol, exchange) {
+        this.listings[symbol] = exchange;
+    }
+
+    /**
+     * 시세 반영 (미체결 주문 체결)
+     */
+    setPrice(symbol, price) {
+        this.broker.onQuote(symbol, { price });
+    }
+
+    /**
+     * 발급된 모든 토큰 폐기 (조기 만료 재현)
+     */
+    revokeTokens() {
+        this.tokens = {};
+    }
+
+    // ============================================
+    // 서버 수명
+    // ============================================
+
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this._handle(req, res));
+            this.server.on('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+
+    // ============================================
+    // 요청 처리
+    // ============================================
+
+    async _handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const endpoint = url.pathname.split('/').pop();
+        const body = await this._readBody(req);
+        const query = Object.fromEntries(url.searchParams.entries());
+        const trId = req.headers['tr_id'] || null;
+
+        this.requests.push({ method: req.method, path: url.pathname, endpoint, trId, headers: req.headers, query, body });
+
+        if (this.latencyMs) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        const queued = this.failures[endpoint] && this.failures[endpoint].shift();
+        if (queued) {
+            return this._send(res, queued.status, queued.body, queued.headers);
+        }
+
+        try {
+            const { status, body: payload, headers } = await this._route(req, endpoint, trId, query, body);
+            this._send(res, status, payload, headers);
+        } catch (error) {
+            this._send(res, 500, ERRORS.RESPONSE_BUILD_ERROR.body);
+        }
+    }
+
+    _readBody(req) {
+        return new Promise(resolve => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                try {
+                    resolve(data ? JSON.parse(data) : null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    _send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    async _route(req, endpoint, trId, query, body) {
+        if (endpoint === 'tokenP') return this._issueToken(body);
+        if (endpoint === 'hashkey') return this._hashKey(body);
+
+        const authError = this._checkAuth(req, trId);
+        if (authError) return authError;
+
+        switch (endpoint) {
+            case 'inquire-balance': return this._inquireBalance(req, query);
+            case 'inquire-psamount': return this._inquirePsamount();
+            case 'order': return this._order(req, trId, body);
+            case 'inquire-nccs': return this._inquireNccs(req, query);
+            case 'inquire-ccnl': return this._inquireCcnl(req, query);
+            case 'order-rvsecncl': return this._orderRvsecncl(req, body);
+            default: return { status: 404, body: { rt_cd: '1', msg_cd: 'EGW00001', msg1: 'Not Found' } };
+        }
+    }
+
+    _checkAuth(req, trId) {
+        const auth = req.headers['authorization'] || '';
+        const token = auth.replace(/^Bearer\s+/, '');
+        const expiry = this.tokens[token];
+        if (!expiry || expiry < Date.now()) {
+            return ERRORS.EXPIRED_TOKEN;
+        }
+
+        // 모의투자 서버는 V로 시작하는 TR만, 실전 서버는 T로 시작하는 TR만 허용
+        if (trId && this.mode === 'PAPER' && !trId.startsWith('V')) return ERRORS.NOT_PAPER_TR;
+        if (trId && this.mode === 'REAL' && trId.startsWith('V')) return ERRORS.NOT_REAL_TR;
+
+        return null;
+    }
+
+    _issueToken(body) {
+        if (this.tokenIssueIntervalMs && Date.now() - this.lastTokenIssuedAt < this.tokenIssueIntervalMs) {
+            return ERRORS.TOKEN_RATE_LIMIT;
+        }
+        if (!body || body.grant_type !== 'client_credentials' || !body.appkey || !body.appsecret) {
+            return { status: 403, body: { error_description: '유효하지 않은 AppKey입니다.', error_code: 'EGW00103' } };
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiry = Date.now() + this.tokenTtlSeconds * 1000;
+        this.tokens[token] = expiry;
+        this.lastTokenIssuedAt = Date.now();
+
+        const expiredAt = new Date(expiry + 9 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19); // KST
+        return {
+            status: 200,
+            body: {
+                access_token: token,
+                access_token_token_expired: expiredAt,
+                token_type: 'Bearer',
+                expires_in: this.tokenTtlSeconds
+            }
+        };
+    }
+
+    _hash(body) {
+        return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+    }
+
+    _hashKey(body) {
+        return { status: 200, body: { BODY: body, HASH: this._hash(body) } };
+    }
+
+    // hashkey 헤더가 있으면 본문과 일치해야 함
+    _checkHashKey(req, body) {
+        const hashkey = req.headers['hashkey'];
+        if (hashkey && hashkey !== this._hash(body)) {
+            return { status: 500, body: { rt_cd: '1', msg_cd: 'EGW00205', msg1: 'hashkey가 일치하지 않습니다.' } };
+        }
+        return null;
+    }
+
+    // 실전 서버의 NASD는 미국 전체, 모의투자 서버는 해당 거래소만
+    _matchesExchange(requested, actual) {
+        if (!requested) return true;
+        if (this.mode === 'REAL' && requested === 'NASD') return true;
+        return requested === actual;
+    }
+
+    _okMessage(msg_cd, msg1) {
+        return { rt_cd: '0', msg_cd, msg1 };
+    }
+
+    /**
+     * 연속 조회 처리: 요청 헤더 tr_cont가 N이고 CTX_AREA_NK200이 있으면 다음 페이지부터
+     * (tr_cont 없이 키만 보내면 실제 서버처럼 첫 페이지를 다시 응답)
+     * @returns {Object} { rows, headers: { tr_cont }, ctx_area_nk200, last }
+     */
+    _paginate(req, query, rows) {
+        let offset = 0;
+        if (req.headers['tr_cont'] === 'N' && query.CTX_AREA_NK200) {
+            offset = Number(query.CTX_AREA_NK200.split('^')[1]) || 0;
+        }
+
+        const end = offset + this.pageSize;
+        const last = end >= rows.length;
+        return {
+            rows: rows.slice(offset, end),
+            headers: { tr_cont: last ? 'D' : 'M' },
+            ctx_area_nk200: last ? '' : `${this.accountNo}^${end}^`,
+            last
+        };
+    }
+
+    _pageMessage(page) {
+        return page.last
+            ? this._okMessage('KIOK0460', '조회 되었습니다. (마지막 자료)')
+            : this._okMessage('KIOK0510', '조회가 계속됩니다..다음버튼을 Click 하십시오.');
+    }
+
+    _inquireBalance(req, query) {
+        const holdings = Object.values(this.broker.state.holdings)
+            .filter(h => this._matchesExchange(query.OVRS_EXCG_CD, h.exchange));
+        const page = this._paginate(req, query, holdings);
+
+        const output1 = page.rows.map(h => {
+            const price = h.lastPrice || h.avgPrice;
+            const reserved = this.broker.getOpenOrders(h.symbol)
+                .filter(o => o.side === 'SELL')
+                .reduce((sum, o) => sum + (o.qty - o.filledQty), 0);
+            return {
+                cano: this.accountNo,
+                acnt_prdt_cd: query.ACNT_PRDT_CD || '01',
+                prdt_type_cd: '512',
+                ovrs_pdno: h.symbol,
+                ovrs_item_name: h.symbol,
+                frcr_evlu_pfls_amt: ((price - h.avgPrice) * h.qty).toFixed(6),
+                evlu_pfls_rt: (((price - h.avgPrice) / h.avgPrice) * 100).toFixed(2),
+                pchs_avg_pric: h.avgPrice.toFixed(4),
+                ovrs_cblc_qty: String(h.qty),
+                ord_psbl_qty: String(h.qty - reserved),
+                frcr_pchs_amt1: (h.avgPrice * h.qty).toFixed(5),
+                ovrs_stck_evlu_amt: (price * h.qty).toFixed(8),
+                now_pric2: price.toFixed(6),
+                tr_crcy_cd: 'USD',
+                ovrs_excg_cd: h.exchange,
+                loan_type_cd: '10',
+                loan_dt: '',
+                expd_dt: ''
+            };
+        });
+
+        const purchase = holdings.reduce((sum, h) => sum + h.avgPrice * h.qty, 0);
+        const evaluation = holdings.reduce((sum, h) => sum + (h.lastPrice || h.avgPrice) * h.qty, 0);
+        const output2 = {
+            frcr_pchs_amt1: purchase.toFixed(5),
+            ovrs_rlzt_pfls_amt: '0.00000',
+            ovrs_tot_pfls: (evaluation - purchase).toFixed(5),
+            rlzt_erng_rt: '0.00000000',
+            tot_evlu_pfls_amt: evaluation.toFixed(8),
+            tot_pftrt: purchase > 0 ? ((evaluation - purchase) / purchase * 100).toFixed(8) : '0.00000000',
+            frcr_buy_amt_smtl1: '0.000000',
+            ovrs_rlzt_pfls_amt2: '0.00000',
+            frcr_buy_amt_smtl2: '0.000000'
+        };
+        if (this.includeDeposit) {
+            output2.frcr_dncl_amt_2 = this.broker.state.cash.toFixed(2);
+        }
+
+        return {
+            status: 200,
+            headers: page.headers,
+            body: {
+                ctx_area_fk200: `${this.accountNo}^01^${query.OVRS_EXCG_CD || ''}^USD^`,
+                ctx_area_nk200: page.ctx_area_nk200,
+                output1,
+                output2,
+                ...(page.last ? this._okMessage('KIOK0510', '조회가 완료되었습니다 ') : this._pageMessage(page))
+            }
+        };
+    }
+
+    async _inquirePsamount() {
+        const available = await this.broker.getPresentBalance();
+        return {
+            status: 200,
+            body: {
+                output: {
+                    tr_crcy_cd: 'USD',
+                    ord_psbl_frcr_amt: available.toFixed(2),
+                    sll_ruse_psbl_amt: '0.00',
+                    ovrs_ord_psbl_amt: available.toFixed(2),
+                    max_ord_psbl_qty: '0',
+                    echm_af_ord_psbl_amt: '0.00',
+                    echm_af_ord_psbl_qty: '0',
+                    ord_psbl_qty: '0',
+                    exrt: this.exchangeRate.toFixed(10),
+                    frcr_ord_psbl_amt1: '0.000000',
+                    ovrs_max_ord_psbl_qty: '0'
+                },
+                ...this._okMessage('KIOK0530', '조회되었습니다')
+            }
+        };
+    }
+
+    async _order(req, trId, body) {
+        const hashError = this._checkHashKey(req, body);
+        if (hashError) return hashError;
+
+        const listing = this.listings[body.PDNO];
+        if (listing && listing !== body.OVRS_EXCG_CD) {
+            return ERRORS.NO_SYMBOL;
+        }
+
+        const side = /1006U$/.test(trId) ? 'SELL' : 'BUY';
+        const result = await this.broker.placeOrder(
+            body.PDNO, side, Number(body.ORD_QTY), body.OVRS_ORD_UNPR, body.OVRS_EXCG_CD, body.ORD_DVSN
+        );
+        return { status: 200, body: result };
+    }
+
+    async _orderRvsecncl(req, body) {
+        const hashError = this._checkHashKey(req, body);
+        if (hashError) return hashError;
+
+        // 01: 정정, 02: 취소
+        if (body.RVSE_CNCL_DVSN_CD !== '01' && body.RVSE_CNCL_DVSN_CD !== '02') {
+            return ERRORS.INVALID_RVSE_CNCL;
+        }
+
+        const order = this.broker.getOpenOrders(body.PDNO).find(o => o.orderNo === body.ORGN_ODNO);
+        if (!order || order.exchange !== body.OVRS_EXCG_CD) {
+            return ERRORS.NO_SYMBOL;
+        }
+
+        const result = body.RVSE_CNCL_DVSN_CD === '01'
+            ? await this.broker.modifyOrder(body.ORGN_ODNO, body.PDNO, Number(body.ORD_QTY), Number(body.OVRS_ORD_UNPR), body.OVRS_EXCG_CD)
+            : await this.broker.cancelOrder(body.ORGN_ODNO, body.PDNO, Number(body.ORD_QTY), body.OVRS_EXCG_CD);
+        return { status: 200, body: result };
+    }
+
+    _inquireNccs(req, query) {
+        const orders = this.broker.getOpenOrders()
+            .filter(o => this._matchesExchange(query.OVRS_EXCG_CD, o.exchange));
+        const page = this._paginate(req, query, orders);
+
+        const output = page.rows.map(o => ({
+            ord_dt: o.orderDate,
+            ord_gno_brno: '01790',
+            odno: o.orderNo,
+            orgn_odno: '',
+            pdno: o.symbol,
+            prdt_name: o.symbol,
+            sll_buy_dvsn_cd: o.side === 'SELL' ? '01' : '02',
+            sll_buy_dvsn_cd_name: o.side === 'SELL' ? '매도' : '매수',
+            rvse_cncl_dvsn_cd: '00',
+            rvse_cncl_dvsn_cd_name: '',
+            rjct_rson: '',
+            rjct_rson_name: '',
+            ord_tmd: o.orderTime,
+            tr_mket_name: EXCHANGE_NAMES[o.exchange] || o.exchange,
+            tr_crcy_cd: 'USD',
+            natn_cd: '840',
+            natn_kor_name: '미국',
+            ft_ord_qty: String(o.qty),
+            ft_ccld_qty: String(o.filledQty),
+            nccs_qty: String(o.qty - o.filledQty),
+            ft_ord_unpr3: Number(o.price).toFixed(8),
+            ft_ccld_unpr3: (o.avgFillPrice || 0).toFixed(8),
+            ft_ccld_amt3: ((o.avgFillPrice || 0) * o.filledQty).toFixed(5),
+            ovrs_excg_cd: o.exchange,
+            prcs_stat_name: '',
+            loan_type_cd: '10',
+            loan_dt: '',
+            usa_amk_exts_rqst_yn: 'N',
+            splt_buy_attr_name: ''
+        }));
+
+        return {
+            status: 200,
+            headers: page.headers,
+            body: {
+                ctx_area_fk200: `${this.accountNo}^01^${query.OVRS_EXCG_CD || ''}^${query.SORT_SQN || ''}^`,
+                ctx_area_nk200: page.ctx_area_nk200,
+                output,
+                ...this._pageMessage(page)
+            }
+        };
+    }
+
+    async _inquireCcnl(req, query) {
+        const allExchanges = !query.OVRS_EXCG_CD || query.OVRS_EXCG_CD === '%';
+        const executions = (await this.broker.getOrderExecutions())
+            .filter(e => allExchanges || this._matchesExchange(query.OVRS_EXCG_CD, e.exchange))
+            .filter(e => !query.PDNO || query.PDNO === '%' || e.symbol === query.PDNO);
+        const page = this._paginate(req, query, executions);
+
+        const output = page.rows.map(e => ({
+            ord_dt: e.orderDate,
+            ord_gno_brno: '01790',
+            odno: e.orderNo,
+            orgn_odno: e.originalOrderNo,
+            sll_buy_dvsn_cd: e.side === 'SELL' ? '01' : '02',
+            sll_buy_dvsn_cd_name: e.side === 'SELL' ? '매도' : '매수',
+            rvse_cncl_dvsn: e.modifyCancelType,
+            rvse_cncl_dvsn_name: '',
+            pdno: e.symbol,
+            prdt_name: e.symbol,
+            ft_ord_qty: String(e.orderQty),
+            ft_ord_unpr3: Number(e.orderPrice).toFixed(8),
+            ft_ccld_qty: String(e.filledQty),
+            ft_ccld_unpr3: Number(e.avgFillPrice).toFixed(8),
+            ft_ccld_amt3: (e.avgFillPrice * e.filledQty).toFixed(5),
+            nccs_qty: String(e.unfilledQty),
+            prcs_stat_name: e.status,
+            rjct_rson: '',
+            rjct_rson_name: '',
+            ord_tmd: e.orderTime,
+            tr_mket_name: EXCHANGE_NAMES[e.exchange] || e.exchange,
+            tr_natn: '840',
+            tr_natn_name: '미국',
+            ovrs_excg_cd: e.exchange,
+            tr_crcy_cd: 'USD',
+            dmst_ord_dt: e.orderDate,
+            thco_ord_tmd: e.orderTime,
+            loan_type_cd: '10',
+            loan_dt: '',
+            mdia_dvsn_name: 'OpenAPI',
+            usa_amk_exts_rqst_yn: 'N',
+            splt_buy_attr_name: ''
+        }));
+
+        return {
+            status: 200,
+            headers: page.headers,
+            body: {
+                ctx_area_fk200: `${this.accountNo}^01^${query.PDNO || ''}^${query.ORD_STRT_DT || ''}^${query.ORD_END_DT || ''}^`,
+                ctx_area_nk200: page.ctx_area_nk200,
+                output,
+                ...this._pageMessage(page)
+            }
+        };
+    }
+}
+
+module.exports = FakeKisServer;
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 29443;
+    const server = new FakeKisServer({ mode: process.env.FAKE_KIS_MODE || 'REAL' });
+    server.start(port).then(url => {
+        console.log(`Fake KIS server listening on ${url} (mode: ${server.mode})`);
+        console.log(`Set KIS_BASE_URL=${url} to use it.`);
+    });
+}
@@ -3,9 +3,21 @@ const config = require('./config');
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
-const TOKEN_FILE = path.join(__dirname, '../token.json');
+const crypto = require('crypto');
+const requestScheduler = require('./request-scheduler');
+const TOKEN_DIR = path.join(__dirname, '../data/tokens');
 
-const logger = winston.createLogger({
+// Token errors that are recovered by re-issuing the token once (EGW00123: expired, EGW00121: invalid)
+const TOKEN_ERROR_CODES = ['EGW00123', 'EGW00121'];
+
+// US exchange codes queried for balance / unfilled orders
+const US_EXCHANGES = ['NASD', 'NYSE', 'AMEX'];
+const REFERENCE_SYMBOLS = { NASD: 'AAPL', NYSE: 'KO', AMEX: 'SPY' };
+
+// Safety limit for continuation-key pagination
+const MAX_PAGES = 50;
+
+const defaultLogger = winston.createLogger({
     level: 'info',
     format: winston.format.simple(),
     transports: [
@@ -23,31 +35,158 @@ class KisApi {
         this.accountCode = config.kis.accountCode ? config.kis.accountCode.trim() : '';
         this.accessToken = null;
         this.tokenExpiry = null;
+        this.tokenCacheKey = null; // base URL + app key the cached token was issued for
+        this.tokenRequest = null; // In-flight token request shared by concurrent callers
+        this.tokenFile = null; // Override path (default: data/tokens/<key>.json)
+        this.tokenKeyWarned = false; // KIS_TOKEN_KEY fallback warning is logged once
+        this.scheduler = requestScheduler;
+        this.logger = defaultLogger;
     }
 
+    /**
+     * Send a request through the shared scheduler (rate limit + retry with backoff)
+     * Order POSTs pass idempotent: false so they are retried only when the gateway rejected them
+     * An expired/invalid token error re-issues the token and retries once (the request was not accepted)
+     */
+    _get(url, options) {
+        return this._withTokenRecovery(options, () =>
+            this.scheduler.schedule('kis', () => axios.get(url, options), { label: `GET ${url.split('/').pop()}` }));
+    }
 
-    async getAuthToken() {
-        if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-            return this.accessToken;
+    _post(url, data, options, idempotent = true) {
+        return this._withTokenRecovery(options, () =>
+            this.scheduler.schedule('kis', () => axios.post(url, data, options), { label: `POST ${url.split('/').pop()}`, idempotent }));
+    }
+
+    async _withTokenRecovery(options, send) {
+        try {
+            return await send();
+        } catch (error) {
+            const auth = options && options.headers && options.headers.authorization;
+            if (!auth || !this._isTokenError(error)) throw error;
+
+            this.logger.warn(`KIS token rejected (${error.response.data.msg1 || error.response.status}). Re-issuing...`);
+            this._invalidateToken(auth.replace(/^Bearer\s+/, ''));
+            options.headers.authorization = `Bearer ${await this.getAuthToken()}`;
+            return send();
         }
+    }
 
-        // Try to load from file
+    _isTokenError(error) {
+        if (!error.response) return false;
+        const data = error.response.data || {};
+        return error.response.status === 401 || TOKEN_ERROR_CODES.includes(data.msg_cd);
+    }
+
+    // ============================================
+    // Token cache (per base URL + app key, encrypted at rest)
+    // ============================================
+
+    _tokenKey() {
+        return crypto.createHash('sha256').update(`${this.baseUrl}|${this.appKey}`).digest('hex').slice(0, 16);
+    }
+
+    _tokenPath() {
+        return this.tokenFile || path.join(TOKEN_DIR, `${this._tokenKey()}.json`);
+    }
+
+    // AES-256-GCM key from KIS_TOKEN_KEY (falls back to the app secret with a warning)
+    _cipherKey() {
+        if (!config.kis.tokenKey && !this.tokenKeyWarned) {
+            this.logger.warn('KIS_TOKEN_KEY is not set. Encrypting cached tokens with KIS_APP_SECRET; set a separate key in .env');
+            this.tokenKeyWarned = true;
+        }
+        const secret = config.kis.tokenKey || this.appSecret;
+        return crypto.createHash('sha256').update(String(secret)).digest();
+    }
+
+    _encryptToken(payload) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this._cipherKey(), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+        return {
+            v: 1,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    _decryptToken(stored) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this._cipherKey(), Buffer.from(stored.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    }
+
+    _loadToken() {
+        const file = this._tokenPath();
         try {
-            if (fs.existsSync(TOKEN_FILE)) {
-                const data = JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
-                if (new Date(data.expiry) > new Date()) {
-                    this.accessToken = data.token;
-                    this.tokenExpiry = new Date(data.expiry);
-                    // logger.info('KIS API Token loaded from file');
-                    return this.accessToken;
-                }
+            if (fs.existsSync(file)) {
+                const data = this._decryptToken(JSON.parse(fs.readFileSync(file, 'utf8')));
+                if (new Date(data.expiry) > new Date()) return data;
             }
         } catch (e) {
-            logger.warn('Failed to load token from file');
+            this.logger.warn('Failed to load token from file (wrong KIS_TOKEN_KEY or corrupted file)');
+        }
+        return null;
+    }
+
+    _saveToken() {
+        const file = this._tokenPath();
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(this._encryptToken({
+                token: this.accessToken,
+                expiry: this.tokenExpiry
+            })), { mode: 0o600 });
+        } catch (e) {
+            this.logger.warn('Failed to save token to file');
         }
+    }
 
+    /**
+     * Drop a rejected token (memory and file). Ignored if another caller already replaced it
+     */
+    _invalidateToken(token) {
+        if (this.accessToken !== token) return;
+
+        this.accessToken = null;
+        this.tokenExpiry = null;
         try {
-            const response = await axios.post(`${this.baseUrl}/oauth2/tokenP`, {
+            fs.rmSync(this._tokenPath(), { force: true });
+        } catch (e) {
+            this.logger.warn('Failed to remove token file');
+        }
+    }
+
+    async getAuthToken() {
+        const key = this._tokenKey();
+        if (this.accessToken && this.tokenCacheKey === key && this.tokenExpiry && new Date() < this.tokenExpiry) {
+            return this.accessToken;
+        }
+
+        // Concurrent callers share one token request
+        if (!this.tokenRequest) {
+            this.tokenRequest = this._loadOrIssueToken(key).finally(() => {
+                this.tokenRequest = null;
+            });
+        }
+        return this.tokenRequest;
+    }
+
+    async _loadOrIssueToken(key) {
+        // Try to load from file
+        const saved = this._loadToken();
+        if (saved) {
+            this.accessToken = saved.token;
+            this.tokenExpiry = new Date(saved.expiry);
+            this.tokenCacheKey = key;
+            return this.accessToken;
+        }
+
+        try {
+            const response = await this._post(`${this.baseUrl}/oauth2/tokenP`, {
                 grant_type: 'client_credentials',
                 appkey: this.appKey,
                 appsecret: this.appSecret
@@ -55,21 +194,15 @@ class KisApi {
 
             this.accessToken = response.data.access_token;
             this.tokenExpiry = new Date(Date.now() + (response.data.expires_in * 1000) - 60000); // Buffer 1 min
+            this.tokenCacheKey = key;
 
             // Save to file
-            try {
-                fs.writeFileSync(TOKEN_FILE, JSON.stringify({
-                    token: this.accessToken,
-                    expiry: this.tokenExpiry
-                }));
-            } catch (e) {
-                logger.warn('Failed to save token to file');
-            }
+            this._saveToken();
 
-            logger.info('KIS API Token refreshed');
+            this.logger.info('KIS API Token refreshed');
             return this.accessToken;
         } catch (error) {
-            logger.error(`KIS Auth Error: ${error.message}`);
+            this.logger.error(`KIS Auth Error: ${error.message}`);
             throw error;
         }
     }
@@ -86,9 +219,50 @@ class KisApi {
         };
     }
 
+    /**
+     * Read every page of a list inquiry
+     * Follows the tr_cont response header (M/F: more pages, D/E: last page) and sends the
+     * ctx_area_fk200/nk200 continuation keys back with tr_cont: N until all pages are read
+     * @param {string} urlPath - Inquiry path (e.g. /uapi/overseas-stock/v1/trading/inquire-nccs)
+     * @param {string} trId
+     * @param {Object} params - Query params (CTX_AREA_FK200/NK200 are managed here)
+     * @returns {Array<Object>} Response bodies, one per page. Stops at the first page with rt_cd !== '0'
+     */
+    async _inquireAllPages(urlPath, trId, params) {
+        const pages = [];
+        let trCont = '';
+        let context = { CTX_AREA_FK200: '', CTX_AREA_NK200: '' };
+
+        while (pages.length < MAX_PAGES) {
+            const headers = await this.getHeaders(trId);
+            if (trCont) headers['tr_cont'] = trCont;
+
+            const response = await this._get(`${this.baseUrl}${urlPath}`, {
+                headers,
+                params: { ...params, ...context }
+            });
+            pages.push(response.data);
+
+            const next = response.headers['tr_cont'];
+            if (response.data.rt_cd !== '0' || (next !== 'M' && next !== 'F')) {
+                return pages;
+            }
+
+            context = {
+                CTX_AREA_FK200: response.data.ctx_area_fk200 || '',
+                CTX_AREA_NK200: response.data.ctx_area_nk200 || ''
+            };
+            trCont = 'N';
+        }
+
+        this.logger.warn(`Pagination stopped after ${MAX_PAGES} pages (TR_ID: ${trId})`);
+        return pages;
+    }
+
     /**
      * Get Account Balance (Overseas Stock)
      * Note: TR ID varies for real/paper and specific market. Assuming US Stock.
+     * Queries every US exchange and merges holdings (NYSE/AMEX holdings are missing from a NASD-only inquiry)
      */
     async getBalance() {
         try {
@@ -97,62 +271,80 @@ class KisApi {
             // Using a common TR ID for US Stock Balance inquiry.
             const trId = config.trading.mode === 'REAL' ? 'TTTS3012R' : 'VTTS3012R';
 
-            const headers = await this.getHeaders(trId);
-            const params = {
-                CANO: this.accountNo,
-                ACNT_PRDT_CD: this.accountCode,
-                OVRS_EXCG_CD: 'NASD', // Example: NASD, NYSE, AMEX
-                TR_CRCY_CD: 'USD',
-                CTX_AREA_FK200: '',
-                CTX_AREA_NK200: ''
-            };
-
-            const response = await axios.get(`${this.baseUrl}/uapi/overseas-stock/v1/trading/inquire-balance`, {
-                headers,
-                params
-            });
-
-            // DEBUG: Log full response to find the correct balance field
-            logger.info(`[DEBUG] Balance Response: ${JSON.stringify(response.data)}`);
-
             // Parse KIS API Response
             // output1: Holdings list
             // output2: Account summary (buying power, etc.)
+            // Real accounts may return all US holdings for NASD, so merge by symbol
+            const items = new Map();
+            let depositAmount = 0;
+
+            for (const exchange of US_EXCHANGES) {
+                const params = {
+                    CANO: this.accountNo,
+                    ACNT_PRDT_CD: this.accountCode,
+                    OVRS_EXCG_CD: exchange,
+                    TR_CRCY_CD: 'USD'
+                };
+
+                const pages = await this._inquireAllPages('/uapi/overseas-stock/v1/trading/inquire-balance', trId, params);
+
+                for (const data of pages) {
+                    // DEBUG: Log full response to find the correct balance field
+                    this.logger.info(`[DEBUG] Balance Response (${exchange}): ${JSON.stringify(data)}`);
+
+                    // A partial view would make stale-position cleanup delete holdings, so fail the whole inquiry
+                    if (data.rt_cd !== '0') {
+                        throw new Error(`${exchange}: ${data.msg1}`);
+                    }
 
-            const holdings = response.data.output1.map(item => ({
+                    for (const item of data.output1 || []) {
+                        if (!items.has(item.ovrs_pdno)) items.set(item.ovrs_pdno, item);
+                    }
+
+                    // USD deposit is account-wide (same value on every exchange and page)
+                    // output2 may be missing or arrive as a one-element array
+                    const summary = Array.isArray(data.output2) ? data.output2[0] : data.output2;
+                    depositAmount = Math.max(depositAmount, Number(summary?.frcr_dncl_amt_2 || 0));
+                }
+            }
+
+            const allHoldings = [...items.values()].map(item => ({
                 symbol: item.ovrs_pdno, // Symbol
                 qty: Number(item.ord_psbl_qty), // Use Order Possible Qty instead of Total Balance Qty
+                balanceQty: Number(item.ovrs_cblc_qty), // Total Balance Qty (includes qty reserved by sell orders)
                 avgPrice: Number(item.pchs_avg_pric), // Average Purchase Price
                 currentPrice: Number(item.now_pric2), // Current Price
-                profitRate: Number(item.evlu_pfls_rt) // Profit Rate
-            })).filter(h => h.qty > 0); // Only keep holdings with available quantity
+                profitRate: Number(item.evlu_pfls_rt), // Profit Rate
+                exchange: item.ovrs_excg_cd // NASD, NYSE, AMEX
+            }));
+            const holdings = allHoldings.filter(h => h.qty > 0); // Only keep holdings with available quantity
 
             // If buying power is 0 from output2, try to fetch "Present Balance" (Cash) separately
             // This is often needed if the user has no holdings or if TTTS3012R doesn't return cash details.
-            let buyingPower = Number(response.data.output2.frcr_dncl_amt_2 || 0);
+            let buyingPower = depositAmount;
 
             if (buyingPower === 0) {
                 try {
-                    logger.info('Attempting to fetch present balance (fallback)...');
+                    this.logger.info('Attempting to fetch present balance (fallback)...');
                     const cashBalance = await this.getPresentBalance();
                     if (cashBalance > 0) {
                         buyingPower = cashBalance;
-                        logger.info(`Fetched Buying Power from Present Balance: $${buyingPower}`);
+                        this.logger.info(`Fetched Buying Power from Present Balance: $${buyingPower}`);
                     }
                 } catch (e) {
-                    logger.warn(`Failed to fetch present balance: ${e.message}`);
+                    this.logger.warn(`Failed to fetch present balance: ${e.message}`);
                 }
             }
 
             const balance = {
                 buyingPower: buyingPower,
-                totalAsset: Number(response.data.output2.tot_evlu_pfls_amt),
+                totalAsset: buyingPower + allHoldings.reduce((sum, h) => sum + h.currentPrice * h.balanceQty, 0),
                 holdings: holdings
             };
 
             return balance;
         } catch (error) {
-            logger.error(`Get Balance Error: ${error.message}`);
+            this.logger.error(`Get Balance Error: ${error.message}`);
             // Return null on error to indicate failure, preventing downstream data loss
             return null;
         }
@@ -161,32 +353,41 @@ class KisApi {
     /**
      * Get Purchasable Amount (Buying Power)
      * TR ID: TTTS3007R (Real) / VTTS3007R (Paper)
+     * Purchasable USD is shared across exchanges, so the largest per-exchange value is used
      */
     async getPresentBalance() {
         const trId = config.trading.mode === 'REAL' ? 'TTTS3007R' : 'VTTS3007R';
-        const headers = await this.getHeaders(trId);
-        const params = {
-            CANO: this.accountNo,
-            ACNT_PRDT_CD: this.accountCode,
-            OVRS_EXCG_CD: 'NASD', // Exchange
-            OVRS_ORD_UNPR: '0', // Price (0 for market/check)
-            ITEM_CD: '' // Item code (optional? or maybe need a dummy symbol like AAPL)
-        };
+        let purchasable = 0;
 
-        // Note: inquire-psamount might require a symbol to calculate buying power based on margin?
-        // Let's try with a dummy symbol if needed, or empty.
-        // Docs say ITEM_CD is required. Let's use 'AAPL' as reference.
-        params.ITEM_CD = 'AAPL';
+        for (const exchange of US_EXCHANGES) {
+            const headers = await this.getHeaders(trId);
+            const params = {
+                CANO: this.accountNo,
+                ACNT_PRDT_CD: this.accountCode,
+                OVRS_EXCG_CD: exchange, // Exchange
+                OVRS_ORD_UNPR: '0', // Price (0 for market/check)
+                ITEM_CD: '' // Item code (optional? or maybe need a dummy symbol like AAPL)
+            };
+
+            // Note: inquire-psamount might require a symbol to calculate buying power based on margin?
+            // Let's try with a dummy symbol if needed, or empty.
+            // Docs say ITEM_CD is required. Use a reference symbol listed on the queried exchange.
+            params.ITEM_CD = REFERENCE_SYMBOLS[exchange];
+
+            const response = await this._get(`${this.baseUrl}/uapi/overseas-stock/v1/trading/inquire-psamount`, {
+                headers,
+                params
+            });
 
-        const response = await axios.get(`${this.baseUrl}/uapi/overseas-stock/v1/trading/inquire-psamount`, {
-            headers,
-            params
-        });
+            this.logger.info(`[DEBUG] Purchasable Amount Response (${exchange}): ${JSON.stringify(response.data)}`);
 
-        logger.info(`[DEBUG] Purchasable Amount Response: ${JSON.stringify(response.data)}`);
+            // output.ovrs_ord_psbl_amt (Overseas Order Purchasable Amount)
+            if (response.data.output) {
+                purchasable = Math.max(purchasable, Number(response.data.output.ovrs_ord_psbl_amt || 0));
+            }
+        }
 
-        // output.ovrs_ord_psbl_amt (Overseas Order Purchasable Amount)
-        return Number(response.data.output.ovrs_ord_psbl_amt || 0);
+        return purchasable;
     }
 
     async getHashKey(data) {
@@ -196,11 +397,11 @@ class KisApi {
                 'appkey': this.appKey,
                 'appsecret': this.appSecret
             };
-            const response = await axios.post(`${this.baseUrl}/uapi/hashkey`, data, { headers });
-            logger.info(`Generated HashKey: ${response.data.HASH}`);
+            const response = await this._post(`${this.baseUrl}/uapi/hashkey`, data, { headers });
+            this.logger.info(`Generated HashKey: ${response.data.HASH}`);
             return response.data.HASH;
         } catch (error) {
-            logger.error(`Get HashKey Error: ${error.message}`);
+            this.logger.error(`Get HashKey Error: ${error.message}`);
             return null;
         }
     }
@@ -244,66 +445,135 @@ class KisApi {
                 headers['hashkey'] = hashkey;
             }
 
-            logger.info(`[DEBUG] Order Request (TR_ID: ${trId}): ${JSON.stringify(data)}`);
+            this.logger.info(`[DEBUG] Order Request (TR_ID: ${trId}): ${JSON.stringify(data)}`);
 
-            const response = await axios.post(`${this.baseUrl}/uapi/overseas-stock/v1/trading/order`, data, { headers });
+            const response = await this._post(`${this.baseUrl}/uapi/overseas-stock/v1/trading/order`, data, { headers }, false);
 
-            logger.info(`Order Placed: ${side} ${symbol} ${qty} @ ${price} - Msg: ${response.data.msg1}`);
+            this.logger.info(`Order Placed: ${side} ${symbol} ${qty} @ ${price} - Msg: ${response.data.msg1}`);
             return response.data;
         } catch (error) {
             if (error.response) {
-                logger.error(`Order Error (${side} ${symbol}): Status ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+                this.logger.error(`Order Error (${side} ${symbol}): Status ${error.response.status} - ${JSON.stringify(error.response.data)}`);
             } else {
-                logger.error(`Order Error (${side} ${symbol}): ${error.message}`);
+                this.logger.error(`Order Error (${side} ${symbol}): ${error.message}`);
             }
             return null;
         }
     }
 
     /**
-     * Get Unfilled Orders
-     * TR ID: TTTS3018R (Real)
+     * Get Unfilled Orders (all US exchanges)
+     * TR ID: TTTS3018R (Real) / VTTS3018R (Paper)
+     * @returns {Array|null} null if any exchange or page fails, so callers keep pending orders as-is
      */
     async getUnfilledOrders() {
         try {
-            // TR ID: TTTS3018R (Real) - Confirmed by user image
-            // Note: Documentation says TTTS3018R for Overseas Unfilled.
-            const trId = 'TTTS3018R';
-            const headers = await this.getHeaders(trId);
+            const trId = config.trading.mode === 'REAL' ? 'TTTS3018R' : 'VTTS3018R';
+            const orders = new Map(); // Merge by order number (NASD may already include other exchanges)
+
+            for (const exchange of US_EXCHANGES) {
+                const params = {
+                    CANO: this.accountNo,
+                    ACNT_PRDT_CD: this.accountCode,
+                    OVRS_EXCG_CD: exchange,
+                    SORT_SQN: 'DS' // Descending sort
+                };
+
+                const pages = await this._inquireAllPages('/uapi/overseas-stock/v1/trading/inquire-nccs', trId, params);
+                const items = [];
+
+                for (const data of pages) {
+                    this.logger.info(`[DEBUG] Unfilled Orders Response (${exchange}): ${JSON.stringify(data)}`);
+
+                    // A partial list would make pending orders look cancelled, so fail the whole inquiry
+                    if (data.rt_cd !== '0') {
+                        throw new Error(`${exchange}: ${data.msg1}`);
+                    }
+                    items.push(...(data.output || []));
+                }
+
+                for (const item of items) {
+                    if (orders.has(item.odno)) continue;
+                    orders.set(item.odno, {
+                        orderNo: item.odno, // Original Order Number
+                        symbol: item.pdno,
+                        qty: Number(item.nccs_qty), // Unfilled Quantity
+                        price: Number(item.ft_ord_unpr3 || item.ord_unpr), // Order Price (ft_ord_unpr3 in overseas response)
+                        orderTime: item.ord_dt, // Order Date (YYYYMMDD)
+                        orderTimeTime: item.ord_tmd, // Order Time (HHMMSS)
+                        exchange: item.ovrs_excg_cd // Capture Exchange Code (NYSE, NASD, etc.)
+                    });
+                }
+            }
+
+            return [...orders.values()];
+        } catch (error) {
+            this.logger.error(`Error fetching unfilled orders: ${error.message}`);
+            return null;
+        }
+    }
 
+    /**
+     * Get Order Executions (filled, partially filled, cancelled and rejected orders)
+     * TR ID: TTTS3035R (Real) / VTTS3035R (Paper)
+     * @param {number} days - How many days back to search (KST order dates)
+     * @returns {Array|null} null on error so callers can skip reconciliation
+     */
+    async getOrderExecutions(days = 1) {
+        try {
+            const isReal = config.trading.mode === 'REAL';
+            const trId = isReal ? 'TTTS3035R' : 'VTTS3035R';
+
+            const toKstDate = time => new Date(time + 9 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
             const params = {
                 CANO: this.accountNo,
                 ACNT_PRDT_CD: this.accountCode,
-                OVRS_EXCG_CD: 'NASD', // Default to NASD for inquiry
-                SORT_SQN: 'DS', // Descending sort
-                CTX_AREA_FK200: '',
-                CTX_AREA_NK200: ''
+                PDNO: isReal ? '%' : '', // All symbols (paper requires blank)
+                ORD_STRT_DT: toKstDate(Date.now() - days * 24 * 60 * 60 * 1000),
+                ORD_END_DT: toKstDate(Date.now()),
+                SLL_BUY_DVSN: '00', // 00: All, 01: Sell, 02: Buy
+                CCLD_NCCS_DVSN: '00', // 00: All, 01: Filled, 02: Unfilled
+                OVRS_EXCG_CD: isReal ? '%' : '', // All exchanges (paper requires blank)
+                SORT_SQN: 'DS',
+                ORD_DT: '',
+                ORD_GNO_BRNO: '',
+                ODNO: ''
             };
 
-            const response = await axios.get(`${this.baseUrl}/uapi/overseas-stock/v1/trading/inquire-nccs`, {
-                headers,
-                params
-            });
+            const pages = await this._inquireAllPages('/uapi/overseas-stock/v1/trading/inquire-ccnl', trId, params);
+            const items = [];
 
-            logger.info(`[DEBUG] Unfilled Orders Response: ${JSON.stringify(response.data)}`);
+            for (const data of pages) {
+                this.logger.info(`[DEBUG] Order Executions Response: ${JSON.stringify(data)}`);
 
-            if (response.data.rt_cd !== '0') {
-                logger.error(`Failed to fetch unfilled orders: ${response.data.msg1}`);
-                return [];
+                // A missing page could hide fills, so treat any failed page as a failed inquiry
+                if (data.rt_cd !== '0') {
+                    this.logger.error(`Failed to fetch order executions: ${data.msg1}`);
+                    return null;
+                }
+                items.push(...(data.output || []));
             }
 
-            return response.data.output.map(item => ({
-                orderNo: item.odno, // Original Order Number
+            return items.map(item => ({
+                orderNo: item.odno,
+                originalOrderNo: item.orgn_odno, // Set on modify/cancel orders
                 symbol: item.pdno,
-                qty: Number(item.nccs_qty), // Unfilled Quantity
-                price: Number(item.ord_unpr),
-                orderTime: item.ord_dt, // Order Date (YYYYMMDD)
-                orderTimeTime: item.ord_tmd, // Order Time (HHMMSS)
-                exchange: item.ovrs_excg_cd // Capture Exchange Code (NYSE, NASD, etc.)
+                side: item.sll_buy_dvsn_cd === '01' ? 'SELL' : 'BUY',
+                modifyCancelType: item.rvse_cncl_dvsn, // 01: Modify, 02: Cancel
+                orderQty: Number(item.ft_ord_qty),
+                orderPrice: Number(item.ft_ord_unpr3),
+                filledQty: Number(item.ft_ccld_qty),
+                avgFillPrice: Number(item.ft_ccld_unpr3), // Average fill price
+                unfilledQty: Number(item.nccs_qty),
+                status: item.prcs_stat_name, // 완료, 접수, 거부 ...
+                rejectReason: item.rjct_rson_name || item.rjct_rson || '',
+                orderDate: item.ord_dt,
+                orderTime: item.ord_tmd,
+                exchange: item.ovrs_excg_cd
             }));
         } catch (error) {
-            logger.error(`Error fetching unfilled orders: ${error.message}`);
-            return [];
+            this.logger.error(`Error fetching order executions: ${error.message}`);
+            return null;
         }
     }
 
@@ -315,8 +585,29 @@ class KisApi {
      * @param {string} exchange - Exchange Code (NASD, NYSE, etc.)
      */
     async cancelOrder(orderNo, symbol, qty = 0, exchange = 'NASD') {
+        return this._reviseOrCancel('02', orderNo, symbol, qty, 0, exchange);
+    }
+
+    /**
+     * Modify an order's limit price (KIS issues a new order number in output.ODNO)
+     * @param {string} orderNo - Original Order Number (ODNO)
+     * @param {string} symbol - Stock Symbol
+     * @param {number} qty - Remaining quantity to keep working
+     * @param {number} price - New limit price
+     * @param {string} exchange - Exchange Code (NASD, NYSE, etc.)
+     */
+    async modifyOrder(orderNo, symbol, qty, price, exchange = 'NASD') {
+        return this._reviseOrCancel('01', orderNo, symbol, qty, price, exchange);
+    }
+
+    /**
+     * Modify ('01') or cancel ('02') an order
+     * TR ID: TTTT1004U (Real) / VTTT1004U (Paper)
+     */
+    async _reviseOrCancel(dvsnCd, orderNo, symbol, qty, price, exchange) {
+        const action = dvsnCd === '01' ? 'Modify' : 'Cancel';
         try {
-            // TR ID: TTTT1004U (Real) / VTTT1004U (Paper) - Overseas Stock Cancel
+            // TR ID: TTTT1004U (Real) / VTTT1004U (Paper) - Overseas Stock Modify/Cancel
             const trId = config.trading.mode === 'REAL' ? 'TTTT1004U' : 'VTTT1004U';
             const headers = await this.getHeaders(trId);
 
@@ -333,9 +624,9 @@ class KisApi {
                 OVRS_EXCG_CD: kisExchange, // Use dynamic exchange
                 PDNO: symbol,
                 ORGN_ODNO: orderNo,
-                RVSE_CNCL_DVSN_CD: '02', // 01: Modify, 02: Cancel
+                RVSE_CNCL_DVSN_CD: dvsnCd, // 01: Modify, 02: Cancel
                 ORD_QTY: qty === 0 ? '0' : String(qty), // 0 means cancel all
-                OVRS_ORD_UNPR: '0', // Price (0 for cancel)
+                OVRS_ORD_UNPR: dvsnCd === '01' ? String(Number(price).toFixed(2)) : '0', // Price (0 for cancel)
                 ORD_SVR_DVSN_CD: 'V' // Optional but often required for real trading
             };
 
@@ -345,17 +636,21 @@ class KisApi {
                 headers['hashkey'] = hashkey;
             }
 
-            logger.info(`[DEBUG] Cancel Request (TR_ID: ${trId}): ${JSON.stringify(data)}`);
+            this.logger.info(`[DEBUG] ${action} Request (TR_ID: ${trId}): ${JSON.stringify(data)}`);
 
-            const response = await axios.post(`${this.baseUrl}/uapi/overseas-stock/v1/trading/order-rvsecncl`, data, { headers });
+            const response = await this._post(`${this.baseUrl}/uapi/overseas-stock/v1/trading/order-rvsecncl`, data, { headers }, false);
 
-            logger.info(`Order Cancelled: ${symbol} (OrderNo: ${orderNo}) - Msg: ${response.data.msg1}`);
+            if (dvsnCd === '01') {
+                this.logger.info(`Order Modified: ${symbol} (OrderNo: ${orderNo}) → $${data.OVRS_ORD_UNPR} - Msg: ${response.data.msg1}`);
+            } else {
+                this.logger.info(`Order Cancelled: ${symbol} (OrderNo: ${orderNo}) - Msg: ${response.data.msg1}`);
+            }
             return response.data;
         } catch (error) {
             if (error.response) {
-                logger.error(`Cancel Error (${symbol}): Status ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+                this.logger.error(`${action} Error (${symbol}): Status ${error.response.status} - ${JSON.stringify(error.response.data)}`);
             } else {
-                logger.error(`Cancel Error (${symbol}): ${error.message}`);
+                this.logger.error(`${action} Error (${symbol}): ${error.message}`);
             }
             return null;
         }
@@ -0,0 +1,209 @@
+/**
+ * Market Data Source
+ * yahoo-finance2 호출(chart/quote/search)을 감싸는 공통 진입점
+ * - LIVE: Yahoo 직접 호출 (기본값)
+ * - RECORD: Yahoo 응답을 세션 카세트 파일(JSON Lines)에 기록
+ * - REPLAY: 카세트에서 종목/인터벌/시각 기준으로 응답을 재생 (네트워크 없음)
+ * - 실제 호출은 공통 스케줄러로 속도 제한 / 429 재시도
+ *
+ * 사용법:
+ *   MARKET_DATA_MODE=RECORD node index-enhanced.js
+ *   MARKET_DATA_MODE=REPLAY MARKET_DATA_CASSETTE=2025-11-20 TRADING_MODE=SIM node index-enhanced.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yahooFinance = require('yahoo-finance2').default;
+const config = require('./config');
+const requestScheduler = require('./request-scheduler');
+
+const CASSETTE_DIR = path.join(__dirname, '../data/cassettes');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+class CassetteMissError extends Error {
+    constructor(key) {
+        super(`No recorded response for ${key}`);
+        this.name = 'CassetteMissError';
+    }
+}
+
+class MarketData {
+    /**
+     * @param {Object} options
+     * @param {string} options.mode - LIVE | RECORD | REPLAY
+     * @param {string} options.cassette - 카세트 파일 경로 또는 세션 날짜(YYYY-MM-DD)
+     * @param {Object} options.client - 실제 호출 대상 (기본 yahoo-finance2)
+     * @param {Function} options.now - 현재 시각 (ms). REPLAY에서는 재생 시각 (없으면 카세트 첫 기록 시각부터 실제 경과 시간만큼 진행)
+     * @param {Object} options.scheduler - 요청 스케줄러 (기본 공통 스케줄러)
+     */
+    constructor(options = {}) {
+        this.mode = (options.mode || config.marketData.mode).toUpperCase();
+        this.client = options.client || yahooFinance;
+        this.scheduler = options.scheduler || requestScheduler;
+        this.clock = options.now || Date.now;
+        this.cassetteFile = this._resolveCassette(options.cassette !== undefined ? options.cassette : config.marketData.cassette);
+
+        // REPLAY 상태
+        this.entries = null;
+        this.replayClock = options.now || null;
+        this.replayOffset = null;
+    }
+
+    _resolveCassette(cassette) {
+        if (!cassette) {
+            const date = new Date(this.clock()).toISOString().slice(0, 10);
+            return path.join(CASSETTE_DIR, `${date}.jsonl`);
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(cassette)) {
+            return path.join(CASSETTE_DIR, `${cassette}.jsonl`);
+        }
+        return path.resolve(cassette);
+    }
+
+    // ============================================
+    // yahoo-finance2 호환 인터페이스
+    // ============================================
+
+    async chart(symbol, queryOptions = {}, moduleOptions) {
+        return this._call('chart', symbol, this._chartKeyParts(queryOptions), [symbol, queryOptions, moduleOptions]);
+    }
+
+    async quote(symbols, queryOptions, moduleOptions) {
+        return this._call('quote', symbols, {}, [symbols, queryOptions, moduleOptions]);
+    }
+
+    async quoteSummary(symbol, queryOptions, moduleOptions) {
+        return this._call('quoteSummary', symbol, {}, [symbol, queryOptions, moduleOptions]);
+    }
+
+    async search(query, queryOptions, moduleOptions) {
+        return this._call('search', query, {}, [query, queryOptions, moduleOptions]);
+    }
+
+    suppressNotices(notices) {
+        if (typeof this.client.suppressNotices === 'function') {
+            this.client.suppressNotices(notices);
+        }
+    }
+
+    /**
+     * 현재 시각 (ms)
+     * REPLAY 중에는 재생 시각을 반환하므로 분석기 캐시/거래 세션 판단이 기록 당시와 동일하게 동작
+     */
+    now() {
+        if (this.mode !== 'REPLAY') return this.clock();
+
+        // 카세트가 없으면 실제 시각 (재생 요청 시 오류)
+        if (!this.replayClock && !this.entries && !fs.existsSync(this.cassetteFile)) return this.clock();
+        return this._replayNow();
+    }
+
+    // 재생 시각: 주입된 시계, 없으면 카세트 첫 기록 시각 + 재생 시작 후 경과 시간
+    _replayNow() {
+        if (this.replayClock) return this.replayClock();
+
+        this._loadCassette();
+        if (this.replayOffset === null) {
+            const start = this.entries.length > 0 ? this.entries[0].time : Date.now();
+            this.replayOffset = start - Date.now();
+        }
+        return Date.now() + this.replayOffset;
+    }
+
+    // ============================================
+    // 기록 / 재생
+    // ============================================
+
+    /**
+     * chart 요청 키: 인터벌 + 조회 기간(일). period1이 호출 시각 기준이므로 절대 날짜 대신 기간을 사용
+     */
+    _chartKeyParts(queryOptions) {
+        const toMs = value => value instanceof Date ? value.getTime() : new Date(value).getTime();
+        const end = queryOptions.period2 ? toMs(queryOptions.period2) : this.clock();
+        const span = queryOptions.period1 ? Math.round((end - toMs(queryOptions.period1)) / DAY_MS) : null;
+
+        return { interval: queryOptions.interval || '1d', span };
+    }
+
+    _key(method, symbol, parts) {
+        const name = Array.isArray(symbol) ? symbol.join(',') : symbol;
+        return [method, name, parts.interval, parts.span].filter(p => p !== undefined && p !== null).join('|');
+    }
+
+    async _call(method, symbol, parts, args) {
+        const key = this._key(method, symbol, parts);
+
+        if (this.mode === 'REPLAY') {
+            return this._replay(key);
+        }
+
+        const request = () => this.scheduler.schedule('yahoo', () => this.client[method](...args), { label: key });
+
+        if (this.mode !== 'RECORD') {
+            return request();
+        }
+
+        const entry = { time: this.clock(), key, method, symbol, ...parts };
+        try {
+            const response = await request();
+            this._append({ ...entry, response });
+            return response;
+        } catch (error) {
+            this._append({ ...entry, error: { name: error.name, message: error.message } });
+            throw error;
+        }
+    }
+
+    _append(entry) {
+        const dir = path.dirname(this.cassetteFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.appendFileSync(this.cassetteFile, JSON.stringify(entry) + '\n');
+    }
+
+    _loadCassette() {
+        if (this.entries) return;
+
+        if (!fs.existsSync(this.cassetteFile)) {
+            throw new Error(`Cassette not found: ${this.cassetteFile}`);
+        }
+
+        this.entries = fs.readFileSync(this.cassetteFile, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line, (k, value) =>
+                typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value));
+    }
+
+    /**
+     * 같은 키의 기록 중 재생 시각 이전(같은 시각 포함)의 가장 최근 응답을 재생
+     * 호출 순서와 무관하게 같은 시각에는 같은 응답. 이전 기록이 없으면 CassetteMissError
+     */
+    _replay(key) {
+        this._loadCassette();
+
+        const time = this._replayNow();
+        let entry = null;
+        for (const candidate of this.entries) {
+            if (candidate.key === key && candidate.time <= time && (!entry || candidate.time >= entry.time)) {
+                entry = candidate;
+            }
+        }
+        if (!entry) {
+            throw new CassetteMissError(`${key} at ${new Date(time).toISOString()}`);
+        }
+
+        if (entry.error) {
+            const error = new Error(entry.error.message);
+            error.name = entry.error.name;
+            throw error;
+        }
+        return entry.response;
+    }
+}
+
+module.exports = new MarketData();
+module.exports.MarketData = MarketData;
+module.exports.CassetteMissError = CassetteMissError;
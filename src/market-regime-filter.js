@@ -6,7 +6,7 @@
  * - 시간대별 전략 조절
  */
 
-const yahooFinance = require('yahoo-finance2').default;
+const marketData = require('./market-data');
 const { SMA } = require('technicalindicators');
 
 class MarketRegimeFilter {
@@ -24,7 +24,7 @@ class MarketRegimeFilter {
     async getMarketRegime() {
         // 캐시 확인
         if (this.cache.regime && this.cache.lastUpdate) {
-            const elapsed = Date.now() - this.cache.lastUpdate;
+            const elapsed = marketData.now() - this.cache.lastUpdate;
             if (elapsed < this.cache.cacheDuration) {
                 return this.cache.regime;
             }
@@ -33,16 +33,18 @@ class MarketRegimeFilter {
         try {
             const regime = await this._analyzeMarketRegime();
             this.cache.regime = regime;
-            this.cache.lastUpdate = Date.now();
+            this.cache.lastUpdate = marketData.now();
             return regime;
         } catch (error) {
             console.error(`Market Regime Error: ${error.message}`);
             // 에러 시 기본값 반환 (중립)
+            const tradingSession = this.getTradingSession(new Date(marketData.now()));
             return {
                 regime: 'NEUTRAL',
                 vix: null,
                 spyTrend: 'UNKNOWN',
-                tradingSession: this.getTradingSession(),
+                tradingSession: tradingSession.session,
+                marketCloseAt: tradingSession.closesAt || null,
                 allowBuy: false, // FAIL-SAFE: Do not allow buy if data is missing
                 allowSell: true,
                 positionSizeMultiplier: 0.5, // Reduce size if trading on stale/partial data
@@ -59,7 +61,7 @@ class MarketRegimeFilter {
         const spyAnalysis = await this._getSPYTrend();
 
         // 3. 현재 거래 세션 확인
-        const tradingSession = this.getTradingSession();
+        const tradingSession = this.getTradingSession(new Date(marketData.now()));
 
         // 4. 레짐 결정
         return this._determineRegime(vixData, spyAnalysis, tradingSession);
@@ -67,7 +69,7 @@ class MarketRegimeFilter {
 
     async _getVIXData() {
         try {
-            const quote = await yahooFinance.quote('^VIX');
+            const quote = await marketData.quote('^VIX');
             return {
                 current: quote.regularMarketPrice,
                 change: quote.regularMarketChangePercent,
@@ -85,7 +87,7 @@ class MarketRegimeFilter {
             const startDate = new Date();
             startDate.setDate(startDate.getDate() - 30);
 
-            const historical = await yahooFinance.chart('SPY', {
+            const historical = await marketData.chart('SPY', {
                 period1: startDate,
                 period2: endDate,
                 interval: '1d'
@@ -93,51 +95,71 @@ class MarketRegimeFilter {
 
             const closes = historical.quotes.map(q => q.close).filter(c => c != null);
 
-            if (closes.length < 20) {
-                return { trend: 'UNKNOWN', ma20: null, currentPrice: null };
-            }
-
-            const ma20 = SMA.calculate({ period: 20, values: closes });
-            const currentPrice = closes[closes.length - 1];
-            const currentMA20 = ma20[ma20.length - 1];
+            return this._calculateSPYTrend(closes);
+        } catch (error) {
+            return { trend: 'UNKNOWN', ma20: null, currentPrice: null, trendStrength: 0 };
+        }
+    }
 
-            // 5일 MA도 계산 (단기 추세)
-            const ma5 = SMA.calculate({ period: 5, values: closes });
-            const currentMA5 = ma5[ma5.length - 1];
+    _calculateSPYTrend(closes) {
+        if (closes.length < 20) {
+            return { trend: 'UNKNOWN', ma20: null, currentPrice: null };
+        }
 
-            let trend = 'NEUTRAL';
-            if (currentPrice > currentMA20 && currentMA5 > currentMA20) {
-                trend = 'BULLISH';
-            } else if (currentPrice < currentMA20 && currentMA5 < currentMA20) {
-                trend = 'BEARISH';
-            }
+        const ma20 = SMA.calculate({ period: 20, values: closes });
+        const currentPrice = closes[closes.length - 1];
+        const currentMA20 = ma20[ma20.length - 1];
 
-            // 추세 강도 계산 (MA20 대비 거리 %)
-            const trendStrength = ((currentPrice - currentMA20) / currentMA20) * 100;
+        // 5일 MA도 계산 (단기 추세)
+        const ma5 = SMA.calculate({ period: 5, values: closes });
+        const currentMA5 = ma5[ma5.length - 1];
 
-            return {
-                trend,
-                ma20: currentMA20,
-                ma5: currentMA5,
-                currentPrice,
-                trendStrength
-            };
-        } catch (error) {
-            return { trend: 'UNKNOWN', ma20: null, currentPrice: null, trendStrength: 0 };
+        let trend = 'NEUTRAL';
+        if (currentPrice > currentMA20 && currentMA5 > currentMA20) {
+            trend = 'BULLISH';
+        } else if (currentPrice < currentMA20 && currentMA5 < currentMA20) {
+            trend = 'BEARISH';
         }
+
+        // 추세 강도 계산 (MA20 대비 거리 %)
+        const trendStrength = ((currentPrice - currentMA20) / currentMA20) * 100;
+
+        return {
+            trend,
+            ma20: currentMA20,
+            ma5: currentMA5,
+            currentPrice,
+            trendStrength
+        };
     }
 
     /**
-     * 현재 거래 세션 확인 (미국 동부시간 기준)
+     * 주어진 데이터로 레짐 판단 (네트워크/캐시 없음, 백테스트용)
+     * @param {Object} vixData - { current, change, previousClose }
+     * @param {Array<number>} spyCloses - SPY 일봉 종가 (오래된 순)
+     * @param {Date} now - 판단 기준 시각
      */
-    getTradingSession() {
-        const now = new Date();
+    analyzeFromData(vixData, spyCloses, now) {
+        return this._determineRegime(
+            vixData,
+            this._calculateSPYTrend(spyCloses),
+            this.getTradingSession(now)
+        );
+    }
 
+    /**
+     * 현재 거래 세션 확인 (미국 동부시간 기준)
+     * @param {Date} now - 기준 시각 (기본값: 현재)
+     */
+    getTradingSession(now = new Date()) {
         // 미국 동부시간으로 변환
         const etTime = new Date(now.toLocaleString("en-US", { timeZone: "America/New_York" }));
         const hour = etTime.getHours();
         const minute = etTime.getMinutes();
         const totalMinutes = hour * 60 + minute;
+        // 오늘 정규장 마감 시각 (16:00 ET, 조기 폐장일은 고려하지 않음)
+        // 마감 후에는 방금 지난 마감 시각 (놓친 장 마감 전 청산이 다음 사이클에 다시 실행되도록)
+        const closesAt = now.getTime() - (etTime.getSeconds() * 1000 + now.getMilliseconds()) + (960 - totalMinutes) * 60 * 1000;
 
         // 프리마켓: 4:00 AM - 9:30 AM ET
         // 오프닝: 9:30 AM - 10:30 AM ET (높은 변동성)
@@ -146,17 +168,17 @@ class MarketRegimeFilter {
         // 애프터마켓: 4:00 PM - 8:00 PM ET
 
         if (totalMinutes >= 240 && totalMinutes < 570) {
-            return { session: 'PREMARKET', volatility: 'HIGH', recommendation: 'AVOID' };
+            return { session: 'PREMARKET', volatility: 'HIGH', recommendation: 'AVOID', closesAt };
         } else if (totalMinutes >= 570 && totalMinutes < 630) {
-            return { session: 'OPENING', volatility: 'VERY_HIGH', recommendation: 'WAIT' };
+            return { session: 'OPENING', volatility: 'VERY_HIGH', recommendation: 'WAIT', closesAt };
         } else if (totalMinutes >= 630 && totalMinutes < 900) {
-            return { session: 'CORE', volatility: 'NORMAL', recommendation: 'ACTIVE' };
+            return { session: 'CORE', volatility: 'NORMAL', recommendation: 'ACTIVE', closesAt };
         } else if (totalMinutes >= 900 && totalMinutes < 960) {
-            return { session: 'POWER_HOUR', volatility: 'HIGH', recommendation: 'CLOSE_POSITIONS' };
+            return { session: 'POWER_HOUR', volatility: 'HIGH', recommendation: 'CLOSE_POSITIONS', closesAt };
         } else if (totalMinutes >= 960 && totalMinutes < 1200) {
-            return { session: 'AFTERMARKET', volatility: 'HIGH', recommendation: 'AVOID' };
+            return { session: 'AFTERMARKET', volatility: 'HIGH', recommendation: 'AVOID', closesAt };
         } else {
-            return { session: 'CLOSED', volatility: 'NONE', recommendation: 'WAIT' };
+            return { session: 'CLOSED', volatility: 'NONE', recommendation: 'WAIT', closesAt };
         }
     }
 
@@ -229,6 +251,7 @@ class MarketRegimeFilter {
             spyMA20: spyAnalysis.ma20,
             tradingSession: tradingSession.session,
             sessionRecommendation: tradingSession.recommendation,
+            marketCloseAt: tradingSession.closesAt || null,
             allowBuy,
             allowSell,
             positionSizeMultiplier,
@@ -266,4 +289,5 @@ class MarketRegimeFilter {
     }
 }
 
-module.exports = new MarketRegimeFilter();
\ No newline at end of file
+module.exports = new MarketRegimeFilter();
+module.exports.MarketRegimeFilter = MarketRegimeFilter;
\ No newline at end of file
@@ -3,7 +3,7 @@
  * 여러 시간대의 추세를 분석하여 신호 신뢰도 향상
  */
 
-const yahooFinance = require('yahoo-finance2').default;
+const marketData = require('./market-data');
 const { SMA, RSI, MACD } = require('technicalindicators');
 
 class MultiTimeframeAnalyzer {
@@ -19,7 +19,7 @@ class MultiTimeframeAnalyzer {
     async analyze(symbol) {
         // 캐시 확인
         const cached = this.cache[symbol];
-        if (cached && (Date.now() - cached.timestamp < this.cacheDuration)) {
+        if (cached && (marketData.now() - cached.timestamp < this.cacheDuration)) {
             return cached.data;
         }
 
@@ -30,22 +30,12 @@ class MultiTimeframeAnalyzer {
                 this._analyzeTimeframe(symbol, '1d', 30)
             ]);
 
-            const result = {
-                symbol,
-                hourlyTrend: hourlyAnalysis.trend,
-                hourlyScore: hourlyAnalysis.score,
-                hourlyIndicators: hourlyAnalysis.indicators,
-                dailyTrend: dailyAnalysis.trend,
-                dailyScore: dailyAnalysis.score,
-                dailyIndicators: dailyAnalysis.indicators,
-                alignment: this._calculateAlignment(hourlyAnalysis, dailyAnalysis),
-                recommendation: this._getRecommendation(hourlyAnalysis, dailyAnalysis)
-            };
+            const result = this._buildResult(symbol, hourlyAnalysis, dailyAnalysis);
 
             // 캐시 저장
             this.cache[symbol] = {
                 data: result,
-                timestamp: Date.now()
+                timestamp: marketData.now()
             };
 
             return result;
@@ -62,6 +52,34 @@ class MultiTimeframeAnalyzer {
         }
     }
 
+    /**
+     * 이미 확보한 시간봉/일봉으로 분석 (네트워크/캐시 없음, 백테스트용)
+     * @param {string} symbol
+     * @param {Array} hourlyQuotes - 1시간봉
+     * @param {Array} dailyQuotes - 일봉
+     */
+    analyzeQuotes(symbol, hourlyQuotes, dailyQuotes) {
+        return this._buildResult(
+            symbol,
+            this._analyzeQuotes(hourlyQuotes),
+            this._analyzeQuotes(dailyQuotes)
+        );
+    }
+
+    _buildResult(symbol, hourlyAnalysis, dailyAnalysis) {
+        return {
+            symbol,
+            hourlyTrend: hourlyAnalysis.trend,
+            hourlyScore: hourlyAnalysis.score,
+            hourlyIndicators: hourlyAnalysis.indicators,
+            dailyTrend: dailyAnalysis.trend,
+            dailyScore: dailyAnalysis.score,
+            dailyIndicators: dailyAnalysis.indicators,
+            alignment: this._calculateAlignment(hourlyAnalysis, dailyAnalysis),
+            recommendation: this._getRecommendation(hourlyAnalysis, dailyAnalysis)
+        };
+    }
+
     async _analyzeTimeframe(symbol, interval, period) {
         try {
             const endDate = new Date();
@@ -74,82 +92,86 @@ class MultiTimeframeAnalyzer {
                 startDate.setDate(startDate.getDate() - 60); // 60일
             }
 
-            const historical = await yahooFinance.chart(symbol, {
+            const historical = await marketData.chart(symbol, {
                 period1: startDate,
                 period2: endDate,
                 interval: interval
             });
 
-            const quotes = historical.quotes.filter(q => q.close != null);
-            if (quotes.length < 20) {
-                return { trend: 'UNKNOWN', score: 0, indicators: {} };
-            }
-
-            const closes = quotes.map(q => q.close);
-
-            // 지표 계산
-            const ma10 = SMA.calculate({ period: 10, values: closes });
-            const ma20 = SMA.calculate({ period: 20, values: closes });
-            const rsi = RSI.calculate({ period: 14, values: closes });
-            const macd = MACD.calculate({
-                values: closes,
-                fastPeriod: 12,
-                slowPeriod: 26,
-                signalPeriod: 9,
-                SimpleMAOscillator: false,
-                SimpleMASignal: false
-            });
+            return this._analyzeQuotes(historical.quotes);
 
-            const currentPrice = closes[closes.length - 1];
-            const currentMA10 = ma10[ma10.length - 1];
-            const currentMA20 = ma20[ma20.length - 1];
-            const currentRSI = rsi[rsi.length - 1];
-            const currentMACD = macd[macd.length - 1];
-
-            // 추세 판단
-            let trend = 'NEUTRAL';
-            let score = 0;
-
-            // MA 기반 추세
-            if (currentPrice > currentMA10 && currentMA10 > currentMA20) {
-                trend = 'UP';
-                score += 30;
-            } else if (currentPrice < currentMA10 && currentMA10 < currentMA20) {
-                trend = 'DOWN';
-                score -= 30;
-            }
+        } catch (error) {
+            return { trend: 'UNKNOWN', score: 0, indicators: {} };
+        }
+    }
 
-            // MACD 기반
-            if (currentMACD && currentMACD.histogram > 0) {
-                score += 20;
-                if (trend === 'NEUTRAL') trend = 'UP';
-            } else if (currentMACD && currentMACD.histogram < 0) {
-                score -= 20;
-                if (trend === 'NEUTRAL') trend = 'DOWN';
-            }
+    _analyzeQuotes(rawQuotes) {
+        const quotes = (rawQuotes || []).filter(q => q.close != null);
+        if (quotes.length < 20) {
+            return { trend: 'UNKNOWN', score: 0, indicators: {} };
+        }
 
-            // RSI 기반
-            if (currentRSI > 50) {
-                score += 10;
-            } else if (currentRSI < 50) {
-                score -= 10;
-            }
+        const closes = quotes.map(q => q.close);
+
+        // 지표 계산
+        const ma10 = SMA.calculate({ period: 10, values: closes });
+        const ma20 = SMA.calculate({ period: 20, values: closes });
+        const rsi = RSI.calculate({ period: 14, values: closes });
+        const macd = MACD.calculate({
+            values: closes,
+            fastPeriod: 12,
+            slowPeriod: 26,
+            signalPeriod: 9,
+            SimpleMAOscillator: false,
+            SimpleMASignal: false
+        });
+
+        const currentPrice = closes[closes.length - 1];
+        const currentMA10 = ma10[ma10.length - 1];
+        const currentMA20 = ma20[ma20.length - 1];
+        const currentRSI = rsi[rsi.length - 1];
+        const currentMACD = macd[macd.length - 1];
+
+        // 추세 판단
+        let trend = 'NEUTRAL';
+        let score = 0;
+
+        // MA 기반 추세
+        if (currentPrice > currentMA10 && currentMA10 > currentMA20) {
+            trend = 'UP';
+            score += 30;
+        } else if (currentPrice < currentMA10 && currentMA10 < currentMA20) {
+            trend = 'DOWN';
+            score -= 30;
+        }
 
-            return {
-                trend,
-                score,
-                indicators: {
-                    price: currentPrice,
-                    ma10: currentMA10,
-                    ma20: currentMA20,
-                    rsi: currentRSI,
-                    macd: currentMACD
-                }
-            };
+        // MACD 기반
+        if (currentMACD && currentMACD.histogram > 0) {
+            score += 20;
+            if (trend === 'NEUTRAL') trend = 'UP';
+        } else if (currentMACD && currentMACD.histogram < 0) {
+            score -= 20;
+            if (trend === 'NEUTRAL') trend = 'DOWN';
+        }
 
-        } catch (error) {
-            return { trend: 'UNKNOWN', score: 0, indicators: {} };
+        // RSI 기반
+        if (currentRSI > 50) {
+            score += 10;
+        } else if (currentRSI < 50) {
+            score -= 10;
         }
+
+        return {
+            trend,
+            score,
+            indicators: {
+                price: currentPrice,
+                ma10: currentMA10,
+                ma20: currentMA20,
+                rsi: currentRSI,
+                macd: currentMACD
+            }
+        };
     }
 
     _calculateAlignment(hourly, daily) {
@@ -206,9 +228,6 @@ class MultiTimeframeAnalyzer {
                     ...analysis
                 });
             }
-
-            // Rate limiting
-            await new Promise(resolve => setTimeout(resolve, 100));
         }
 
         return results;
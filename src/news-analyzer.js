@@ -1,4 +1,4 @@
-const yahooFinance = require('yahoo-finance2').default;
+const marketData = require('./market-data');
 
 class NewsAnalyzer {
 
@@ -9,7 +9,7 @@ class NewsAnalyzer {
     async analyzeNews(symbol) {
         try {
             // Fetch news using Yahoo Finance
-            const result = await yahooFinance.search(symbol, { newsCount: 5 });
+            const result = await marketData.search(symbol, { newsCount: 5 });
             const newsItems = result.news || [];
 
             let sentimentScore = 0;
@@ -0,0 +1,512 @@
+/**
+ * Order Manager
+ * 주문 생애주기 관리: 접수 → 확인 → 부분 체결 → 체결 / 취소 / 거부
+ *
+ * - 모든 주문을 data/orders.json 에 기록 (재시작 후에도 대기 주문 추적)
+ * - 체결 내역(inquire-ccnl)과 미체결 내역(inquire-nccs)을 조회하여 상태 갱신
+ * - 포지션은 확인된 체결로만 생성/변경 (실제 체결가 기준), 체결은 거래 원장에도 기록
+ * - 대기 중인 주문이 있는 종목은 다음 사이클에서 중복 매수/반복 매도를 막음
+ * - 오래된 미체결 주문은 주문 의도별 정책에 따라 취소하거나 호가 쪽으로 정정(추격)
+ * - 매도 체결은 재진입 대기/격리 기록(cooldown-registry)에도 반영
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const broker = require('./broker');
+const positionManager = require('./position-manager');
+const tradeLedger = require('./trade-ledger');
+const costModel = require('./cost-model');
+const cooldownRegistry = require('./cooldown-registry');
+const { TradeLedger } = tradeLedger;
+const { CooldownRegistry } = cooldownRegistry;
+
+const defaultLogger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+            return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+        })
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'trade.log' })
+    ]
+});
+
+const ORDER_STATUS = {
+    SUBMITTED: 'SUBMITTED',                 // 전송 중 (응답 대기)
+    ACKNOWLEDGED: 'ACKNOWLEDGED',           // 접수 확인 (주문번호 수신)
+    PARTIALLY_FILLED: 'PARTIALLY_FILLED',   // 부분 체결
+    FILLED: 'FILLED',                       // 전량 체결
+    CANCELLED: 'CANCELLED',                 // 취소 (잔량 취소 포함)
+    REJECTED: 'REJECTED'                    // 거부
+};
+
+const ACTIVE_STATUSES = [ORDER_STATUS.SUBMITTED, ORDER_STATUS.ACKNOWLEDGED, ORDER_STATUS.PARTIALLY_FILLED];
+
+// 주문 의도 (미체결 처리 정책 선택 기준)
+const ORDER_INTENT = {
+    ENTRY: 'entry',                     // 신규 매수
+    STOP_EXIT: 'stopExit',              // 손절/트레일링 스탑 매도
+    TAKE_PROFIT_EXIT: 'takeProfitExit'  // 익절/신호 매도
+};
+
+// 반드시 체결되어야 하는 매도 (시간 청산, 손실 한도 청산 포함)
+const STOP_REASONS = ['STOP_LOSS', 'TRAILING_STOP', 'END_OF_DAY', 'MAX_HOLDING_TIME', 'NO_PROGRESS', 'RISK_FLATTEN'];
+
+class OrderManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.broker - kisApi / paperBroker 인터페이스
+     * @param {Object} options.positionManager - 체결 반영 대상
+     * @param {string|null} options.ordersFile - 저장 파일 경로 (null이면 메모리 전용, 백테스트용)
+     * @param {Function} options.now - 현재 시각 함수
+     * @param {Object} options.tradeLedger - 체결 기록 대상 (기본: 메모리 전용이면 메모리 원장, 아니면 공용 원장)
+     * @param {CostModel} options.costModel - 체결 수수료 계산
+     * @param {Object} options.cooldownRegistry - 매도 체결 시 손절 대기/격리 기록 (기본: 원장과 같은 규칙)
+     * @param {Object} options.logger
+     */
+    constructor(options = {}) {
+        this.broker = options.broker || broker;
+        this.positionManager = options.positionManager || positionManager;
+        this.ordersFile = options.ordersFile !== undefined
+            ? options.ordersFile
+            : path.join(__dirname, '../data/orders.json');
+        this.now = options.now || Date.now;
+        this.logger = options.logger || defaultLogger;
+        this.tradeLedger = options.tradeLedger || (this.ordersFile ? tradeLedger : new TradeLedger({ ledgerFile: null, now: this.now }));
+        this.costModel = options.costModel || costModel;
+        this.cooldownRegistry = options.cooldownRegistry || (this.ordersFile ? cooldownRegistry : new CooldownRegistry({ registryFile: null, now: this.now }));
+
+        this.config = {
+            orderExpiryMs: 24 * 60 * 60 * 1000,     // 조회되지 않는 주문을 만료 처리하는 시간 (미국 주식 당일 주문)
+            historyRetentionMs: 7 * 24 * 60 * 60 * 1000, // 종료된 주문 보관 기간
+
+            // 미체결 주문 처리 정책 (의도별)
+            // action: CANCEL = 타임아웃 시 취소, CHASE = 호가 쪽으로 stepPercent씩 정정 (최초 가격 대비 maxSlippagePercent까지)
+            stalePolicy: {
+                entry: {
+                    timeoutMs: 2 * 60 * 1000,   // 2분 미체결 시 포기 (추격 매수 안 함)
+                    action: 'CANCEL'
+                },
+                stopExit: {
+                    timeoutMs: 60 * 1000,       // 1분마다 적극 추격
+                    action: 'CHASE',
+                    stepPercent: 1.0,
+                    maxSlippagePercent: 3.0
+                },
+                takeProfitExit: {
+                    timeoutMs: 3 * 60 * 1000,   // 3분마다 소폭 추격
+                    action: 'CHASE',
+                    stepPercent: 0.3,
+                    maxSlippagePercent: 1.0
+                }
+            }
+        };
+
+        this.orders = this._loadOrders();
+    }
+
+    _loadOrders() {
+        if (!this.ordersFile) return [];
+
+        try {
+            if (fs.existsSync(this.ordersFile)) {
+                return JSON.parse(fs.readFileSync(this.ordersFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Failed to load orders:', error.message);
+        }
+        return [];
+    }
+
+    _saveOrders() {
+        if (!this.ordersFile) return;
+
+        try {
+            const dir = path.dirname(this.ordersFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.ordersFile, JSON.stringify(this.orders, null, 2));
+        } catch (error) {
+            console.error('Failed to save orders:', error.message);
+        }
+    }
+
+    _setStatus(order, status, message = '') {
+        if (order.status === status) return;
+
+        order.history.push({ time: this.now(), from: order.status, to: status, message });
+        order.status = status;
+        order.updatedAt = this.now();
+        this.logger.info(`[ORDER] ${order.side} ${order.symbol} #${order.orderNo || '-'} → ${status}${message ? ` (${message})` : ''}`);
+    }
+
+    // ============================================
+    // 주문 접수
+    // ============================================
+
+    /**
+     * 주문 전송 및 기록
+     * @param {Object} request - { symbol, side, quantity, price, exchange, orderType, reason, score, atr, pyramid }
+     * @returns {Object} 주문 기록 (status로 성공 여부 확인)
+     */
+    async submit(request) {
+        const order = {
+            id: `${this.now()}-${request.side}-${request.symbol}`,
+            orderNo: null,
+            symbol: request.symbol,
+            side: request.side,
+            quantity: request.quantity,
+            price: request.price,
+            exchange: request.exchange || 'NASD',
+            orderType: request.orderType || '00',
+            reason: request.reason || null,
+            intent: request.intent || this._intentOf(request),
+            score: request.score != null ? request.score : 50,
+            atr: request.atr || null,  // 진입 시 ATR (포지션 손절 모델 기준)
+            pyramid: !!request.pyramid, // 보유 포지션 추가 매수 (피라미딩)
+            status: ORDER_STATUS.SUBMITTED,
+            filledQty: 0,
+            avgFillPrice: 0,
+            initialPrice: request.price,
+            replacedOrderNos: [],   // 정정 전 주문번호 (정정 시 KIS가 새 주문번호 발급)
+            repriceCount: 0,
+            cancelRequestedAt: null,
+            fills: [],
+            history: [],
+            createdAt: this.now(),
+            updatedAt: this.now(),
+            lastActionAt: this.now()
+        };
+        this.orders.push(order);
+        this._saveOrders();
+
+        let response = null;
+        try {
+            response = await this.broker.placeOrder(
+                order.symbol, order.side, order.quantity, order.price, order.exchange, order.orderType);
+        } catch (error) {
+            response = { rt_cd: '1', msg1: error.message };
+        }
+
+        if (response && response.rt_cd === '0' && response.output && response.output.ODNO) {
+            order.orderNo = response.output.ODNO;
+            this._setStatus(order, ORDER_STATUS.ACKNOWLEDGED, response.msg1);
+        } else {
+            this._setStatus(order, ORDER_STATUS.REJECTED, response ? response.msg1 : 'No response from broker');
+        }
+
+        this._saveOrders();
+        return order;
+    }
+
+    _intentOf(request) {
+        if (request.side === 'BUY') return ORDER_INTENT.ENTRY;
+        return STOP_REASONS.includes(request.reason) ? ORDER_INTENT.STOP_EXIT : ORDER_INTENT.TAKE_PROFIT_EXIT;
+    }
+
+    // 정정 이력을 포함한 모든 주문번호
+    _orderNos(order) {
+        return [...(order.replacedOrderNos || []), order.orderNo];
+    }
+
+    // ============================================
+    // 체결 동기화
+    // ============================================
+
+    /**
+     * 체결/미체결 내역으로 대기 주문 상태 갱신 및 체결분 포지션 반영
+     * 체결 내역 조회 실패 시에는 아무것도 변경하지 않음
+     * @returns {Array} 이번 동기화에서 새 체결이 반영된 종목
+     */
+    async sync() {
+        const active = this.getActiveOrders();
+        if (active.length === 0) {
+            this._pruneHistory();
+            return [];
+        }
+
+        const executions = await this.broker.getOrderExecutions();
+        if (!executions) {
+            this.logger.warn('[ORDER] Execution inquiry failed. Keeping pending orders as-is.');
+            return [];
+        }
+        // 미체결 조회 실패 시(null) 체결은 반영하되, 체결 내역에 없는 주문은 만료 판단을 미룸
+        const unfilled = await this.broker.getUnfilledOrders();
+        if (!unfilled) this.logger.warn('[ORDER] Unfilled order inquiry failed. Skipping stale order checks.');
+        const filledSymbols = new Set();
+
+        for (const order of active) {
+            if (!order.orderNo) {
+                // 응답을 받지 못한 주문 (프로세스 중단 등)
+                this._expireIfStale(order, 'No order number received');
+                continue;
+            }
+
+            const orderNos = this._orderNos(order);
+            if (!executions.some(e => orderNos.includes(e.orderNo))) {
+                const stillOpen = !unfilled || unfilled.some(u => u.orderNo === order.orderNo);
+                if (!stillOpen) this._expireIfStale(order, 'Not found in executions');
+                continue;
+            }
+
+            const filledBefore = order.filledQty;
+            this._applyExecution(order, executions);
+            if (order.filledQty > filledBefore) filledSymbols.add(order.symbol);
+        }
+
+        this._pruneHistory();
+        this._saveOrders();
+        return [...filledSymbols];
+    }
+
+    _applyExecution(order, executions) {
+        // 정정 전/후 주문의 체결을 합산하여 새로 체결된 수량만 포지션에 반영
+        const orderNos = this._orderNos(order);
+        const rows = executions.filter(e => orderNos.includes(e.orderNo));
+        const totalQty = rows.reduce((sum, e) => sum + e.filledQty, 0);
+        const totalAmount = rows.reduce((sum, e) => sum + e.avgFillPrice * e.filledQty, 0);
+
+        const newQty = totalQty - order.filledQty;
+        if (newQty > 0) {
+            // 평균 체결가 차이로 이번 체결가 계산
+            const fillPrice = (totalAmount - order.avgFillPrice * order.filledQty) / newQty;
+            this._recordFill(order, newQty, fillPrice);
+            order.avgFillPrice = totalAmount / totalQty;
+        }
+
+        // 상태 판단은 현재(최종 정정) 주문 기준. 정정 주문이 아직 조회되지 않으면 대기
+        const execution = rows.find(e => e.orderNo === order.orderNo);
+        if (!execution) return;
+
+        const rejected = execution.status === '거부' || !!execution.rejectReason;
+        const cancelled = executions.some(e => e.originalOrderNo === order.orderNo && e.modifyCancelType === '02');
+
+        if (order.filledQty >= order.quantity) {
+            this._setStatus(order, ORDER_STATUS.FILLED);
+        } else if (rejected) {
+            this._setStatus(order, ORDER_STATUS.REJECTED, execution.rejectReason);
+        } else if (cancelled || execution.unfilledQty === 0) {
+            this._setStatus(order, ORDER_STATUS.CANCELLED, `Filled ${order.filledQty}/${order.quantity}`);
+        } else if (order.filledQty > 0) {
+            this._setStatus(order, ORDER_STATUS.PARTIALLY_FILLED, `Filled ${order.filledQty}/${order.quantity}`);
+        }
+    }
+
+    _recordFill(order, quantity, price) {
+        order.filledQty += quantity;
+        order.fills.push({ time: this.now(), quantity, price });
+
+        this.logger.info(`[FILL] ${order.side} ${order.symbol} x${quantity} @ $${price.toFixed(2)} (${order.filledQty}/${order.quantity})`);
+
+        const position = this.positionManager.getPosition(order.symbol);
+        const cost = order.side === 'BUY'
+            ? this.costModel.buyCost(quantity, price)
+            : this.costModel.sellCost(quantity, price);
+        const trade = this.tradeLedger.recordFill({
+            symbol: order.symbol,
+            side: order.side,
+            quantity,
+            price,
+            fee: cost.total,
+            orderNo: order.orderNo,
+            reason: order.reason,
+            time: this.now(),
+            costBasis: position ? position.entryPrice : null,
+            score: order.side === 'BUY' ? order.score : undefined
+        });
+        if (trade) {
+            this.logger.info(`[P&L] ${trade.symbol} x${trade.quantity}: $${trade.pnl.toFixed(2)} net, fees $${trade.fees.toFixed(2)} (${trade.returnPercent.toFixed(2)}%, ${trade.reason || 'SELL'})`);
+            const blocked = this.cooldownRegistry.recordExit(trade);
+            if (blocked) {
+                this.logger.warn(`[${blocked.type}] ${trade.symbol}: no re-entry until ${new Date(blocked.until).toISOString()} (${blocked.reason})`);
+            }
+        }
+
+        if (order.side === 'BUY') {
+            this.positionManager.increasePosition(order.symbol, price, quantity, order.score, {
+                atr: order.atr,
+                pyramidOrderId: order.pyramid ? order.id : null
+            });
+        } else {
+            this.positionManager.reducePosition(order.symbol, quantity);
+        }
+    }
+
+    _expireIfStale(order, message) {
+        if (this.now() - order.createdAt > this.config.orderExpiryMs) {
+            this._setStatus(order, ORDER_STATUS.CANCELLED, `Expired: ${message}`);
+        }
+    }
+
+    // ============================================
+    // 미체결 주문 처리 (취소 / 추격 정정)
+    // ============================================
+
+    /**
+     * 타임아웃된 미체결 주문을 의도별 정책에 따라 처리
+     * @param {Function} getQuote - async (symbol) => Yahoo quote ({ bid, ask, regularMarketPrice })
+     */
+    async manageStaleOrders(getQuote) {
+        for (const order of this.getActiveOrders()) {
+            if (!order.orderNo || order.cancelRequestedAt) continue;
+
+            const policy = this.config.stalePolicy[order.intent] || this.config.stalePolicy.entry;
+            const age = this.now() - (order.lastActionAt || order.createdAt);
+            if (age < policy.timeoutMs) continue;
+
+            try {
+                if (policy.action === 'CHASE') {
+                    await this._chase(order, policy, getQuote);
+                } else {
+                    await this.cancel(order, `Unfilled for ${Math.round(age / 1000)}s`);
+                }
+            } catch (error) {
+                this.logger.error(`[ORDER] Stale order handling failed for ${order.symbol}: ${error.message}`);
+            }
+        }
+
+        this._saveOrders();
+    }
+
+    /**
+     * 지정가를 매수는 매도호가(ask), 매도는 매수호가(bid) 쪽으로 한 단계 정정
+     * 최초 주문가 대비 최대 슬리피지에 도달하면 더 이상 정정하지 않음
+     */
+    async _chase(order, policy, getQuote) {
+        const quote = await getQuote(order.symbol);
+        const isBuy = order.side === 'BUY';
+        const market = quote && (isBuy ? (quote.ask || quote.regularMarketPrice) : (quote.bid || quote.regularMarketPrice));
+        if (!market) return;
+
+        const step = policy.stepPercent / 100;
+        const limit = isBuy
+            ? order.initialPrice * (1 + policy.maxSlippagePercent / 100)
+            : order.initialPrice * (1 - policy.maxSlippagePercent / 100);
+
+        // 한 단계 이동하되 호가를 넘어서지 않고, 최대 슬리피지 한도 안에서
+        let newPrice = isBuy
+            ? Math.min(market, order.price * (1 + step), limit)
+            : Math.max(market, order.price * (1 - step), limit);
+        newPrice = Math.round(newPrice * 100) / 100;
+
+        const improves = isBuy ? newPrice > order.price : newPrice < order.price;
+        if (!improves) {
+            order.lastActionAt = this.now();
+            this.logger.info(`[CHASE] ${order.side} ${order.symbol} #${order.orderNo}: At max slippage or market ($${order.price.toFixed(2)}). Holding.`);
+            return;
+        }
+
+        const remaining = order.quantity - order.filledQty;
+        const response = await this.broker.modifyOrder(order.orderNo, order.symbol, remaining, newPrice, order.exchange);
+        if (!response || response.rt_cd !== '0' || !response.output || !response.output.ODNO) {
+            this.logger.warn(`[CHASE] Modify failed for ${order.symbol} #${order.orderNo}: ${response ? response.msg1 : 'No response'}`);
+            return;
+        }
+
+        this.logger.info(`[CHASE] ${order.side} ${order.symbol} #${order.orderNo} → #${response.output.ODNO}: $${order.price.toFixed(2)} → $${newPrice.toFixed(2)}`);
+        order.replacedOrderNos.push(order.orderNo);
+        order.orderNo = response.output.ODNO;
+        order.price = newPrice;
+        order.repriceCount++;
+        order.lastActionAt = this.now();
+        order.history.push({ time: this.now(), from: order.status, to: order.status, message: `Repriced to ${newPrice}` });
+    }
+
+    /**
+     * 주문 취소 요청 (최종 상태는 다음 sync에서 체결 내역으로 확정)
+     */
+    async cancel(order, message = '') {
+        const response = await this.broker.cancelOrder(order.orderNo, order.symbol, 0, order.exchange);
+        if (!response || response.rt_cd !== '0') {
+            this.logger.warn(`[ORDER] Cancel failed for ${order.symbol} #${order.orderNo}: ${response ? response.msg1 : 'No response'}`);
+            return false;
+        }
+
+        order.cancelRequestedAt = this.now();
+        order.lastActionAt = this.now();
+        this.logger.info(`[ORDER] Cancel requested: ${order.side} ${order.symbol} #${order.orderNo}${message ? ` (${message})` : ''}`);
+        this._saveOrders();
+        return true;
+    }
+
+    _pruneHistory() {
+        const cutoff = this.now() - this.config.historyRetentionMs;
+        const before = this.orders.length;
+        this.orders = this.orders.filter(o => ACTIVE_STATUSES.includes(o.status) || o.updatedAt >= cutoff);
+        if (this.orders.length !== before) {
+            this._saveOrders();
+        }
+    }
+
+    // ============================================
+    // 조회
+    // ============================================
+
+    getActiveOrders(symbol = null, side = null) {
+        return this.orders.filter(o =>
+            ACTIVE_STATUSES.includes(o.status) &&
+            (!symbol || o.symbol === symbol) &&
+            (!side || o.side === side)
+        );
+    }
+
+    /**
+     * 대기 중인 주문 여부 (중복 주문 방지)
+     */
+    hasPendingOrder(symbol, side = null) {
+        return this.getActiveOrders(symbol, side).length > 0;
+    }
+
+    /**
+     * 대기 중인 주문이 있는 종목 목록
+     */
+    getPendingSymbols(side = null) {
+        return [...new Set(this.getActiveOrders(null, side).map(o => o.symbol))];
+    }
+
+    /**
+     * 종목별 미체결 수량 (매도 대기 수량은 KIS 주문가능수량에서 빠져 있음)
+     */
+    getPendingQuantities(side = null) {
+        const quantities = {};
+        for (const order of this.getActiveOrders(null, side)) {
+            quantities[order.symbol] = (quantities[order.symbol] || 0) + (order.quantity - order.filledQty);
+        }
+        return quantities;
+    }
+
+    getOrder(orderNo) {
+        return this.orders.find(o => this._orderNos(o).includes(orderNo)) || null;
+    }
+
+    /**
+     * 종목별 최근 매수 체결 (외부 매수/놓친 체결로 늘어난 보유 수량의 체결가 산출용)
+     * @returns {Object|null} { [symbol]: [{ quantity, price }] } 최근 체결 먼저 (조회 실패 시 null)
+     */
+    async getRecentBuyFills() {
+        const executions = await this.broker.getOrderExecutions();
+        if (!executions) return null;
+
+        // 같은 시각이면 주문번호가 큰 쪽이 최근 주문
+        const stamp = e => `${e.orderDate || ''}${e.orderTime || ''}${e.orderNo || ''}`;
+        const fills = {};
+        executions
+            .filter(e => e.side === 'BUY' && e.filledQty > 0 && e.avgFillPrice > 0)
+            .sort((a, b) => stamp(b).localeCompare(stamp(a)))
+            .forEach(e => {
+                if (!fills[e.symbol]) fills[e.symbol] = [];
+                fills[e.symbol].push({ quantity: e.filledQty, price: e.avgFillPrice });
+            });
+        return fills;
+    }
+}
+
+module.exports = new OrderManager();
+module.exports.OrderManager = OrderManager;
+module.exports.ORDER_STATUS = ORDER_STATUS;
+module.exports.ORDER_INTENT = ORDER_INTENT;
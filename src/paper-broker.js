@@ -0,0 +1,507 @@
+/**
+ * Paper Broker
+ * KisApi와 동일한 인터페이스의 로컬 모의 브로커 (TRADING_MODE=SIM)
+ *
+ * - 현금, 보유 종목, 미체결 지정가 주문을 로컬에서 관리 (data/paper-account.json)
+ * - 시세/봉이 들어올 때마다 주문 체결 판단
+ *   · 지정가 매수: 가격이 지정가 이하로 내려와야 체결
+ *   · 지정가 매도: 가격이 지정가 이상으로 올라와야 체결
+ *   · 시장가: 다음 시세/봉 시가에 체결
+ * - 부분 체결 비율 / 거래량 참여율 설정 가능
+ * - 응답 형식은 KIS API와 동일 (rt_cd, msg1, output)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const config = require('./config');
+const dataCollector = require('./data-collector');
+
+const defaultLogger = winston.createLogger({
+    level: 'info',
+    format: winston.format.simple(),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'paper-broker.log' })
+    ]
+});
+
+class PaperBroker {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.stateFile - 계좌 상태 저장 경로 (null이면 메모리 전용)
+     * @param {number} options.initialCash - 초기 현금 (USD)
+     * @param {number} options.partialFillRatio - 한 번의 시세/봉에서 체결되는 잔량 비율 (1.0 = 전량)
+     * @param {number|null} options.maxVolumeParticipation - 봉 거래량 대비 최대 체결 비율 (null = 제한 없음)
+     * @param {Function} options.quoteProvider - async (symbol) => { price, bid, ask } (잔고/미체결 조회 시 체결 갱신용)
+     * @param {Function} options.now - 현재 시각 함수
+     * @param {Object} options.logger
+     */
+    constructor(options = {}) {
+        this.stateFile = options.stateFile !== undefined
+            ? options.stateFile
+            : path.join(__dirname, '../data/paper-account.json');
+        this.now = options.now || Date.now;
+        this.quoteProvider = options.quoteProvider || null;
+        this.logger = options.logger || defaultLogger;
+
+        this.config = {
+            initialCash: options.initialCash ?? config.trading.simInitialCash,
+            partialFillRatio: options.partialFillRatio ?? 1.0,
+            maxVolumeParticipation: options.maxVolumeParticipation ?? null
+        };
+
+        this.state = this._loadState();
+    }
+
+    _loadState() {
+        if (this.stateFile) {
+            try {
+                if (fs.existsSync(this.stateFile)) {
+                    return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                }
+            } catch (error) {
+                this.logger.warn(`Failed to load paper account: ${error.message}`);
+            }
+        }
+
+        return {
+            cash: this.config.initialCash,
+            holdings: {},
+            orders: [],
+            orderSeq: 0
+        };
+    }
+
+    _saveState() {
+        if (!this.stateFile) return;
+
+        try {
+            const dir = path.dirname(this.stateFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+        } catch (error) {
+            this.logger.warn(`Failed to save paper account: ${error.message}`);
+        }
+    }
+
+    /**
+     * 계좌 초기화
+     */
+    reset(initialCash = this.config.initialCash) {
+        this.state = { cash: initialCash, holdings: {}, orders: [], orderSeq: 0 };
+        this._saveState();
+    }
+
+    _openOrders(symbol = null) {
+        return this.state.orders.filter(o =>
+            (o.status === 'OPEN' || o.status === 'PARTIAL') && (!symbol || o.symbol === symbol)
+        );
+    }
+
+    /**
+     * 미체결 주문 원본 조회 (매수/매도 구분, 체결 수량 포함)
+     */
+    getOpenOrders(symbol = null) {
+        return this._openOrders(symbol);
+    }
+
+    // 미체결 매수 주문이 묶어둔 금액
+    _reservedCash() {
+        return this._openOrders()
+            .filter(o => o.side === 'BUY')
+            .reduce((sum, o) => sum + o.reservedPrice * (o.qty - o.filledQty), 0);
+    }
+
+    // 미체결 매도 주문이 묶어둔 수량
+    _reservedQty(symbol) {
+        return this._openOrders(symbol)
+            .filter(o => o.side === 'SELL')
+            .reduce((sum, o) => sum + (o.qty - o.filledQty), 0);
+    }
+
+    // 시세 공급자가 있으면 미체결/보유 종목 시세로 체결 갱신
+    async _refresh() {
+        if (!this.quoteProvider) return;
+
+        const symbols = new Set([
+            ...this._openOrders().map(o => o.symbol),
+            ...Object.keys(this.state.holdings)
+        ]);
+
+        for (const symbol of symbols) {
+            try {
+                const quote = await this.quoteProvider(symbol);
+                if (quote && quote.price) {
+                    this.onQuote(symbol, quote);
+                }
+            } catch (error) {
+                this.logger.warn(`Paper quote refresh failed for ${symbol}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 실시간 시세 반영 및 체결
+     * @param {string} symbol
+     * @param {Object} quote - { price, bid, ask }
+     */
+    onQuote(symbol, quote) {
+        const holding = this.state.holdings[symbol];
+        if (holding) holding.lastPrice = quote.price;
+
+        for (const order of this._openOrders(symbol)) {
+            // 매수는 매도호가(ask), 매도는 매수호가(bid) 기준. 없으면 현재가
+            const marketPrice = order.side === 'BUY' ? (quote.ask || quote.price) : (quote.bid || quote.price);
+            const crossed = order.orderType === '01' ||
+                (order.side === 'BUY' ? marketPrice <= order.price : marketPrice >= order.price);
+
+            if (crossed) {
+                const fillPrice = order.orderType === '01' ? marketPrice : order.price;
+                this._fill(order, fillPrice, null);
+            }
+        }
+
+        this._saveState();
+    }
+
+    /**
+     * 봉 데이터 반영 및 체결
+     * 시가가 지정가보다 유리하면 시가에 체결 (갭 반영)
+     * @param {string} symbol
+     * @param {Object} bar - { open, high, low, close, volume }
+     */
+    onBar(symbol, bar) {
+        const holding = this.state.holdings[symbol];
+        if (holding) holding.lastPrice = bar.close;
+
+        let volumeLeft = this.config.maxVolumeParticipation && bar.volume
+            ? Math.floor(bar.volume * this.config.maxVolumeParticipation)
+            : null;
+
+        for (const order of this._openOrders(symbol)) {
+            let fillPrice = null;
+
+            if (order.orderType === '01') {
+                fillPrice = bar.open;
+            } else if (order.side === 'BUY' && bar.low <= order.price) {
+                fillPrice = Math.min(order.price, bar.open);
+            } else if (order.side === 'SELL' && bar.high >= order.price) {
+                fillPrice = Math.max(order.price, bar.open);
+            }
+
+            if (fillPrice != null) {
+                const filled = this._fill(order, fillPrice, volumeLeft);
+                if (volumeLeft != null) volumeLeft -= filled;
+            }
+        }
+
+        this._saveState();
+    }
+
+    _fill(order, price, volumeLimit) {
+        const remaining = order.qty - order.filledQty;
+        let qty = Math.max(1, Math.floor(remaining * this.config.partialFillRatio));
+        if (volumeLimit != null) qty = Math.min(qty, volumeLimit);
+        qty = Math.min(qty, remaining);
+        if (qty <= 0) return 0;
+
+        const holding = this.state.holdings[order.symbol];
+
+        if (order.side === 'BUY') {
+            this.state.cash -= price * qty;
+            if (holding) {
+                holding.avgPrice = (holding.avgPrice * holding.qty + price * qty) / (holding.qty + qty);
+                holding.qty += qty;
+                holding.lastPrice = price;
+            } else {
+                this.state.holdings[order.symbol] = {
+                    symbol: order.symbol,
+                    qty,
+                    avgPrice: price,
+                    lastPrice: price,
+                    exchange: order.exchange
+                };
+            }
+        } else {
+            this.state.cash += price * qty;
+            holding.qty -= qty;
+            holding.lastPrice = price;
+            if (holding.qty <= 0) {
+                delete this.state.holdings[order.symbol];
+            }
+        }
+
+        order.filledQty += qty;
+        order.avgFillPrice = ((order.avgFillPrice || 0) * (order.filledQty - qty) + price * qty) / order.filledQty;
+        order.status = order.filledQty >= order.qty ? 'FILLED' : 'PARTIAL';
+
+        this.logger.info(`[PAPER] Filled ${order.side} ${order.symbol} ${qty}/${order.qty} @ ${price.toFixed(2)} (OrderNo: ${order.orderNo})`);
+        return qty;
+    }
+
+    _formatOrderTime(time) {
+        const date = new Date(time);
+        const pad = n => String(n).padStart(2, '0');
+        return {
+            date: `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`,
+            time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+        };
+    }
+
+    _reject(message) {
+        this.logger.warn(`[PAPER] Order rejected: ${message}`);
+        return { rt_cd: '1', msg_cd: 'APBK0000', msg1: message };
+    }
+
+    // ============================================
+    // KisApi 인터페이스
+    // ============================================
+
+    async getBalance() {
+        try {
+            await this._refresh();
+
+            const holdings = Object.values(this.state.holdings).map(h => {
+                const currentPrice = h.lastPrice || h.avgPrice;
+                return {
+                    symbol: h.symbol,
+                    qty: h.qty - this._reservedQty(h.symbol), // 주문 가능 수량 (ord_psbl_qty)
+                    avgPrice: h.avgPrice,
+                    currentPrice,
+                    profitRate: ((currentPrice - h.avgPrice) / h.avgPrice) * 100
+                };
+            }).filter(h => h.qty > 0);
+
+            const holdingsValue = Object.values(this.state.holdings)
+                .reduce((sum, h) => sum + (h.lastPrice || h.avgPrice) * h.qty, 0);
+
+            return {
+                buyingPower: this.state.cash - this._reservedCash(),
+                totalAsset: this.state.cash + holdingsValue,
+                holdings
+            };
+        } catch (error) {
+            this.logger.error(`Paper Get Balance Error: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getPresentBalance() {
+        return this.state.cash - this._reservedCash();
+    }
+
+    /**
+     * 주문 접수
+     * @param {string} symbol
+     * @param {string} side 'BUY' or 'SELL'
+     * @param {number} qty
+     * @param {number} price
+     * @param {string} exchange
+     * @param {string} orderType '00' (Limit) or '01' (Market)
+     */
+    async placeOrder(symbol, side, qty, price, exchange = 'NASD', orderType = '00') {
+        const quantity = Number(qty);
+        const limitPrice = Number(price);
+
+        if (!quantity || quantity <= 0) {
+            return this._reject('주문수량을 확인하세요');
+        }
+        if (orderType !== '01' && !(limitPrice > 0)) {
+            return this._reject('주문단가를 확인하세요');
+        }
+
+        let reservedPrice = limitPrice;
+        if (side === 'BUY') {
+            // 시장가는 마지막 시세로 증거금 계산
+            const holding = this.state.holdings[symbol];
+            reservedPrice = orderType === '01' ? (holding ? holding.lastPrice : limitPrice) : limitPrice;
+            if (!(reservedPrice > 0) || reservedPrice * quantity > this.state.cash - this._reservedCash()) {
+                return this._reject('주문가능금액을 초과 했습니다');
+            }
+        } else {
+            const holding = this.state.holdings[symbol];
+            const available = holding ? holding.qty - this._reservedQty(symbol) : 0;
+            if (quantity > available) {
+                return this._reject('주문수량이 가능수량보다 큽니다');
+            }
+        }
+
+        const order = this._createOrder({ symbol, side, qty: quantity, price: limitPrice, reservedPrice, exchange, orderType });
+        this._saveState();
+
+        this.logger.info(`[PAPER] Order Placed: ${side} ${symbol} ${quantity} @ ${price} (OrderNo: ${order.orderNo})`);
+
+        return this._accepted(order.orderNo);
+    }
+
+    _createOrder(fields) {
+        const time = this.now();
+        const { date, time: hhmmss } = this._formatOrderTime(time);
+        this.state.orderSeq++;
+
+        const order = {
+            orderNo: String(this.state.orderSeq).padStart(10, '0'),
+            originalOrderNo: fields.originalOrderNo || '',
+            symbol: fields.symbol,
+            side: fields.side,
+            qty: fields.qty,
+            filledQty: 0,
+            price: fields.price,
+            reservedPrice: fields.reservedPrice,
+            exchange: fields.exchange,
+            orderType: fields.orderType,
+            status: 'OPEN',
+            orderDate: date,
+            orderTime: hhmmss,
+            createdAt: time
+        };
+        this.state.orders.push(order);
+        return order;
+    }
+
+    _accepted(orderNo) {
+        return {
+            rt_cd: '0',
+            msg_cd: 'APBK0013',
+            msg1: '주문 전송 완료 되었습니다.',
+            output: { KRX_FWDG_ORD_ORGNO: '00000', ODNO: orderNo, ORD_TMD: this._formatOrderTime(this.now()).time }
+        };
+    }
+
+    async getUnfilledOrders() {
+        await this._refresh();
+
+        return this._openOrders().map(order => ({
+            orderNo: order.orderNo,
+            symbol: order.symbol,
+            qty: order.qty - order.filledQty,
+            price: order.price,
+            orderTime: order.orderDate,
+            orderTimeTime: order.orderTime,
+            exchange: order.exchange
+        }));
+    }
+
+    /**
+     * 주문 체결 내역 (KisApi.getOrderExecutions와 동일한 형식)
+     * 체결/미체결/취소 주문 모두 포함
+     */
+    async getOrderExecutions() {
+        await this._refresh();
+
+        return this.state.orders.map(order => {
+            const isOpen = order.status === 'OPEN' || order.status === 'PARTIAL';
+            return {
+                orderNo: order.orderNo,
+                originalOrderNo: order.originalOrderNo || '',
+                symbol: order.symbol,
+                side: order.side,
+                modifyCancelType: order.originalOrderNo ? '01' : '00',
+                orderQty: order.qty + (order.cancelledQty || 0) + (order.modifiedQty || 0),
+                orderPrice: order.price,
+                filledQty: order.filledQty,
+                avgFillPrice: order.avgFillPrice || 0,
+                unfilledQty: isOpen ? order.qty - order.filledQty : 0,
+                status: isOpen ? '접수' : '완료',
+                rejectReason: '',
+                orderDate: order.orderDate,
+                orderTime: order.orderTime,
+                exchange: order.exchange
+            };
+        });
+    }
+
+    /**
+     * 주문 취소
+     * @param {string} orderNo
+     * @param {string} symbol
+     * @param {number} qty - 취소 수량 (0이면 잔량 전부)
+     * @param {string} exchange
+     */
+    async cancelOrder(orderNo, symbol, qty = 0, exchange = 'NASD') {
+        const order = this._openOrders(symbol).find(o => o.orderNo === orderNo);
+        if (!order) {
+            return this._reject('취소 가능한 주문이 없습니다');
+        }
+
+        const remaining = order.qty - order.filledQty;
+        const cancelQty = qty === 0 ? remaining : Math.min(qty, remaining);
+        order.qty -= cancelQty;
+        order.cancelledQty = (order.cancelledQty || 0) + cancelQty;
+        if (order.filledQty >= order.qty) {
+            order.status = 'CANCELLED';
+        }
+        this._saveState();
+
+        this.logger.info(`[PAPER] Order Cancelled: ${symbol} ${cancelQty} (OrderNo: ${orderNo})`);
+
+        return this._accepted(orderNo);
+    }
+
+    /**
+     * 주문 정정 (KIS와 동일하게 잔량을 새 주문번호로 이관, 원주문은 종료)
+     * @param {string} orderNo
+     * @param {string} symbol
+     * @param {number} qty - 정정 수량 (잔량 이하)
+     * @param {number} price - 새 지정가
+     * @param {string} exchange
+     */
+    async modifyOrder(orderNo, symbol, qty, price, exchange = 'NASD') {
+        const order = this._openOrders(symbol).find(o => o.orderNo === orderNo);
+        if (!order) {
+            return this._reject('정정 가능한 주문이 없습니다');
+        }
+
+        const newPrice = Number(price);
+        if (!(newPrice > 0)) {
+            return this._reject('주문단가를 확인하세요');
+        }
+
+        const remaining = order.qty - order.filledQty;
+        const modifyQty = Math.min(Number(qty) || remaining, remaining);
+
+        // 매수 정정은 가격 상승분만큼 추가 증거금 필요
+        if (order.side === 'BUY') {
+            const extra = (newPrice - order.reservedPrice) * modifyQty;
+            if (extra > this.state.cash - this._reservedCash()) {
+                return this._reject('주문가능금액을 초과 했습니다');
+            }
+        }
+
+        order.qty = order.filledQty;
+        order.modifiedQty = (order.modifiedQty || 0) + remaining;
+        order.status = 'MODIFIED';
+
+        const modified = this._createOrder({
+            symbol: order.symbol,
+            side: order.side,
+            qty: modifyQty,
+            price: newPrice,
+            reservedPrice: order.side === 'BUY' ? newPrice : order.reservedPrice,
+            exchange: order.exchange,
+            orderType: order.orderType,
+            originalOrderNo: order.orderNo
+        });
+        this._saveState();
+
+        this.logger.info(`[PAPER] Order Modified: ${symbol} ${modifyQty} @ ${newPrice} (OrderNo: ${orderNo} → ${modified.orderNo})`);
+
+        return this._accepted(modified.orderNo);
+    }
+}
+
+module.exports = new PaperBroker({
+    quoteProvider: async (symbol) => {
+        const quote = await dataCollector.fetchQuote(symbol);
+        if (!quote) return null;
+        return {
+            price: quote.regularMarketPrice,
+            bid: quote.bid || null,
+            ask: quote.ask || null
+        };
+    }
+});
+module.exports.PaperBroker = PaperBroker;
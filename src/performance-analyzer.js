@@ -0,0 +1,350 @@
+/**
+ * Performance Analyzer
+ * 거래 원장 + 사이클별 자산 스냅샷으로 성과 지표 계산 및 리포트 출력 (터미널 표 / 단독 HTML)
+ *
+ * - 일간 수익률: 미국 동부시간 거래일별 마지막 스냅샷 기준
+ * - Sharpe / Sortino (연환산 252일), 최대 낙폭과 그 기간, 평균 노출, 회전율
+ * - 매도 사유별 승률, SPY 대비 알파/베타
+ * - 입출금은 구분하지 않으므로 기간 중 입출금이 있으면 수익률이 왜곡됨
+ */
+
+const TRADING_DAYS = 252;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXIT_REASONS = ['STOP_LOSS', 'TRAILING_STOP', 'TAKE_PROFIT_L1', 'TAKE_PROFIT_L2', 'TAKE_PROFIT_L3', 'SIGNAL_SELL'];
+
+const etDayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+const mean = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+function stdev(values) {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+class PerformanceAnalyzer {
+    /**
+     * @param {Object} options
+     * @param {number} options.riskFreeRate - 연 무위험 수익률 (%)
+     */
+    constructor(options = {}) {
+        this.config = {
+            riskFreeRate: 0,
+            ...options
+        };
+    }
+
+    /**
+     * 성과 분석
+     * @param {Object} input
+     * @param {Array} input.snapshots - EquityHistory 스냅샷 (시간 순)
+     * @param {Array} input.trades - TradeLedger 실현 거래
+     * @param {Array} input.openLots - TradeLedger 미청산 로트 (회전율의 매수 금액)
+     * @param {number} input.from - 기간 시작 (ms, 선택)
+     * @param {number} input.to - 기간 끝 (ms, 선택)
+     */
+    analyze({ snapshots, trades, openLots = [], from = null, to = null }) {
+        const daily = this.dailySeries(snapshots);
+        const returns = daily.slice(1).map((d, i) => d.equity / daily[i].equity - 1);
+
+        const first = snapshots.length > 0 ? snapshots[0] : null;
+        const last = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+        const drawdown = this.drawdown(snapshots);
+        const averageEquity = mean(snapshots.map(s => s.equity));
+
+        return {
+            from: from || (first ? first.time : null),
+            to: to || (last ? last.time : null),
+            snapshots: snapshots.length,
+            tradingDays: daily.length,
+            startEquity: first ? first.equity : 0,
+            endEquity: last ? last.equity : 0,
+            totalReturn: first && first.equity > 0 ? (last.equity / first.equity - 1) * 100 : 0,
+            ...this.riskRatios(returns),
+            maxDrawdown: drawdown.maxDrawdown,
+            maxDrawdownDays: drawdown.durationMs / DAY_MS,
+            drawdownRecovered: drawdown.recovered,
+            averageExposure: mean(snapshots.filter(s => s.equity > 0).map(s => (s.positionsValue / s.equity) * 100)),
+            turnover: averageEquity > 0 ? this.tradedNotional(trades, openLots, from, to) / 2 / averageEquity : 0,
+            ...this.tradeSummary(trades),
+            byReason: this.byReason(trades),
+            benchmark: this.benchmark(daily, returns),
+            equityCurve: snapshots.map(s => ({ time: s.time, equity: s.equity })),
+            drawdownCurve: drawdown.curve
+        };
+    }
+
+    /**
+     * 거래일별 마지막 스냅샷
+     */
+    dailySeries(snapshots) {
+        const days = new Map();
+        for (const snapshot of snapshots) {
+            days.set(etDayFormatter.format(new Date(snapshot.time)), snapshot);
+        }
+        return [...days.entries()].map(([day, s]) => ({ day, equity: s.equity, spyPrice: s.spyPrice }));
+    }
+
+    /**
+     * Sharpe / Sortino (일간 수익률, 연환산)
+     */
+    riskRatios(returns) {
+        const dailyRiskFree = this.config.riskFreeRate / 100 / TRADING_DAYS;
+        const excess = returns.map(r => r - dailyRiskFree);
+        const volatility = stdev(returns);
+        const downside = Math.sqrt(mean(excess.map(r => Math.min(0, r) ** 2)));
+
+        return {
+            dailyReturns: returns.length,
+            annualVolatility: volatility * Math.sqrt(TRADING_DAYS) * 100,
+            sharpe: volatility > 0 ? (mean(excess) / volatility) * Math.sqrt(TRADING_DAYS) : null,
+            sortino: downside > 0 ? (mean(excess) / downside) * Math.sqrt(TRADING_DAYS) : null
+        };
+    }
+
+    /**
+     * 최대 낙폭과 그 기간 (고점 → 회복, 미회복이면 마지막 스냅샷까지)
+     */
+    drawdown(snapshots) {
+        let peak = null;
+        let peakTime = null;
+        let maxDrawdown = 0;
+        let worst = null; // { peakTime, peak }
+        const curve = [];
+
+        for (const snapshot of snapshots) {
+            if (peak === null || snapshot.equity >= peak) {
+                peak = snapshot.equity;
+                peakTime = snapshot.time;
+            }
+            const drawdown = peak > 0 ? (snapshot.equity / peak - 1) * 100 : 0;
+            curve.push({ time: snapshot.time, drawdown });
+            if (drawdown < maxDrawdown) {
+                maxDrawdown = drawdown;
+                worst = { peakTime, peak };
+            }
+        }
+
+        if (!worst) {
+            return { maxDrawdown: 0, durationMs: 0, recovered: true, curve };
+        }
+
+        const recovery = snapshots.find(s => s.time > worst.peakTime && s.equity >= worst.peak);
+        const end = recovery ? recovery.time : snapshots[snapshots.length - 1].time;
+        return { maxDrawdown, durationMs: end - worst.peakTime, recovered: !!recovery, curve };
+    }
+
+    /**
+     * 기간 내 매수 + 매도 체결 금액
+     */
+    tradedNotional(trades, openLots, from, to) {
+        const inRange = time => time !== null && time !== undefined &&
+            (!from || time >= from) && (!to || time < to);
+
+        const sold = trades.filter(t => inRange(t.exitTime))
+            .reduce((sum, t) => sum + t.exitPrice * t.quantity, 0);
+        // 매수: 청산된 로트 부분 + 미청산 로트 (로트마다 한 번씩만 집계되도록 수량 기준)
+        const boughtClosed = trades.flatMap(t => t.lots)
+            .filter(lot => inRange(lot.time))
+            .reduce((sum, lot) => sum + lot.price * lot.quantity, 0);
+        const boughtOpen = openLots.filter(lot => inRange(lot.time))
+            .reduce((sum, lot) => sum + lot.price * lot.remaining, 0);
+
+        return sold + boughtClosed + boughtOpen;
+    }
+
+    tradeSummary(trades) {
+        const wins = trades.filter(t => t.pnl > 0);
+        return {
+            totalTrades: trades.length,
+            winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+            netProfit: trades.reduce((sum, t) => sum + t.pnl, 0),
+            totalFees: trades.reduce((sum, t) => sum + (t.fees || 0), 0)
+        };
+    }
+
+    /**
+     * 매도 사유별 승률 (기본 사유는 거래가 없어도 표시)
+     */
+    byReason(trades) {
+        const reasons = [...EXIT_REASONS, ...new Set(trades.map(t => t.reason || 'UNKNOWN').filter(r => !EXIT_REASONS.includes(r)))];
+        return reasons.map(reason => {
+            const group = trades.filter(t => (t.reason || 'UNKNOWN') === reason);
+            const wins = group.filter(t => t.pnl > 0).length;
+            return {
+                reason,
+                trades: group.length,
+                wins,
+                winRate: group.length > 0 ? (wins / group.length) * 100 : 0,
+                pnl: group.reduce((sum, t) => sum + t.pnl, 0),
+                avgReturn: mean(group.map(t => t.returnPercent))
+            };
+        });
+    }
+
+    /**
+     * SPY 대비 베타 / 연환산 알파 (SPY 가격이 있는 연속 거래일만 사용)
+     */
+    benchmark(daily, returns) {
+        const pairs = [];
+        for (let i = 1; i < daily.length; i++) {
+            if (daily[i].spyPrice && daily[i - 1].spyPrice) {
+                pairs.push({ r: returns[i - 1], m: daily[i].spyPrice / daily[i - 1].spyPrice - 1 });
+            }
+        }
+        const priced = daily.filter(d => d.spyPrice);
+        const spyReturn = priced.length > 1 ? (priced[priced.length - 1].spyPrice / priced[0].spyPrice - 1) * 100 : null;
+        if (pairs.length < 2) {
+            return { days: pairs.length, spyReturn, beta: null, alpha: null, correlation: null };
+        }
+
+        const meanR = mean(pairs.map(p => p.r));
+        const meanM = mean(pairs.map(p => p.m));
+        const covariance = pairs.reduce((sum, p) => sum + (p.r - meanR) * (p.m - meanM), 0) / (pairs.length - 1);
+        const varianceM = stdev(pairs.map(p => p.m)) ** 2;
+        const stdR = stdev(pairs.map(p => p.r));
+        const beta = varianceM > 0 ? covariance / varianceM : null;
+
+        return {
+            days: pairs.length,
+            spyReturn,
+            beta,
+            alpha: beta !== null ? (meanR - beta * meanM) * TRADING_DAYS * 100 : null,
+            correlation: varianceM > 0 && stdR > 0 ? covariance / (Math.sqrt(varianceM) * stdR) : null
+        };
+    }
+
+    // ============================================
+    // 출력
+    // ============================================
+
+    _summaryRows(report) {
+        const num = (value, digits = 2, suffix = '') => value === null || value === undefined || !Number.isFinite(value)
+            ? 'N/A'
+            : `${value.toFixed(digits)}${suffix}`;
+        const day = time => time ? new Date(time).toISOString().slice(0, 10) : 'N/A';
+
+        return [
+            ['Period', `${day(report.from)} ~ ${day(report.to)} (${report.tradingDays} days)`],
+            ['Equity', `$${num(report.startEquity)} → $${num(report.endEquity)} (${num(report.totalReturn, 2, '%')})`],
+            ['Sharpe / Sortino', `${num(report.sharpe)} / ${num(report.sortino)}`],
+            ['Volatility (ann.)', num(report.annualVolatility, 2, '%')],
+            ['Max Drawdown', `${num(report.maxDrawdown, 2, '%')} over ${num(report.maxDrawdownDays, 1)} days${report.drawdownRecovered ? '' : ' (not recovered)'}`],
+            ['Avg Exposure', num(report.averageExposure, 1, '%')],
+            ['Turnover', num(report.turnover, 2, 'x')],
+            ['Trades / Win Rate', `${report.totalTrades} / ${num(report.winRate, 1, '%')}`],
+            ['Net P&L (fees)', `$${num(report.netProfit)} ($${num(report.totalFees)})`],
+            ['SPY Return', num(report.benchmark.spyReturn, 2, '%')],
+            ['Alpha (ann.) / Beta', `${num(report.benchmark.alpha, 2, '%')} / ${num(report.benchmark.beta)}`]
+        ];
+    }
+
+    _reasonRows(report) {
+        return report.byReason.map(r => [
+            r.reason,
+            String(r.trades),
+            r.trades > 0 ? `${r.winRate.toFixed(1)}%` : '-',
+            `$${r.pnl.toFixed(2)}`,
+            r.trades > 0 ? `${r.avgReturn.toFixed(2)}%` : '-'
+        ]);
+    }
+
+    /**
+     * 터미널 표
+     */
+    formatText(report) {
+        // 첫 열과 문장형 값은 왼쪽 정렬, 숫자 열은 오른쪽 정렬
+        const table = (header, rows, numeric = true) => {
+            const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+            const line = cells => cells.map((cell, i) => i === 0 || !numeric ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ');
+            return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+        };
+
+        return [
+            '=== Performance Summary ===',
+            table(['Metric', 'Value'], this._summaryRows(report), false),
+            '',
+            '=== Exits by Reason ===',
+            table(['Reason', 'Trades', 'Win Rate', 'P&L', 'Avg Return'], this._reasonRows(report))
+        ].join('\n');
+    }
+
+    /**
+     * 단독 HTML (외부 스크립트 없이 인라인 SVG 차트)
+     */
+    renderHtml(report) {
+        const escape = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const rows = cells => cells.map(row => `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>Performance Report</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; margin-bottom: 24px; }
+th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f4f4f4; }
+svg { display: block; margin-bottom: 24px; background: #fafafa; border: 1px solid #eee; }
+</style>
+</head>
+<body>
+<h1>Performance Report</h1>
+<table>
+<tr><th>Metric</th><th>Value</th></tr>
+${rows(this._summaryRows(report))}
+</table>
+<h2>Equity</h2>
+${this._svgLine(report.equityCurve.map(p => [p.time, p.equity]), '#1f77b4')}
+<h2>Drawdown (%)</h2>
+${this._svgLine(report.drawdownCurve.map(p => [p.time, p.drawdown]), '#d62728')}
+<h2>Exits by Reason</h2>
+<table>
+<tr><th>Reason</th><th>Trades</th><th>Win Rate</th><th>P&amp;L</th><th>Avg Return</th></tr>
+${rows(this._reasonRows(report))}
+</table>
+</body>
+</html>
+`;
+    }
+
+    _svgLine(points, color) {
+        const width = 900;
+        const height = 240;
+        const pad = 40;
+        if (points.length < 2) {
+            return `<svg width="${width}" height="40"><text x="10" y="25">Not enough data</text></svg>`;
+        }
+
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+        let [minY, maxY] = [Math.min(...ys), Math.max(...ys)];
+        if (minY === maxY) {
+            minY -= 1;
+            maxY += 1;
+        }
+        const x = value => pad + (value - minX) / (maxX - minX || 1) * (width - 2 * pad);
+        const y = value => height - pad - (value - minY) / (maxY - minY) * (height - 2 * pad);
+        const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p[0]).toFixed(1)},${y(p[1]).toFixed(1)}`).join(' ');
+        const day = time => new Date(time).toISOString().slice(0, 10);
+
+        return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<path d="${path}" fill="none" stroke="${color}" stroke-width="1.5"/>
+<text x="4" y="${pad}" font-size="11">${maxY.toFixed(2)}</text>
+<text x="4" y="${height - pad}" font-size="11">${minY.toFixed(2)}</text>
+<text x="${pad}" y="${height - 10}" font-size="11">${day(minX)}</text>
+<text x="${width - pad}" y="${height - 10}" font-size="11" text-anchor="end">${day(maxX)}</text>
+</svg>`;
+    }
+}
+
+module.exports = new PerformanceAnalyzer();
+module.exports.PerformanceAnalyzer = PerformanceAnalyzer;
@@ -1,24 +1,91 @@
 /**
  * Position Manager
  * 트레일링 스탑, 포지션 사이징, 리스크 관리
+ *
+ * 손절 모델 (포지션별로 진입 시 모델/파라미터를 positions.json에 기록):
+ * - FIXED: 고정 % 손절 + 수익 시 고점 대비 % 트레일링
+ * - ATR: 진입 시 ATR의 k배 손절 + 수익 시 고점 대비 k×ATR 트레일링
+ * - CHANDELIER: 진입 직후부터 최고가 - k×ATR 추적
+ * - SAR: 파라볼릭 SAR (가속 계수 step씩 증가, max까지)
+ *
+ * 시간 청산: 최대 보유 시간, N시간 무진전, 장 마감 전 전량 청산 (데이트레이딩)
+ *
+ * 재시작/사이클 공백 후에는 마지막 갱신 이후 장중 봉의 고가/저가 경로로 최고가/최저가, 손절선, 익절 레벨을 재구성
+ *
+ * 피라미딩 (선택): 마지막 매수가보다 k×ATR 이상 오른 수익 포지션에 최초 수량의 일부를 추가 매수,
+ * 평균 단가를 갱신하고 전체 포지션 손절선을 추가 매수가 기준으로 끌어올림
+ *
+ * 사이징 모드:
+ * - SCORE: 점수 구간별 자본 비율 + ATR 감액 (기본)
+ * - RISK_PER_TRADE: 손절선까지의 손실이 자본의 일정 비율이 되도록
+ * - VOL_TARGET: 포지션마다 일간 달러 변동성(수량 × ATR)이 같도록
+ * - KELLY: 거래 원장의 점수 구간별 승률/손익비로 Kelly 비율의 일부
  */
 
 const fs = require('fs');
 const path = require('path');
+const winston = require('winston');
+const config = require('./config');
+const costModel = require('./cost-model');
+const marketData = require('./market-data');
+
+const STOP_MODELS = ['FIXED', 'ATR', 'CHANDELIER', 'SAR'];
+const SIZING_MODES = ['SCORE', 'RISK_PER_TRADE', 'VOL_TARGET', 'KELLY'];
+const SCORE_BUCKETS = [90, 80, 70, 60, 0]; // 점수 구간 하한 (SCORE 비율, KELLY 통계 공통)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const defaultLogger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+            return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+        })
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'trade.log' })
+    ]
+});
 
 class PositionManager {
-    constructor() {
-        this.positionsFile = path.join(__dirname, '../data/positions.json');
+    /**
+     * @param {Object} options
+     * @param {string|null} options.positionsFile - 저장 파일 경로 (null이면 메모리 전용, 백테스트용)
+     * @param {Function} options.now - 현재 시각 함수 (백테스트 시 시뮬레이션 시계 주입)
+     * @param {CostModel} options.costModel - 거래 비용 모델 (익절/본전 기준을 비용 차감 후로 계산)
+     * @param {Function} options.fetchBars - async (symbol, interval, since) => 장중 봉 배열 (기본: Yahoo chart)
+     * @param {Object} options.logger
+     */
+    constructor(options = {}) {
+        this.positionsFile = options.positionsFile !== undefined
+            ? options.positionsFile
+            : path.join(__dirname, '../data/positions.json');
+        this.now = options.now || Date.now;
+        this.costModel = options.costModel || costModel;
+        this.logger = options.logger || defaultLogger;
+        this.fetchBars = options.fetchBars || ((symbol, interval, since) => this._fetchYahooBars(symbol, interval, since));
         this.positions = this._loadPositions();
 
         // 설정
         this.config = {
-            // 트레일링 스탑 설정
+            // 손절 모델 (ATR 계열은 진입 시 ATR이 없으면 FIXED로 대체)
+            stopModel: {
+                type: config.trading.stopModel,
+                atrMultiple: 2.0,           // ATR: 진입가 - 2×ATR 손절, 고점 - 2×ATR 트레일링
+                chandelierMultiple: 3.0,    // CHANDELIER: 최고가 - 3×ATR
+                sarStep: 0.02,              // SAR 가속 계수 증가폭
+                sarMax: 0.2,                // SAR 가속 계수 상한
+                sarIntervalMs: 5 * 60 * 1000 // SAR 갱신 주기 (5분봉 1개)
+            },
+
+            // 트레일링 스탑 설정 (FIXED)
             trailingStop: {
                 activationProfit: 2.0,  // 2% 수익 시 트레일링 스탑 활성화
                 trailingPercent: 1.5,   // 고점 대비 1.5% 하락 시 청산
                 initialStopLoss: -3.0,  // 초기 손절선 -3%
-                breakEvenMove: 1.0      // 1% 수익 시 손절선을 본전으로 이동
+                breakEvenMove: 1.0      // 1% 수익 시 손절선을 본전(왕복 비용 포함)으로 이동
             },
 
             // 포지션 사이징 설정
@@ -27,10 +94,34 @@ class PositionManager {
                 minPositionPercent: 1.0,    // 최소 포지션 크기 (총 자산의 1%)
                 maxTotalExposure: 80.0,     // 최대 총 노출 (총 자산의 80%)
                 maxPositionsCount: 20,       // 최대 포지션 개수
+                maxPortfolioHeatPercent: config.trading.maxPortfolioHeatPercent, // 손절선까지의 총 손실 한도 (자본 대비 %, 0 = 사용 안 함)
                 scoreBasedSizing: true       // 점수 기반 사이징 활성화
             },
 
-            // 익절 목표
+            // 사이징 모드 (SCORE 외 모드는 sizing.maxPositionPercent 상한, 최소 비율 없음)
+            sizing: { ...config.sizing },
+
+            // 집중 노출 한도 (섹터/산업은 총 자본 대비 %, 0 = 사용 안 함)
+            exposureLimits: {
+                maxSectorPercent: config.exposure.maxSectorPercent,
+                maxIndustryPercent: config.exposure.maxIndustryPercent,
+                maxAverageCorrelation: config.exposure.maxAverageCorrelation
+            },
+
+            // 시간 청산 (entryTime 기준)
+            timeExits: { ...config.timeExits },
+
+            // 가격 경로 재구성 (마지막 갱신 후 gapMs 이상 지나면 장중 봉으로 재생)
+            history: {
+                gapMs: 10 * 60 * 1000,  // 1분 사이클 기준, 이보다 길게 갱신이 없었으면 재구성
+                interval: '5m',         // Yahoo 5분봉은 최근 60일까지
+                maxLookbackDays: 59
+            },
+
+            // 피라미딩 (종목별 추가 매수 횟수/포지션 비율 상한)
+            pyramiding: { ...config.pyramiding },
+
+            // 익절 목표 (왕복 비용 차감 후 순수익 기준)
             takeProfit: {
                 level1: { percent: 3.0, sellPercent: 30 },  // 3% 수익 시 30% 청산
                 level2: { percent: 5.0, sellPercent: 30 },  // 5% 수익 시 30% 청산
@@ -40,6 +131,8 @@ class PositionManager {
     }
 
     _loadPositions() {
+        if (!this.positionsFile) return {};
+
         try {
             if (fs.existsSync(this.positionsFile)) {
                 const data = fs.readFileSync(this.positionsFile, 'utf8');
@@ -52,6 +145,8 @@ class PositionManager {
     }
 
     _savePositions() {
+        if (!this.positionsFile) return;
+
         try {
             const dir = path.dirname(this.positionsFile);
             if (!fs.existsSync(dir)) {
@@ -65,22 +160,144 @@ class PositionManager {
 
     /**
      * 포지션 추가/업데이트
+     * @param {Object} entry - { atr } 진입 시 변동성 (ATR/CHANDELIER/SAR 손절 기준)
      */
-    addPosition(symbol, entryPrice, quantity, score = 50) {
-        this.positions[symbol] = {
+    addPosition(symbol, entryPrice, quantity, score = 50, entry = {}) {
+        const position = {
             symbol,
             entryPrice,
             quantity,
+            initialQuantity: quantity, // 익절 레벨별 매도 수량 기준 (부분 매도 후에도 유지)
             score,
-            entryTime: Date.now(),
+            entryTime: this.now(),
+            lastUpdateAt: this.now(), // 마지막 가격 갱신 (이후 공백은 장중 봉으로 재구성)
             highestPrice: entryPrice,
             lowestPrice: entryPrice,
             trailingStopActive: false,
-            currentStopLoss: entryPrice * (1 + this.config.trailingStop.initialStopLoss / 100),
-            takeProfitLevelsHit: []
+            stop: this._createStop(entryPrice, entry.atr),
+            currentStopLoss: null,
+            takeProfitLevelsHit: [],
+            lastAddPrice: entryPrice, // 피라미딩 기준가 (최초 진입가 또는 마지막 추가 매수가)
+            adds: []                  // 피라미딩 추가 매수 { orderId, quantity, price, time }
         };
+        position.currentStopLoss = this._initialStop(position);
+        this.positions[symbol] = position;
         this._savePositions();
-        return this.positions[symbol];
+        return position;
+    }
+
+    /**
+     * 매수 체결 반영 (없으면 신규 포지션, 있으면 평균 단가로 수량 증가)
+     * @param {Object} entry - { atr, pyramidOrderId } 피라미딩 주문의 체결이면 주문 ID (부분 체결은 한 번의 추가로 셈)
+     */
+    increasePosition(symbol, fillPrice, quantity, score = 50, entry = {}) {
+        const position = this.positions[symbol];
+        if (!position) {
+            return this.addPosition(symbol, fillPrice, quantity, score, entry);
+        }
+
+        const totalQty = position.quantity + quantity;
+        position.entryPrice = (position.entryPrice * position.quantity + fillPrice * quantity) / totalQty;
+        position.quantity = totalQty;
+        position.initialQuantity = this._initialQuantityOf(position) + quantity;
+
+        if (entry.pyramidOrderId) {
+            this._recordAdd(position, entry.pyramidOrderId, fillPrice, quantity);
+        } else {
+            // 추가 매수 후의 최초 주문 잔량 체결이면 다음 추가 매수 기준(마지막 추가 매수가) 유지
+            if (!position.adds || position.adds.length === 0) {
+                position.lastAddPrice = position.entryPrice;
+            }
+            // 트레일링 전이면 새 평균 단가 기준으로 초기 손절선 재계산 (이미 올라간 손절선은 낮추지 않음)
+            if (!position.trailingStopActive) {
+                position.currentStopLoss = Math.max(position.currentStopLoss, this._initialStop(position));
+            }
+        }
+
+        this._savePositions();
+        return position;
+    }
+
+    /**
+     * 피라미딩 체결: 추가 매수 기록 후 전체 포지션 손절선을 추가 매수가 기준 초기 손절선 이상으로 올림
+     * (올라간 손절선은 트레일링 중인 것으로 취급해 이탈 시 청산)
+     */
+    _recordAdd(position, orderId, fillPrice, quantity) {
+        position.adds = position.adds || [];
+        let add = position.adds.find(a => a.orderId === orderId);
+        if (add) {
+            add.price = (add.price * add.quantity + fillPrice * quantity) / (add.quantity + quantity);
+            add.quantity += quantity;
+        } else {
+            add = { orderId, quantity, price: fillPrice, time: this.now() };
+            position.adds.push(add);
+        }
+        position.lastAddPrice = add.price;
+
+        const addStop = this._initialStop({ entryPrice: add.price, stop: this._stopOf(position) });
+        if (addStop > position.currentStopLoss) {
+            position.currentStopLoss = addStop;
+            position.trailingStopActive = true;
+        }
+    }
+
+    /**
+     * 피라미딩 가능 여부와 추가 수량 (최초 진입 수량 × addFraction, 종목별 포지션 비율 상한까지)
+     * @param {number} atr - 현재 ATR (없으면 진입 시 ATR)
+     * @returns {Object} { allowed, quantity, triggerPrice, reason }
+     */
+    checkPyramid(symbol, currentPrice, atr, totalCapital) {
+        const settings = this.config.pyramiding;
+        const position = this.positions[symbol];
+        const reject = reason => ({ allowed: false, quantity: 0, triggerPrice: null, reason });
+
+        if (!settings.enabled) return reject('Pyramiding disabled');
+        if (!position) return reject('No position');
+
+        const adds = position.adds || [];
+        if (adds.length >= settings.maxAdds) return reject(`Max adds (${settings.maxAdds}) reached`);
+
+        const unitAtr = atr || this._stopOf(position).atr;
+        if (!unitAtr) return reject('No ATR');
+
+        const basePrice = position.lastAddPrice || position.entryPrice;
+        const triggerPrice = basePrice + settings.triggerAtr * unitAtr;
+        if (currentPrice < triggerPrice) {
+            return { ...reject(`$${currentPrice.toFixed(2)} below trigger $${triggerPrice.toFixed(2)}`), triggerPrice };
+        }
+
+        const baseQuantity = this._initialQuantityOf(position) - adds.reduce((sum, a) => sum + a.quantity, 0);
+        let quantity = Math.floor(baseQuantity * settings.addFraction);
+        let reason = `+${settings.triggerAtr}×ATR over $${basePrice.toFixed(2)}, add ${adds.length + 1}/${settings.maxAdds}`;
+
+        const room = Math.floor((totalCapital * (settings.maxPositionPercent / 100)) / currentPrice) - position.quantity;
+        if (room < quantity) {
+            quantity = Math.max(0, room);
+            reason += `, capped at ${settings.maxPositionPercent}% of capital`;
+        }
+        if (quantity <= 0) {
+            return { ...reject(`Position at ${settings.maxPositionPercent}% cap`), triggerPrice };
+        }
+
+        return { allowed: true, quantity, triggerPrice, reason };
+    }
+
+    /**
+     * 매도 체결 반영 (전량 체결 시 포지션 삭제)
+     * 부분 매도 시 점수/익절 레벨/손절 상태는 그대로 유지
+     */
+    reducePosition(symbol, quantity) {
+        const position = this.positions[symbol];
+        if (!position) return null;
+
+        position.quantity -= quantity;
+        if (position.quantity <= 0) {
+            this.removePosition(symbol);
+            return null;
+        }
+
+        this._savePositions();
+        return position;
     }
 
     /**
@@ -96,41 +313,90 @@ class PositionManager {
     }
 
     /**
-     * 포지션 동기화 (실제 보유하지 않은 포지션 제거)
-     * @param {Array} holdings - KIS API에서 가져온 현재 보유 종목 리스트
+     * 포지션 동기화 (실제 보유하지 않은 포지션 제거, 보유 수량 보정)
+     * @param {Array} holdings - KIS API에서 가져온 현재 보유 종목 리스트 (qty = 주문가능수량 ord_psbl_qty)
+     * @param {Object} reservedQty - 종목별 미체결 매도 수량 (주문가능수량에서 빠져 있으므로 더해서 비교,
+     *                               전량이 매도 대기 중이면 보유 목록에 없어도 유지)
+     * @param {Array} filledSymbols - 잔고 조회 이후 체결이 반영된 종목 (보유 목록이 체결 전 기준이므로 건너뜀)
+     * @param {Object} buyFills - 종목별 최근 매수 체결 { [symbol]: [{ quantity, price }] } (늘어난 수량의 진입가)
      */
-    syncPositions(holdings) {
+    syncPositions(holdings, reservedQty = {}, filledSymbols = [], buyFills = {}) {
         // Safety check: If holdings is null or undefined (API error), do NOT sync/delete positions
         if (!holdings || !Array.isArray(holdings)) {
-            console.warn('[PositionManager] Skipping position sync due to invalid holdings data (API Error likely).');
+            this.logger.warn('[PositionManager] Skipping position sync due to invalid holdings data (API Error likely).');
             return;
         }
 
-        const currentSymbols = new Set(holdings.map(h => h.symbol));
+        const reservedSymbols = Object.keys(reservedQty).filter(symbol => reservedQty[symbol] > 0);
+        const currentSymbols = new Set([...holdings.map(h => h.symbol), ...reservedSymbols]);
         const storedSymbols = Object.keys(this.positions);
         let changed = false;
 
         for (const symbol of storedSymbols) {
-            if (!currentSymbols.has(symbol)) {
-                console.log(`[PositionManager] Removing stale position: ${symbol}`);
+            if (!currentSymbols.has(symbol) && !filledSymbols.includes(symbol)) {
+                this.logger.info(`[PositionManager] Removing stale position: ${symbol}`);
                 delete this.positions[symbol];
                 changed = true;
             }
         }
 
+        // 수량 보정 (외부 매도/매수, 놓친 체결). 점수/익절 레벨/손절 상태는 유지
+        for (const holding of holdings) {
+            const position = this.positions[holding.symbol];
+            if (!position || filledSymbols.includes(holding.symbol)) continue;
+
+            const actualQty = holding.qty + (reservedQty[holding.symbol] || 0);
+            if (position.quantity === actualQty) continue;
+
+            this.logger.info(`[PositionManager] Reconciling ${holding.symbol} quantity: ${position.quantity} -> ${actualQty}`);
+            if (actualQty > position.quantity) {
+                // 브로커 평균단가는 기존 보유분까지 섞여 있으므로 늘어난 수량은 체결가로 평균
+                const addedQty = actualQty - position.quantity;
+                const lotPrice = this._addedLotPrice(buyFills[holding.symbol], addedQty);
+                if (lotPrice) {
+                    position.entryPrice = (position.entryPrice * position.quantity + lotPrice * addedQty) / actualQty;
+                } else {
+                    this.logger.warn(`[PositionManager] No buy execution found for ${addedQty} added ${holding.symbol} shares. Keeping entry price`);
+                }
+                position.initialQuantity = this._initialQuantityOf(position) + addedQty;
+            }
+            position.quantity = actualQty;
+            changed = true;
+        }
+
         if (changed) {
             this._savePositions();
         }
     }
 
+    // 늘어난 수량의 체결가: 최근 매수 체결부터 늘어난 수량만큼 가중 평균 (체결 내역이 없으면 null)
+    _addedLotPrice(fills, addedQty) {
+        let remaining = addedQty;
+        let amount = 0;
+        for (const fill of fills || []) {
+            if (remaining <= 0) break;
+            const quantity = Math.min(remaining, fill.quantity);
+            amount += quantity * fill.price;
+            remaining -= quantity;
+        }
+        const covered = addedQty - remaining;
+        return covered > 0 ? amount / covered : null;
+    }
+
     /**
      * 가격 업데이트 및 트레일링 스탑 체크
+     * @param {Object} context - { marketCloseAt } 오늘 정규장 마감 시각 (ms, 장 마감 전 청산용)
      */
-    updatePrice(symbol, currentPrice) {
+    updatePrice(symbol, currentPrice, context = {}) {
         const position = this.positions[symbol];
         if (!position) return null;
 
         const profitPercent = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+        const costPercent = this.costModel.roundTripPercent(position.entryPrice, position.quantity);
+        const netProfitPercent = profitPercent - costPercent;
+
+        position.lastPrice = currentPrice; // 포트폴리오 히트 계산용
+        position.lastUpdateAt = this.now();
 
         // 최고가 업데이트
         if (currentPrice > position.highestPrice) {
@@ -147,33 +413,331 @@ class PositionManager {
             currentPrice,
             entryPrice: position.entryPrice,
             profitPercent,
+            netProfitPercent,
             highestPrice: position.highestPrice,
+            stopModel: this._stopOf(position).model,
+            stopPrice: null,
             action: 'HOLD',
             reason: ''
         };
 
-        // 1. 초기 손절 체크
-        if (profitPercent <= this.config.trailingStop.initialStopLoss) {
-            result.action = 'STOP_LOSS';
-            result.reason = `Stop loss triggered at ${profitPercent.toFixed(2)}%`;
+        // 1~4. 손절 모델별 손절선 갱신 및 이탈 체크
+        const stopResult = this._updateStop(position, currentPrice, profitPercent, costPercent);
+        result.stopPrice = position.currentStopLoss;
+        if (stopResult && stopResult.action) {
+            result.action = stopResult.action;
+            result.reason = stopResult.reason;
+            this._savePositions();
+            return result;
+        }
+        if (stopResult) {
+            result.reason = stopResult.reason;
+        }
+
+        // 5. 시간 청산 체크
+        const timeExit = this._checkTimeExit(position, netProfitPercent, context.marketCloseAt);
+        if (timeExit) {
+            result.action = timeExit.action;
+            result.reason = timeExit.reason;
             this._savePositions();
             return result;
         }
 
+        // 6. 익절 레벨 체크
+        const takeProfitResult = this._checkTakeProfitLevels(position, netProfitPercent);
+        if (takeProfitResult.action) {
+            result.action = takeProfitResult.action;
+            result.reason = takeProfitResult.reason;
+            result.sellPercent = takeProfitResult.sellPercent;
+            result.sellQuantity = takeProfitResult.sellQuantity;
+        }
+
+        this._savePositions();
+        return result;
+    }
+
+    // ============================================
+    // 가격 경로 재구성
+    // ============================================
+
+    /**
+     * 마지막 가격 갱신 후 공백이 있는지 (재시작, 장 마감 후 종료, 긴 사이클)
+     */
+    needsHistoryRebuild(symbol) {
+        const position = this.positions[symbol];
+        if (!position) return false;
+
+        const since = position.lastUpdateAt || position.entryTime;
+        return !!since && this.now() - since > this.config.history.gapMs;
+    }
+
+    /**
+     * 마지막 갱신(없으면 진입) 이후 장중 봉으로 최고가/최저가, 트레일링 활성화/손절선 재구성
+     * 공백 중 도달한 익절 레벨은 매도하지 못했으므로 달성으로 기록하지 않음 (다음 갱신에서 현재가 기준으로 매도)
+     * @returns {Object|null} { symbol, since, bars, changes: [문자열] } (봉 조회 실패 시 null)
+     */
+    async rebuildFromHistory(symbol) {
+        const position = this.positions[symbol];
+        if (!position) return null;
+
+        const now = this.now();
+        const since = Math.max(
+            position.lastUpdateAt || position.entryTime || 0,
+            now - this.config.history.maxLookbackDays * DAY_MS);
+
+        let bars;
+        try {
+            bars = await this.fetchBars(symbol, this.config.history.interval, since);
+        } catch (error) {
+            this.logger.warn(`[HISTORY] ${symbol}: Failed to fetch intraday bars (${error.message}), keeping stored state`);
+            return null;
+        }
+        if (!Array.isArray(bars)) {
+            this.logger.warn(`[HISTORY] ${symbol}: No intraday bars returned, keeping stored state`);
+            return null;
+        }
+
+        const pricePath = bars
+            .map(bar => ({ time: bar.time || new Date(bar.date).getTime(), high: bar.high, low: bar.low }))
+            .filter(bar => bar.time >= since && bar.time < now && bar.high > 0 && bar.low > 0)
+            .sort((a, b) => a.time - b.time);
+
+        const before = {
+            highestPrice: position.highestPrice,
+            lowestPrice: position.lowestPrice,
+            trailingStopActive: position.trailingStopActive,
+            currentStopLoss: position.currentStopLoss
+        };
+        const breaches = this._replayPath(position, pricePath);
+        position.lastUpdateAt = now;
+        this._savePositions();
+
+        const price = value => (value != null ? `$${value.toFixed(2)}` : 'none');
+        const changes = [];
+        if (position.highestPrice !== before.highestPrice) {
+            changes.push(`high ${price(before.highestPrice)} -> ${price(position.highestPrice)}`);
+        }
+        if (position.lowestPrice !== before.lowestPrice) {
+            changes.push(`low ${price(before.lowestPrice)} -> ${price(position.lowestPrice)}`);
+        }
+        if (position.trailingStopActive && !before.trailingStopActive) {
+            changes.push('trailing stop activated');
+        }
+        if (position.currentStopLoss !== before.currentStopLoss) {
+            changes.push(`stop ${price(before.currentStopLoss)} -> ${price(position.currentStopLoss)}`);
+        }
+        const missedLevels = this._missedTakeProfitLevels(position, pricePath);
+        if (missedLevels.length > 0) {
+            changes.push(`take-profit ${missedLevels.map(level => `L${level}`).join('/')} reached while offline (sold on next update if still reached)`);
+        }
+        if (breaches.length > 0) {
+            const first = breaches[0];
+            changes.push(`low ${price(first.low)} crossed stop ${price(first.stop)} at ${new Date(first.time).toISOString()}`);
+        }
+
+        return { symbol, since, bars: pricePath.length, changes };
+    }
+
+    /**
+     * 봉마다 저가로 손절 이탈 여부 확인 후 고가로 손절선 갱신 (과거 경로에서는 청산하지 않음)
+     * @returns {Array} 손절선 이탈 봉 [{ time, low, stop }]
+     */
+    _replayPath(position, pricePath) {
+        const costPercent = this.costModel.roundTripPercent(position.entryPrice, position.quantity);
+        const breaches = [];
+
+        for (const bar of pricePath) {
+            if (position.currentStopLoss != null && bar.low <= position.currentStopLoss) {
+                breaches.push({ time: bar.time, low: bar.low, stop: position.currentStopLoss });
+            }
+            position.lowestPrice = Math.min(position.lowestPrice, bar.low);
+            position.highestPrice = Math.max(position.highestPrice, bar.high);
+
+            const profitPercent = ((bar.high - position.entryPrice) / position.entryPrice) * 100;
+            this._updateStop(position, bar.high, profitPercent, costPercent, bar.time, bar.low);
+        }
+        return breaches;
+    }
+
+    // 경로 고가 기준으로 도달했지만 아직 매도하지 않은 익절 레벨 (기록은 하지 않음)
+    _missedTakeProfitLevels(position, pricePath) {
+        if (pricePath.length === 0) return [];
+
+        const high = Math.max(...pricePath.map(bar => bar.high));
+        const costPercent = this.costModel.roundTripPercent(position.entryPrice, position.quantity);
+        const netProfitPercent = ((high - position.entryPrice) / position.entryPrice) * 100 - costPercent;
+        const levels = this.config.takeProfit;
+        return [1, 2, 3].filter(level =>
+            netProfitPercent >= levels[`level${level}`].percent && !position.takeProfitLevelsHit.includes(level));
+    }
+
+    async _fetchYahooBars(symbol, interval, since) {
+        const result = await marketData.chart(symbol, { period1: new Date(since), interval });
+        return result && result.quotes ? result.quotes : [];
+    }
+
+    // ============================================
+    // 손절 모델
+    // ============================================
+
+    /**
+     * 진입 시 손절 모델/파라미터 기록 (설정이 바뀌어도 보유 포지션은 진입 당시 기준 유지)
+     */
+    _createStop(entryPrice, atr) {
+        const settings = this.config.stopModel;
+        const type = STOP_MODELS.includes(settings.type) ? settings.type : 'FIXED';
+        const fixed = {
+            model: 'FIXED',
+            initialStopLoss: this.config.trailingStop.initialStopLoss,
+            activationProfit: this.config.trailingStop.activationProfit,
+            trailingPercent: this.config.trailingStop.trailingPercent
+        };
+
+        if (type === 'SAR') {
+            return {
+                model: 'SAR',
+                atr: atr || null,
+                atrMultiple: settings.atrMultiple,
+                initialStopLoss: this.config.trailingStop.initialStopLoss,
+                step: settings.sarStep,
+                max: settings.sarMax,
+                intervalMs: settings.sarIntervalMs,
+                af: settings.sarStep,
+                extremePrice: entryPrice,
+                periodHigh: entryPrice,
+                periodLow: entryPrice,
+                prevPeriodLow: null,
+                lastStepAt: this.now()
+            };
+        }
+        if (type === 'FIXED' || !atr) {
+            return fixed;
+        }
+        return {
+            model: type,
+            atr,
+            multiple: type === 'ATR' ? settings.atrMultiple : settings.chandelierMultiple,
+            activationProfit: this.config.trailingStop.activationProfit
+        };
+    }
+
+    // 기록이 없는 기존 포지션은 FIXED (현재 설정값)
+    _stopOf(position) {
+        if (!position.stop) {
+            position.stop = {
+                model: 'FIXED',
+                initialStopLoss: this.config.trailingStop.initialStopLoss,
+                activationProfit: this.config.trailingStop.activationProfit,
+                trailingPercent: this.config.trailingStop.trailingPercent
+            };
+        }
+        return position.stop;
+    }
+
+    _initialStop(position) {
+        const stop = this._stopOf(position);
+        if (stop.model === 'ATR' || stop.model === 'CHANDELIER') {
+            return position.entryPrice - stop.multiple * stop.atr;
+        }
+        if (stop.model === 'SAR' && stop.atr) {
+            return position.entryPrice - stop.atrMultiple * stop.atr;
+        }
+        return position.entryPrice * (1 + stop.initialStopLoss / 100);
+    }
+
+    /**
+     * 손절선 갱신 후 이탈 여부 확인
+     * @param {number} time - 가격 시각 (과거 봉 재생 시 봉 시각, 기본 현재)
+     * @param {number} low - 구간 저가 (과거 봉 재생 시 봉 저가, 기본 현재가)
+     * @returns {Object|null} { action, reason } (action이 null이면 손절선 이동 안내만)
+     */
+    _updateStop(position, currentPrice, profitPercent, costPercent, time = this.now(), low = currentPrice) {
+        const stop = this._stopOf(position);
+
+        if (stop.model === 'FIXED') {
+            return this._updateFixedStop(position, stop, currentPrice, profitPercent, costPercent);
+        }
+
+        let candidate = null;
+        if (stop.model === 'ATR') {
+            // 본전 이동 후, 활성화 수익 이상에서 고점 - k×ATR 추적
+            if (profitPercent >= this.config.trailingStop.breakEvenMove) {
+                candidate = position.entryPrice * (1 + costPercent / 100);
+            }
+            if (profitPercent >= stop.activationProfit) {
+                candidate = Math.max(candidate || 0, position.highestPrice - stop.multiple * stop.atr);
+                position.trailingStopActive = true;
+            }
+        } else if (stop.model === 'CHANDELIER') {
+            candidate = position.highestPrice - stop.multiple * stop.atr;
+        } else if (stop.model === 'SAR') {
+            candidate = this._stepSar(position, stop, currentPrice, time, low);
+        }
+
+        // 손절선은 올라가기만 함 (ATR 본전 이동은 트레일링이 아니므로 이탈 시 STOP_LOSS)
+        if (candidate !== null && candidate > position.currentStopLoss) {
+            position.currentStopLoss = candidate;
+            if (stop.model !== 'ATR') {
+                position.trailingStopActive = true;
+            }
+        }
+
+        if (currentPrice <= position.currentStopLoss) {
+            const action = position.trailingStopActive ? 'TRAILING_STOP' : 'STOP_LOSS';
+            return {
+                action,
+                reason: `${stop.model} stop hit at $${currentPrice.toFixed(2)} (Stop: $${position.currentStopLoss.toFixed(2)}, High: $${position.highestPrice.toFixed(2)})`
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 파라볼릭 SAR: intervalMs마다 SAR += AF × (EP - SAR), 신고가마다 AF 증가
+     * (SAR은 직전 두 구간의 저가를 넘지 않음, 구간 안 되돌림에서 가격 위로 올라가지 않도록)
+     */
+    _stepSar(position, stop, currentPrice, time, low = currentPrice) {
+        stop.periodHigh = Math.max(stop.periodHigh, currentPrice);
+        stop.periodLow = Math.min(stop.periodLow ?? low, low); // 기록 없는 기존 포지션은 현재 구간부터
+
+        if (time - stop.lastStepAt < stop.intervalMs) return null;
+        stop.lastStepAt = time;
+
+        if (stop.periodHigh > stop.extremePrice) {
+            stop.extremePrice = stop.periodHigh;
+            stop.af = Math.min(stop.max, stop.af + stop.step);
+        }
+        const sar = position.currentStopLoss + stop.af * (stop.extremePrice - position.currentStopLoss);
+        const capped = Math.min(sar, stop.periodLow, stop.prevPeriodLow ?? Infinity);
+        stop.prevPeriodLow = stop.periodLow;
+        stop.periodHigh = currentPrice;
+        stop.periodLow = low;
+        return capped;
+    }
+
+    /**
+     * FIXED: 고정 % 손절 → 본전 이동 → 활성화 수익 이상에서 고점 대비 % 트레일링
+     */
+    _updateFixedStop(position, stop, currentPrice, profitPercent, costPercent) {
+        // 1. 초기 손절 체크
+        if (profitPercent <= stop.initialStopLoss) {
+            return { action: 'STOP_LOSS', reason: `Stop loss triggered at ${profitPercent.toFixed(2)}%` };
+        }
+
         // 2. 본전 이동 체크
+        let moved = false;
         if (profitPercent >= this.config.trailingStop.breakEvenMove &&
             position.currentStopLoss < position.entryPrice) {
-            position.currentStopLoss = position.entryPrice * 1.001; // 약간의 버퍼
-            result.reason = 'Stop loss moved to break-even';
+            position.currentStopLoss = position.entryPrice * (1 + costPercent / 100); // 왕복 비용까지 보전
+            moved = true;
         }
 
         // 3. 트레일링 스탑 활성화 체크
-        if (profitPercent >= this.config.trailingStop.activationProfit) {
+        if (profitPercent >= stop.activationProfit) {
             position.trailingStopActive = true;
 
             // 새로운 트레일링 스탑 레벨 계산
-            const trailingStopPrice = position.highestPrice *
-                (1 - this.config.trailingStop.trailingPercent / 100);
+            const trailingStopPrice = position.highestPrice * (1 - stop.trailingPercent / 100);
 
             // 스탑이 더 높으면 업데이트
             if (trailingStopPrice > position.currentStopLoss) {
@@ -183,24 +747,54 @@ class PositionManager {
 
         // 4. 트레일링 스탑 트리거 체크
         if (position.trailingStopActive && currentPrice <= position.currentStopLoss) {
-            result.action = 'TRAILING_STOP';
-            result.reason = `Trailing stop triggered. High: $${position.highestPrice.toFixed(2)}, Stop: $${position.currentStopLoss.toFixed(2)}`;
-            this._savePositions();
-            return result;
+            return {
+                action: 'TRAILING_STOP',
+                reason: `Trailing stop triggered. High: $${position.highestPrice.toFixed(2)}, Stop: $${position.currentStopLoss.toFixed(2)}`
+            };
         }
+        return moved ? { action: null, reason: 'Stop loss moved to break-even' } : null;
+    }
 
-        // 5. 익절 레벨 체크
-        const takeProfitResult = this._checkTakeProfitLevels(position, profitPercent);
-        if (takeProfitResult.action) {
-            result.action = takeProfitResult.action;
-            result.reason = takeProfitResult.reason;
-            result.sellPercent = takeProfitResult.sellPercent;
+    /**
+     * 시간 청산: 장 마감 전 전량 청산 → 최대 보유 시간 → 무진전
+     * @returns {Object|null} { action, reason }
+     */
+    _checkTimeExit(position, netProfitPercent, marketCloseAt) {
+        const settings = this.config.timeExits;
+        const now = this.now();
+
+        if (settings.flattenBeforeClose && marketCloseAt &&
+            marketCloseAt - now <= settings.flattenMinutesBeforeClose * 60 * 1000) {
+            return {
+                action: 'END_OF_DAY',
+                reason: `Flatten before close (${Math.max(0, Math.round((marketCloseAt - now) / 60000))} min left)`
+            };
         }
 
-        this._savePositions();
-        return result;
+        if (!position.entryTime) return null;
+        const heldHours = (now - position.entryTime) / (60 * 60 * 1000);
+
+        if (settings.maxHoldingHours > 0 && heldHours >= settings.maxHoldingHours) {
+            return {
+                action: 'MAX_HOLDING_TIME',
+                reason: `Held ${heldHours.toFixed(1)}h (max ${settings.maxHoldingHours}h)`
+            };
+        }
+
+        if (settings.noProgressHours > 0 && heldHours >= settings.noProgressHours &&
+            netProfitPercent < settings.noProgressMinProfit) {
+            return {
+                action: 'NO_PROGRESS',
+                reason: `No progress after ${heldHours.toFixed(1)}h (net ${netProfitPercent.toFixed(2)}% < ${settings.noProgressMinProfit}%)`
+            };
+        }
+
+        return null;
     }
 
+    /**
+     * @param {number} profitPercent - 비용 차감 후 순수익률
+     */
     _checkTakeProfitLevels(position, profitPercent) {
         const levels = this.config.takeProfit;
 
@@ -210,8 +804,9 @@ class PositionManager {
             position.takeProfitLevelsHit.push(3);
             return {
                 action: 'TAKE_PROFIT_L3',
-                reason: `Take profit level 3 (${profitPercent.toFixed(2)}%)`,
-                sellPercent: levels.level3.sellPercent
+                reason: `Take profit level 3 (net ${profitPercent.toFixed(2)}%)`,
+                sellPercent: levels.level3.sellPercent,
+                sellQuantity: position.quantity // 마지막 레벨은 나머지 전량
             };
         }
 
@@ -221,8 +816,9 @@ class PositionManager {
             position.takeProfitLevelsHit.push(2);
             return {
                 action: 'TAKE_PROFIT_L2',
-                reason: `Take profit level 2 (${profitPercent.toFixed(2)}%)`,
-                sellPercent: levels.level2.sellPercent
+                reason: `Take profit level 2 (net ${profitPercent.toFixed(2)}%)`,
+                sellPercent: levels.level2.sellPercent,
+                sellQuantity: this._takeProfitQuantity(position, levels.level2.sellPercent)
             };
         }
 
@@ -232,14 +828,30 @@ class PositionManager {
             position.takeProfitLevelsHit.push(1);
             return {
                 action: 'TAKE_PROFIT_L1',
-                reason: `Take profit level 1 (${profitPercent.toFixed(2)}%)`,
-                sellPercent: levels.level1.sellPercent
+                reason: `Take profit level 1 (net ${profitPercent.toFixed(2)}%)`,
+                sellPercent: levels.level1.sellPercent,
+                sellQuantity: this._takeProfitQuantity(position, levels.level1.sellPercent)
             };
         }
 
         return { action: null };
     }
 
+    /**
+     * 익절 매도 수량: 최초 수량 기준 비율 (남은 수량 기준이면 레벨마다 줄어듦)
+     */
+    _takeProfitQuantity(position, sellPercent) {
+        const quantity = Math.ceil(this._initialQuantityOf(position) * (sellPercent / 100));
+        return Math.min(position.quantity, quantity);
+    }
+
+    /**
+     * 이전 버전에서 저장된 포지션은 initialQuantity가 없으므로 현재 수량 기준
+     */
+    _initialQuantityOf(position) {
+        return position.initialQuantity || position.quantity;
+    }
+
     /**
      * 포지션 사이즈 계산
      * @param {number} totalCapital - 총 자본
@@ -247,8 +859,56 @@ class PositionManager {
      * @param {number} score - 분석 점수 (0-100)
      * @param {number} regimeMultiplier - 시장 레짐 멀티플라이어
      * @param {number} atr - ATR (변동성)
+     * @param {Object} context - { scoreStats } 점수 구간별 거래 통계 (KELLY, TradeLedger.getStatsByScore)
+     * @returns {Object} { quantity, value, percent, score, regimeMultiplier, mode, inputs }
+     */
+    calculatePositionSize(totalCapital, currentPrice, score, regimeMultiplier = 1.0, atr = null, context = {}) {
+        const mode = SIZING_MODES.includes(this.config.sizing.mode) ? this.config.sizing.mode : 'SCORE';
+
+        let sized = null;
+        if (mode === 'RISK_PER_TRADE') {
+            sized = this._riskPerTradePercent(currentPrice, atr);
+        } else if (mode === 'VOL_TARGET') {
+            sized = this._volTargetPercent(currentPrice, atr);
+        } else if (mode === 'KELLY') {
+            sized = this._kellyPercent(score, context.scoreStats);
+        }
+
+        let positionPercent;
+        let inputs;
+        if (sized && sized.percent !== null) {
+            inputs = sized.inputs;
+            positionPercent = Math.max(0, Math.min(this.config.sizing.maxPositionPercent, sized.percent * regimeMultiplier));
+        } else {
+            // SCORE 모드 또는 입력 부족 시 대체
+            inputs = sized ? { fallback: `${mode}: ${sized.inputs.missing}` } : {};
+            positionPercent = this._scorePercent(score, currentPrice, regimeMultiplier, atr);
+        }
+
+        // 실제 금액 및 수량 계산
+        const positionValue = totalCapital * (positionPercent / 100);
+        const quantity = Math.floor(positionValue / currentPrice);
+
+        // 최소 1주 (Kelly 기대값이 0 이하면 매수하지 않음)
+        const finalQuantity = positionPercent > 0 ? Math.max(1, quantity) : 0;
+        const actualValue = finalQuantity * currentPrice;
+        const actualPercent = (actualValue / totalCapital) * 100;
+
+        return {
+            quantity: finalQuantity,
+            value: actualValue,
+            percent: actualPercent,
+            score,
+            regimeMultiplier,
+            mode: sized && sized.percent !== null ? mode : 'SCORE',
+            inputs
+        };
+    }
+
+    /**
+     * SCORE: 점수 구간별 비율 → 레짐 → ATR 감액 → 최소/최대 제한
      */
-    calculatePositionSize(totalCapital, currentPrice, score, regimeMultiplier = 1.0, atr = null) {
+    _scorePercent(score, currentPrice, regimeMultiplier, atr) {
         const config = this.config.positionSizing;
 
         // 1. 기본 포지션 크기 (점수 기반)
@@ -283,27 +943,147 @@ class PositionManager {
         }
 
         // 4. 최소/최대 제한 적용
-        positionPercent = Math.max(config.minPositionPercent,
+        return Math.max(config.minPositionPercent,
             Math.min(config.maxPositionPercent, positionPercent));
+    }
 
-        // 5. 실제 금액 및 수량 계산
-        const positionValue = totalCapital * (positionPercent / 100);
-        const quantity = Math.floor(positionValue / currentPrice);
+    /**
+     * RISK_PER_TRADE: 진입 시 적용될 손절선(현재 손절 모델)까지의 거리 = 자본의 riskPerTradePercent
+     */
+    _riskPerTradePercent(currentPrice, atr) {
+        const riskPercent = this.config.sizing.riskPerTradePercent;
+        const stopPrice = this._entryStopPrice(currentPrice, atr);
+        const stopDistancePercent = ((currentPrice - stopPrice) / currentPrice) * 100;
+        if (!(stopDistancePercent > 0)) {
+            return { percent: null, inputs: { missing: 'no stop distance' } };
+        }
 
-        // 최소 1주
-        const finalQuantity = Math.max(1, quantity);
-        const actualValue = finalQuantity * currentPrice;
-        const actualPercent = (actualValue / totalCapital) * 100;
+        return {
+            percent: (riskPercent / stopDistancePercent) * 100,
+            inputs: { riskPerTradePercent: riskPercent, stopPrice, stopDistancePercent }
+        };
+    }
+
+    /**
+     * VOL_TARGET: 수량 × ATR(일간 달러 변동성) = 자본의 targetDailyVolPercent
+     */
+    _volTargetPercent(currentPrice, atr) {
+        if (!atr || !currentPrice) {
+            return { percent: null, inputs: { missing: 'no ATR' } };
+        }
+
+        const targetPercent = this.config.sizing.targetDailyVolPercent;
+        const atrPercent = (atr / currentPrice) * 100;
+        return {
+            percent: (targetPercent / atrPercent) * 100,
+            inputs: { targetDailyVolPercent: targetPercent, atr, atrPercent }
+        };
+    }
+
+    /**
+     * KELLY: f* = W - (1 - W) / R (W 승률, R 손익비), 자본 비율 = f* × kellyFraction
+     * 점수 구간의 거래가 없거나 kellyMinTrades 미만이거나 손실 거래가 없으면(손익비 계산 불가) SCORE로 대체
+     */
+    _kellyPercent(score, scoreStats) {
+        const settings = this.config.sizing;
+        const bucket = SCORE_BUCKETS.find(min => score >= min);
+        const stats = scoreStats && scoreStats[bucket];
+        const trades = stats ? stats.trades : 0;
+
+        if (!trades || trades < settings.kellyMinTrades || stats.payoffRatio == null) {
+            return { percent: null, inputs: { missing: `${trades}/${settings.kellyMinTrades} trades in score bucket ${bucket}+` } };
+        }
+
+        const kelly = stats.payoffRatio > 0
+            ? stats.winRate - (1 - stats.winRate) / stats.payoffRatio
+            : -1; // 수익 거래 없음
+        return {
+            percent: Math.max(0, kelly) * settings.kellyFraction * 100,
+            inputs: {
+                scoreBucket: bucket,
+                trades,
+                winRate: stats.winRate,
+                payoffRatio: stats.payoffRatio,
+                kelly,
+                kellyFraction: settings.kellyFraction
+            }
+        };
+    }
+
+    // ============================================
+    // 포트폴리오 히트 (손절선까지의 총 손실)
+    // ============================================
+
+    /**
+     * 포트폴리오 히트: 포지션별 (현재가 - 현재 손절선) × 수량의 합
+     * @param {number} equity - 총 자본
+     * @param {Object} prices - { [symbol]: 현재가 } (없으면 마지막 가격 업데이트 기준)
+     * @returns {Object} { heat, heatPercent, positions: [{ symbol, price, stopPrice, risk }] }
+     */
+    calculatePortfolioHeat(equity, prices = {}) {
+        const positions = Object.values(this.positions).map(position => {
+            const price = prices[position.symbol] || position.lastPrice || position.entryPrice;
+            const stopPrice = position.currentStopLoss != null ? position.currentStopLoss : this._initialStop(position);
+            return {
+                symbol: position.symbol,
+                price,
+                stopPrice,
+                risk: Math.max(0, price - stopPrice) * position.quantity // 손절선 아래로 갭이면 0
+            };
+        });
+        const heat = positions.reduce((sum, p) => sum + p.risk, 0);
+
+        return {
+            heat,
+            heatPercent: equity > 0 ? (heat / equity) * 100 : 0,
+            positions
+        };
+    }
+
+    /**
+     * 신규 진입 리스크: (진입가 - 진입 시 손절선) × 수량 (현재 손절 모델 기준)
+     */
+    entryRisk(price, quantity, atr = null) {
+        return Math.max(0, price - this._entryStopPrice(price, atr)) * quantity;
+    }
+
+    /**
+     * 히트 한도 내 신규 매수 수량 (한도를 넘으면 축소, 1주도 안 되면 거부)
+     * @param {number} currentHeat - 현재 히트 ($, 대기 중인 매수 포함)
+     * @returns {Object} { allowed, quantity, heatPercent, reason }
+     */
+    checkHeat(currentHeat, equity, price, quantity, atr = null) {
+        const cap = this.config.positionSizing.maxPortfolioHeatPercent;
+        const riskPerShare = this.entryRisk(price, 1, atr);
+        const heatPercent = qty => ((currentHeat + riskPerShare * qty) / equity) * 100;
+
+        if (!(cap > 0) || riskPerShare === 0) {
+            return { allowed: true, quantity, heatPercent: heatPercent(quantity), reason: '' };
+        }
+
+        const maxQuantity = Math.floor((equity * (cap / 100) - currentHeat) / riskPerShare + 1e-9); // 부동소수점 오차 보정
+        if (maxQuantity <= 0) {
+            return {
+                allowed: false,
+                quantity: 0,
+                heatPercent: heatPercent(0),
+                reason: `Portfolio heat ${heatPercent(0).toFixed(2)}% at cap (${cap}%)`
+            };
+        }
 
+        const finalQuantity = Math.min(quantity, maxQuantity);
         return {
+            allowed: true,
             quantity: finalQuantity,
-            value: actualValue,
-            percent: actualPercent,
-            score,
-            regimeMultiplier
+            heatPercent: heatPercent(finalQuantity),
+            reason: finalQuantity < quantity ? `Portfolio heat would exceed ${cap}%` : ''
         };
     }
 
+    _entryStopPrice(price, atr) {
+        return this._initialStop({ entryPrice: price, stop: this._createStop(price, atr) });
+    }
+
     /**
      * 현재 총 노출도 계산
      */
@@ -316,15 +1096,20 @@ class PositionManager {
 
     /**
      * 새 포지션 추가 가능 여부 확인
+     * @param {Object} candidate - { symbol, price, exposure } exposure는 ExposureAnalyzer.analyze 결과
+     *                             (있으면 섹터/산업 한도와 평균 상관계수 한도도 확인)
+     * @returns {Object} { allowed, reason, maxValue } maxValue가 요청 금액보다 작으면 그만큼 축소해서 매수
      */
-    canAddPosition(holdings, totalCapital, newPositionValue) {
+    canAddPosition(holdings, totalCapital, newPositionValue, candidate = null) {
         const currentExposure = this.calculateTotalExposure(holdings, totalCapital);
         const newExposurePercent = (newPositionValue / totalCapital) * 100;
         const totalExposure = currentExposure + newExposurePercent;
 
         const config = this.config.positionSizing;
 
-        if (holdings.length >= config.maxPositionsCount) {
+        // 보유 종목 추가 매수(피라미딩)는 포지션 개수를 늘리지 않음
+        const held = candidate && holdings.some(h => h.symbol === candidate.symbol);
+        if (!held && holdings.length >= config.maxPositionsCount) {
             return {
                 allowed: false,
                 reason: `Max positions (${config.maxPositionsCount}) reached`
@@ -338,13 +1123,90 @@ class PositionManager {
             };
         }
 
+        let maxValue = newPositionValue;
+        let reason = '';
+        if (candidate && candidate.exposure) {
+            const concentration = this._checkConcentration(holdings, totalCapital, newPositionValue, candidate);
+            if (!concentration.allowed) return concentration;
+            maxValue = concentration.maxValue;
+            reason = concentration.reason;
+        }
+
         return {
             allowed: true,
+            reason,
             currentExposure,
-            newExposure: totalExposure
+            newExposure: currentExposure + (maxValue / totalCapital) * 100,
+            maxValue
         };
     }
 
+    /**
+     * 섹터/산업 한도 (초과분만큼 축소, 1주도 못 사면 거부) 및 평균 상관계수 한도 (초과 시 거부)
+     */
+    _checkConcentration(holdings, totalCapital, newPositionValue, candidate) {
+        const limits = this.config.exposureLimits;
+        const { profiles, correlations } = candidate.exposure;
+        const profile = profiles[candidate.symbol];
+        const valueOf = h => (h.currentValue || (h.currentPrice * h.qty)) || 0;
+        let maxValue = newPositionValue;
+        let reason = '';
+
+        const groups = [
+            { field: 'sector', limit: limits.maxSectorPercent },
+            { field: 'industry', limit: limits.maxIndustryPercent }
+        ];
+        for (const { field, limit } of groups) {
+            if (!(limit > 0) || !profile || !profile[field]) continue;
+
+            const groupValue = holdings
+                .filter(h => profiles[h.symbol] && profiles[h.symbol][field] === profile[field])
+                .reduce((sum, h) => sum + valueOf(h), 0);
+            const room = totalCapital * (limit / 100) - groupValue;
+            if (room >= maxValue) continue;
+
+            const groupPercent = (groupValue / totalCapital) * 100;
+            if (room < candidate.price) {
+                return {
+                    allowed: false,
+                    reason: `${field} ${profile[field]} at ${groupPercent.toFixed(1)}% (max ${limit}%)`
+                };
+            }
+            maxValue = room;
+            reason = `${field} ${profile[field]} at ${groupPercent.toFixed(1)}%, capped at ${limit}%`;
+        }
+
+        if (limits.maxAverageCorrelation > 0) {
+            const held = [...new Set(holdings.map(h => h.symbol))].filter(symbol => symbol !== candidate.symbol);
+            const before = this._averageCorrelation(held, correlations);
+            const after = this._averageCorrelation([...held, candidate.symbol], correlations);
+            if (after !== null && after > limits.maxAverageCorrelation && (before === null || after > before)) {
+                return {
+                    allowed: false,
+                    reason: `Average pairwise correlation ${after.toFixed(2)} would exceed ${limits.maxAverageCorrelation}`
+                };
+            }
+        }
+
+        return { allowed: true, maxValue, reason };
+    }
+
+    /**
+     * 평균 쌍별 상관계수 (계산된 쌍이 없으면 null)
+     */
+    _averageCorrelation(symbols, correlations) {
+        const values = [];
+        for (let i = 0; i < symbols.length; i++) {
+            for (let j = i + 1; j < symbols.length; j++) {
+                const row = correlations[symbols[i]];
+                if (row && row[symbols[j]] !== undefined) {
+                    values.push(row[symbols[j]]);
+                }
+            }
+        }
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    }
+
     /**
      * 모든 포지션 가져오기
      */
@@ -367,4 +1229,7 @@ class PositionManager {
     }
 }
 
-module.exports = new PositionManager();
\ No newline at end of file
+module.exports = new PositionManager();
+module.exports.PositionManager = PositionManager;
+module.exports.SIZING_MODES = SIZING_MODES;
+module.exports.SCORE_BUCKETS = SCORE_BUCKETS;
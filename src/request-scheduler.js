@@ -0,0 +1,179 @@
+/**
+ * Request Scheduler
+ * KIS / Yahoo 호출 공통 스케줄러: 제공자별 토큰 버킷 + 재시도(지수 백오프, 지터)
+ *
+ * - 토큰 버킷: 초당 허용 건수(ratePerSecond)와 순간 허용량(burst)을 제공자별로 관리.
+ *   대기 순서대로 토큰을 예약하므로 동시에 호출해도 한도를 넘지 않음
+ * - 재시도: KIS "초당 거래건수를 초과하였습니다."(EGW00201), Yahoo 429, 일시적 네트워크 오류
+ * - 주문 POST처럼 멱등이 아닌 요청은 서버에 접수되지 않았음이 확실한 오류
+ *   (게이트웨이 호출 제한, 연결 실패)일 때만 재시도 (중복 주문 방지)
+ */
+
+const winston = require('winston');
+const config = require('./config');
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+            return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+        })
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// 요청이 서버에 도달하지 못한 네트워크 오류 (주문 미접수 확실)
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+// 응답을 받지 못한 네트워크 오류 (접수 여부 불확실)
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+/**
+ * KIS 오류 분류
+ * @returns {Object} { retryable, notAccepted }
+ */
+function classifyKisError(error) {
+    const response = error.response;
+    if (response) {
+        const data = response.data || {};
+        // 게이트웨이에서 호출 제한으로 거절 → 주문 미접수
+        if (data.msg_cd === 'EGW00201') return { retryable: true, notAccepted: true };
+        if ([429, 502, 503, 504].includes(response.status)) return { retryable: true, notAccepted: false };
+        return { retryable: false, notAccepted: false };
+    }
+    if (NOT_SENT_CODES.includes(error.code)) return { retryable: true, notAccepted: true };
+    if (TRANSIENT_CODES.includes(error.code)) return { retryable: true, notAccepted: false };
+    return { retryable: false, notAccepted: false };
+}
+
+/**
+ * Yahoo 오류 분류 (조회만 하므로 모두 멱등)
+ */
+function classifyYahooError(error) {
+    const status = error.response ? error.response.status : error.status;
+    if (status === 429 || /Too Many Requests/i.test(error.message || '')) {
+        return { retryable: true, notAccepted: true };
+    }
+    if (NOT_SENT_CODES.includes(error.code)) return { retryable: true, notAccepted: true };
+    if (TRANSIENT_CODES.includes(error.code)) return { retryable: true, notAccepted: false };
+    return { retryable: false, notAccepted: false };
+}
+
+class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.providers - { name: { ratePerSecond, burst, classify } } (기본값에 병합)
+     * @param {Object} options.retry - { maxRetries, baseDelayMs, maxDelayMs }
+     * @param {Function} options.now - 현재 시각 (ms)
+     * @param {Function} options.sleep - async (ms) => void
+     * @param {Function} options.random - 0~1 난수 (지터)
+     * @param {Object} options.logger
+     */
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.random = options.random || Math.random;
+        this.logger = options.logger || logger;
+
+        const isReal = config.trading.mode === 'REAL';
+        this.config = {
+            providers: {
+                // KIS: 실전 초당 20건, 모의투자(VTS)는 더 적음 → 여유를 두고 설정
+                kis: {
+                    ratePerSecond: Number(process.env.KIS_RATE_LIMIT) || (isReal ? 18 : 2),
+                    burst: isReal ? 5 : 1,
+                    classify: classifyKisError
+                },
+                yahoo: {
+                    ratePerSecond: Number(process.env.YAHOO_RATE_LIMIT) || 10,
+                    burst: 5,
+                    classify: classifyYahooError
+                },
+                ...options.providers
+            },
+            retry: {
+                maxRetries: 4,
+                baseDelayMs: 500,
+                maxDelayMs: 8000,
+                ...options.retry
+            }
+        };
+
+        this.buckets = {};
+    }
+
+    _bucket(name) {
+        const provider = this.config.providers[name];
+        if (!provider) {
+            throw new Error(`Unknown request provider: ${name}`);
+        }
+        if (!this.buckets[name]) {
+            this.buckets[name] = { tokens: provider.burst, updatedAt: this.now() };
+        }
+        return this.buckets[name];
+    }
+
+    /**
+     * 토큰 1개 예약. 부족하면 예약 순서대로 대기 (토큰이 음수 = 대기열)
+     */
+    async _acquire(name) {
+        const provider = this.config.providers[name];
+        const bucket = this._bucket(name);
+
+        const now = this.now();
+        const refill = (now - bucket.updatedAt) / 1000 * provider.ratePerSecond;
+        bucket.tokens = Math.min(provider.burst, bucket.tokens + refill);
+        bucket.updatedAt = now;
+
+        bucket.tokens -= 1;
+        if (bucket.tokens < 0) {
+            await this.sleep(-bucket.tokens / provider.ratePerSecond * 1000);
+        }
+    }
+
+    /**
+     * 지수 백오프 + 전체 지터 (0 ~ min(maxDelay, base * 2^attempt))
+     */
+    _backoffMs(attempt) {
+        const { baseDelayMs, maxDelayMs } = this.config.retry;
+        return Math.round(this.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt)));
+    }
+
+    /**
+     * 요청 실행
+     * @param {string} name - 제공자 ('kis' | 'yahoo')
+     * @param {Function} fn - async () => 응답
+     * @param {Object} options
+     * @param {boolean} options.idempotent - false면 미접수가 확실한 오류만 재시도 (주문 POST)
+     * @param {string} options.label - 로그용 이름
+     */
+    async schedule(name, fn, options = {}) {
+        const idempotent = options.idempotent !== false;
+        const label = options.label || name;
+        const { maxRetries } = this.config.retry;
+
+        for (let attempt = 0; ; attempt++) {
+            await this._acquire(name);
+            try {
+                return await fn();
+            } catch (error) {
+                const { retryable, notAccepted } = this.config.providers[name].classify(error);
+                const safe = idempotent || notAccepted;
+                if (!retryable || !safe || attempt >= maxRetries) {
+                    throw error;
+                }
+
+                const delay = this._backoffMs(attempt);
+                this.logger.warn(`[RETRY] ${label}: ${error.message} (attempt ${attempt + 1}/${maxRetries}, ${delay}ms)`);
+                await this.sleep(delay);
+            }
+        }
+    }
+}
+
+module.exports = new RequestScheduler();
+module.exports.RequestScheduler = RequestScheduler;
+module.exports.classifyKisError = classifyKisError;
+module.exports.classifyYahooError = classifyYahooError;
@@ -0,0 +1,182 @@
+/**
+ * Risk Governor
+ * 계좌 단위 손실 한도: 사이클마다 평가액(getBalance)을 받아 신규 진입 중단 / 전량 청산 / 수동 해제 필요 여부 결정
+ *
+ * - DAILY_LOSS: 당일(ET) 시작 평가액 대비 손실이 한도(% 또는 $)를 넘으면 그날 신규 진입 중단
+ * - 더 큰 손실 한도(설정 시)를 넘으면 그날 보유 종목 전량 청산 (신규 진입도 중단)
+ * - DRAWDOWN: 최고 평가액 대비 낙폭이 한도를 넘으면 수동 해제(reset) 전까지 신규 진입 중단
+ * - 중단 상태와 사유는 data/risk-state.json 에 저장 (재시작해도 유지)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 중단 단계 (뒤로 갈수록 심각, 낮은 단계가 높은 단계를 덮어쓰지 않음)
+const HALT_LEVELS = ['DAILY_LOSS', 'DRAWDOWN'];
+
+const etDayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+class RiskGovernor {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.stateFile - 저장 파일 경로 (null이면 메모리 전용, 백테스트용)
+     * @param {Function} options.now - 현재 시각 함수
+     * @param {Object} options.config - 한도 설정 (기본: config.risk)
+     */
+    constructor(options = {}) {
+        this.stateFile = options.stateFile !== undefined
+            ? options.stateFile
+            : path.join(__dirname, '../data/risk-state.json');
+        this.now = options.now || Date.now;
+
+        // 한도 (0 = 사용 안 함)
+        this.config = {
+            dailyLossPercent: config.risk.dailyLossPercent,     // 당일 손실 % → 신규 진입 중단
+            dailyLossUsd: config.risk.dailyLossUsd,             // 당일 손실 $ → 신규 진입 중단
+            flattenLossPercent: config.risk.flattenLossPercent, // 당일 손실 % → 전량 청산
+            flattenLossUsd: config.risk.flattenLossUsd,         // 당일 손실 $ → 전량 청산
+            maxDrawdownPercent: config.risk.maxDrawdownPercent, // 최고점 대비 낙폭 % → 수동 해제 전까지 중단
+            ...options.config
+        };
+
+        this.state = this._loadState();
+    }
+
+    _loadState() {
+        const empty = { day: null, dayStartEquity: null, peakEquity: null, lastEquity: null, halt: null, flattenDay: null };
+        if (!this.stateFile) return empty;
+
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                return { ...empty, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+            }
+        } catch (error) {
+            console.error('Failed to load risk state:', error.message);
+        }
+        return empty;
+    }
+
+    _saveState() {
+        if (!this.stateFile) return;
+
+        try {
+            const dir = path.dirname(this.stateFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+        } catch (error) {
+            console.error('Failed to save risk state:', error.message);
+        }
+    }
+
+    /**
+     * 평가액 반영 후 현재 상태
+     * @param {number} equity - 계좌 평가액 (현금 + 보유 종목, USD)
+     * @returns {Object} { allowEntries, flatten, halt, dailyPnl, dailyPnlPercent, drawdownPercent }
+     */
+    update(equity) {
+        if (!(equity > 0)) return this.getStatus();
+
+        const state = this.state;
+        const day = etDayFormatter.format(new Date(this.now()));
+
+        // 새 거래일: 당일 기준 평가액 갱신, 당일 한도 중단은 해제 (낙폭 중단은 수동 해제만)
+        if (state.day !== day) {
+            state.day = day;
+            state.dayStartEquity = equity;
+            if (state.halt && state.halt.level !== 'DRAWDOWN') {
+                state.halt = null;
+            }
+        }
+
+        state.lastEquity = equity;
+        if (!state.peakEquity || equity > state.peakEquity) {
+            state.peakEquity = equity;
+        }
+
+        const { dailyPnl, dailyPnlPercent, drawdownPercent } = this._measure();
+        const loss = -dailyPnl;
+        const lossPercent = -dailyPnlPercent;
+        const settings = this.config;
+
+        if (settings.maxDrawdownPercent > 0 && drawdownPercent >= settings.maxDrawdownPercent) {
+            this._halt('DRAWDOWN', `Drawdown ${drawdownPercent.toFixed(2)}% from peak $${state.peakEquity.toFixed(2)} (limit ${settings.maxDrawdownPercent}%) - manual reset required`);
+        }
+        if (state.flattenDay !== day &&
+            ((settings.flattenLossPercent > 0 && lossPercent >= settings.flattenLossPercent) ||
+            (settings.flattenLossUsd > 0 && loss >= settings.flattenLossUsd))) {
+            state.flattenDay = day;
+            if (state.halt && state.halt.level === 'DAILY_LOSS') {
+                state.halt = null; // 신규 진입 중단 사유를 청산 사유로 교체
+            }
+            this._halt('DAILY_LOSS', `Daily loss $${loss.toFixed(2)} (${lossPercent.toFixed(2)}%) - flatten all positions`);
+        }
+        if ((settings.dailyLossPercent > 0 && lossPercent >= settings.dailyLossPercent) ||
+            (settings.dailyLossUsd > 0 && loss >= settings.dailyLossUsd)) {
+            this._halt('DAILY_LOSS', `Daily loss $${loss.toFixed(2)} (${lossPercent.toFixed(2)}%) - no new entries today`);
+        }
+
+        this._saveState();
+        return this.getStatus();
+    }
+
+    /**
+     * 저장된 상태 기준 (평가액 갱신 없이)
+     */
+    getStatus() {
+        const halt = this.state.halt;
+        return {
+            allowEntries: !halt,
+            flatten: !!this.state.day && this.state.flattenDay === this.state.day,
+            halt,
+            ...this._measure()
+        };
+    }
+
+    /**
+     * 수동 해제 (낙폭 중단 포함). 최고 평가액은 현재 평가액으로 재설정
+     */
+    reset() {
+        const previous = this.state.halt;
+        this.state.halt = null;
+        this.state.flattenDay = null;
+        this.state.peakEquity = this.state.lastEquity;
+        this._saveState();
+        return previous;
+    }
+
+    /**
+     * 더 심각한 단계로만 변경 (DAILY_LOSS < DRAWDOWN)
+     */
+    _halt(level, reason) {
+        const current = this.state.halt;
+        if (current && HALT_LEVELS.indexOf(current.level) >= HALT_LEVELS.indexOf(level)) return;
+
+        this.state.halt = { level, reason, since: this.now() };
+    }
+
+    _measure() {
+        const { dayStartEquity, peakEquity, lastEquity } = this.state;
+        if (!lastEquity) {
+            return { dailyPnl: 0, dailyPnlPercent: 0, drawdownPercent: 0 };
+        }
+
+        const dailyPnl = lastEquity - dayStartEquity;
+        return {
+            dailyPnl,
+            dailyPnlPercent: (dailyPnl / dayStartEquity) * 100,
+            drawdownPercent: ((peakEquity - lastEquity) / peakEquity) * 100
+        };
+    }
+}
+
+module.exports = new RiskGovernor();
+module.exports.RiskGovernor = RiskGovernor;
+module.exports.HALT_LEVELS = HALT_LEVELS;
@@ -0,0 +1,331 @@
+/**
+ * Tax Estimator
+ * 해외주식 양도소득세 추정: 거래 원장의 실현 거래를 원화로 환산해 연간 양도차익/예상 세액 계산
+ *
+ * - 양도일/취득일은 결제일(미국 T+1) 기준, 각 결제일의 원/달러 환율로 환산 (귀속 연도도 결제일 기준)
+ * - 매수/매도 수수료는 필요경비로 차감, 같은 해의 손실은 이익과 통산
+ * - 연간 기본공제 250만원 초과분에 22% (양도소득세 20% + 지방소득세 2%)
+ * - 5월 확정신고용 CSV 내보내기 (data/tax/)
+ * - 환율은 data/fx-rates.json 에 저장. 없는 날짜만 Yahoo KRW=X 종가로 채우므로
+ *   신고 전 서울외국환중개 매매기준율로 직접 수정해 두면 그 값을 사용
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const marketData = require('./market-data');
+const tradeLedger = require('./trade-ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const etDayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+const CSV_COLUMNS = [
+    ['symbol', '종목'],
+    ['quantity', '수량'],
+    ['acquiredDate', '취득일(결제일)'],
+    ['soldDate', '양도일(결제일)'],
+    ['acquisitionUsd', '취득가(USD)'],
+    ['proceedsUsd', '양도가(USD)'],
+    ['acquisitionRate', '취득 환율'],
+    ['saleRate', '양도 환율'],
+    ['acquisitionKrw', '취득가액(원)'],
+    ['proceedsKrw', '양도가액(원)'],
+    ['feesKrw', '필요경비(원)'],
+    ['gainKrw', '양도차익(원)'],
+    ['orderNo', '주문번호']
+];
+
+/**
+ * Yahoo KRW=X 일봉 종가 → [{ date, rate }]
+ */
+async function fetchYahooRates(from, to) {
+    const result = await marketData.chart('KRW=X', {
+        period1: new Date(from),
+        period2: new Date(to),
+        interval: '1d'
+    });
+    return (result && result.quotes ? result.quotes : [])
+        .filter(q => q.close)
+        .map(q => ({ date: new Date(q.date).toISOString().slice(0, 10), rate: q.close }));
+}
+
+class TaxEstimator {
+    /**
+     * @param {Object} options
+     * @param {Object} options.tradeLedger - 실현 거래/보유 로트 출처
+     * @param {string|null} options.ratesFile - 환율 저장 파일 (null이면 메모리 전용)
+     * @param {Function} options.fetchRates - async (from, to) => [{ date: 'YYYY-MM-DD', rate }]
+     * @param {Function} options.now - 현재 시각 함수
+     */
+    constructor(options = {}) {
+        this.tradeLedger = options.tradeLedger || tradeLedger;
+        this.ratesFile = options.ratesFile !== undefined
+            ? options.ratesFile
+            : path.join(__dirname, '../data/fx-rates.json');
+        this.fetchRates = options.fetchRates || fetchYahooRates;
+        this.now = options.now || Date.now;
+        this.rates = this._loadRates(); // { 'YYYY-MM-DD': KRW per USD }
+
+        this.config = {
+            deductionKrw: 2500000,      // 연간 기본공제
+            taxRatePercent: 22,         // 양도소득세 20% + 지방소득세 2%
+            settlementDays: 1,          // 미국 주식 결제일 (T+1 영업일)
+            maxRateLookbackDays: 7,     // 휴일이면 직전 영업일 환율 사용
+            harvestFromMonth: config.tax.harvestFromMonth // 손실 실현 매도를 검토하는 시작 월
+        };
+    }
+
+    _loadRates() {
+        if (!this.ratesFile) return {};
+
+        try {
+            if (fs.existsSync(this.ratesFile)) {
+                return JSON.parse(fs.readFileSync(this.ratesFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Failed to load FX rates:', error.message);
+        }
+        return {};
+    }
+
+    _saveRates() {
+        if (!this.ratesFile) return;
+
+        try {
+            const dir = path.dirname(this.ratesFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.ratesFile, JSON.stringify(this.rates, null, 2));
+        } catch (error) {
+            console.error('Failed to save FX rates:', error.message);
+        }
+    }
+
+    // ============================================
+    // 결제일 / 환율
+    // ============================================
+
+    /**
+     * 체결 시각 → 결제일 (미국 동부시간 거래일 + settlementDays 영업일, 미국 공휴일은 무시)
+     */
+    settlementDate(time) {
+        const date = new Date(`${etDayFormatter.format(new Date(time))}T00:00:00Z`);
+        let remaining = this.config.settlementDays;
+        while (remaining > 0) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            const day = date.getUTCDay();
+            if (day !== 0 && day !== 6) remaining--;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * 해당 날짜의 환율 (없으면 직전 날짜)
+     * @returns {number|null}
+     */
+    rateOn(date) {
+        const base = new Date(`${date}T00:00:00Z`).getTime();
+        for (let i = 0; i <= this.config.maxRateLookbackDays; i++) {
+            const key = new Date(base - i * DAY_MS).toISOString().slice(0, 10);
+            if (this.rates[key]) return this.rates[key];
+        }
+        return null;
+    }
+
+    /**
+     * 환율이 없는 날짜가 있으면 조회해서 채움 (이미 있는 값은 덮어쓰지 않음)
+     * @param {Array<string>} dates - 'YYYY-MM-DD'
+     */
+    async ensureRates(dates) {
+        const missing = [...new Set(dates)].filter(date => !this.rateOn(date)).sort();
+        if (missing.length === 0) return;
+
+        const from = new Date(`${missing[0]}T00:00:00Z`).getTime() - this.config.maxRateLookbackDays * DAY_MS;
+        const to = new Date(`${missing[missing.length - 1]}T00:00:00Z`).getTime() + DAY_MS;
+        const fetched = await this.fetchRates(from, to);
+        for (const { date, rate } of fetched) {
+            if (!this.rates[date]) this.rates[date] = rate;
+        }
+        this._saveRates();
+
+        const unresolved = missing.filter(date => !this.rateOn(date));
+        if (unresolved.length > 0) {
+            throw new Error(`No KRW/USD rate for ${unresolved.join(', ')} (add them to ${this.ratesFile || 'rates'})`);
+        }
+    }
+
+    // ============================================
+    // 양도차익 계산
+    // ============================================
+
+    /**
+     * 귀속 연도의 실현 거래 (결제일 기준)
+     */
+    _tradesFor(year) {
+        return this.tradeLedger.getTrades()
+            .filter(t => this.settlementDate(t.exitTime).startsWith(`${year}-`));
+    }
+
+    _requiredDates(trades) {
+        const dates = [];
+        for (const trade of trades) {
+            dates.push(this.settlementDate(trade.exitTime));
+            for (const lot of trade.lots) {
+                if (lot.time) dates.push(this.settlementDate(lot.time));
+            }
+        }
+        return dates;
+    }
+
+    /**
+     * 실현 거래 1건 → 로트별 신고 행 (취득일이 다르므로 로트 단위)
+     * 원장 도입 전 보유분(취득 시각 없음)은 양도일 환율로 환산
+     */
+    _rowsOf(trade) {
+        const soldDate = this.settlementDate(trade.exitTime);
+        const saleRate = this.rateOn(soldDate);
+        const buyFees = trade.lots.reduce((sum, lot) => sum + (lot.fee || 0), 0);
+        const sellFee = trade.fees - buyFees;
+
+        return trade.lots.map(lot => {
+            const acquiredDate = lot.time ? this.settlementDate(lot.time) : '';
+            const acquisitionRate = lot.time ? this.rateOn(acquiredDate) : saleRate;
+            const acquisitionUsd = lot.price * lot.quantity;
+            const proceedsUsd = trade.exitPrice * lot.quantity;
+            const acquisitionKrw = Math.round(acquisitionUsd * acquisitionRate);
+            const proceedsKrw = Math.round(proceedsUsd * saleRate);
+            const feesKrw = Math.round((lot.fee || 0) * acquisitionRate +
+                sellFee * (lot.quantity / trade.quantity) * saleRate);
+
+            return {
+                symbol: trade.symbol,
+                quantity: lot.quantity,
+                acquiredDate,
+                soldDate,
+                acquisitionUsd,
+                proceedsUsd,
+                acquisitionRate,
+                saleRate,
+                acquisitionKrw,
+                proceedsKrw,
+                feesKrw,
+                gainKrw: proceedsKrw - acquisitionKrw - feesKrw,
+                orderNo: trade.orderNo || ''
+            };
+        });
+    }
+
+    _currentYear() {
+        return Number(new Date(this.now() + 9 * 60 * 60 * 1000).toISOString().slice(0, 4)); // KST
+    }
+
+    /**
+     * 연간(기본: 올해 누적) 양도소득세 추정
+     * @param {number} year
+     */
+    async estimate(year = this._currentYear()) {
+        const trades = this._tradesFor(year);
+        await this.ensureRates(this._requiredDates(trades));
+
+        const rows = trades.flatMap(trade => this._rowsOf(trade));
+        const sum = key => rows.reduce((total, row) => total + row[key], 0);
+        const realizedGainKrw = sum('gainKrw');
+        const taxableGainKrw = Math.max(0, realizedGainKrw - this.config.deductionKrw);
+
+        return {
+            year,
+            rows,
+            totalProceedsKrw: sum('proceedsKrw'),
+            totalAcquisitionKrw: sum('acquisitionKrw'),
+            totalFeesKrw: sum('feesKrw'),
+            realizedGainKrw,
+            deductionKrw: this.config.deductionKrw,
+            taxableGainKrw,
+            estimatedTaxKrw: Math.floor(taxableGainKrw * this.config.taxRatePercent / 100)
+        };
+    }
+
+    /**
+     * 신고용 CSV 저장 (Excel에서 한글이 깨지지 않도록 BOM 포함)
+     * @returns {Object} { file, report }
+     */
+    async exportCsv(year = this._currentYear(), outFile = null) {
+        const report = await this.estimate(year);
+        const file = outFile || path.join(__dirname, `../data/tax/capital-gains-${year}.csv`);
+
+        const escape = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [
+            CSV_COLUMNS.map(([, label]) => label).join(','),
+            ...report.rows.map(row => CSV_COLUMNS.map(([key]) => escape(row[key])).join(',')),
+            '',
+            `양도차익 합계,${report.realizedGainKrw}`,
+            `기본공제,${report.deductionKrw}`,
+            `과세표준,${report.taxableGainKrw}`,
+            `예상 세액(${this.config.taxRatePercent}%),${report.estimatedTaxKrw}`
+        ];
+
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(file, '\uFEFF' + lines.join('\n') + '\n');
+        return { file, report };
+    }
+
+    // ============================================
+    // 연말 손실 실현 (Tax-loss harvesting)
+    // ============================================
+
+    /**
+     * 올해 양도차익이 기본공제를 넘으면, 원화 기준 평가손실 종목을 초과분만큼 골라 반환
+     * (환율 상승으로 달러 손실이 원화 이익인 종목은 제외)
+     * @param {Array} holdings - [{ symbol, qty, avgPrice, currentPrice }]
+     * @returns {Array} [{ symbol, quantity, lossKrw }] (손실 큰 순)
+     */
+    async getHarvestPlan(holdings) {
+        const now = this.now();
+        const month = new Date(now + 9 * 60 * 60 * 1000).getUTCMonth() + 1; // KST
+        if (month < this.config.harvestFromMonth || holdings.length === 0) return [];
+
+        const report = await this.estimate();
+        let excess = report.realizedGainKrw - this.config.deductionKrw;
+        if (excess <= 0) return [];
+
+        const today = this.settlementDate(now);
+        const lots = this.tradeLedger.getOpenLots();
+        await this.ensureRates([today, ...lots.map(lot => this.settlementDate(lot.time))]);
+        const currentRate = this.rateOn(today);
+
+        const candidates = holdings.map(holding => {
+            const symbolLots = lots.filter(lot => lot.symbol === holding.symbol);
+            const lotQty = symbolLots.reduce((sum, lot) => sum + lot.remaining, 0);
+            // 원장 도입 전 보유분은 평균단가를 현재 환율로 환산
+            const costKrw = symbolLots.reduce((sum, lot) =>
+                sum + lot.price * lot.remaining * this.rateOn(this.settlementDate(lot.time)), 0) +
+                Math.max(0, holding.qty - lotQty) * holding.avgPrice * currentRate;
+            const lossKrw = Math.round(holding.currentPrice * holding.qty * currentRate - costKrw);
+            return { symbol: holding.symbol, quantity: holding.qty, lossKrw };
+        }).filter(c => c.lossKrw < 0).sort((a, b) => a.lossKrw - b.lossKrw);
+
+        const plan = [];
+        for (const candidate of candidates) {
+            if (excess <= 0) break;
+            plan.push(candidate);
+            excess += candidate.lossKrw;
+        }
+        return plan;
+    }
+}
+
+module.exports = new TaxEstimator();
+module.exports.TaxEstimator = TaxEstimator;
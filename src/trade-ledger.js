@@ -0,0 +1,247 @@
+/**
+ * Trade Ledger
+ * 체결 기준 거래 원장: 매수 체결은 로트(lot)로 쌓고, 매도 체결은 먼저 산 로트부터(FIFO) 차감
+ *
+ * - 부분 익절 매도도 체결 수량만큼만 로트를 소진
+ * - 매도 체결 1건 = 실현 거래 1건 (실현 손익, 보유 시간, 수수료)
+ * - data/trade-ledger.json 에 저장되어 재시작 후에도 통계 유지
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class TradeLedger {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.ledgerFile - 저장 파일 경로 (null이면 메모리 전용, 백테스트용)
+     * @param {Function} options.now - 현재 시각 함수
+     */
+    constructor(options = {}) {
+        this.ledgerFile = options.ledgerFile !== undefined
+            ? options.ledgerFile
+            : path.join(__dirname, '../data/trade-ledger.json');
+        this.now = options.now || Date.now;
+
+        const state = this._loadLedger();
+        this.lots = state.lots || [];       // 미청산 매수 로트
+        this.trades = state.trades || [];   // 실현 거래
+        this.seq = state.seq || 0;
+    }
+
+    _loadLedger() {
+        if (!this.ledgerFile) return {};
+
+        try {
+            if (fs.existsSync(this.ledgerFile)) {
+                return JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Failed to load trade ledger:', error.message);
+        }
+        return {};
+    }
+
+    _saveLedger() {
+        if (!this.ledgerFile) return;
+
+        try {
+            const dir = path.dirname(this.ledgerFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.ledgerFile, JSON.stringify({
+                seq: this.seq,
+                lots: this.lots,
+                trades: this.trades
+            }, null, 2));
+        } catch (error) {
+            console.error('Failed to save trade ledger:', error.message);
+        }
+    }
+
+    // ============================================
+    // 체결 기록
+    // ============================================
+
+    /**
+     * 체결 기록
+     * @param {Object} fill
+     * @param {string} fill.symbol
+     * @param {string} fill.side - 'BUY' | 'SELL'
+     * @param {number} fill.quantity
+     * @param {number} fill.price - 체결가
+     * @param {number} fill.fee - 수수료 (USD)
+     * @param {string} fill.orderNo
+     * @param {string} fill.reason - 매도 사유 (STOP_LOSS, TAKE_PROFIT_L1 ...)
+     * @param {number} fill.time
+     * @param {number} fill.costBasis - 원장에 로트가 없는 매도(원장 도입 전 보유분)의 매입가
+     * @param {number} fill.score - 매수 시 분석 점수 (점수 구간별 승률/손익비 통계용)
+     * @returns {Object|null} 매도 시 실현 거래
+     */
+    recordFill(fill) {
+        const time = fill.time || this.now();
+        const fee = fill.fee || 0;
+
+        if (fill.side === 'BUY') {
+            this.lots.push({
+                id: ++this.seq,
+                symbol: fill.symbol,
+                quantity: fill.quantity,
+                remaining: fill.quantity,
+                price: fill.price,
+                fee,
+                time,
+                score: fill.score !== undefined ? fill.score : null,
+                orderNo: fill.orderNo || null
+            });
+            this._saveLedger();
+            return null;
+        }
+
+        const trade = this._matchSell(fill, time, fee);
+        this._saveLedger();
+        return trade;
+    }
+
+    /**
+     * 매도 체결을 FIFO로 로트에 대응시켜 실현 거래 생성
+     */
+    _matchSell(fill, time, fee) {
+        const matched = [];
+        let remaining = fill.quantity;
+
+        for (const lot of this.lots.filter(l => l.symbol === fill.symbol)) {
+            if (remaining <= 0) break;
+            const quantity = Math.min(lot.remaining, remaining);
+            matched.push({
+                lotId: lot.id,
+                quantity,
+                price: lot.price,
+                time: lot.time,
+                fee: lot.fee * quantity / lot.quantity, // 매수 수수료는 수량 비례 배분
+                score: lot.score !== undefined ? lot.score : null
+            });
+            lot.remaining -= quantity;
+            remaining -= quantity;
+        }
+        this.lots = this.lots.filter(l => l.remaining > 0);
+
+        // 원장 도입 전 보유분: 포지션 매입가로 대체 (보유 시간은 알 수 없음)
+        if (remaining > 0) {
+            matched.push({ lotId: null, quantity: remaining, price: fill.costBasis || fill.price, time: null, fee: 0, score: null });
+        }
+
+        const cost = matched.reduce((sum, m) => sum + m.price * m.quantity, 0);
+        const buyFees = matched.reduce((sum, m) => sum + m.fee, 0);
+        const timed = matched.filter(m => m.time !== null);
+        const timedQty = timed.reduce((sum, m) => sum + m.quantity, 0);
+        const scored = matched.filter(m => m.score !== null);
+        const scoredQty = scored.reduce((sum, m) => sum + m.quantity, 0);
+
+        const grossPnl = (fill.price * fill.quantity) - cost;
+        const fees = buyFees + fee;
+        const trade = {
+            id: ++this.seq,
+            symbol: fill.symbol,
+            quantity: fill.quantity,
+            entryPrice: cost / fill.quantity,
+            exitPrice: fill.price,
+            entryTime: timed.length > 0 ? timed[0].time : null,
+            exitTime: time,
+            // 수량 가중 평균 보유 시간
+            holdingMs: timedQty > 0 ? timed.reduce((sum, m) => sum + (time - m.time) * m.quantity, 0) / timedQty : null,
+            // 수량 가중 평균 매수 점수
+            entryScore: scoredQty > 0 ? scored.reduce((sum, m) => sum + m.score * m.quantity, 0) / scoredQty : null,
+            grossPnl,
+            fees,
+            pnl: grossPnl - fees,
+            returnPercent: cost > 0 ? ((grossPnl - fees) / cost) * 100 : 0,
+            reason: fill.reason || null,
+            orderNo: fill.orderNo || null,
+            lots: matched.map(({ lotId, quantity, price, time: lotTime, fee: lotFee }) => ({ lotId, quantity, price, time: lotTime, fee: lotFee }))
+        };
+        this.trades.push(trade);
+        return trade;
+    }
+
+    // ============================================
+    // 조회
+    // ============================================
+
+    getOpenLots(symbol = null) {
+        return this.lots.filter(l => !symbol || l.symbol === symbol);
+    }
+
+    /**
+     * 실현 거래
+     * @param {Object} filter - { symbol, from, to } (exitTime 기준)
+     */
+    getTrades(filter = {}) {
+        return this.trades.filter(t =>
+            (!filter.symbol || t.symbol === filter.symbol) &&
+            (!filter.from || t.exitTime >= filter.from) &&
+            (!filter.to || t.exitTime < filter.to));
+    }
+
+    /**
+     * 실현 손익 통계
+     */
+    getStats(filter = {}) {
+        const trades = this.getTrades(filter);
+        const wins = trades.filter(t => t.pnl > 0);
+        const losses = trades.filter(t => t.pnl < 0);
+        const held = trades.filter(t => t.holdingMs !== null);
+
+        return {
+            totalTrades: trades.length,
+            winningTrades: wins.length,
+            losingTrades: losses.length,
+            winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+            grossProfit: trades.reduce((sum, t) => sum + t.grossPnl, 0),
+            totalFees: trades.reduce((sum, t) => sum + t.fees, 0),
+            totalProfit: trades.reduce((sum, t) => sum + t.pnl, 0),
+            largestWin: wins.reduce((max, t) => Math.max(max, t.pnl), 0),
+            largestLoss: losses.reduce((min, t) => Math.min(min, t.pnl), 0),
+            avgHoldingMinutes: held.length > 0
+                ? held.reduce((sum, t) => sum + t.holdingMs, 0) / held.length / 60000
+                : 0,
+            openLots: this.lots.length
+        };
+    }
+
+    /**
+     * 매수 점수 구간별 승률/손익비 (Kelly 사이징 입력)
+     * @param {Array<number>} buckets - 구간 하한 (내림차순, 예: [90, 80, 70, 60, 0])
+     * @returns {Object} { [하한]: { trades, winRate, payoffRatio } } winRate는 0~1, payoffRatio = 평균 수익률 / 평균 손실률
+     */
+    getStatsByScore(buckets) {
+        const stats = {};
+        for (const min of buckets) {
+            stats[min] = { trades: 0, winRate: 0, payoffRatio: 0 };
+        }
+
+        const groups = {};
+        for (const trade of this.trades) {
+            if (trade.entryScore === null || trade.entryScore === undefined) continue;
+            const bucket = buckets.find(min => trade.entryScore >= min);
+            if (bucket === undefined) continue;
+            (groups[bucket] = groups[bucket] || []).push(trade);
+        }
+
+        for (const [bucket, trades] of Object.entries(groups)) {
+            const wins = trades.filter(t => t.returnPercent > 0);
+            const losses = trades.filter(t => t.returnPercent < 0);
+            const avgWin = wins.length > 0 ? wins.reduce((sum, t) => sum + t.returnPercent, 0) / wins.length : 0;
+            const avgLoss = losses.length > 0 ? -losses.reduce((sum, t) => sum + t.returnPercent, 0) / losses.length : 0;
+            stats[bucket] = {
+                trades: trades.length,
+                winRate: wins.length / trades.length,
+                payoffRatio: avgLoss > 0 ? avgWin / avgLoss : null // 손실 거래가 없으면 계산 불가
+            };
+        }
+        return stats;
+    }
+}
+
+module.exports = new TradeLedger();
+module.exports.TradeLedger = TradeLedger;
@@ -4,7 +4,8 @@ const stockTools = require('./stock-tools');
 const dayTradingMonitor = require('./daytrading-signal-monitor');
 const multiFactorScreener = require('./multi-factor-screener');
 const newsAnalyzer = require('./news-analyzer');
-const kisApi = require('./kis-api');
+const broker = require('./broker');
+const costModel = require('./cost-model');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -39,7 +40,7 @@ class Trader {
                 logger.info('Starting Trading Cycle...');
 
                 // 0. Get Account Balance & Holdings
-                let accountData = await kisApi.getBalance();
+                let accountData = await broker.getBalance();
                 let buyingPower = accountData.buyingPower;
                 let holdings = accountData.holdings;
 
@@ -48,8 +49,8 @@ class Trader {
 
                 // 0.5 Check for Unfilled Orders (Auto Cancel > 5 mins)
                 try {
-                    const unfilledOrders = await kisApi.getUnfilledOrders();
-                    if (unfilledOrders.length > 0) {
+                    const unfilledOrders = await broker.getUnfilledOrders();
+                    if (unfilledOrders && unfilledOrders.length > 0) {
                         logger.info(`Found ${unfilledOrders.length} unfilled orders. Checking age...`);
                         const now = new Date();
                         const currentHHMMSS = Number(now.toTimeString().split(' ')[0].replace(/:/g, '')); // HHMMSS as number
@@ -72,7 +73,7 @@ class Trader {
 
                                 if (diffMins > 5) {
                                     logger.info(`[AUTO CANCEL] Order ${order.orderNo} for ${order.symbol} (${order.exchange}) is ${diffMins.toFixed(1)} mins old. Cancelling...`);
-                                    await kisApi.cancelOrder(order.orderNo, order.symbol, 0, order.exchange); // Pass exchange
+                                    await broker.cancelOrder(order.orderNo, order.symbol, 0, order.exchange); // Pass exchange
                                     restartRequired = true; // Restart cycle after cancel
                                 }
                             }
@@ -129,8 +130,6 @@ class Trader {
                                 affordableTickers.push(quote.symbol);
                             }
                         }
-                        // Small delay between chunks
-                        await new Promise(resolve => setTimeout(resolve, 100));
                     }
                 }
 
@@ -155,9 +154,6 @@ class Trader {
                             break; // Break ticker loop to restart
                         }
                     }
-
-                    // Throttling: Wait 300ms between requests to avoid rate limits
-                    await new Promise(resolve => setTimeout(resolve, 300));
                 }
 
                 if (restartRequired) {
@@ -245,7 +241,7 @@ class Trader {
                 const estimatedCost = currentPrice * quantity;
                 if (buyingPower >= estimatedCost) {
                     logger.info(`[SIGNAL] BUY ${symbol} @ ${currentPrice} (Score: ${screeningResult.totalScore}) on ${exchange}`);
-                    const orderResult = await kisApi.placeOrder(symbol, 'BUY', quantity, currentPrice, exchange);
+                    const orderResult = await broker.placeOrder(symbol, 'BUY', quantity, currentPrice, exchange);
 
                     if (orderResult) {
                         return { action: 'BUY', cost: estimatedCost };
@@ -263,23 +259,24 @@ class Trader {
             if (holding && holding.qty > 0) {
                 // Cautious Sell Logic:
                 // 1. Stop Loss: If loss is > 3%, SELL immediately to prevent disaster.
-                // 2. Take Profit: If profitable (> 0.5% to cover fees), SELL to lock in gains.
-                // 3. Hold on Small Loss/Breakeven: If profit is between -3% and +0.5%, HOLD.
+                // 2. Take Profit: If profitable after round-trip costs (+ buffer), SELL to lock in gains.
+                // 3. Hold on Small Loss/Breakeven: If profit is between -3% and the cost threshold, HOLD.
 
                 const STOP_LOSS_LIMIT = -3.0; // -3%
-                const MIN_NET_PROFIT = 0.5; // 0.25% Sell Fee + Buffer
+                const PROFIT_BUFFER = 0.1; // Margin over commission, SEC/TAF and FX spread
+                const MIN_NET_PROFIT = costModel.roundTripPercent(holding.avgPrice || currentPrice, holding.qty) + PROFIT_BUFFER;
 
                 // If it's a "Take Profit" signal (SELL recommendation), make sure we actually make money after fees.
                 // If profit is less than MIN_NET_PROFIT (e.g. 0.1%), we might lose money on fees.
                 // UNLESS it's a Stop Loss situation (profit < -3%).
 
                 if (holding.profitRate > STOP_LOSS_LIMIT && holding.profitRate < MIN_NET_PROFIT) {
-                    logger.info(`[HOLD] Sell Signal for ${symbol} but Profit (${holding.profitRate}%) is too low to cover fees (> ${MIN_NET_PROFIT}%). Waiting...`);
+                    logger.info(`[HOLD] Sell Signal for ${symbol} but Profit (${holding.profitRate}%) is too low to cover fees (> ${MIN_NET_PROFIT.toFixed(2)}%). Waiting...`);
                     return null;
                 }
 
                 logger.info(`[SIGNAL] SELL ${symbol} @ ${currentPrice} (Score: ${screeningResult.totalScore}, Profit: ${holding.profitRate}%) on ${exchange}`);
-                const orderResult = await kisApi.placeOrder(symbol, 'SELL', holding.qty, currentPrice, exchange);
+                const orderResult = await broker.placeOrder(symbol, 'SELL', holding.qty, currentPrice, exchange);
 
                 if (orderResult) {
                     return { action: 'SELL', cost: 0 };
@@ -3,7 +3,7 @@
  * ATR, 거래량 스파이크, 변동성 기반 종목 선별
  */
 
-const yahooFinance = require('yahoo-finance2').default;
+const marketData = require('./market-data');
 const { ATR, SMA } = require('technicalindicators');
 
 class VolatilityAnalyzer {
@@ -27,7 +27,7 @@ class VolatilityAnalyzer {
     async analyze(symbol) {
         // 캐시 확인
         const cached = this.cache[symbol];
-        if (cached && (Date.now() - cached.timestamp < this.cacheDuration)) {
+        if (cached && (marketData.now() - cached.timestamp < this.cacheDuration)) {
             return cached.data;
         }
 
@@ -36,87 +36,18 @@ class VolatilityAnalyzer {
             const startDate = new Date();
             startDate.setDate(startDate.getDate() - 30);
 
-            const historical = await yahooFinance.chart(symbol, {
+            const historical = await marketData.chart(symbol, {
                 period1: startDate,
                 period2: endDate,
                 interval: '1d'
             });
 
-            const quotes = historical.quotes.filter(q =>
-                q.high != null && q.low != null && q.close != null && q.volume != null
-            );
-
-            if (quotes.length < 14) {
-                return this._getDefaultResult(symbol);
-            }
-
-            const highs = quotes.map(q => q.high);
-            const lows = quotes.map(q => q.low);
-            const closes = quotes.map(q => q.close);
-            const volumes = quotes.map(q => q.volume);
-
-            // ATR 계산
-            const atr = ATR.calculate({
-                high: highs,
-                low: lows,
-                close: closes,
-                period: 14
-            });
-            const currentATR = atr[atr.length - 1];
-            const currentPrice = closes[closes.length - 1];
-            const atrPercent = (currentATR / currentPrice) * 100;
-
-            // 거래량 분석
-            const avgVolume20 = SMA.calculate({ period: 20, values: volumes });
-            const currentVolume = volumes[volumes.length - 1];
-            const avgVol = avgVolume20[avgVolume20.length - 1] || currentVolume;
-            const volumeRatio = currentVolume / avgVol;
-
-            // 일중 변동성 (오늘의 High-Low 범위)
-            const todayRange = (highs[highs.length - 1] - lows[lows.length - 1]) / closes[closes.length - 1] * 100;
-
-            // 최근 5일 변동성 추세
-            const recentATRs = atr.slice(-5);
-            const atrTrend = recentATRs.length >= 2
-                ? (recentATRs[recentATRs.length - 1] - recentATRs[0]) / recentATRs[0] * 100
-                : 0;
-
-            // 변동성 레벨 결정
-            let volatilityLevel = 'LOW';
-            if (atrPercent >= this.thresholds.highVolatility) {
-                volatilityLevel = 'HIGH';
-            } else if (atrPercent >= this.thresholds.mediumVolatility) {
-                volatilityLevel = 'MEDIUM';
-            }
-
-            // 거래량 스파이크 여부
-            let volumeSignal = 'NORMAL';
-            if (volumeRatio >= this.thresholds.extremeVolumeSpike) {
-                volumeSignal = 'EXTREME_SPIKE';
-            } else if (volumeRatio >= this.thresholds.volumeSpike) {
-                volumeSignal = 'SPIKE';
-            }
-
-            const result = {
-                symbol,
-                atr: currentATR,
-                atrPercent,
-                volatilityLevel,
-                currentVolume,
-                avgVolume: avgVol,
-                volumeRatio,
-                volumeSpike: volumeRatio,
-                volumeSignal,
-                todayRange,
-                atrTrend,
-                currentPrice,
-                score: this._calculateVolatilityScore(atrPercent, volumeRatio, atrTrend)
-            };
+            const result = this.analyzeQuotes(symbol, historical.quotes);
 
             // 캐시 저장
             this.cache[symbol] = {
                 data: result,
-                timestamp: Date.now()
+                timestamp: marketData.now()
             };
 
             return result;
@@ -127,6 +58,85 @@ class VolatilityAnalyzer {
         }
     }
 
+    /**
+     * 일봉 데이터로부터 변동성 계산 (네트워크/캐시 없음)
+     * 백테스트에서 저장된 일봉을 그대로 넣어 사용
+     * @param {string} symbol
+     * @param {Array} dailyQuotes - { high, low, close, volume } 배열
+     */
+    analyzeQuotes(symbol, dailyQuotes) {
+        const quotes = (dailyQuotes || []).filter(q =>
+            q.high != null && q.low != null && q.close != null && q.volume != null
+        );
+
+        if (quotes.length < 14) {
+            return this._getDefaultResult(symbol);
+        }
+
+        const highs = quotes.map(q => q.high);
+        const lows = quotes.map(q => q.low);
+        const closes = quotes.map(q => q.close);
+        const volumes = quotes.map(q => q.volume);
+
+        // ATR 계산
+        const atr = ATR.calculate({
+            high: highs,
+            low: lows,
+            close: closes,
+            period: 14
+        });
+        const currentATR = atr[atr.length - 1];
+        const currentPrice = closes[closes.length - 1];
+        const atrPercent = (currentATR / currentPrice) * 100;
+
+        // 거래량 분석
+        const avgVolume20 = SMA.calculate({ period: 20, values: volumes });
+        const currentVolume = volumes[volumes.length - 1];
+        const avgVol = avgVolume20[avgVolume20.length - 1] || currentVolume;
+        const volumeRatio = currentVolume / avgVol;
+
+        // 일중 변동성 (오늘의 High-Low 범위)
+        const todayRange = (highs[highs.length - 1] - lows[lows.length - 1]) / closes[closes.length - 1] * 100;
+
+        // 최근 5일 변동성 추세
+        const recentATRs = atr.slice(-5);
+        const atrTrend = recentATRs.length >= 2
+            ? (recentATRs[recentATRs.length - 1] - recentATRs[0]) / recentATRs[0] * 100
+            : 0;
+
+        // 변동성 레벨 결정
+        let volatilityLevel = 'LOW';
+        if (atrPercent >= this.thresholds.highVolatility) {
+            volatilityLevel = 'HIGH';
+        } else if (atrPercent >= this.thresholds.mediumVolatility) {
+            volatilityLevel = 'MEDIUM';
+        }
+
+        // 거래량 스파이크 여부
+        let volumeSignal = 'NORMAL';
+        if (volumeRatio >= this.thresholds.extremeVolumeSpike) {
+            volumeSignal = 'EXTREME_SPIKE';
+        } else if (volumeRatio >= this.thresholds.volumeSpike) {
+            volumeSignal = 'SPIKE';
+        }
+
+        return {
+            symbol,
+            atr: currentATR,
+            atrPercent,
+            volatilityLevel,
+            currentVolume,
+            avgVolume: avgVol,
+            volumeRatio,
+            volumeSpike: volumeRatio,
+            volumeSignal,
+            todayRange,
+            atrTrend,
+            currentPrice,
+            score: this._calculateVolatilityScore(atrPercent, volumeRatio, atrTrend)
+        };
+    }
+
     _getDefaultResult(symbol) {
         return {
             symbol,
@@ -191,9 +201,6 @@ class VolatilityAnalyzer {
             if (analysis.atrPercent >= minATRPercent) {
                 results.push(analysis);
             }
-
-            // Rate limiting
-            await new Promise(resolve => setTimeout(resolve, 50));
         }
 
         // 점수순 정렬
@@ -212,8 +219,6 @@ class VolatilityAnalyzer {
             if (analysis.volumeRatio >= minSpikeRatio) {
                 results.push(analysis);
             }
-
-            await new Promise(resolve => setTimeout(resolve, 50));
         }
 
         return results.sort((a, b) => b.volumeRatio - a.volumeRatio);
@@ -234,8 +239,6 @@ class VolatilityAnalyzer {
                 (analysis.volumeRatio >= 1.5 || analysis.atrTrend > 0)) {
                 results.push(analysis);
             }
-
-            await new Promise(resolve => setTimeout(resolve, 50));
         }
 
         return results.sort((a, b) => b.score - a.score);
@@ -0,0 +1,234 @@
+/**
+ * Walk-Forward Optimizer
+ * EnhancedMultiFactorScreener의 weights/thresholds를 과거 데이터로 탐색
+ *
+ * - 학습 구간(N주)에서 후보 파라미터를 백테스트하여 최고 성과 파라미터 선택
+ * - 바로 다음 검증 구간(1주)에서 선택된 파라미터와 현재 파라미터를 비교
+ * - 구간을 한 주씩 밀면서 반복 → 표본 외(out-of-sample) 성과만으로 채택 여부 판단
+ */
+
+const backtester = require('./backtester');
+const { EnhancedMultiFactorScreener } = require('./enhanced-multi-factor-screener');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 탐색 범위 (최소, 최대, 간격)
+const SEARCH_SPACE = {
+    weights: {
+        technical: [10, 40, 5],
+        momentum: [20, 50, 5],
+        fundamental: [0, 20, 5],
+        sentiment: [0, 25, 5],
+        volatility: [0, 20, 5]
+    },
+    thresholds: {
+        strongBuy: [65, 85, 5],
+        buy: [50, 70, 5],
+        sell: [15, 35, 5],
+        strongSell: [5, 20, 5]
+    }
+};
+
+// 재현 가능한 난수 (mulberry32)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class WalkForwardOptimizer {
+    constructor(options = {}) {
+        this.backtester = options.backtester || backtester;
+    }
+
+    /**
+     * 현재(수동 튜닝) 파라미터
+     */
+    getBaselineParams() {
+        const screener = new EnhancedMultiFactorScreener();
+        return { weights: { ...screener.weights }, thresholds: { ...screener.thresholds } };
+    }
+
+    /**
+     * 학습/검증 구간 생성 (검증 구간 길이만큼 굴리며 전진)
+     */
+    buildWindows(from, to, trainWeeks = 4, validateWeeks = 1) {
+        const start = new Date(from).getTime();
+        const end = new Date(to).getTime();
+        const windows = [];
+
+        for (let trainFrom = start; ; trainFrom += validateWeeks * WEEK_MS) {
+            const trainTo = trainFrom + trainWeeks * WEEK_MS;
+            const validateTo = trainTo + validateWeeks * WEEK_MS;
+            if (validateTo > end) break;
+
+            windows.push({ trainFrom, trainTo, validateFrom: trainTo, validateTo });
+        }
+
+        return windows;
+    }
+
+    /**
+     * 후보 파라미터 생성: 현재 파라미터 + 탐색 범위 내 무작위 샘플
+     * 임계값 순서(strongBuy > buy > sell > strongSell)가 깨지는 조합은 제외
+     */
+    generateCandidates(samples = 20, seed = 1) {
+        const random = createRandom(seed);
+        const pick = ([min, max, step]) => min + step * Math.floor(random() * (Math.floor((max - min) / step) + 1));
+        const candidates = [this.getBaselineParams()];
+
+        let attempts = 0;
+        while (candidates.length < samples + 1 && attempts < samples * 20) {
+            attempts++;
+            const params = { weights: {}, thresholds: {} };
+            for (const [group, ranges] of Object.entries(SEARCH_SPACE)) {
+                for (const [name, range] of Object.entries(ranges)) {
+                    params[group][name] = pick(range);
+                }
+            }
+
+            const t = params.thresholds;
+            if (t.strongBuy > t.buy && t.buy > t.sell && t.sell > t.strongSell) {
+                candidates.push(params);
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * 목적 함수: 수익률에서 최대 낙폭의 절반을 차감 (maxDrawdown은 음수)
+     */
+    objective(stats) {
+        return stats.totalReturn + stats.maxDrawdown * 0.5;
+    }
+
+    async _evaluate(params, from, to, options) {
+        const result = await this.backtester.run({
+            ...options.backtestOptions,
+            symbols: options.symbols,
+            from,
+            to,
+            initialCapital: options.initialCapital,
+            data: options.data,
+            screener: new EnhancedMultiFactorScreener(params)
+        });
+        return result.stats;
+    }
+
+    /**
+     * 워크포워드 최적화 실행
+     * @param {Object} options
+     * @param {Array<string>} options.symbols - 대상 종목
+     * @param {Date|string|number} options.from - 첫 학습 구간 시작
+     * @param {Date|string|number} options.to - 마지막 검증 구간 종료
+     * @param {number} options.trainWeeks - 학습 구간 길이 (주)
+     * @param {number} options.validateWeeks - 검증 구간 길이 (주)
+     * @param {Array<Object>} options.candidates - 후보 파라미터 (없으면 무작위 생성)
+     * @param {number} options.samples - 무작위 후보 개수
+     * @param {number} options.seed - 난수 시드
+     * @param {number} options.initialCapital - 구간별 초기 자본
+     * @param {Object} options.backtestOptions - 백테스터 추가 옵션 (slippagePercent 등)
+     * @param {Object} options.data - 미리 로드된 봉 데이터 (없으면 data/bars 에서 한 번만 로드)
+     * @param {Function} options.onProgress - 진행 상황 콜백
+     */
+    async run(options) {
+        const trainWeeks = options.trainWeeks || 4;
+        const validateWeeks = options.validateWeeks || 1;
+        const windows = this.buildWindows(options.from, options.to, trainWeeks, validateWeeks);
+        if (windows.length === 0) {
+            throw new Error(`Not enough data range for ${trainWeeks}w train + ${validateWeeks}w validation`);
+        }
+
+        const baseline = this.getBaselineParams();
+        const candidates = options.candidates || this.generateCandidates(options.samples, options.seed);
+        const runOptions = {
+            symbols: options.symbols,
+            initialCapital: options.initialCapital || 10000,
+            backtestOptions: options.backtestOptions || {},
+            data: options.data || this._loadData(options.symbols)
+        };
+        const progress = options.onProgress || (() => {});
+
+        const results = [];
+        for (const [index, window] of windows.entries()) {
+            // 1. 학습 구간에서 후보 평가
+            let best = null;
+            for (const params of candidates) {
+                const stats = await this._evaluate(params, window.trainFrom, window.trainTo, runOptions);
+                const score = this.objective(stats);
+                if (!best || score > best.score) {
+                    best = { params, stats, score };
+                }
+            }
+
+            // 2. 검증 구간에서 선택 파라미터 vs 현재 파라미터
+            const validation = await this._evaluate(best.params, window.validateFrom, window.validateTo, runOptions);
+            const baselineValidation = await this._evaluate(baseline, window.validateFrom, window.validateTo, runOptions);
+
+            const result = {
+                ...window,
+                params: best.params,
+                trainStats: best.stats,
+                validationStats: validation,
+                baselineStats: baselineValidation
+            };
+            results.push(result);
+            progress(result, index, windows.length);
+        }
+
+        return {
+            trainWeeks,
+            validateWeeks,
+            candidates: candidates.length,
+            windows: results,
+            summary: this.summarize(results, baseline)
+        };
+    }
+
+    /**
+     * 표본 외 성과 요약 및 채택 권고
+     * 검증 구간 수익률을 복리로 연결해 현재 파라미터와 비교하고,
+     * 과반 구간에서 이기고 누적 수익도 앞설 때만 채택
+     */
+    summarize(results, baseline) {
+        const compound = key => (results.reduce((acc, r) => acc * (1 + r[key].totalReturn / 100), 1) - 1) * 100;
+        const worst = key => Math.min(...results.map(r => r[key].maxDrawdown));
+
+        const outOfSampleReturn = compound('validationStats');
+        const baselineReturn = compound('baselineStats');
+        const windowsBeaten = results.filter(r => r.validationStats.totalReturn > r.baselineStats.totalReturn).length;
+        const adopt = outOfSampleReturn > baselineReturn && windowsBeaten > results.length / 2;
+
+        return {
+            windows: results.length,
+            outOfSampleReturn,
+            baselineReturn,
+            outOfSampleMaxDrawdown: worst('validationStats'),
+            baselineMaxDrawdown: worst('baselineStats'),
+            windowsBeaten,
+            adopt,
+            // 가장 최근 학습 구간에서 선택된 파라미터를 권고
+            recommendedParams: adopt ? results[results.length - 1].params : baseline
+        };
+    }
+
+    _loadData(symbols) {
+        const data = {};
+        for (const symbol of [...new Set([...symbols, 'SPY', '^VIX'])]) {
+            data[symbol] = {
+                '5m': this.backtester.loadBars(symbol, '5m'),
+                '1d': this.backtester.loadBars(symbol, '1d')
+            };
+        }
+        return data;
+    }
+}
+
+module.exports = new WalkForwardOptimizer();
+module.exports.WalkForwardOptimizer = WalkForwardOptimizer;
@@ -0,0 +1,39 @@
+/**
+ * Tax Report
+ * 거래 원장 기준 해외주식 양도소득세 추정 및 신고용 CSV 내보내기
+ *
+ * 사용법:
+ *   node tax-report.js            # 올해 누적 (YTD)
+ *   node tax-report.js 2025       # 2025년 귀속분 → data/tax/capital-gains-2025.csv
+ *
+ * 환율은 data/fx-rates.json 에 저장되며, 신고 전 매매기준율로 수정하면 그 값으로 다시 계산됨
+ */
+
+const taxEstimator = require('./src/tax-estimator');
+
+const won = amount => `${Math.round(amount).toLocaleString()}원`;
+
+async function main() {
+    const [yearArg] = process.argv.slice(2);
+    const year = yearArg ? Number(yearArg) : undefined;
+
+    try {
+        const { file, report } = await taxEstimator.exportCsv(year);
+
+        console.log(`=== ${report.year} Capital Gains (Overseas Stocks) ===`);
+        console.log(`Lots sold: ${report.rows.length}`);
+        console.log(`Proceeds: ${won(report.totalProceedsKrw)}`);
+        console.log(`Acquisition cost: ${won(report.totalAcquisitionKrw)}`);
+        console.log(`Fees: ${won(report.totalFeesKrw)}`);
+        console.log(`Realized gain: ${won(report.realizedGainKrw)}`);
+        console.log(`Deduction: ${won(report.deductionKrw)}`);
+        console.log(`Taxable gain: ${won(report.taxableGainKrw)}`);
+        console.log(`Estimated tax (${taxEstimator.config.taxRatePercent}%): ${won(report.estimatedTaxKrw)}`);
+        console.log(`CSV saved to ${file}`);
+    } catch (error) {
+        console.error('Tax Report Failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
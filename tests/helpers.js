@@ -0,0 +1,45 @@
+// 테스트 공용 픽스처: 메모리 전용 포지션/주문 관리자, 무비용 모델, 무음 로거
+const { PositionManager } = require('../src/position-manager');
+const { OrderManager } = require('../src/order-manager');
+const { PaperBroker } = require('../src/paper-broker');
+const { CostModel } = require('../src/cost-model');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+const noCosts = new CostModel({ commissionPercent: 0, fxSpreadPercent: 0, secFeePerMillion: 0, finraTafPerShare: 0 });
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+/**
+ * 메모리 전용 PositionManager
+ * @param {Object} options - PositionManager 옵션 (clock: { now } 객체를 주면 now 대신 사용)
+ * @param {Object} settings - config 섹션별 덮어쓰기 (예: { stopModel: { type: 'ATR' } })
+ */
+function createPositionManager(options = {}, settings = {}) {
+    const { clock, ...rest } = options;
+    const manager = new PositionManager({
+        positionsFile: null,
+        logger: silentLogger,
+        ...(clock ? { now: () => clock.now } : {}),
+        ...rest
+    });
+    for (const [section, values] of Object.entries(settings)) {
+        Object.assign(manager.config[section], values);
+    }
+    return manager;
+}
+
+/**
+ * PaperBroker + PositionManager + OrderManager (모두 메모리 전용)
+ * @param {Object} options - { now, broker: PaperBroker 옵션, positionManager }
+ */
+function createOrderSetup(options = {}) {
+    const now = options.now || Date.now;
+    const broker = new PaperBroker({ stateFile: null, initialCash: 1000, now, logger: silentLogger, ...options.broker });
+    const positionManager = options.positionManager || createPositionManager({ now });
+    const orderManager = new OrderManager({ broker, positionManager, ordersFile: null, now, logger: silentLogger });
+    return { broker, positionManager, orderManager };
+}
+
+module.exports = { MINUTE, HOUR, silentLogger, noCosts, near, createPositionManager, createOrderSetup };
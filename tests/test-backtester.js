@@ -0,0 +1,121 @@
+const backtester = require('../src/backtester');
+const assert = require('assert');
+
+// 테스트용 봉 데이터 생성 (결정적, 네트워크 없음)
+// 2025-11 (EST, UTC-5): 09:30 ET = 14:30 UTC
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tradingDays(count) {
+    const days = [];
+    let t = Date.UTC(2025, 10, 3, 14, 30); // 2025-11-03 (월) 09:30 ET
+    while (days.length < count) {
+        const weekday = new Date(t).getUTCDay();
+        if (weekday !== 0 && weekday !== 6) days.push(t);
+        t += DAY_MS;
+    }
+    return days;
+}
+
+// 상승 후 급락하는 가격 경로
+function priceAt(index, total, start) {
+    const peakIndex = Math.floor(total * 0.7);
+    const wave = Math.sin(index / 3) * 0.002;
+    if (index <= peakIndex) {
+        return start * (1 + 0.0015 * index + wave);
+    }
+    const peak = start * (1 + 0.0015 * peakIndex);
+    return peak * (1 - 0.004 * (index - peakIndex) + wave);
+}
+
+function buildSymbol(start, dailyCount, intradayDays) {
+    const daily = [];
+    const days = tradingDays(dailyCount);
+    days.forEach((t, i) => {
+        const close = start * (1 + 0.004 * i);
+        daily.push({ time: t - 60 * 60 * 1000, open: close * 0.99, high: close * 1.02, low: close * 0.98, close, volume: 1000000 });
+    });
+
+    const intraday = [];
+    const lastDays = days.slice(-intradayDays);
+    const total = lastDays.length * 78;
+    const base = daily[daily.length - intradayDays - 1].close;
+    let index = 0;
+    for (const day of lastDays) {
+        for (let i = 0; i < 78; i++) {
+            const close = priceAt(index, total, base);
+            intraday.push({ time: day + i * 5 * 60 * 1000, open: close, high: close * 1.001, low: close * 0.999, close, volume: 10000 });
+            index++;
+        }
+    }
+
+    return {
+        '5m': { exchange: 'NMS', bars: intraday },
+        '1d': { exchange: 'NMS', bars: daily.slice(0, daily.length - intradayDays) }
+    };
+}
+
+async function runTests() {
+    console.log('Running Backtester Tests...');
+
+    const data = {
+        TEST: buildSymbol(20, 40, 8),
+        SPY: buildSymbol(500, 40, 8)
+    };
+    const intraday = data.TEST['5m'].bars;
+    const from = intraday[78 * 5].time;
+    const to = intraday[intraday.length - 1].time + 5 * 60 * 1000;
+
+    try {
+        console.log('Test 1: Replays trader decisions over stored bars...');
+        const result = await backtester.run({
+            symbols: ['TEST'],
+            from,
+            to,
+            initialCapital: 10000,
+            data
+        });
+        assert.ok(result.equityCurve.length > 0, 'Equity curve should be recorded');
+        assert.ok(result.fills.some(f => f.side === 'BUY'), 'At least one buy should be simulated');
+        assert.ok(result.trades.length > 0, 'Positions should be closed by exits or at end of test');
+        assert.ok(result.trades.every(t => t.reason), 'Every trade should carry an exit reason');
+        assert.deepStrictEqual(result.openPositions, {}, 'End-of-test liquidation closes the tracked positions');
+        console.log(`  trades=${result.trades.length} return=${result.stats.totalReturn.toFixed(2)}% mdd=${result.stats.maxDrawdown.toFixed(2)}%`);
+        console.log('PASS');
+
+        console.log('Test 2: Summary statistics...');
+        const stats = backtester.calculateStats(
+            [{ pnl: 100 }, { pnl: -50 }, { pnl: 50 }],
+            [
+                { time: 0, equity: 10000 },
+                { time: DAY_MS * 365.25 / 2, equity: 9000 },
+                { time: DAY_MS * 365.25, equity: 11000 }
+            ],
+            10000
+        );
+        assert.strictEqual(stats.totalTrades, 3);
+        assert.strictEqual(stats.winningTrades, 2);
+        assert.strictEqual(stats.profitFactor, 3);
+        assert.ok(Math.abs(stats.cagr - 10) < 1e-9, 'CAGR over one year should equal total return');
+        assert.ok(Math.abs(stats.maxDrawdown + 10) < 1e-9, 'Max drawdown should be -10%');
+        console.log('PASS');
+
+        console.log('Test 3: Risk governor flattens after the daily loss limit...');
+        const flattened = await backtester.run({
+            symbols: ['TEST'],
+            from,
+            to,
+            initialCapital: 10000,
+            data,
+            riskConfig: { dailyLossUsd: 0.5, flattenLossUsd: 1 }
+        });
+        assert.ok(flattened.trades.some(t => t.reason === 'RISK_FLATTEN'), 'Positions should be sold by the risk governor');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
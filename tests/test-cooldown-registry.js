@@ -0,0 +1,125 @@
+const { CooldownRegistry } = require('../src/cooldown-registry');
+const { MINUTE, HOUR, createOrderSetup } = require('./helpers');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_FILE = path.join(__dirname, '../data/test_cooldowns.json');
+
+const teardown = () => {
+    if (fs.existsSync(REGISTRY_FILE)) {
+        fs.unlinkSync(REGISTRY_FILE);
+    }
+};
+
+function createRegistry(clock, options = {}) {
+    return new CooldownRegistry({
+        registryFile: null,
+        now: () => clock.now,
+        config: { cooldownMinutes: 60, quarantineAfterLosses: 3, quarantineLookbackDays: 5, quarantineHours: 24, maxQuarantineDays: 3 },
+        ...options
+    });
+}
+
+async function runTests() {
+    console.log('Running Cooldown Registry Tests...');
+    teardown();
+
+    try {
+        console.log('Test 1: Stop-loss exits block re-entry for the cooldown period...');
+        const clock = { now: Date.parse('2025-07-14T14:00:00Z') };
+        const registry = createRegistry(clock);
+        let blocked = registry.recordExit({ symbol: 'MARA', pnl: -30, reason: 'STOP_LOSS', exitTime: clock.now, orderNo: '1' });
+        assert.strictEqual(blocked.type, 'COOLDOWN');
+        assert.strictEqual(registry.check('MARA').type, 'COOLDOWN');
+        assert.ok(registry.check('MARA').reason.includes('STOP_LOSS'));
+        assert.strictEqual(registry.check('CLSK').allowed, true);
+
+        assert.strictEqual(registry.recordExit({ symbol: 'KDP', pnl: 12, reason: 'TAKE_PROFIT_L1', exitTime: clock.now }), null);
+        assert.strictEqual(registry.check('KDP').allowed, true, 'Profit-taking does not start a cooldown');
+
+        clock.now += 59 * MINUTE;
+        assert.strictEqual(registry.isBlocked('MARA'), true);
+        clock.now += 2 * MINUTE;
+        assert.strictEqual(registry.isBlocked('MARA'), false, 'Cooldown expired');
+        console.log('PASS');
+
+        console.log('Test 2: Repeated losses escalate into a growing quarantine...');
+        registry.recordExit({ symbol: 'MARA', pnl: -10, reason: 'STOP_LOSS', exitTime: clock.now, orderNo: '2' });
+        registry.recordExit({ symbol: 'MARA', pnl: -5, reason: 'STOP_LOSS', exitTime: clock.now, orderNo: '2' });
+        assert.strictEqual(registry.state.symbols.MARA.losses.length, 2, 'Partial fills of one order count once');
+        clock.now += 2 * HOUR;
+        blocked = registry.recordExit({ symbol: 'MARA', pnl: -8, reason: 'SIGNAL_SELL', exitTime: clock.now, orderNo: '3' });
+        assert.strictEqual(blocked.type, 'QUARANTINE');
+        let check = registry.check('MARA');
+        assert.strictEqual(check.type, 'QUARANTINE');
+        assert.strictEqual(check.until, clock.now + 24 * HOUR);
+
+        clock.now += 25 * HOUR;
+        assert.strictEqual(registry.isBlocked('MARA'), false);
+        registry.recordExit({ symbol: 'MARA', pnl: -4, reason: 'STOP_LOSS', exitTime: clock.now, orderNo: '4' });
+        check = registry.check('MARA');
+        assert.strictEqual(check.until, clock.now + 48 * HOUR, 'Second quarantine doubles');
+        clock.now += 49 * HOUR;
+        registry.recordExit({ symbol: 'MARA', pnl: -4, reason: 'STOP_LOSS', exitTime: clock.now, orderNo: '5' });
+        assert.strictEqual(registry.check('MARA').until, clock.now + 72 * HOUR, 'Capped at maxQuarantineDays');
+
+        registry.recordExit({ symbol: 'MARA', pnl: 20, reason: 'TAKE_PROFIT_L1', exitTime: clock.now, orderNo: '6' });
+        assert.strictEqual(registry.state.symbols.MARA.level, 0, 'A winning exit resets the escalation');
+
+        clock.now += 10 * 24 * HOUR;
+        registry.recordExit({ symbol: 'SOFI', pnl: -1, reason: 'STOP_LOSS', exitTime: clock.now - 6 * 24 * HOUR, orderNo: '7' });
+        registry.recordExit({ symbol: 'SOFI', pnl: -1, reason: 'STOP_LOSS', exitTime: clock.now, orderNo: '8' });
+        registry.recordExit({ symbol: 'SOFI', pnl: -1, reason: 'STOP_LOSS', exitTime: clock.now, orderNo: '9' });
+        assert.notStrictEqual(registry.check('SOFI').type, 'QUARANTINE', 'Losses outside the lookback do not count');
+        console.log('PASS');
+
+        console.log('Test 3: Manual blacklist/whitelist with expiry persist across restarts...');
+        const manual = createRegistry(clock, { registryFile: REGISTRY_FILE });
+        manual.recordExit({ symbol: 'COIN', pnl: -50, reason: 'STOP_LOSS', exitTime: clock.now });
+        manual.whitelist('COIN', { hours: 2, reason: 'earnings play' });
+        manual.blacklist('GME', { reason: 'meme' });
+
+        const restarted = createRegistry(clock, { registryFile: REGISTRY_FILE });
+        assert.strictEqual(restarted.check('COIN').allowed, true, 'Whitelist overrides the cooldown');
+        check = restarted.check('GME');
+        assert.strictEqual(check.type, 'BLACKLIST');
+        assert.strictEqual(check.reason, 'Blacklisted: meme');
+        restarted.whitelist('GME', {});
+        assert.strictEqual(restarted.isBlocked('GME'), true, 'Blacklist wins over whitelist');
+
+        clock.now += 3 * HOUR;
+        assert.strictEqual(restarted.isBlocked('COIN'), false, 'Cooldown ended too');
+        restarted.blacklist('COIN', { hours: 1, reason: 'halted' });
+        assert.strictEqual(restarted.isBlocked('COIN'), true);
+        clock.now += 2 * HOUR;
+        assert.strictEqual(restarted.isBlocked('COIN'), false, 'Blacklist expired');
+        assert.deepStrictEqual(restarted.getEntries().blacklist.map(item => item.symbol), ['GME']);
+        assert.strictEqual(restarted.clear('GME'), true);
+        assert.strictEqual(restarted.isBlocked('GME'), false);
+        console.log('PASS');
+
+        console.log('Test 4: Order manager records stop-out fills...');
+        const { broker, orderManager } = createOrderSetup({ now: () => clock.now });
+        await orderManager.submit({ symbol: 'MARA', side: 'BUY', quantity: 10, price: 20 });
+        broker.onQuote('MARA', { price: 19.9 });
+        await orderManager.sync();
+        assert.strictEqual(orderManager.cooldownRegistry.isBlocked('MARA'), false);
+        await orderManager.submit({ symbol: 'MARA', side: 'SELL', quantity: 10, price: 19, reason: 'STOP_LOSS' });
+        broker.onQuote('MARA', { price: 19.1 });
+        await orderManager.sync();
+        check = orderManager.cooldownRegistry.check('MARA');
+        assert.strictEqual(check.type, 'COOLDOWN');
+        assert.strictEqual(check.until, clock.now + 60 * MINUTE);
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    } finally {
+        teardown();
+    }
+}
+
+runTests();
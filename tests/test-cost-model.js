@@ -0,0 +1,53 @@
+const { CostModel } = require('../src/cost-model');
+const { EnhancedMultiFactorScreener } = require('../src/enhanced-multi-factor-screener');
+const { near, createPositionManager } = require('./helpers');
+const assert = require('assert');
+
+async function runTests() {
+    console.log('Running Cost Model Tests...');
+
+    try {
+        const costModel = new CostModel({ commissionPercent: 0.25, fxSpreadPercent: 0.1 });
+
+        console.log('Test 1: Sells pay commission, SEC fee, FINRA TAF and FX spread...');
+        const buy = costModel.buyCost(100, 8);
+        assert.ok(near(buy.total, 2.8), 'Commission $2.00 + FX $0.80');
+        const sell = costModel.sellCost(100, 8);
+        assert.strictEqual(sell.secFee, 0.03, 'SEC fee rounds up to the cent');
+        assert.strictEqual(sell.taf, 0.02, 'TAF rounds up to the cent');
+        assert.ok(near(sell.total, 2.85));
+        assert.strictEqual(costModel.sellCost(100000, 8).taf, 8.30, 'TAF is capped per trade');
+        assert.ok(near(costModel.roundTripPercent(8, 100), 5.65 / 800 * 100));
+        console.log('PASS');
+
+        console.log('Test 2: Take-profit levels and break-even stop are net of costs...');
+        const positionManager = createPositionManager({ costModel });
+        positionManager.addPosition('SOFI', 8, 100);
+
+        positionManager.updatePrice('SOFI', 8.09);
+        assert.ok(near(positionManager.getPosition('SOFI').currentStopLoss, 8 * (1 + 5.65 / 800)), 'Break-even covers the round trip');
+
+        let result = positionManager.updatePrice('SOFI', 8.28);
+        assert.strictEqual(result.action, 'HOLD', '3.5% gross is below 3% net');
+        result = positionManager.updatePrice('SOFI', 8.33);
+        assert.strictEqual(result.action, 'TAKE_PROFIT_L1');
+        assert.ok(result.netProfitPercent >= 3 && result.profitPercent > result.netProfitPercent);
+        console.log('PASS');
+
+        console.log('Test 3: Screener holds off buys when costs eat the expected move...');
+        const screener = new EnhancedMultiFactorScreener({ costModel, thresholds: { strongBuy: 0, buy: 0 } });
+        const technical = { score: 0, signals: [] };
+        assert.strictEqual(screener.calculateScore(technical, {}, null, { price: 8, atrPercent: 1.5 }).recommendation, 'HOLD');
+        const wide = screener.calculateScore(technical, {}, null, { price: 8, atrPercent: 4 });
+        assert.strictEqual(wide.recommendation, 'STRONG_BUY');
+        assert.ok(wide.costPercent > 0.7);
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
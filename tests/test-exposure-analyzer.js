@@ -0,0 +1,137 @@
+const { ExposureAnalyzer } = require('../src/exposure-analyzer');
+const { createPositionManager } = require('./helpers');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_FILE = path.join(__dirname, '../data/test_sector_profiles.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 11, 1, 15);
+
+const PROFILES = {
+    MARA: { sector: 'Financial Services', industry: 'Capital Markets' },
+    CLSK: { sector: 'Financial Services', industry: 'Capital Markets' },
+    COIN: { sector: 'Financial Services', industry: 'Financial Data & Stock Exchanges' },
+    KDP: { sector: 'Consumer Defensive', industry: 'Beverages - Non-Alcoholic' }
+};
+
+// 결정적 일간 수익률: 암호화폐 종목은 같은 요인을 공유, KDP는 독립
+const factor = i => Math.sin(i * 1.7) * 0.04;
+const noise = (i, seed) => Math.cos(i * seed) * 0.01;
+const RETURNS = {
+    MARA: i => factor(i) + noise(i, 2.3),
+    CLSK: i => factor(i) + noise(i, 3.1),
+    COIN: i => factor(i) * 0.8 + noise(i, 4.7),
+    KDP: i => Math.sin(i * 0.9 + 1) * 0.01
+};
+
+function dailyBars(symbol, days) {
+    const bars = [];
+    let close = 20;
+    for (let i = 0; i < days; i++) {
+        close *= 1 + RETURNS[symbol](i);
+        bars.push({ date: new Date(NOW - (days - i) * DAY_MS), close });
+    }
+    return bars;
+}
+
+const teardown = () => {
+    if (fs.existsSync(PROFILES_FILE)) {
+        fs.unlinkSync(PROFILES_FILE);
+    }
+};
+
+function createAnalyzer(options = {}) {
+    const calls = { profile: 0 };
+    const analyzer = new ExposureAnalyzer({
+        profilesFile: null,
+        now: () => NOW,
+        fetchProfile: async symbol => {
+            calls.profile++;
+            return PROFILES[symbol] || null;
+        },
+        fetchBars: async symbol => dailyBars(symbol, 80),
+        ...options
+    });
+    return { analyzer, calls };
+}
+
+async function runTests() {
+    console.log('Running Exposure Analyzer Tests...');
+    teardown();
+
+    try {
+        console.log('Test 1: Correlation matrix from aligned daily returns...');
+        const { analyzer } = createAnalyzer();
+        const exposure = await analyzer.analyze(['MARA', 'CLSK', 'KDP']);
+        assert.ok(exposure.correlations.MARA.CLSK > 0.8, `Miners move together (${exposure.correlations.MARA.CLSK})`);
+        assert.strictEqual(exposure.correlations.MARA.CLSK, exposure.correlations.CLSK.MARA);
+        assert.ok(Math.abs(exposure.correlations.MARA.KDP) < 0.3, `KDP is independent (${exposure.correlations.MARA.KDP})`);
+        assert.deepStrictEqual(exposure.profiles.MARA, PROFILES.MARA);
+        assert.strictEqual(analyzer.correlation([1, 2, 3], [2, 4, 6]), 1);
+        assert.strictEqual(analyzer.correlation([1, 1, 1], [2, 4, 6]), null, 'Flat series has no correlation');
+
+        const short = createAnalyzer({ fetchBars: async symbol => dailyBars(symbol, 10) }).analyzer;
+        const sparse = await short.analyze(['MARA', 'CLSK']);
+        assert.strictEqual(sparse.correlations.MARA.CLSK, undefined, 'Too few common days');
+        console.log('PASS');
+
+        console.log('Test 2: Sector profiles are cached on disk...');
+        const first = createAnalyzer({ profilesFile: PROFILES_FILE });
+        await first.analyzer.getProfile('MARA');
+        await first.analyzer.getProfile('MARA');
+        assert.strictEqual(first.calls.profile, 1);
+        const second = createAnalyzer({ profilesFile: PROFILES_FILE });
+        assert.deepStrictEqual(await second.analyzer.getProfile('MARA'), PROFILES.MARA);
+        assert.strictEqual(second.calls.profile, 0, 'Loaded from data/sector-profiles.json');
+        assert.strictEqual(await second.analyzer.getProfile('UNKNOWN'), null);
+        console.log('PASS');
+
+        console.log('Test 3: Sector and industry caps downsize or reject entries...');
+        const manager = createPositionManager({}, {
+            exposureLimits: { maxSectorPercent: 25, maxIndustryPercent: 15, maxAverageCorrelation: 0 }
+        });
+        const holdings = [{ symbol: 'MARA', qty: 50, currentPrice: 20 }]; // $1,000 of $10,000
+        let result = manager.canAddPosition(holdings, 10000, 400, { symbol: 'CLSK', price: 10, exposure });
+        assert.strictEqual(result.allowed, true);
+        assert.strictEqual(result.maxValue, 400, 'Industry at 10% + 4% is inside 15%');
+
+        result = manager.canAddPosition(holdings, 10000, 800, { symbol: 'CLSK', price: 10, exposure });
+        assert.strictEqual(result.allowed, true);
+        assert.strictEqual(result.maxValue, 500, 'Downsized to the industry room');
+        assert.ok(result.reason.includes('Capital Markets'));
+
+        const coinExposure = await analyzer.analyze(['MARA', 'CLSK', 'COIN']);
+        const crowded = [...holdings, { symbol: 'CLSK', qty: 100, currentPrice: 14.5 }]; // $2,450 in Financial Services
+        result = manager.canAddPosition(crowded, 10000, 500, { symbol: 'COIN', price: 250, exposure: coinExposure });
+        assert.strictEqual(result.allowed, false, 'Only $50 of sector room left, less than one share');
+        assert.ok(result.reason.startsWith('sector Financial Services at 24.5%'));
+
+        result = manager.canAddPosition(crowded, 10000, 500, { symbol: 'KDP', price: 30, exposure: await analyzer.analyze(['MARA', 'CLSK', 'KDP']) });
+        assert.strictEqual(result.allowed, true);
+        assert.strictEqual(result.maxValue, 500);
+        assert.strictEqual(manager.canAddPosition(crowded, 10000, 500).allowed, true, 'No candidate data, no concentration check');
+        console.log('PASS');
+
+        console.log('Test 4: Average pairwise correlation limit...');
+        Object.assign(manager.config.exposureLimits, { maxSectorPercent: 0, maxIndustryPercent: 0, maxAverageCorrelation: 0.6 });
+        const all = await analyzer.analyze(['MARA', 'CLSK', 'COIN', 'KDP']);
+        result = manager.canAddPosition(holdings, 10000, 500, { symbol: 'CLSK', price: 10, exposure: all });
+        assert.strictEqual(result.allowed, false);
+        assert.ok(result.reason.startsWith('Average pairwise correlation'));
+
+        const mixed = [{ symbol: 'KDP', qty: 10, currentPrice: 30 }, { symbol: 'MARA', qty: 10, currentPrice: 20 }];
+        result = manager.canAddPosition(mixed, 10000, 500, { symbol: 'CLSK', price: 10, exposure: all });
+        assert.strictEqual(result.allowed, true, 'Diversified book stays under the limit');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    } finally {
+        teardown();
+    }
+}
+
+runTests();
@@ -0,0 +1,131 @@
+const { MINUTE, near, noCosts, silentLogger, createPositionManager } = require('./helpers');
+const assert = require('assert');
+
+// 심볼별 봉 데이터를 반환하는 fetchBars 스텁 (요청은 calls에 기록)
+const fetchFrom = (bars, calls = []) => async (symbol, interval, since) => {
+    calls.push({ symbol, interval, since });
+    if (!bars[symbol]) throw new Error('No data');
+    return bars[symbol];
+};
+
+async function runTests() {
+    console.log('Running History Rebuild Tests...');
+
+    try {
+        console.log('Test 1: Offline highs activate the trailing stop and report missed take-profit levels...');
+        const start = Date.parse('2025-07-14T14:00:00Z');
+        const clock = { now: start };
+        const bar = (minutes, high, low) => ({ time: start + minutes * MINUTE, high, low });
+        const calls = [];
+        const manager = createPositionManager({
+            clock,
+            costModel: noCosts,
+            fetchBars: fetchFrom({
+                SOFI: [
+                    bar(-5, 25, 15),        // 진입 전 봉은 무시
+                    bar(5, 20.1, 19.9),
+                    bar(60, 20.8, 20.2),
+                    bar(120, 21.2, 20.7),   // +6%: L1, L2
+                    bar(180, 20.9, 20.6)    // 트레일링 손절선 $20.882 아래
+                ]
+            }, calls)
+        }, { stopModel: { type: 'FIXED' } });
+        manager.addPosition('SOFI', 20, 100);
+        assert.strictEqual(manager.needsHistoryRebuild('SOFI'), false);
+
+        clock.now = start + 16 * 60 * MINUTE; // 에이전트 종료 후 다음 날 재시작
+        assert.strictEqual(manager.needsHistoryRebuild('SOFI'), true);
+        const rebuilt = await manager.rebuildFromHistory('SOFI');
+        assert.deepStrictEqual(calls[0], { symbol: 'SOFI', interval: '5m', since: start });
+        assert.strictEqual(rebuilt.bars, 4);
+
+        const position = manager.getPosition('SOFI');
+        assert.strictEqual(position.highestPrice, 21.2);
+        assert.strictEqual(position.lowestPrice, 19.9);
+        assert.strictEqual(position.trailingStopActive, true);
+        assert.ok(near(position.currentStopLoss, 21.2 * 0.985));
+        assert.deepStrictEqual(position.takeProfitLevelsHit, [], 'Unsold levels stay armed');
+        assert.ok(rebuilt.changes.includes('high $20.00 -> $21.20'));
+        assert.ok(rebuilt.changes.includes('trailing stop activated'));
+        assert.ok(rebuilt.changes.includes('take-profit L1/L2 reached while offline (sold on next update if still reached)'));
+        assert.ok(rebuilt.changes.some(change => change.startsWith('low $20.60 crossed stop $20.88')));
+        assert.strictEqual(manager.needsHistoryRebuild('SOFI'), false);
+
+        const status = manager.updatePrice('SOFI', 20.7);
+        assert.strictEqual(status.action, 'TRAILING_STOP', 'Exits on the rebuilt stop instead of taking profit');
+        console.log('PASS');
+
+        console.log('Test 2: Rebuild starts from the last update and survives fetch failures...');
+        clock.now = start;
+        const gapCalls = [];
+        const warnings = [];
+        const gap = createPositionManager({
+            clock,
+            costModel: noCosts,
+            logger: { ...silentLogger, warn: message => warnings.push(message) },
+            fetchBars: fetchFrom({ KDP: [bar(3, 31, 29.9), bar(30, 30.1, 29.5)] }, gapCalls)
+        }, { stopModel: { type: 'FIXED' } });
+        gap.addPosition('KDP', 30, 10);
+        clock.now = start + 5 * MINUTE;
+        gap.updatePrice('KDP', 30.2);
+        clock.now = start + 40 * MINUTE;
+        const kdp = await gap.rebuildFromHistory('KDP');
+        assert.strictEqual(gapCalls[0].since, start + 5 * MINUTE);
+        assert.strictEqual(kdp.bars, 1, 'Bars before the last update are already covered');
+        assert.deepStrictEqual(kdp.changes, ['low $30.00 -> $29.50']);
+        assert.strictEqual(gap.getPosition('KDP').highestPrice, 30.2);
+
+        gap.addPosition('F', 10, 10);
+        clock.now += 20 * MINUTE;
+        assert.strictEqual(await gap.rebuildFromHistory('F'), null);
+        assert.strictEqual(gap.getPosition('F').highestPrice, 10, 'Stored state kept');
+        assert.strictEqual(gap.needsHistoryRebuild('F'), true, 'Retried next cycle');
+        assert.ok(warnings.some(w => w.includes('F: Failed to fetch intraday bars (No data)')), 'Fetch failure is logged');
+        console.log('PASS');
+
+        console.log('Test 3: ATR stop replays break-even and trailing from Yahoo bars...');
+        clock.now = start;
+        const yahooBars = [
+            { date: new Date(start + 10 * MINUTE), high: 20.3, low: 20.0 },
+            { date: new Date(start + 20 * MINUTE), high: 20.6, low: 20.2 }
+        ];
+        const atr = createPositionManager({ clock, costModel: noCosts, fetchBars: fetchFrom({ MARA: yahooBars }) }, { stopModel: { type: 'ATR' } });
+        atr.addPosition('MARA', 20, 10, 50, { atr: 0.5 }); // 손절 $19
+        clock.now = start + 30 * MINUTE;
+        await atr.rebuildFromHistory('MARA');
+        const mara = atr.getPosition('MARA');
+        assert.strictEqual(mara.currentStopLoss, 20, 'Break-even beats high - 2×ATR ($19.60)');
+        assert.strictEqual(mara.trailingStopActive, true);
+        assert.deepStrictEqual(mara.takeProfitLevelsHit, [], '+3% reached offline but not sold');
+        const missed = atr.updatePrice('MARA', 20.65);
+        assert.strictEqual(missed.action, 'TAKE_PROFIT_L1', 'Next update sells the missed level');
+        assert.deepStrictEqual(mara.takeProfitLevelsHit, [1]);
+        console.log('PASS');
+
+        console.log('Test 4: SAR steps once per replayed bar interval, not once per rebuild...');
+        clock.now = start;
+        const sar = createPositionManager({
+            clock,
+            costModel: noCosts,
+            fetchBars: fetchFrom({ SOFI: [bar(5, 10.5, 10.0), bar(10, 10.4, 10.1), bar(15, 10.6, 10.2)] })
+        }, { stopModel: { type: 'SAR' } });
+        sar.addPosition('SOFI', 10, 10, 50); // 손절 $9.70
+        clock.now = start + 60 * MINUTE;
+        await sar.rebuildFromHistory('SOFI');
+        const first = 9.7 + 0.04 * (10.5 - 9.7);
+        const second = first + 0.04 * (10.5 - first);
+        const third = second + 0.06 * (10.6 - second);
+        const sofi = sar.getPosition('SOFI');
+        assert.ok(near(sofi.currentStopLoss, third), `Three steps from bar times (got ${sofi.currentStopLoss})`);
+        assert.strictEqual(sofi.stop.af, 0.06);
+        assert.strictEqual(sofi.stop.lastStepAt, start + 15 * MINUTE);
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,229 @@
+// KisApi 통합 테스트: 실제 요청/파싱 코드를 로컬 Fake KIS 서버에 연결
+process.env.TRADING_MODE = 'REAL';
+process.env.KIS_APP_KEY = 'test-app-key';
+process.env.KIS_APP_SECRET = 'test-app-secret';
+process.env.KIS_ACCOUNT_NO = '43545611';
+
+const FakeKisServer = require('../src/fake-kis-server');
+const kisApi = require('../src/kis-api');
+const config = require('../src/config');
+const { RequestScheduler, classifyKisError } = require('../src/request-scheduler');
+const { silentLogger } = require('./helpers');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const MOCK_TOKEN_FILE = path.join(__dirname, '../data/test_token.json');
+
+const teardown = () => {
+    if (fs.existsSync(MOCK_TOKEN_FILE)) {
+        fs.unlinkSync(MOCK_TOKEN_FILE);
+    }
+};
+
+async function runTests() {
+    console.log('Running KIS API Integration Tests...');
+
+    const server = new FakeKisServer({ mode: 'REAL', initialCash: 1000, logger: silentLogger });
+    const url = await server.start();
+    kisApi.baseUrl = url;
+    kisApi.tokenFile = MOCK_TOKEN_FILE;
+    kisApi.logger = silentLogger; // 추적 중인 kis-api.log에 쓰지 않음
+    kisApi.scheduler = new RequestScheduler({
+        providers: { kis: { ratePerSecond: 1000, burst: 100, classify: classifyKisError } },
+        retry: { baseDelayMs: 5 },
+        logger: silentLogger
+    });
+    teardown();
+
+    try {
+        console.log('Test 1: Token is issued once, shared by concurrent callers and cached encrypted...');
+        const tokens = await Promise.all([kisApi.getAuthToken(), kisApi.getAuthToken(), kisApi.getAuthToken()]);
+        assert.strictEqual(new Set(tokens).size, 1);
+        kisApi.accessToken = null; // 재시작 흉내: 메모리 캐시 제거
+        await kisApi.getAuthToken();
+        assert.strictEqual(server.requests.filter(r => r.endpoint === 'tokenP').length, 1);
+        assert.ok(fs.existsSync(MOCK_TOKEN_FILE), 'Token should be written to file');
+        assert.ok(!fs.readFileSync(MOCK_TOKEN_FILE, 'utf8').includes(tokens[0]), 'Token must not be stored in plaintext');
+
+        const tokenPath = kisApi.tokenFile;
+        kisApi.tokenFile = null;
+        const realPath = kisApi._tokenPath();
+        kisApi.baseUrl = 'https://openapivts.koreainvestment.com:29443';
+        assert.notStrictEqual(kisApi._tokenPath(), realPath, 'Paper and real tokens use separate files');
+        kisApi.baseUrl = url;
+        kisApi.tokenFile = tokenPath;
+        console.log('PASS');
+
+        console.log('Test 2: Orders carry a valid hashkey header...');
+        server.setListing('KO', 'NYSE');
+        const order = await kisApi.placeOrder('KO', 'BUY', 2, 60, 'NYSE');
+        assert.strictEqual(order.rt_cd, '0');
+        const orderRequest = server.requests.find(r => r.endpoint === 'order');
+        assert.strictEqual(orderRequest.trId, 'TTTT1002U');
+        assert.ok(orderRequest.headers.hashkey, 'hashkey header should be sent');
+        const wrongExchange = await kisApi.placeOrder('KO', 'BUY', 1, 60, 'NYS');
+        assert.strictEqual(wrongExchange.msg1, '해당종목정보가 없습니다.');
+        console.log('PASS');
+
+        console.log('Test 3: Unfilled orders are parsed (price from ft_ord_unpr3)...');
+        const unfilled = await kisApi.getUnfilledOrders();
+        assert.strictEqual(unfilled.length, 1);
+        assert.strictEqual(unfilled[0].symbol, 'KO');
+        assert.strictEqual(unfilled[0].price, 60);
+        assert.strictEqual(unfilled[0].exchange, 'NYSE');
+        assert.strictEqual(server.requests.find(r => r.endpoint === 'inquire-nccs').trId, 'TTTS3018R');
+        console.log('PASS');
+
+        console.log('Test 4: Balance falls back to present balance when frcr_dncl_amt_2 is missing...');
+        server.setPrice('KO', 59.5);
+        const balance = await kisApi.getBalance();
+        assert.strictEqual(balance.holdings.length, 1);
+        assert.strictEqual(balance.holdings[0].qty, 2);
+        assert.strictEqual(balance.buyingPower, 880, 'Cash after buying 2 x $60');
+        assert.ok(server.requests.some(r => r.endpoint === 'inquire-psamount'), 'Fallback should be used');
+        console.log('PASS');
+
+        console.log('Test 5: Holdings and orders on every US exchange are merged without duplicates...');
+        server.setListing('SLV', 'AMEX');
+        await kisApi.placeOrder('SLV', 'BUY', 3, 20, 'AMEX');
+        const amexOrders = (await kisApi.getUnfilledOrders()).filter(o => o.symbol === 'SLV');
+        assert.strictEqual(amexOrders.length, 1);
+        assert.strictEqual(amexOrders[0].exchange, 'AMEX');
+        server.setPrice('SLV', 20);
+        const merged = await kisApi.getBalance();
+        assert.deepStrictEqual(merged.holdings.map(h => `${h.symbol}:${h.exchange}`).sort(), ['KO:NYSE', 'SLV:AMEX']);
+        assert.strictEqual(merged.buyingPower, 820);
+        assert.strictEqual(merged.totalAsset, 820 + merged.holdings.reduce((sum, h) => sum + h.currentPrice * h.qty, 0));
+        const exchanges = server.requests.filter(r => r.endpoint === 'inquire-balance').map(r => r.query.OVRS_EXCG_CD);
+        assert.deepStrictEqual(exchanges.slice(-3), ['NASD', 'NYSE', 'AMEX']);
+        console.log('PASS');
+
+        console.log('Test 6: Inquiries follow tr_cont continuation keys across pages...');
+        server.pageSize = 1;
+        const paged = await kisApi.getBalance();
+        assert.deepStrictEqual(paged.holdings.map(h => h.symbol).sort(), ['KO', 'SLV']);
+        const pagedExecutions = await kisApi.getOrderExecutions();
+        assert.strictEqual(pagedExecutions.length, 2, 'KO and SLV buys');
+        assert.strictEqual(new Set(pagedExecutions.map(e => e.orderNo)).size, 2);
+        const nextPage = server.requests.filter(r => r.endpoint === 'inquire-ccnl').pop();
+        assert.strictEqual(nextPage.headers['tr_cont'], 'N');
+        assert.ok(nextPage.query.CTX_AREA_NK200, 'Continuation key should be sent back');
+        server.pageSize = 100;
+        console.log('PASS');
+
+        console.log('Test 7: Modify issues a new order number, cancel removes the open order...');
+        const placed = await kisApi.placeOrder('KO', 'SELL', 2, 66, 'NYSE');
+        const modified = await kisApi.modifyOrder(placed.output.ODNO, 'KO', 2, 65, 'NYSE');
+        assert.strictEqual(modified.rt_cd, '0');
+        assert.notStrictEqual(modified.output.ODNO, placed.output.ODNO);
+        const modifyRequest = server.requests.find(r => r.endpoint === 'order-rvsecncl');
+        assert.strictEqual(modifyRequest.body.RVSE_CNCL_DVSN_CD, '01');
+        assert.strictEqual(modifyRequest.body.OVRS_ORD_UNPR, '65.00');
+        const [sell] = await kisApi.getUnfilledOrders();
+        assert.strictEqual(sell.orderNo, modified.output.ODNO);
+        assert.strictEqual(sell.price, 65);
+        const cancel = await kisApi.cancelOrder(sell.orderNo, 'KO', 0, sell.exchange);
+        assert.strictEqual(cancel.rt_cd, '0');
+        assert.strictEqual((await kisApi.getUnfilledOrders()).length, 0);
+        console.log('PASS');
+
+        console.log('Test 8: Order executions are parsed from inquire-ccnl...');
+        const executions = await kisApi.getOrderExecutions();
+        const filledBuy = executions.find(e => e.orderNo === order.output.ODNO);
+        assert.strictEqual(filledBuy.side, 'BUY');
+        assert.strictEqual(filledBuy.filledQty, 2);
+        assert.strictEqual(filledBuy.avgFillPrice, 60);
+        const cancelledSell = executions.find(e => e.orderNo === sell.orderNo);
+        assert.strictEqual(cancelledSell.filledQty, 0);
+        assert.strictEqual(cancelledSell.unfilledQty, 0);
+        assert.strictEqual(server.requests.find(r => r.endpoint === 'inquire-ccnl').trId, 'TTTS3035R');
+        console.log('PASS');
+
+        console.log('Test 9: Rate-limit errors are retried, other errors surface as failures...');
+        server.failNext('inquire-balance', 'RATE_LIMIT', 2);
+        assert.ok(await kisApi.getBalance(), 'Balance should succeed after retries');
+        const ordersBefore = server.requests.filter(r => r.endpoint === 'order').length;
+        server.failNext('order', 'RATE_LIMIT');
+        const retried = await kisApi.placeOrder('KO', 'BUY', 1, 60, 'NYSE');
+        assert.strictEqual(retried.rt_cd, '0', 'Rate-limited order was not accepted, so it is retried');
+        assert.strictEqual(server.requests.filter(r => r.endpoint === 'order').length - ordersBefore, 2);
+        server.failNext('inquire-balance', 'RESPONSE_BUILD_ERROR');
+        assert.strictEqual(await kisApi.getBalance(), null, 'Balance error should return null');
+        server.failNext('order', 'RESPONSE_BUILD_ERROR');
+        assert.strictEqual(await kisApi.placeOrder('KO', 'BUY', 1, 60, 'NYSE'), null);
+        console.log('PASS');
+
+        console.log('Test 10: Revoked tokens are re-issued once and the call is retried...');
+        server.revokeTokens();
+        const issuedBefore = server.requests.filter(r => r.endpoint === 'tokenP').length;
+        const recovered = await kisApi.getBalance();
+        assert.ok(recovered, 'Balance should succeed with a re-issued token');
+        assert.strictEqual(server.requests.filter(r => r.endpoint === 'tokenP').length - issuedBefore, 1);
+        console.log('PASS');
+
+        console.log('Test 11: Balance tolerates a missing or array-shaped output2...');
+        const summaryPage = output2 => ({ status: 200, body: { rt_cd: '0', msg_cd: 'KIOK0510', msg1: '조회가 완료되었습니다 ', output1: [], output2 } });
+        server.failNext('inquire-balance', summaryPage(undefined));
+        server.failNext('inquire-balance', summaryPage([{ frcr_dncl_amt_2: '812.50' }]));
+        server.failNext('inquire-balance', summaryPage([]));
+        const summaryBalance = await kisApi.getBalance();
+        assert.ok(summaryBalance, 'Balance should not fail on the summary shape');
+        assert.strictEqual(summaryBalance.buyingPower, 812.5);
+        assert.strictEqual(summaryBalance.holdings.length, 0);
+        console.log('PASS');
+
+        console.log('Test 12: A failed page fails the whole unfilled order inquiry...');
+        const firstPage = {
+            status: 200,
+            headers: { tr_cont: 'M' },
+            body: { rt_cd: '0', msg1: '조회가 완료되었습니다', ctx_area_fk200: 'FK', ctx_area_nk200: 'NK', output: [{ odno: '0000099', pdno: 'KO', nccs_qty: '1', ft_ord_unpr3: '60', ovrs_excg_cd: 'NASD' }] }
+        };
+        server.failNext('inquire-nccs', firstPage);
+        server.failNext('inquire-nccs', 'NO_SERVICE');
+        assert.strictEqual(await kisApi.getUnfilledOrders(), null, 'A partial list must not be returned');
+        const failedPage = server.requests.filter(r => r.endpoint === 'inquire-nccs').pop();
+        assert.strictEqual(failedPage.query.CTX_AREA_NK200, 'NK', 'Second page was requested');
+        console.log('PASS');
+
+        console.log('Test 13: Paper mode inquires unfilled orders with the VTS TR ID...');
+        config.trading.mode = 'PAPER';
+        server.mode = 'PAPER';
+        try {
+            assert.ok(await kisApi.getUnfilledOrders(), 'Paper server should accept the inquiry');
+            assert.strictEqual(server.requests.filter(r => r.endpoint === 'inquire-nccs').pop().trId, 'VTTS3018R');
+        } finally {
+            config.trading.mode = 'REAL';
+            server.mode = 'REAL';
+        }
+        console.log('PASS');
+
+        console.log('Test 14: Token encryption without KIS_TOKEN_KEY warns once...');
+        const warnings = [];
+        kisApi.logger = { ...silentLogger, warn: message => warnings.push(message) };
+        kisApi.tokenKeyWarned = false;
+        try {
+            kisApi._encryptToken({ accessToken: 'a' });
+            kisApi._encryptToken({ accessToken: 'b' });
+            assert.strictEqual(warnings.filter(w => w.includes('KIS_TOKEN_KEY')).length, 1);
+            config.kis.tokenKey = 'separate-key';
+            kisApi.tokenKeyWarned = false;
+            kisApi._encryptToken({ accessToken: 'c' });
+            assert.strictEqual(warnings.filter(w => w.includes('KIS_TOKEN_KEY')).length, 1, 'No warning with a key');
+        } finally {
+            config.kis.tokenKey = null;
+            kisApi.logger = silentLogger;
+        }
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exitCode = 1;
+    } finally {
+        teardown();
+        await server.stop();
+    }
+}
+
+runTests();
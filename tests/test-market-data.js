@@ -0,0 +1,101 @@
+const { MarketData, CassetteMissError } = require('../src/market-data');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const MOCK_CASSETTE = path.join(__dirname, '../data/test_cassette.jsonl');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const teardown = () => {
+    if (fs.existsSync(MOCK_CASSETTE)) {
+        fs.unlinkSync(MOCK_CASSETTE);
+    }
+};
+
+// Yahoo 대신 호출 횟수에 따라 다른 응답을 주는 가짜 클라이언트
+function createClient() {
+    let calls = 0;
+    return {
+        calls: () => calls,
+        async chart(symbol, options) {
+            calls++;
+            return { meta: { symbol }, quotes: [{ date: new Date(Date.UTC(2025, 10, 20, 14, 30)), close: 10 + calls, interval: options.interval }] };
+        },
+        async quote(symbol) {
+            calls++;
+            if (symbol === 'BAD') throw new Error('Quote not found for ticker symbol: BAD');
+            return { symbol, regularMarketPrice: 20 + calls };
+        },
+        async search(query) {
+            calls++;
+            return { news: [{ title: `${query} surges` }] };
+        }
+    };
+}
+
+async function runTests() {
+    console.log('Running Market Data Cassette Tests...');
+    teardown();
+
+    try {
+        console.log('Test 1: Record mode passes through and writes responses...');
+        let clock = Date.UTC(2025, 10, 20, 15, 0);
+        const client = createClient();
+        const recorder = new MarketData({ mode: 'RECORD', cassette: MOCK_CASSETTE, client, now: () => clock });
+
+        const first = await recorder.chart('SOFI', { period1: new Date(clock - 5 * DAY_MS), interval: '5m' });
+        await recorder.chart('SOFI', { period1: new Date(clock - 60 * DAY_MS), interval: '1d' });
+        clock += 60 * 1000;
+        await recorder.chart('SOFI', { period1: new Date(clock - 5 * DAY_MS), interval: '5m' });
+        await recorder.quote('SOFI');
+        await recorder.search('SOFI', { newsCount: 5 });
+        await assert.rejects(() => recorder.quote('BAD'));
+
+        assert.strictEqual(first.quotes[0].close, 11);
+        assert.strictEqual(fs.readFileSync(MOCK_CASSETTE, 'utf8').trim().split('\n').length, 6);
+        console.log('PASS');
+
+        console.log('Test 2: Replay serves the response recorded at or before the replay time...');
+        const start = Date.UTC(2025, 10, 20, 15, 0);
+        let replayClock = start;
+        const replayClient = createClient();
+        const player = new MarketData({ mode: 'REPLAY', cassette: MOCK_CASSETTE, client: replayClient, now: () => replayClock });
+        const fiveMinute = () => player.chart('SOFI', { period1: new Date(replayClock - 5 * DAY_MS), interval: '5m' });
+
+        replayClock = start + 30 * 1000;
+        const replay1 = await fiveMinute();
+        assert.strictEqual(replay1.quotes[0].close, 11, 'Nearest entry before the replay time');
+        assert.strictEqual((await fiveMinute()).quotes[0].close, 11, 'Repeated calls at the same time get the same response');
+        const daily = await player.chart('SOFI', { period1: new Date(replayClock - 60 * DAY_MS), interval: '1d' });
+        assert.strictEqual(daily.quotes[0].close, 12);
+        replayClock = start + 60 * 1000;
+        assert.strictEqual((await fiveMinute()).quotes[0].close, 13);
+        assert.ok(replay1.quotes[0].date instanceof Date, 'Dates should be revived');
+        assert.strictEqual((await player.quote('SOFI')).regularMarketPrice, 24);
+        assert.strictEqual((await player.search('SOFI')).news[0].title, 'SOFI surges');
+        assert.strictEqual(replayClient.calls(), 0, 'Replay must not hit the network');
+        console.log('PASS');
+
+        console.log('Test 3: Replay clock starts at the first recorded time...');
+        assert.strictEqual(player.now(), start + 60 * 1000, 'Injected clock is used as is');
+        const session = new MarketData({ mode: 'REPLAY', cassette: MOCK_CASSETTE, client: replayClient });
+        assert.ok(session.now() - start < 1000, 'Default clock replays from the session start');
+        console.log('PASS');
+
+        console.log('Test 4: Recorded errors and missing entries are thrown...');
+        await assert.rejects(() => player.quote('BAD'), /Quote not found/);
+        await assert.rejects(() => player.quote('PLTR'), CassetteMissError);
+        replayClock = start - 1;
+        await assert.rejects(() => fiveMinute(), CassetteMissError, 'Nothing recorded before the replay time');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exitCode = 1;
+    } finally {
+        teardown();
+    }
+}
+
+runTests();
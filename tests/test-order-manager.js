@@ -0,0 +1,169 @@
+const { ORDER_STATUS } = require('../src/order-manager');
+const { createOrderSetup } = require('./helpers');
+const assert = require('assert');
+
+async function runTests() {
+    console.log('Running Order Manager Tests...');
+
+    try {
+        console.log('Test 1: Unfilled buy creates no position but blocks duplicates...');
+        let { broker, positionManager, orderManager } = createOrderSetup({ broker: { partialFillRatio: 0.5 } });
+        const buy = await orderManager.submit({ symbol: 'SOFI', side: 'BUY', quantity: 10, price: 20, score: 80 });
+        assert.strictEqual(buy.status, ORDER_STATUS.ACKNOWLEDGED);
+        await orderManager.sync();
+        assert.strictEqual(positionManager.hasPosition('SOFI'), false, 'No position before fill');
+        assert.strictEqual(orderManager.hasPendingOrder('SOFI', 'BUY'), true);
+        console.log('PASS');
+
+        console.log('Test 2: Partial and full fills build the position at the fill price...');
+        broker.onQuote('SOFI', { price: 19.8 });
+        await orderManager.sync();
+        assert.strictEqual(buy.status, ORDER_STATUS.PARTIALLY_FILLED);
+        assert.strictEqual(positionManager.getPosition('SOFI').quantity, 5);
+        assert.strictEqual(positionManager.getPosition('SOFI').score, 80);
+
+        broker.config.partialFillRatio = 1.0;
+        broker.onBar('SOFI', { open: 19.5, high: 19.6, low: 19.4, close: 19.5, volume: 1000 });
+        await orderManager.sync();
+        assert.strictEqual(buy.status, ORDER_STATUS.FILLED);
+        const position = positionManager.getPosition('SOFI');
+        assert.strictEqual(position.quantity, 10);
+        assert.ok(Math.abs(position.entryPrice - 19.75) < 1e-9, 'Entry = average of 5 @ 20 and 5 @ 19.5');
+        assert.strictEqual(orderManager.hasPendingOrder('SOFI'), false);
+        console.log('PASS');
+
+        console.log('Test 3: Pending sell keeps the position until it fills...');
+        const sell = await orderManager.submit({ symbol: 'SOFI', side: 'SELL', quantity: 10, price: 21, reason: 'TAKE_PROFIT_L1' });
+        await orderManager.sync();
+        assert.strictEqual(positionManager.getPosition('SOFI').quantity, 10);
+        assert.deepStrictEqual(orderManager.getPendingSymbols('SELL'), ['SOFI']);
+        assert.deepStrictEqual(orderManager.getPendingQuantities('SELL'), { SOFI: 10 });
+
+        await broker.cancelOrder(sell.orderNo, 'SOFI', 0, 'NASD');
+        await orderManager.sync();
+        assert.strictEqual(sell.status, ORDER_STATUS.CANCELLED);
+        assert.strictEqual(positionManager.getPosition('SOFI').quantity, 10, 'Cancelled sell leaves position');
+
+        const sell2 = await orderManager.submit({ symbol: 'SOFI', side: 'SELL', quantity: 10, price: 21 });
+        broker.onQuote('SOFI', { price: 21.2 });
+        await orderManager.sync();
+        assert.strictEqual(sell2.status, ORDER_STATUS.FILLED);
+        assert.strictEqual(positionManager.hasPosition('SOFI'), false);
+        const ledgerStats = orderManager.tradeLedger.getStats();
+        assert.strictEqual(ledgerStats.totalTrades, 1, 'Fills are recorded in the trade ledger');
+        assert.strictEqual(ledgerStats.winningTrades, 1);
+        console.log('PASS');
+
+        console.log('Test 4: Rejected orders are recorded and do not block...');
+        ({ broker, positionManager, orderManager } = createOrderSetup());
+        const rejected = await orderManager.submit({ symbol: 'F', side: 'BUY', quantity: 1000, price: 10 });
+        assert.strictEqual(rejected.status, ORDER_STATUS.REJECTED);
+        assert.strictEqual(orderManager.hasPendingOrder('F'), false);
+        console.log('PASS');
+
+        console.log('Test 5: Failed execution or unfilled inquiry leaves orders untouched...');
+        const pending = await orderManager.submit({ symbol: 'F', side: 'BUY', quantity: 10, price: 10 });
+        broker.onQuote('F', { price: 9.9 });
+        broker.getOrderExecutions = async () => null;
+        await orderManager.sync();
+        assert.strictEqual(pending.status, ORDER_STATUS.ACKNOWLEDGED);
+        assert.strictEqual(positionManager.hasPosition('F'), false);
+        let expiryClock = Date.parse('2025-11-03T15:00:00Z');
+        const expiry = createOrderSetup({ now: () => expiryClock });
+        const lost = await expiry.orderManager.submit({ symbol: 'F', side: 'BUY', quantity: 10, price: 10 });
+        expiry.broker.getOrderExecutions = async () => [];
+        expiry.broker.getUnfilledOrders = async () => null;
+        expiryClock += expiry.orderManager.config.orderExpiryMs + 1;
+        await expiry.orderManager.sync();
+        assert.strictEqual(lost.status, ORDER_STATUS.ACKNOWLEDGED, 'Failed unfilled inquiry must not expire the order');
+        expiry.broker.getUnfilledOrders = async () => [];
+        await expiry.orderManager.sync();
+        assert.strictEqual(lost.status, ORDER_STATUS.CANCELLED);
+        console.log('PASS');
+
+        console.log('Test 6: Stale entry is cancelled after the timeout, not chased...');
+        let clock = Date.parse('2025-11-03T15:00:00Z');
+        const now = () => clock;
+        ({ broker, positionManager, orderManager } = createOrderSetup({ now }));
+        const entry = await orderManager.submit({ symbol: 'PLTR', side: 'BUY', quantity: 2, price: 100 });
+        assert.strictEqual(entry.intent, 'entry');
+        const quotes = { PLTR: { bid: 101, ask: 101.2, regularMarketPrice: 101.1 } };
+        const getQuote = async (symbol) => quotes[symbol];
+
+        clock += 60 * 1000;
+        await orderManager.manageStaleOrders(getQuote);
+        assert.strictEqual(entry.cancelRequestedAt, null, 'Not stale yet');
+
+        clock += 2 * 60 * 1000;
+        await orderManager.manageStaleOrders(getQuote);
+        assert.strictEqual(entry.price, 100, 'Entries are never repriced');
+        await orderManager.sync();
+        assert.strictEqual(entry.status, ORDER_STATUS.CANCELLED);
+        assert.strictEqual(positionManager.hasPosition('PLTR'), false);
+        console.log('PASS');
+
+        console.log('Test 7: Stop exit chases toward the bid up to max slippage...');
+        await orderManager.submit({ symbol: 'PLTR', side: 'BUY', quantity: 4, price: 100 });
+        broker.onQuote('PLTR', { price: 100 });
+        await orderManager.sync();
+        assert.strictEqual(positionManager.getPosition('PLTR').quantity, 4);
+
+        const stop = await orderManager.submit({ symbol: 'PLTR', side: 'SELL', quantity: 4, price: 100, reason: 'STOP_LOSS' });
+        assert.strictEqual(stop.intent, 'stopExit');
+        quotes.PLTR = { bid: 95, ask: 95.2, regularMarketPrice: 95.1 };
+
+        clock += 61 * 1000;
+        await orderManager.manageStaleOrders(getQuote);
+        assert.strictEqual(stop.price, 99, 'One 1% step');
+        assert.strictEqual(stop.replacedOrderNos.length, 1);
+
+        // 일부 체결 후 다시 정정: 정정 전/후 체결 합산
+        broker.config.partialFillRatio = 0.5;
+        broker.onQuote('PLTR', { price: 99, bid: 99 });
+        await orderManager.sync();
+        assert.strictEqual(stop.status, ORDER_STATUS.PARTIALLY_FILLED);
+        assert.strictEqual(positionManager.getPosition('PLTR').quantity, 2);
+
+        for (let i = 0; i < 5; i++) {
+            clock += 61 * 1000;
+            await orderManager.manageStaleOrders(getQuote);
+        }
+        assert.strictEqual(stop.price, 97, 'Clamped at 3% below the initial price');
+        assert.strictEqual(stop.repriceCount, 4, '99 → 98.01 → 97.03 → 97');
+        assert.strictEqual(orderManager.getOrder(stop.replacedOrderNos[0]), stop);
+
+        broker.config.partialFillRatio = 1.0;
+        broker.onQuote('PLTR', { price: 97, bid: 97 });
+        await orderManager.sync();
+        assert.strictEqual(stop.status, ORDER_STATUS.FILLED);
+        assert.strictEqual(stop.filledQty, 4);
+        assert.ok(Math.abs(stop.avgFillPrice - 98) < 1e-9, '2 @ 99 and 2 @ 97');
+        assert.strictEqual(positionManager.hasPosition('PLTR'), false);
+        console.log('PASS');
+
+        console.log('Test 8: Late partial fill does not lower a stop that already moved...');
+        ({ broker, positionManager, orderManager } = createOrderSetup({ broker: { partialFillRatio: 0.5 } }));
+        await orderManager.submit({ symbol: 'KDP', side: 'BUY', quantity: 10, price: 20 });
+        broker.onQuote('KDP', { price: 20 });
+        await orderManager.sync();
+        assert.strictEqual(positionManager.updatePrice('KDP', 20.3).reason, 'Stop loss moved to break-even');
+        const breakEven = positionManager.getPosition('KDP').currentStopLoss;
+        assert.ok(breakEven > 20);
+
+        broker.config.partialFillRatio = 1.0;
+        broker.onBar('KDP', { open: 19.9, high: 20, low: 19.8, close: 19.9, volume: 1000 });
+        await orderManager.sync();
+        const kdp = positionManager.getPosition('KDP');
+        assert.strictEqual(kdp.quantity, 10);
+        assert.ok(Math.abs(kdp.entryPrice - 19.95) < 1e-9);
+        assert.strictEqual(kdp.currentStopLoss, breakEven, 'Kept instead of 19.95 × 0.97');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
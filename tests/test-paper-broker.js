@@ -0,0 +1,60 @@
+const { PaperBroker } = require('../src/paper-broker');
+const { silentLogger } = require('./helpers');
+const assert = require('assert');
+
+async function runTests() {
+    console.log('Running Paper Broker Tests...');
+
+    try {
+        console.log('Test 1: Limit buy fills only when price crosses...');
+        let broker = new PaperBroker({ stateFile: null, initialCash: 1000, logger: silentLogger });
+        let res = await broker.placeOrder('SOFI', 'BUY', 10, 20, 'NASD');
+        assert.strictEqual(res.rt_cd, '0');
+        assert.strictEqual(await broker.getPresentBalance(), 800, 'Open buy should reserve cash');
+        broker.onQuote('SOFI', { price: 20.5 });
+        assert.strictEqual((await broker.getUnfilledOrders()).length, 1, 'Should not fill above limit');
+        broker.onQuote('SOFI', { price: 19.9 });
+        assert.strictEqual((await broker.getUnfilledOrders()).length, 0, 'Should fill once price crosses');
+        let balance = await broker.getBalance();
+        assert.strictEqual(balance.holdings[0].qty, 10);
+        assert.strictEqual(balance.holdings[0].avgPrice, 20, 'Limit order fills at limit price');
+        assert.strictEqual(balance.buyingPower, 800);
+        console.log('PASS');
+
+        console.log('Test 2: Limit sell fills on bar high, gaps fill at open...');
+        res = await broker.placeOrder('SOFI', 'SELL', 10, 22, 'NASD');
+        assert.strictEqual((await broker.getBalance()).holdings.length, 0, 'Reserved shares are not orderable');
+        broker.onBar('SOFI', { open: 21, high: 21.9, low: 20.8, close: 21.5, volume: 1000 });
+        assert.strictEqual((await broker.getUnfilledOrders()).length, 1);
+        broker.onBar('SOFI', { open: 23, high: 23.5, low: 22.8, close: 23.2, volume: 1000 });
+        assert.strictEqual(await broker.getPresentBalance(), 800 + 230, 'Gap up sell fills at open');
+        console.log('PASS');
+
+        console.log('Test 3: Partial fills and cancel of the remainder...');
+        broker = new PaperBroker({ stateFile: null, initialCash: 1000, partialFillRatio: 0.5, logger: silentLogger });
+        await broker.placeOrder('F', 'BUY', 10, 10, 'NYSE');
+        broker.onQuote('F', { price: 9.9 });
+        let unfilled = await broker.getUnfilledOrders();
+        assert.strictEqual(unfilled[0].qty, 5, 'Half of the order should remain');
+        await broker.cancelOrder(unfilled[0].orderNo, 'F', 0, 'NYSE');
+        assert.strictEqual((await broker.getUnfilledOrders()).length, 0);
+        balance = await broker.getBalance();
+        assert.strictEqual(balance.holdings[0].qty, 5);
+        assert.strictEqual(balance.buyingPower, 950, 'Cancelled remainder releases reserved cash');
+        console.log('PASS');
+
+        console.log('Test 4: Rejects orders beyond buying power or holdings...');
+        res = await broker.placeOrder('F', 'BUY', 1000, 10, 'NYSE');
+        assert.strictEqual(res.rt_cd, '1');
+        res = await broker.placeOrder('F', 'SELL', 6, 10, 'NYSE');
+        assert.strictEqual(res.rt_cd, '1');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,90 @@
+const { PerformanceAnalyzer } = require('../src/performance-analyzer');
+const { EquityHistory } = require('../src/equity-history');
+const { TradeLedger } = require('../src/trade-ledger');
+const assert = require('assert');
+
+const DAY = 24 * 60 * 60 * 1000;
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+async function runTests() {
+    console.log('Running Performance Analyzer Tests...');
+
+    try {
+        // 월~금 장중(15:00 ET) 스냅샷, 전략 수익률 = SPY 수익률 x 2
+        let clock = Date.parse('2025-11-03T20:00:00Z');
+        const history = new EquityHistory({ snapshotsFile: null, now: () => clock });
+        const ledger = new TradeLedger({ ledgerFile: null, now: () => clock });
+        const spyReturns = [0.01, -0.02, 0.01, 0.02];
+        let equity = 10000;
+        let spy = 500;
+        history.record({ equity, cash: equity / 2, positionsValue: equity / 2, positions: 1, spyPrice: spy });
+        for (const m of spyReturns) {
+            clock += DAY;
+            equity *= 1 + 2 * m;
+            spy *= 1 + m;
+            history.record({ equity, cash: equity / 2, positionsValue: equity / 2, positions: 1, spyPrice: spy });
+        }
+
+        clock = Date.parse('2025-11-03T15:00:00Z');
+        ledger.recordFill({ symbol: 'SOFI', side: 'BUY', quantity: 10, price: 100 });
+        ledger.recordFill({ symbol: 'F', side: 'BUY', quantity: 10, price: 10 });
+        ledger.recordFill({ symbol: 'T', side: 'BUY', quantity: 10, price: 10 });
+        clock += DAY;
+        ledger.recordFill({ symbol: 'SOFI', side: 'SELL', quantity: 5, price: 110, reason: 'TAKE_PROFIT_L1' });
+        ledger.recordFill({ symbol: 'SOFI', side: 'SELL', quantity: 5, price: 105, reason: 'TAKE_PROFIT_L1' });
+        ledger.recordFill({ symbol: 'F', side: 'SELL', quantity: 10, price: 9, reason: 'STOP_LOSS' });
+
+        const analyzer = new PerformanceAnalyzer();
+        const report = analyzer.analyze({
+            snapshots: history.getSnapshots(),
+            trades: ledger.getTrades(),
+            openLots: ledger.getOpenLots()
+        });
+
+        console.log('Test 1: Daily returns give Sharpe and Sortino...');
+        assert.strictEqual(report.tradingDays, 5);
+        assert.strictEqual(report.dailyReturns, 4);
+        assert.ok(near(report.sharpe, 0.01 / Math.sqrt(0.0012) * Math.sqrt(252)));
+        assert.ok(near(report.sortino, 0.01 / 0.02 * Math.sqrt(252)), 'Only the -4% day counts as downside');
+        console.log('PASS');
+
+        console.log('Test 2: Max drawdown, its duration and exposure...');
+        assert.ok(near(report.maxDrawdown, -4));
+        assert.ok(near(report.maxDrawdownDays, 3), 'Peak on day 2, recovered on day 5');
+        assert.strictEqual(report.drawdownRecovered, true);
+        assert.ok(near(report.averageExposure, 50));
+        console.log('PASS');
+
+        console.log('Test 3: Turnover and win rate by exit reason...');
+        const traded = 1000 + 100 + 100 + 550 + 525 + 90;
+        const averageEquity = report.equityCurve.reduce((sum, p) => sum + p.equity, 0) / 5;
+        assert.ok(near(report.turnover, traded / 2 / averageEquity));
+        const byReason = Object.fromEntries(report.byReason.map(r => [r.reason, r]));
+        assert.strictEqual(byReason.TAKE_PROFIT_L1.trades, 2);
+        assert.strictEqual(byReason.TAKE_PROFIT_L1.winRate, 100);
+        assert.strictEqual(byReason.STOP_LOSS.winRate, 0);
+        assert.strictEqual(byReason.TRAILING_STOP.trades, 0, 'Standard reasons are listed even without trades');
+        console.log('PASS');
+
+        console.log('Test 4: Alpha and beta against SPY...');
+        assert.ok(near(report.benchmark.beta, 2));
+        assert.ok(near(report.benchmark.alpha, 0));
+        assert.ok(near(report.benchmark.correlation, 1));
+        console.log('PASS');
+
+        console.log('Test 5: Renders terminal tables and a self-contained HTML report...');
+        const text = analyzer.formatText(report);
+        assert.ok(text.includes('Max Drawdown') && text.includes('TRAILING_STOP'));
+        const html = analyzer.renderHtml(report);
+        assert.strictEqual((html.match(/<svg/g) || []).length, 2, 'Equity and drawdown charts');
+        assert.ok(!/<script|https?:\/\//.test(html), 'No external resources');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
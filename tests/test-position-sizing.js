@@ -0,0 +1,145 @@
+const { SCORE_BUCKETS } = require('../src/position-manager');
+const { TradeLedger } = require('../src/trade-ledger');
+const { near, createPositionManager } = require('./helpers');
+const assert = require('assert');
+
+const settings = mode => ({
+    stopModel: { type: 'FIXED' },
+    sizing: {
+        mode,
+        riskPerTradePercent: 0.5,
+        targetDailyVolPercent: 0.2,
+        kellyFraction: 0.25,
+        kellyMinTrades: 20,
+        maxPositionPercent: 10
+    }
+});
+
+async function runTests() {
+    console.log('Running Position Sizing Tests...');
+
+    try {
+        console.log('Test 1: SCORE mode keeps the bucket sizing and ATR haircut...');
+        const score = createPositionManager({}, settings('SCORE'));
+        let size = score.calculatePositionSize(10000, 20, 85, 1.0, 0.8); // ATR 4% → ×0.75
+        assert.strictEqual(size.mode, 'SCORE');
+        assert.strictEqual(size.quantity, 15, '4% × 0.75 = 3% of $10,000 at $20');
+        assert.deepStrictEqual(size.inputs, {});
+        console.log('PASS');
+
+        console.log('Test 2: RISK_PER_TRADE sizes to the stop distance...');
+        const risk = createPositionManager({}, settings('RISK_PER_TRADE'));
+        size = risk.calculatePositionSize(10000, 20, 85, 1.0, 0.8); // FIXED -3% stop
+        assert.strictEqual(size.mode, 'RISK_PER_TRADE');
+        assert.ok(near(size.inputs.stopDistancePercent, 3));
+        assert.strictEqual(size.quantity, 50, '0.5% / 3% = 16.7%, capped at 10% → $1,000');
+
+        risk.config.stopModel.type = 'ATR'; // 2 × ATR = $1.60 = 8%
+        size = risk.calculatePositionSize(10000, 20, 85, 1.0, 0.8);
+        assert.ok(near(size.inputs.stopDistancePercent, 8));
+        assert.strictEqual(size.quantity, 31, '0.5% / 8% = 6.25% → $625');
+        assert.ok(Math.abs((31 * 1.6) - 50) < 1.6, 'Loss at the stop is about 0.5% of equity');
+        console.log('PASS');
+
+        console.log('Test 3: VOL_TARGET equalizes daily dollar volatility...');
+        const vol = createPositionManager({}, settings('VOL_TARGET'));
+        const calm = vol.calculatePositionSize(10000, 100, 85, 1.0, 1.0); // ATR 1%
+        const wild = vol.calculatePositionSize(10000, 20, 85, 1.0, 1.0);  // ATR 5%
+        assert.strictEqual(calm.quantity, 10, '0.2% / 1% = 20%, capped at 10% → $1,000');
+        assert.strictEqual(wild.quantity, 20, '0.2% / 5% = 4% → $400');
+        assert.ok(near(wild.quantity * 1.0, 20), 'Daily $ volatility = $20 = 0.2% of equity');
+        const halfRegime = vol.calculatePositionSize(10000, 20, 85, 0.5, 1.0);
+        assert.strictEqual(halfRegime.quantity, 10, 'Regime multiplier still applies');
+        const noAtr = vol.calculatePositionSize(10000, 20, 85, 1.0, null);
+        assert.strictEqual(noAtr.mode, 'SCORE');
+        assert.strictEqual(noAtr.inputs.fallback, 'VOL_TARGET: no ATR');
+        console.log('PASS');
+
+        console.log('Test 4: Score bucket statistics from the trade ledger...');
+        const ledger = new TradeLedger({ ledgerFile: null });
+        let time = 0;
+        const trade = (entryScore, exitPrice) => {
+            ledger.recordFill({ symbol: 'SOFI', side: 'BUY', quantity: 10, price: 10, score: entryScore, time: ++time });
+            ledger.recordFill({ symbol: 'SOFI', side: 'SELL', quantity: 10, price: exitPrice, time: ++time });
+        };
+        for (let i = 0; i < 12; i++) trade(85, 10.4);  // +4%
+        for (let i = 0; i < 8; i++) trade(82, 9.8);    // -2%
+        for (let i = 0; i < 5; i++) trade(65, 9.5);
+        ledger.recordFill({ symbol: 'KDP', side: 'SELL', quantity: 1, price: 30, costBasis: 29, time: ++time }); // 점수 없음
+
+        const stats = ledger.getStatsByScore(SCORE_BUCKETS);
+        assert.strictEqual(stats[80].trades, 20);
+        assert.ok(near(stats[80].winRate, 0.6));
+        assert.ok(Math.abs(stats[80].payoffRatio - 2) < 1e-6);
+        assert.strictEqual(stats[60].trades, 5);
+        assert.strictEqual(stats[60].payoffRatio, 0, 'No wins');
+        assert.strictEqual(stats[90].trades, 0);
+        assert.strictEqual(ledger.getTrades()[0].entryScore, 85);
+        console.log('PASS');
+
+        console.log('Test 5: Fractional Kelly per score bucket...');
+        const kelly = createPositionManager({}, settings('KELLY'));
+        size = kelly.calculatePositionSize(10000, 20, 85, 1.0, 0.8, { scoreStats: stats });
+        assert.strictEqual(size.mode, 'KELLY');
+        assert.ok(Math.abs(size.inputs.kelly - 0.4) < 1e-6, 'f* = 0.6 - 0.4 / 2');
+        assert.strictEqual(size.quantity, 50, '0.4 × 0.25 = 10% → $1,000');
+
+        size = kelly.calculatePositionSize(10000, 20, 95, 1.0, 0.8, { scoreStats: stats });
+        assert.strictEqual(size.mode, 'SCORE');
+        assert.strictEqual(size.inputs.fallback, 'KELLY: 0/20 trades in score bucket 90+');
+
+        kelly.config.sizing.kellyMinTrades = 5;
+        size = kelly.calculatePositionSize(10000, 20, 65, 1.0, 0.8, { scoreStats: stats });
+        assert.strictEqual(size.quantity, 0, 'Bucket without wins gets no allocation');
+        size = kelly.calculatePositionSize(10000, 20, 85, 1.0, 0.8, { scoreStats: { 80: { trades: 30, winRate: 1, payoffRatio: null } } });
+        assert.strictEqual(size.mode, 'SCORE', 'No losing trades, payoff ratio unknown');
+
+        const losing = { 80: { trades: 30, winRate: 0.3, payoffRatio: 1.5 } };
+        size = kelly.calculatePositionSize(10000, 20, 85, 1.0, 0.8, { scoreStats: losing });
+        assert.strictEqual(size.mode, 'KELLY');
+        assert.strictEqual(size.quantity, 0, 'Negative edge means no entry');
+
+        kelly.config.sizing.kellyMinTrades = 0;
+        size = kelly.calculatePositionSize(10000, 20, 95, 1.0, 0.8, { scoreStats: stats });
+        assert.strictEqual(size.inputs.fallback, 'KELLY: 0/0 trades in score bucket 90+', 'Empty bucket with no minimum');
+        size = kelly.calculatePositionSize(10000, 20, 85, 1.0, 0.8, {});
+        assert.strictEqual(size.mode, 'SCORE', 'No ledger statistics at all');
+        console.log('PASS');
+
+        console.log('Test 6: Portfolio heat sums distance to each stop...');
+        const book = createPositionManager({}, settings('SCORE'));
+        book.addPosition('SOFI', 10, 100);   // FIXED stop $9.70
+        book.addPosition('KDP', 30, 20);     // stop $29.10
+        book.updatePrice('SOFI', 10.08); // below the break-even move
+        let heat = book.calculatePortfolioHeat(10000);
+        assert.ok(near(heat.heat, 38 + 18), '(10.08 - 9.70) × 100 + (30 - 29.10) × 20');
+        assert.ok(near(heat.heatPercent, 0.56));
+        heat = book.calculatePortfolioHeat(10000, { KDP: 28 });
+        assert.ok(near(heat.positions.find(p => p.symbol === 'KDP').risk, 0), 'Gapped below the stop counts as 0');
+        assert.ok(near(book.entryRisk(20, 10), 6), '3% stop on $200');
+        console.log('PASS');
+
+        console.log('Test 7: New entries shrink or stop at the heat cap...');
+        book.config.positionSizing.maxPortfolioHeatPercent = 2;
+        let check = book.checkHeat(56, 10000, 20, 100);
+        assert.strictEqual(check.allowed, true);
+        assert.strictEqual(check.quantity, 100, '$56 + $60 is under $200');
+        check = book.checkHeat(56, 10000, 20, 300);
+        assert.strictEqual(check.quantity, 240, '($200 - $56) / $0.60 per share');
+        assert.ok(check.heatPercent < 2 + 1e-9);
+        assert.ok(check.reason.includes('2%'));
+        check = book.checkHeat(199.8, 10000, 20, 10);
+        assert.strictEqual(check.allowed, false);
+        assert.ok(check.reason.startsWith('Portfolio heat 2.00%'));
+        book.config.positionSizing.maxPortfolioHeatPercent = 0;
+        assert.strictEqual(book.checkHeat(500, 10000, 20, 10).quantity, 10, 'Cap disabled');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -1,4 +1,5 @@
 const positionManager = require('../src/position-manager');
+const { near, silentLogger, createOrderSetup } = require('./helpers');
 const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
@@ -6,6 +7,7 @@ const path = require('path');
 // Mock positions file
 const MOCK_POSITIONS_FILE = path.join(__dirname, '../data/test_positions.json');
 positionManager.positionsFile = MOCK_POSITIONS_FILE;
+positionManager.logger = silentLogger;
 
 // Setup: Create a dummy position
 const setup = () => {
@@ -47,6 +49,76 @@ async function runTests() {
         assert.strictEqual(positionManager.hasPosition('AAPL'), true, 'AAPL should persist');
         console.log('PASS');
 
+        // Test 4: Quantity is reconciled against orderable qty plus pending sells, state is kept
+        console.log('Test 4: Reconcile quantity against ord_psbl_qty (keeps score and take-profit state)...');
+        positionManager.positions = {};
+        positionManager.addPosition('SOFI', 10, 100, 82);
+        positionManager.positions.SOFI.takeProfitLevelsHit = [1];
+        positionManager.positions.SOFI.highestPrice = 10.6;
+        positionManager.syncPositions([{ symbol: 'SOFI', qty: 40, avgPrice: 10 }], { SOFI: 30 });
+        assert.strictEqual(positionManager.getPosition('SOFI').quantity, 70, 'Sold 30 outside the agent');
+        assert.strictEqual(positionManager.getPosition('SOFI').score, 82);
+        assert.deepStrictEqual(positionManager.getPosition('SOFI').takeProfitLevelsHit, [1]);
+        assert.strictEqual(positionManager.getPosition('SOFI').highestPrice, 10.6);
+        positionManager.syncPositions([], { SOFI: 70 });
+        assert.strictEqual(positionManager.hasPosition('SOFI'), true, 'Fully reserved by a pending sell');
+        positionManager.syncPositions([{ symbol: 'SOFI', qty: 80, avgPrice: 10.2 }], {}, [], {
+            SOFI: [{ quantity: 4, price: 11.5 }, { quantity: 20, price: 10.5 }]
+        });
+        assert.strictEqual(positionManager.getPosition('SOFI').quantity, 80);
+        assert.ok(near(positionManager.getPosition('SOFI').entryPrice, (70 * 10 + 4 * 11.5 + 6 * 10.5) / 80), 'Added shares at the latest fill prices, not the broker average');
+        positionManager.syncPositions([{ symbol: 'SOFI', qty: 90, avgPrice: 10.2 }]);
+        assert.strictEqual(positionManager.getPosition('SOFI').quantity, 90);
+        assert.ok(near(positionManager.getPosition('SOFI').entryPrice, (70 * 10 + 4 * 11.5 + 6 * 10.5) / 80), 'No execution: entry price kept');
+        console.log('PASS');
+
+        // Test 5: Partial take-profit sells a share of the original quantity and keeps the position
+        console.log('Test 5: Partial take-profit fills reduce quantity and do not re-fire...');
+        positionManager.positions = {};
+        positionManager.config.stopModel.type = 'FIXED';
+        positionManager.addPosition('KDP', 30, 10, 75);
+        const cost = positionManager.costModel.roundTripPercent(30, 10);
+        const level1Price = 30 * (1 + (positionManager.config.takeProfit.level1.percent + cost + 0.1) / 100);
+        let status = positionManager.updatePrice('KDP', level1Price);
+        assert.strictEqual(status.action, 'TAKE_PROFIT_L1');
+        assert.strictEqual(status.sellQuantity, 3, '30% of 10');
+        positionManager.reducePosition('KDP', 3);
+        assert.strictEqual(positionManager.getPosition('KDP').quantity, 7);
+        assert.strictEqual(positionManager.getPosition('KDP').score, 75);
+        status = positionManager.updatePrice('KDP', level1Price);
+        assert.strictEqual(status.action, 'HOLD', 'Level 1 does not fire again on the remainder');
+        const level3Price = 30 * (1 + (positionManager.config.takeProfit.level3.percent + cost + 0.1) / 100);
+        status = positionManager.updatePrice('KDP', level3Price);
+        assert.strictEqual(status.action, 'TAKE_PROFIT_L3');
+        assert.strictEqual(status.sellQuantity, 7, 'Last level sells the rest');
+        console.log('PASS');
+
+        // Test 6: A buy that fills between the balance inquiry and order sync is not stale
+        console.log('Test 6: Fills applied after the balance snapshot are kept...');
+        const { broker, positionManager: fresh, orderManager } = createOrderSetup();
+        await orderManager.submit({ symbol: 'MARA', side: 'BUY', quantity: 10, price: 20 });
+        const snapshot = (await broker.getBalance()).holdings;
+        broker.onQuote('MARA', { price: 20 });
+        const filledSymbols = await orderManager.sync();
+        assert.deepStrictEqual(filledSymbols, ['MARA']);
+        fresh.syncPositions(snapshot, orderManager.getPendingQuantities('SELL'), filledSymbols);
+        assert.strictEqual(fresh.getPosition('MARA').quantity, 10, 'Not removed as stale');
+        assert.deepStrictEqual(await orderManager.sync(), [], 'No new fills');
+        fresh.syncPositions((await broker.getBalance()).holdings);
+        assert.strictEqual(fresh.getPosition('MARA').quantity, 10);
+        console.log('PASS');
+
+        // Test 7: Shares bought outside the agent are averaged in at their execution price
+        console.log('Test 7: External buys use the execution price for the added lot...');
+        await broker.placeOrder('MARA', 'BUY', 5, 22);
+        broker.onQuote('MARA', { price: 22 });
+        const buyFills = await orderManager.getRecentBuyFills();
+        assert.deepStrictEqual(buyFills.MARA, [{ quantity: 5, price: 22 }, { quantity: 10, price: 20 }]);
+        fresh.syncPositions((await broker.getBalance()).holdings, {}, [], buyFills);
+        assert.strictEqual(fresh.getPosition('MARA').quantity, 15);
+        assert.ok(near(fresh.getPosition('MARA').entryPrice, (10 * 20 + 5 * 22) / 15));
+        console.log('PASS');
+
         console.log('All tests passed!');
     } catch (error) {
         console.error('Test Failed:', error);
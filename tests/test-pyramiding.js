@@ -0,0 +1,121 @@
+const { near, createPositionManager, createOrderSetup } = require('./helpers');
+const assert = require('assert');
+
+const SETTINGS = {
+    stopModel: { type: 'ATR' },
+    pyramiding: {
+        enabled: true,
+        triggerAtr: 1.0,
+        addFraction: 0.5,
+        maxAdds: 2,
+        maxPositionPercent: 10
+    }
+};
+
+async function runTests() {
+    console.log('Running Pyramiding Tests...');
+
+    try {
+        console.log('Test 1: Scale-in trigger, size and per-symbol cap...');
+        const manager = createPositionManager({}, SETTINGS);
+        manager.addPosition('SOFI', 20, 20, 80, { atr: 1 }); // ATR stop $18
+        assert.strictEqual(manager.checkPyramid('SOFI', 20.9, 1, 10000).allowed, false, 'Below entry + 1 ATR');
+        let check = manager.checkPyramid('SOFI', 21, 1, 10000);
+        assert.strictEqual(check.allowed, true);
+        assert.strictEqual(check.quantity, 10, 'Half of the first entry');
+        assert.strictEqual(check.triggerPrice, 21);
+        assert.strictEqual(manager.checkPyramid('SOFI', 21, null, 10000).allowed, true, 'Falls back to the entry ATR');
+
+        check = manager.checkPyramid('SOFI', 21, 1, 5000);
+        assert.strictEqual(check.quantity, 3, '10% of $5,000 = 23 shares, 20 held');
+        assert.ok(check.reason.includes('capped at 10%'));
+        assert.strictEqual(manager.checkPyramid('SOFI', 21, 1, 4000).allowed, false, 'Already over the cap');
+        assert.strictEqual(manager.checkPyramid('KDP', 30, 1, 10000).reason, 'No position');
+
+        manager.config.pyramiding.enabled = false;
+        assert.strictEqual(manager.checkPyramid('SOFI', 25, 1, 10000).reason, 'Pyramiding disabled');
+        console.log('PASS');
+
+        console.log('Test 2: Adds blend the entry price and tighten the whole stop...');
+        const book = createPositionManager({}, SETTINGS);
+        book.addPosition('SOFI', 20, 20, 80, { atr: 1 });
+        book.increasePosition('SOFI', 21, 6, 85, { atr: 1, pyramidOrderId: 'A1' });
+        book.increasePosition('SOFI', 21.5, 4, 85, { atr: 1, pyramidOrderId: 'A1' }); // 같은 주문의 부분 체결
+        let position = book.getPosition('SOFI');
+        assert.strictEqual(position.quantity, 30);
+        assert.ok(near(position.entryPrice, (20 * 20 + 21 * 6 + 21.5 * 4) / 30));
+        assert.strictEqual(position.adds.length, 1, 'Partial fills are one add');
+        assert.ok(near(position.lastAddPrice, 21.2));
+        assert.ok(near(position.currentStopLoss, 19.2), 'Add price - 2×ATR, up from $18');
+        assert.strictEqual(position.trailingStopActive, true);
+
+        assert.strictEqual(book.checkPyramid('SOFI', 22, 1, 10000).allowed, false, 'Next add measured from the last add');
+        check = book.checkPyramid('SOFI', 22.2, 1, 10000);
+        assert.strictEqual(check.quantity, 10, 'Still half of the first 20 shares');
+        book.increasePosition('SOFI', 22.2, 10, 85, { atr: 1, pyramidOrderId: 'A2' });
+        assert.ok(near(book.getPosition('SOFI').currentStopLoss, 20.2));
+        assert.strictEqual(book.checkPyramid('SOFI', 30, 1, 100000).reason, 'Max adds (2) reached');
+
+        const result = book.updatePrice('SOFI', 20.1);
+        assert.strictEqual(result.action, 'TRAILING_STOP', 'The raised stop exits the whole position');
+        console.log('PASS');
+
+        console.log('Test 3: FIXED stop and regular fills...');
+        const fixed = createPositionManager({}, SETTINGS);
+        fixed.config.stopModel.type = 'FIXED';
+        fixed.addPosition('KDP', 30, 10);
+        fixed.increasePosition('KDP', 30.2, 10); // 최초 주문의 추가 체결
+        position = fixed.getPosition('KDP');
+        assert.deepStrictEqual(position.adds, []);
+        assert.ok(near(position.lastAddPrice, 30.1));
+        assert.ok(near(position.currentStopLoss, 30.1 * 0.97));
+        assert.strictEqual(fixed.checkPyramid('KDP', 31.5, null, 10000).reason, 'No ATR');
+        fixed.increasePosition('KDP', 31.5, 10, 80, { pyramidOrderId: 'B1' });
+        assert.ok(near(fixed.getPosition('KDP').currentStopLoss, 31.5 * 0.97));
+        console.log('PASS');
+
+        console.log('Test 4: Order manager tags pyramid fills...');
+        const { broker, positionManager, orderManager } = createOrderSetup({ positionManager: createPositionManager({}, SETTINGS) });
+        await orderManager.submit({ symbol: 'SOFI', side: 'BUY', quantity: 20, price: 20, atr: 1 });
+        broker.onQuote('SOFI', { price: 19.9 });
+        await orderManager.sync();
+        await orderManager.submit({ symbol: 'SOFI', side: 'BUY', quantity: 10, price: 21, atr: 1, pyramid: true });
+        broker.onQuote('SOFI', { price: 21 });
+        await orderManager.sync();
+        position = positionManager.getPosition('SOFI');
+        assert.strictEqual(position.quantity, 30);
+        assert.strictEqual(position.adds.length, 1);
+        assert.ok(near(position.currentStopLoss, 19), 'Stop moved to $21 - 2×ATR');
+        console.log('PASS');
+
+        console.log('Test 5: Rest of the first order filling after an add keeps the add state...');
+        const { broker: lateBroker, positionManager: late, orderManager: lateOrders } = createOrderSetup({
+            broker: { partialFillRatio: 0.5 },
+            positionManager: createPositionManager({}, SETTINGS)
+        });
+        await lateOrders.submit({ symbol: 'SOFI', side: 'BUY', quantity: 20, price: 20, atr: 1 });
+        lateBroker.onQuote('SOFI', { price: 19.9 }); // 10주만 체결
+        await lateOrders.sync();
+        lateBroker.config.partialFillRatio = 1.0;
+        await lateOrders.submit({ symbol: 'SOFI', side: 'BUY', quantity: 10, price: 21, atr: 1, pyramid: true });
+        lateBroker.onQuote('SOFI', { price: 21 });
+        await lateOrders.sync();
+        assert.ok(near(late.getPosition('SOFI').currentStopLoss, 19));
+
+        lateBroker.onQuote('SOFI', { price: 19.9 }); // 최초 주문 잔량 10주
+        await lateOrders.sync();
+        position = late.getPosition('SOFI');
+        assert.strictEqual(position.quantity, 30);
+        assert.strictEqual(position.adds.length, 1);
+        assert.ok(near(position.currentStopLoss, 19), 'Pyramid stop kept');
+        assert.strictEqual(position.lastAddPrice, 21, 'Next add still measured from the add');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
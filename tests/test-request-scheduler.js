@@ -0,0 +1,93 @@
+const { RequestScheduler, classifyKisError } = require('../src/request-scheduler');
+const { silentLogger } = require('./helpers');
+const assert = require('assert');
+
+// 가상 시계: sleep은 시간을 진행시키고 대기 시간을 기록
+function createScheduler(options = {}) {
+    let clock = 0;
+    const sleeps = [];
+    const scheduler = new RequestScheduler({
+        now: () => clock,
+        sleep: async (ms) => { sleeps.push(ms); clock += ms; },
+        random: () => 1,
+        logger: silentLogger,
+        providers: {
+            kis: { ratePerSecond: 20, burst: 2, classify: classifyKisError }
+        },
+        ...options
+    });
+    return { scheduler, sleeps, elapsed: () => clock };
+}
+
+const rateLimitError = () => Object.assign(new Error('Request failed with status code 500'), {
+    response: { status: 500, data: { rt_cd: '1', msg_cd: 'EGW00201', msg1: '초당 거래건수를 초과하였습니다.' } }
+});
+const resetError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+async function runTests() {
+    console.log('Running Request Scheduler Tests...');
+
+    try {
+        console.log('Test 1: Token bucket spaces requests to the provider rate...');
+        let { scheduler, elapsed } = createScheduler();
+        const results = await Promise.all([1, 2, 3, 4, 5, 6].map(n => scheduler.schedule('kis', async () => n)));
+        assert.deepStrictEqual(results, [1, 2, 3, 4, 5, 6]);
+        assert.strictEqual(elapsed(), 200, 'Burst of 2, then 4 more at 20/s = 200ms');
+        console.log('PASS');
+
+        console.log('Test 2: Rate-limit errors are retried with exponential backoff...');
+        let sleeps;
+        ({ scheduler, sleeps } = createScheduler());
+        let calls = 0;
+        const value = await scheduler.schedule('kis', async () => {
+            calls++;
+            if (calls < 3) throw rateLimitError();
+            return 'ok';
+        });
+        assert.strictEqual(value, 'ok');
+        assert.strictEqual(calls, 3);
+        assert.deepStrictEqual(sleeps.filter(ms => ms >= 500), [500, 1000], 'Backoff doubles (jitter = 1)');
+        console.log('PASS');
+
+        console.log('Test 3: Order POSTs are retried only when provably not accepted...');
+        calls = 0;
+        await assert.rejects(() => scheduler.schedule('kis', async () => {
+            calls++;
+            throw resetError();
+        }, { idempotent: false }), /socket hang up/);
+        assert.strictEqual(calls, 1, 'Connection reset may have placed the order');
+
+        calls = 0;
+        const order = await scheduler.schedule('kis', async () => {
+            calls++;
+            if (calls === 1) throw rateLimitError();
+            return { rt_cd: '0' };
+        }, { idempotent: false });
+        assert.strictEqual(order.rt_cd, '0');
+        assert.strictEqual(calls, 2, 'Gateway rate limit means the order was not accepted');
+        console.log('PASS');
+
+        console.log('Test 4: Non-retryable errors and exhausted retries are thrown...');
+        calls = 0;
+        await assert.rejects(() => scheduler.schedule('kis', async () => {
+            calls++;
+            throw Object.assign(new Error('Bad Request'), { response: { status: 400, data: {} } });
+        }));
+        assert.strictEqual(calls, 1);
+
+        calls = 0;
+        await assert.rejects(() => scheduler.schedule('kis', async () => {
+            calls++;
+            throw rateLimitError();
+        }));
+        assert.strictEqual(calls, 5, 'First attempt + 4 retries');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
@@ -0,0 +1,141 @@
+const { RiskGovernor } = require('../src/risk-governor');
+const { EnhancedTrader } = require('../src/enhanced-trader');
+const { HOUR, silentLogger, createOrderSetup } = require('./helpers');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_FILE = path.join(__dirname, '../data/test_risk_state.json');
+
+const teardown = () => {
+    if (fs.existsSync(STATE_FILE)) {
+        fs.unlinkSync(STATE_FILE);
+    }
+};
+
+function createGovernor(clock, limits, options = {}) {
+    return new RiskGovernor({
+        stateFile: null,
+        now: () => clock.now,
+        config: { dailyLossPercent: 0, dailyLossUsd: 0, flattenLossPercent: 0, flattenLossUsd: 0, maxDrawdownPercent: 0, ...limits },
+        ...options
+    });
+}
+
+async function runTests() {
+    console.log('Running Risk Governor Tests...');
+    teardown();
+
+    try {
+        console.log('Test 1: Daily loss limit (percent) halts entries until the next ET day...');
+        const clock = { now: Date.parse('2025-07-14T14:00:00Z') }; // 10:00 EDT
+        const daily = createGovernor(clock, { dailyLossPercent: 3 });
+        assert.strictEqual(daily.update(10000).allowEntries, true);
+        clock.now += HOUR;
+        let status = daily.update(9750);
+        assert.strictEqual(status.allowEntries, true, '-2.5%');
+        assert.strictEqual(status.dailyPnl, -250);
+        clock.now += HOUR;
+        status = daily.update(9690);
+        assert.strictEqual(status.allowEntries, false, '-3.1%');
+        assert.strictEqual(status.halt.level, 'DAILY_LOSS');
+        assert.strictEqual(status.flatten, false);
+        clock.now += HOUR;
+        assert.strictEqual(daily.update(9800).allowEntries, false, 'Recovery does not lift the halt the same day');
+        clock.now = Date.parse('2025-07-15T13:35:00Z');
+        status = daily.update(9800);
+        assert.strictEqual(status.allowEntries, true, 'New day, new baseline');
+        assert.strictEqual(status.dailyPnl, 0);
+        console.log('PASS');
+
+        console.log('Test 2: Dollar limits and flatten after a larger loss...');
+        clock.now = Date.parse('2025-07-14T14:00:00Z');
+        const flatten = createGovernor(clock, { dailyLossUsd: 200, flattenLossUsd: 500 });
+        flatten.update(10000);
+        status = flatten.update(9790);
+        assert.strictEqual(status.allowEntries, false);
+        assert.strictEqual(status.flatten, false);
+        status = flatten.update(9480);
+        assert.strictEqual(status.flatten, true);
+        assert.ok(status.halt.reason.includes('flatten all positions'));
+        assert.strictEqual(flatten.update(9600).flatten, true, 'Keeps flattening for the rest of the day');
+        clock.now += 24 * HOUR;
+        status = flatten.update(9600);
+        assert.strictEqual(status.flatten, false);
+        assert.strictEqual(status.allowEntries, true);
+        console.log('PASS');
+
+        console.log('Test 3: Drawdown halt survives a new day and a restart until manual reset...');
+        clock.now = Date.parse('2025-07-14T14:00:00Z');
+        const drawdown = createGovernor(clock, { maxDrawdownPercent: 10 }, { stateFile: STATE_FILE });
+        drawdown.update(10000);
+        clock.now += 24 * HOUR;
+        drawdown.update(11000);
+        clock.now += 24 * HOUR;
+        drawdown.update(10200);
+        clock.now += 24 * HOUR;
+        status = drawdown.update(9850);
+        assert.strictEqual(status.halt.level, 'DRAWDOWN');
+        assert.ok(Math.abs(status.drawdownPercent - 10.4545454545) < 1e-6);
+
+        const restarted = createGovernor(clock, { maxDrawdownPercent: 10 }, { stateFile: STATE_FILE });
+        clock.now += 24 * HOUR;
+        status = restarted.update(10500);
+        assert.strictEqual(status.allowEntries, false, 'Still halted after restart and recovery');
+        assert.strictEqual(status.halt.level, 'DRAWDOWN');
+
+        const previous = restarted.reset();
+        assert.strictEqual(previous.level, 'DRAWDOWN');
+        assert.strictEqual(restarted.state.peakEquity, 10500, 'Peak restarts from current equity');
+        assert.strictEqual(restarted.update(10000).allowEntries, true, '-4.8% from the new peak');
+        console.log('PASS');
+
+        console.log('Test 4: A daily loss does not downgrade a drawdown halt...');
+        clock.now = Date.parse('2025-07-14T14:00:00Z');
+        const both = createGovernor(clock, { dailyLossPercent: 2, maxDrawdownPercent: 5 });
+        both.update(10000);
+        status = both.update(9400);
+        assert.strictEqual(status.halt.level, 'DRAWDOWN');
+        assert.strictEqual(both.update(0).halt.level, 'DRAWDOWN', 'Missing equity is ignored');
+        console.log('PASS');
+
+        console.log('Test 5: Flatten cancels resting entry orders before selling...');
+        clock.now = Date.parse('2025-07-14T14:00:00Z');
+        const { broker, positionManager, orderManager } = createOrderSetup({ now: () => clock.now });
+        const trader = new EnhancedTrader({
+            broker,
+            positionManager,
+            orderManager,
+            riskGovernor: createGovernor(clock, { flattenLossUsd: 50 }),
+            marketRegimeFilter: { getMarketRegime: async () => ({ regime: 'BULL', allowBuy: true, allowSell: true, positionSizeMultiplier: 1 }) },
+            dataCollector: { fetchQuote: async () => ({ regularMarketPrice: 18 }) },
+            logger: silentLogger
+        });
+        trader.riskGovernor.update(1000);
+        await orderManager.submit({ symbol: 'MARA', side: 'BUY', quantity: 20, price: 20 });
+        broker.onQuote('MARA', { price: 20 });
+        await orderManager.sync();
+        const resting = await orderManager.submit({ symbol: 'SOFI', side: 'BUY', quantity: 10, price: 9 });
+        broker.onQuote('SOFI', { price: 10 });
+        broker.onQuote('MARA', { price: 17 }); // -$60
+
+        await trader.start();
+        assert.ok(resting.cancelRequestedAt, 'Pending buy cancelled');
+        assert.strictEqual(orderManager.hasPendingOrder('MARA', 'SELL'), true, 'Holdings flattened');
+        await orderManager.sync();
+        assert.strictEqual(resting.status, 'CANCELLED');
+        broker.onQuote('SOFI', { price: 8 });
+        await orderManager.sync();
+        assert.strictEqual(positionManager.getPosition('SOFI'), null, 'No entry after the flatten');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    } finally {
+        teardown();
+    }
+}
+
+runTests();
@@ -0,0 +1,94 @@
+const { MINUTE, noCosts, near, createPositionManager } = require('./helpers');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const POSITIONS_FILE = path.join(__dirname, '../data/test_stop_positions.json');
+
+const teardown = () => {
+    if (fs.existsSync(POSITIONS_FILE)) {
+        fs.unlinkSync(POSITIONS_FILE);
+    }
+};
+
+async function runTests() {
+    console.log('Running Stop Model Tests...');
+    teardown();
+
+    try {
+        console.log('Test 1: ATR stop gives volatile stocks room and is recorded per position...');
+        const manager = createPositionManager({ costModel: noCosts, positionsFile: POSITIONS_FILE }, { stopModel: { type: 'ATR' } });
+        manager.addPosition('MARA', 20, 10, 50, { atr: 1 });
+        assert.deepStrictEqual(manager.getPosition('MARA').stop, { model: 'ATR', atr: 1, multiple: 2, activationProfit: 2 });
+        assert.strictEqual(manager.getPosition('MARA').currentStopLoss, 18);
+        assert.strictEqual(manager.updatePrice('MARA', 19).action, 'HOLD', '-5% is inside 2×ATR');
+
+        manager.config.stopModel.atrMultiple = 5;
+        const reloaded = createPositionManager({ positionsFile: POSITIONS_FILE, costModel: noCosts });
+        assert.strictEqual(reloaded.getPosition('MARA').stop.multiple, 2, 'Config changes do not move open stops');
+        assert.strictEqual(reloaded.updatePrice('MARA', 17.9).action, 'STOP_LOSS');
+
+        const breakEven = createPositionManager({ costModel: noCosts }, { stopModel: { type: 'ATR' } });
+        breakEven.addPosition('SOFI', 20, 10, 50, { atr: 0.5 });
+        assert.strictEqual(breakEven.updatePrice('SOFI', 20.3).stopPrice, 20, 'Break-even at +1.5%');
+        assert.strictEqual(breakEven.getPosition('SOFI').trailingStopActive, false, 'Trailing starts at +2%');
+        assert.strictEqual(breakEven.updatePrice('SOFI', 19.95).action, 'STOP_LOSS', 'Break-even exit is not a trailing exit');
+
+        manager.addPosition('F', 10, 10, 50);
+        assert.strictEqual(manager.getPosition('F').stop.model, 'FIXED', 'No ATR at entry falls back to fixed percent');
+        console.log('PASS');
+
+        console.log('Test 2: Chandelier trails the highest price by k×ATR...');
+        const chandelier = createPositionManager({ costModel: noCosts }, { stopModel: { type: 'CHANDELIER' } });
+        chandelier.addPosition('KDP', 30, 10, 50, { atr: 0.3 });
+        assert.ok(near(chandelier.getPosition('KDP').currentStopLoss, 29.1));
+        let result = chandelier.updatePrice('KDP', 31);
+        assert.ok(near(result.stopPrice, 30.1));
+        result = chandelier.updatePrice('KDP', 30.05);
+        assert.strictEqual(result.action, 'TRAILING_STOP');
+        console.log('PASS');
+
+        console.log('Test 3: Parabolic SAR steps once per interval and accelerates on new highs...');
+        let clock = Date.parse('2025-11-03T15:00:00Z');
+        const sar = createPositionManager({ costModel: noCosts, now: () => clock }, { stopModel: { type: 'SAR' } });
+        sar.addPosition('SOFI', 10, 10, 50);
+        assert.ok(near(sar.getPosition('SOFI').currentStopLoss, 9.7), 'Starts at the fixed initial stop');
+
+        clock += MINUTE;
+        assert.ok(near(sar.updatePrice('SOFI', 10.5).stopPrice, 9.7), 'No step inside the interval');
+        clock += 4 * MINUTE;
+        const first = 9.7 + 0.04 * (10.5 - 9.7);
+        assert.ok(near(sar.updatePrice('SOFI', 10.4).stopPrice, first), 'Extreme from the whole interval, AF 0.04');
+        clock += 5 * MINUTE;
+        assert.ok(near(sar.updatePrice('SOFI', 10.6).stopPrice, first + 0.06 * (10.6 - first)));
+        assert.strictEqual(sar.getPosition('SOFI').stop.af, 0.06);
+        console.log('PASS');
+
+        console.log('Test 4: SAR is capped at the period low after a pullback inside the period...');
+        clock = Date.parse('2025-11-03T15:00:00Z');
+        const pullback = createPositionManager({ costModel: noCosts, now: () => clock }, { stopModel: { type: 'SAR' } });
+        Object.assign(pullback.config.stopModel, { sarStep: 0.5, sarMax: 1 });
+        pullback.addPosition('MARA', 10, 10, 50); // 손절 $9.70
+        clock += MINUTE;
+        pullback.updatePrice('MARA', 10.25);
+        clock += 3 * MINUTE;
+        pullback.updatePrice('MARA', 10);
+        clock += MINUTE;
+        let status = pullback.updatePrice('MARA', 10.1); // AF 1.0 → SAR $10.25 > 현재가
+        assert.strictEqual(status.action, 'HOLD', 'Not stopped out by a stop above the price');
+        assert.ok(near(status.stopPrice, 10), 'Capped at the period low (entry $10)');
+        clock += 5 * MINUTE;
+        status = pullback.updatePrice('MARA', 10.2);
+        assert.ok(status.stopPrice <= 10, 'Still under the low of the prior periods');
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exitCode = 1;
+    } finally {
+        teardown();
+    }
+}
+
+runTests();
@@ -0,0 +1,100 @@
+const { TaxEstimator } = require('../src/tax-estimator');
+const { TradeLedger } = require('../src/trade-ledger');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const CSV_FILE = path.join(__dirname, '../data/test_capital_gains.csv');
+
+// 결제일(T+1)별 원/달러 환율
+const RATES = {
+    '2025-03-04': 1400,
+    '2025-06-03': 1300,
+    '2025-11-04': 1400,
+    '2025-11-05': 1300,
+    '2025-12-11': 1450
+};
+
+const teardown = () => {
+    if (fs.existsSync(CSV_FILE)) {
+        fs.unlinkSync(CSV_FILE);
+    }
+};
+
+async function runTests() {
+    console.log('Running Tax Estimator Tests...');
+    teardown();
+
+    try {
+        let clock = Date.parse('2025-03-03T15:00:00Z');
+        const ledger = new TradeLedger({ ledgerFile: null, now: () => clock });
+        let fetches = 0;
+        const estimator = new TaxEstimator({
+            tradeLedger: ledger,
+            ratesFile: null,
+            now: () => clock,
+            fetchRates: async () => {
+                fetches++;
+                return Object.entries(RATES).map(([date, rate]) => ({ date, rate }));
+            }
+        });
+
+        console.log('Test 1: Settlement dates are T+1 business days in New York...');
+        assert.strictEqual(estimator.settlementDate(Date.parse('2025-06-06T15:00:00Z')), '2025-06-09', 'Friday settles Monday');
+        assert.strictEqual(estimator.settlementDate(Date.parse('2025-12-31T20:00:00Z')), '2026-01-01', 'Year-end sale belongs to next year');
+        console.log('PASS');
+
+        console.log('Test 2: Gains are converted at buy and sell settlement rates...');
+        ledger.recordFill({ symbol: 'AAPL', side: 'BUY', quantity: 10, price: 100, fee: 1 });
+        ledger.recordFill({ symbol: 'NVDA', side: 'BUY', quantity: 100, price: 100 });
+        clock = Date.parse('2025-06-02T15:00:00Z');
+        ledger.recordFill({ symbol: 'AAPL', side: 'SELL', quantity: 10, price: 150, fee: 2 });
+        ledger.recordFill({ symbol: 'NVDA', side: 'SELL', quantity: 100, price: 150 });
+
+        const report = await estimator.estimate(2025);
+        const aapl = report.rows.find(r => r.symbol === 'AAPL');
+        assert.strictEqual(aapl.acquisitionKrw, 1400000);
+        assert.strictEqual(aapl.proceedsKrw, 1950000);
+        assert.strictEqual(aapl.feesKrw, 1 * 1400 + 2 * 1300, 'Buy fee at buy rate, sell fee at sell rate');
+        assert.strictEqual(aapl.gainKrw, 546000);
+        assert.strictEqual(report.realizedGainKrw, 546000 + 5500000);
+        assert.strictEqual(report.taxableGainKrw, 6046000 - 2500000);
+        assert.strictEqual(report.estimatedTaxKrw, Math.floor(3546000 * 0.22));
+        await estimator.estimate(2025);
+        assert.strictEqual(fetches, 1, 'Rates are fetched once and reused');
+        console.log('PASS');
+
+        console.log('Test 3: CSV export lists every sold lot with totals...');
+        const { file } = await estimator.exportCsv(2025, CSV_FILE);
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        assert.ok(lines[0].startsWith('\uFEFF종목,수량'), 'Header with BOM for Excel');
+        assert.ok(lines[1].startsWith('AAPL,10,2025-03-04,2025-06-03,'));
+        assert.ok(lines.includes(`예상 세액(22%),${report.estimatedTaxKrw}`));
+        console.log('PASS');
+
+        console.log('Test 4: Year-end harvest picks positions with a KRW loss...');
+        clock = Date.parse('2025-11-03T15:00:00Z');
+        ledger.recordFill({ symbol: 'F', side: 'BUY', quantity: 100, price: 10 });
+        clock = Date.parse('2025-11-04T15:00:00Z');
+        ledger.recordFill({ symbol: 'T', side: 'BUY', quantity: 100, price: 10 });
+        const holdings = [
+            { symbol: 'F', qty: 100, avgPrice: 10, currentPrice: 9 },
+            { symbol: 'T', qty: 100, avgPrice: 10, currentPrice: 9.5 } // 달러 손실이지만 환율 상승으로 원화 이익
+        ];
+        assert.deepStrictEqual(await estimator.getHarvestPlan(holdings), [], 'Not before December');
+
+        clock = Date.parse('2025-12-10T15:00:00Z');
+        const plan = await estimator.getHarvestPlan(holdings);
+        assert.deepStrictEqual(plan, [{ symbol: 'F', quantity: 100, lossKrw: 900 * 1450 - 1400000 }]);
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exitCode = 1;
+    } finally {
+        teardown();
+    }
+}
+
+runTests();
@@ -0,0 +1,123 @@
+const marketRegimeFilter = require('../src/market-regime-filter');
+const { CostModel } = require('../src/cost-model');
+const { MINUTE, HOUR, noCosts, createPositionManager, createOrderSetup } = require('./helpers');
+const assert = require('assert');
+
+// 시간 청산 규칙만 켜고 나머지는 끈 설정
+const settings = (timeExits = {}) => ({
+    stopModel: { type: 'FIXED' },
+    timeExits: {
+        maxHoldingHours: 0,
+        noProgressHours: 0,
+        noProgressMinProfit: 0.5,
+        flattenBeforeClose: false,
+        flattenMinutesBeforeClose: 15,
+        ...timeExits
+    }
+});
+
+async function runTests() {
+    console.log('Running Time Exit Tests...');
+
+    try {
+        console.log('Test 1: Market close time is derived from the ET session...');
+        const coreSession = marketRegimeFilter.getTradingSession(new Date('2025-07-15T18:30:00Z')); // 14:30 EDT
+        assert.strictEqual(coreSession.session, 'CORE');
+        assert.strictEqual(coreSession.closesAt, Date.parse('2025-07-15T20:00:00Z'));
+        const winterSession = marketRegimeFilter.getTradingSession(new Date('2025-01-15T20:50:30Z')); // 15:50:30 EST
+        assert.strictEqual(winterSession.session, 'POWER_HOUR');
+        assert.strictEqual(winterSession.closesAt, Date.parse('2025-01-15T21:00:00Z'));
+        const afterBell = marketRegimeFilter.getTradingSession(new Date('2025-07-15T20:30:00Z'));
+        assert.strictEqual(afterBell.closesAt, Date.parse('2025-07-15T20:00:00Z'), 'The close that just passed after the bell');
+
+        const offline = new marketRegimeFilter.MarketRegimeFilter();
+        offline._analyzeMarketRegime = async () => { throw new Error('No data'); };
+        const fallback = await offline.getMarketRegime();
+        assert.strictEqual(typeof fallback.tradingSession, 'string', 'Fallback reports the session name like a normal regime');
+        assert.strictEqual(fallback.allowBuy, false);
+        console.log('PASS');
+
+        console.log('Test 2: Flatten before close only when enabled...');
+        const clock = { now: Date.parse('2025-07-15T19:40:00Z') };
+        const closeAt = Date.parse('2025-07-15T20:00:00Z');
+        const swing = createPositionManager({ clock, costModel: noCosts }, settings());
+        swing.addPosition('SOFI', 10, 100);
+        assert.strictEqual(swing.updatePrice('SOFI', 10.2, { marketCloseAt: closeAt }).action, 'HOLD');
+
+        const dayTrade = createPositionManager({ clock, costModel: noCosts }, settings({ flattenBeforeClose: true }));
+        dayTrade.addPosition('SOFI', 10, 100);
+        assert.strictEqual(dayTrade.updatePrice('SOFI', 10.2, { marketCloseAt: closeAt }).action, 'HOLD', '20 min left');
+        clock.now += 6 * MINUTE;
+        const flatten = dayTrade.updatePrice('SOFI', 10.2, { marketCloseAt: closeAt });
+        assert.strictEqual(flatten.action, 'END_OF_DAY');
+        assert.ok(flatten.reason.includes('14 min left'));
+        assert.strictEqual(dayTrade.updatePrice('SOFI', 10.2).action, 'HOLD', 'No close time means no flatten');
+        clock.now = Date.parse('2025-07-15T20:30:00Z');
+        const missed = dayTrade.updatePrice('SOFI', 10.2, { marketCloseAt: afterBell.closesAt });
+        assert.strictEqual(missed.action, 'END_OF_DAY', 'A missed pre-close flatten still fires after the bell');
+        console.log('PASS');
+
+        console.log('Test 3: Max holding period exits regardless of profit...');
+        clock.now = Date.parse('2025-07-14T14:00:00Z');
+        const maxHold = createPositionManager({ clock, costModel: noCosts }, settings({ maxHoldingHours: 48 }));
+        maxHold.addPosition('KDP', 30, 10);
+        clock.now += 47 * HOUR;
+        assert.strictEqual(maxHold.updatePrice('KDP', 30.3).action, 'HOLD');
+        clock.now += HOUR;
+        const expired = maxHold.updatePrice('KDP', 30.3);
+        assert.strictEqual(expired.action, 'MAX_HOLDING_TIME');
+        assert.ok(expired.reason.includes('48.0h'));
+        console.log('PASS');
+
+        console.log('Test 4: No-progress exit uses net profit after N hours...');
+        clock.now = Date.parse('2025-07-14T14:00:00Z');
+        const stalled = createPositionManager({ clock, costModel: noCosts }, settings({ noProgressHours: 6 }));
+        stalled.addPosition('MARA', 20, 10);
+        stalled.addPosition('RIOT', 10, 10);
+        clock.now += 6 * HOUR;
+        assert.strictEqual(stalled.updatePrice('MARA', 20.06).action, 'NO_PROGRESS', '+0.3% is below the 0.5% bar');
+        assert.strictEqual(stalled.updatePrice('RIOT', 10.06).action, 'HOLD', '+0.6% counts as progress');
+
+        const withCosts = createPositionManager({
+            clock,
+            costModel: new CostModel({ commissionPercent: 0.25, fxSpreadPercent: 0, secFeePerMillion: 0, finraTafPerShare: 0 })
+        }, settings({ noProgressHours: 6 }));
+        withCosts.addPosition('RIOT', 10, 10);
+        clock.now += 6 * HOUR;
+        assert.strictEqual(withCosts.updatePrice('RIOT', 10.06).action, 'NO_PROGRESS', '+0.6% gross is +0.1% net of 0.5% round trip');
+        console.log('PASS');
+
+        console.log('Test 5: Stops take priority over time exits...');
+        clock.now = Date.parse('2025-07-14T14:00:00Z');
+        const both = createPositionManager({ clock, costModel: noCosts }, settings({ maxHoldingHours: 1 }));
+        both.addPosition('SOFI', 10, 100);
+        clock.now += 2 * HOUR;
+        assert.strictEqual(both.updatePrice('SOFI', 9.5).action, 'STOP_LOSS');
+        console.log('PASS');
+
+        console.log('Test 6: Time exits are chased like stop exits...');
+        clock.now = Date.parse('2025-07-14T14:00:00Z');
+        const { broker, orderManager } = createOrderSetup({ now: () => clock.now, broker: { initialCash: 10000 } });
+        const quotes = {};
+        const getQuote = async symbol => quotes[symbol];
+        for (const [symbol, reason] of [['SOFI', 'MAX_HOLDING_TIME'], ['RIOT', 'NO_PROGRESS'], ['KDP', 'END_OF_DAY']]) {
+            await orderManager.submit({ symbol, side: 'BUY', quantity: 10, price: 100 });
+            broker.onQuote(symbol, { price: 100 });
+            await orderManager.sync();
+            const exit = await orderManager.submit({ symbol, side: 'SELL', quantity: 10, price: 100, reason });
+            assert.strictEqual(exit.intent, 'stopExit', reason);
+            quotes[symbol] = { bid: 95, ask: 95.2, regularMarketPrice: 95.1 };
+            clock.now += 61 * 1000;
+            await orderManager.manageStaleOrders(getQuote);
+            assert.strictEqual(exit.price, 99, `${reason}: 1% step after one minute`);
+        }
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();
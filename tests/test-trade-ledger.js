@@ -0,0 +1,75 @@
+const { TradeLedger } = require('../src/trade-ledger');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_FILE = path.join(__dirname, '../data/test_trade_ledger.json');
+const MIN = 60 * 1000;
+
+const teardown = () => {
+    if (fs.existsSync(LEDGER_FILE)) {
+        fs.unlinkSync(LEDGER_FILE);
+    }
+};
+
+async function runTests() {
+    console.log('Running Trade Ledger Tests...');
+    teardown();
+
+    try {
+        console.log('Test 1: Partial take-profit sells consume lots FIFO...');
+        let clock = Date.parse('2025-11-03T15:00:00Z');
+        const ledger = new TradeLedger({ ledgerFile: LEDGER_FILE, now: () => clock });
+        ledger.recordFill({ symbol: 'SOFI', side: 'BUY', quantity: 10, price: 20, fee: 0.5 });
+        clock += 30 * MIN;
+        ledger.recordFill({ symbol: 'SOFI', side: 'BUY', quantity: 10, price: 22, fee: 0.5 });
+        clock += 30 * MIN;
+
+        const tp1 = ledger.recordFill({ symbol: 'SOFI', side: 'SELL', quantity: 6, price: 23, fee: 0.3, reason: 'TAKE_PROFIT_L1' });
+        assert.strictEqual(tp1.entryPrice, 20, 'First lot only');
+        assert.strictEqual(tp1.grossPnl, 18);
+        assert.ok(Math.abs(tp1.fees - 0.6) < 1e-9, '6/10 of the buy fee + sell fee');
+        assert.strictEqual(tp1.holdingMs, 60 * MIN);
+
+        const rest = ledger.recordFill({ symbol: 'SOFI', side: 'SELL', quantity: 14, price: 19, fee: 0.7, reason: 'STOP_LOSS' });
+        assert.ok(Math.abs(rest.entryPrice - (4 * 20 + 10 * 22) / 14) < 1e-9, 'Rest of lot 1, then lot 2');
+        assert.strictEqual(rest.grossPnl, 14 * 19 - (4 * 20 + 10 * 22));
+        assert.strictEqual(ledger.getOpenLots('SOFI').length, 0);
+        console.log('PASS');
+
+        console.log('Test 2: Stats report wins, losses, fees and holding time...');
+        const stats = ledger.getStats();
+        assert.strictEqual(stats.totalTrades, 2);
+        assert.strictEqual(stats.winningTrades, 1);
+        assert.strictEqual(stats.losingTrades, 1);
+        assert.strictEqual(stats.winRate, 50);
+        assert.ok(Math.abs(stats.totalFees - 2.0) < 1e-9, 'All buy and sell fees');
+        assert.ok(Math.abs(stats.totalProfit - (18 + rest.grossPnl - 2.0)) < 1e-9);
+        assert.strictEqual(stats.largestWin, tp1.pnl);
+        assert.strictEqual(stats.largestLoss, rest.pnl);
+        assert.ok(Math.abs(stats.avgHoldingMinutes - (60 + (4 * 60 + 10 * 30) / 14) / 2) < 1e-9, 'Quantity-weighted per trade');
+        console.log('PASS');
+
+        console.log('Test 3: Ledger survives a restart...');
+        ledger.recordFill({ symbol: 'F', side: 'BUY', quantity: 5, price: 10 });
+        const reloaded = new TradeLedger({ ledgerFile: LEDGER_FILE });
+        assert.strictEqual(reloaded.getStats().totalTrades, 2);
+        assert.strictEqual(reloaded.getOpenLots('F')[0].remaining, 5);
+        console.log('PASS');
+
+        console.log('Test 4: Sells without lots use the position cost basis...');
+        const legacy = reloaded.recordFill({ symbol: 'PLTR', side: 'SELL', quantity: 2, price: 110, costBasis: 100 });
+        assert.strictEqual(legacy.grossPnl, 20);
+        assert.strictEqual(legacy.holdingMs, null);
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exitCode = 1;
+    } finally {
+        teardown();
+    }
+}
+
+runTests();
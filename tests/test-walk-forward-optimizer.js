@@ -0,0 +1,84 @@
+const { WalkForwardOptimizer } = require('../src/walk-forward-optimizer');
+const { EnhancedMultiFactorScreener } = require('../src/enhanced-multi-factor-screener');
+const assert = require('assert');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 백테스터 대역: 학습 구간에서는 strongBuy가 낮을수록 수익,
+// 검증 구간에서는 generalizes 여부에 따라 같은 방향 또는 반대 방향
+function createBacktester(generalizes) {
+    return {
+        loadBars: () => null,
+        run: async ({ from, to, screener }) => {
+            const edge = 75 - screener.thresholds.strongBuy;
+            const isTrain = to - from > WEEK_MS;
+            const totalReturn = isTrain || generalizes ? edge : -edge;
+            return { stats: { totalReturn, maxDrawdown: -1 } };
+        }
+    };
+}
+
+async function runTests() {
+    console.log('Running Walk-Forward Optimizer Tests...');
+
+    try {
+        console.log('Test 1: Weights scale score components, defaults are unchanged...');
+        const technical = {
+            signals: ['MACD_BULLISH', 'MA_UPTREND'],
+            indicators: { macd: { histogram: 0.1 }, ma20: 10 },
+            currentPrice: 11
+        };
+        const baseline = new EnhancedMultiFactorScreener().calculateScore(technical, null, null);
+        assert.strictEqual(baseline.breakdown.momentum, 40);
+        assert.strictEqual(baseline.breakdown.technical, 10);
+
+        const tuned = new EnhancedMultiFactorScreener({ weights: { momentum: 20, technical: 0 }, thresholds: { strongBuy: 90 } })
+            .calculateScore(technical, null, null);
+        assert.strictEqual(tuned.breakdown.momentum, 20);
+        assert.strictEqual(tuned.breakdown.technical, 0);
+        assert.strictEqual(tuned.totalScore, 70);
+        assert.strictEqual(tuned.recommendation, 'BUY');
+        console.log('PASS');
+
+        console.log('Test 2: Rolling train/validation windows...');
+        const optimizer = new WalkForwardOptimizer({ backtester: createBacktester(true) });
+        const from = Date.UTC(2025, 9, 6);
+        const windows = optimizer.buildWindows(from, from + 7 * WEEK_MS, 4, 1);
+        assert.strictEqual(windows.length, 3);
+        assert.strictEqual(windows[0].validateFrom, windows[0].trainTo);
+        assert.strictEqual(windows[1].trainFrom, from + WEEK_MS);
+        assert.strictEqual(windows[2].validateTo, from + 7 * WEEK_MS);
+        console.log('PASS');
+
+        console.log('Test 3: Candidates are reproducible and keep threshold order...');
+        const candidates = optimizer.generateCandidates(10, 42);
+        assert.strictEqual(candidates.length, 11);
+        assert.deepStrictEqual(candidates[0], optimizer.getBaselineParams());
+        assert.deepStrictEqual(candidates, optimizer.generateCandidates(10, 42));
+        assert.ok(candidates.every(({ thresholds: t }) => t.strongBuy > t.buy && t.buy > t.sell && t.sell > t.strongSell));
+        console.log('PASS');
+
+        console.log('Test 4: Adopts params only when they win out-of-sample...');
+        const options = { symbols: ['TEST'], from, to: from + 7 * WEEK_MS, samples: 10, seed: 42 };
+        let result = await optimizer.run(options);
+        assert.strictEqual(result.windows.length, 3);
+        assert.ok(result.windows.every(w => w.params.thresholds.strongBuy < 75));
+        assert.strictEqual(result.summary.windowsBeaten, 3);
+        assert.strictEqual(result.summary.adopt, true);
+        assert.strictEqual(result.summary.recommendedParams, result.windows[2].params);
+
+        const overfit = new WalkForwardOptimizer({ backtester: createBacktester(false) });
+        result = await overfit.run(options);
+        assert.ok(result.summary.outOfSampleReturn < result.summary.baselineReturn);
+        assert.strictEqual(result.summary.adopt, false);
+        assert.deepStrictEqual(result.summary.recommendedParams, overfit.getBaselineParams());
+        console.log('PASS');
+
+        console.log('All tests passed!');
+    } catch (error) {
+        console.error('Test Failed:', error);
+        process.exit(1);
+    }
+}
+
+runTests();